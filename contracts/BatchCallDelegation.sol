@@ -1,7 +1,18 @@
 pragma solidity ^0.8.20;
 
-contract BatchCallDelegation {
+import { ERC1271Delegate } from "./ERC1271Delegate.sol";
+
+contract BatchCallDelegation is ERC1271Delegate {
     event CallExecuted(address indexed to, uint256 indexed value, bytes data, bool success);
+    event CallFailed(uint256 indexed index, address indexed to, bytes returnData);
+
+    error RequiredCallFailed(uint256 index, bytes returnData);
+    // Direct calls must come from the delegated account itself
+    error Unauthorized();
+    // The batch was not signed by the delegated account, for this chain and account
+    error InvalidBatchSignature();
+    error BatchNonceAlreadyUsed();
+    error BatchExpired();
 
     struct Call {
         bytes data;
@@ -9,7 +20,135 @@ contract BatchCallDelegation {
         uint256 value;
     }
 
+    struct OptionalCall {
+        bytes data;
+        address to;
+        uint256 value;
+        bool required;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    /// @custom:storage-location erc7201:batchcalldelegation.storage
+    struct BatchCallDelegationStorage {
+        // Next nonce a signed batch must carry
+        uint256 nonce;
+    }
+
+    // keccak256(abi.encode(uint256(keccak256("batchcalldelegation.storage")) - 1)) & ~bytes32(uint256(0xff));
+    bytes32 private constant STORAGE_LOCATION =
+        0x0f735bcca6ec7646e83a04b9d22946c0f1412f4ef2a56772b03404b89a694200;
+
+    bytes32 public constant CALL_TYPEHASH = keccak256("Call(bytes data,address to,uint256 value)");
+    bytes32 public constant OPTIONAL_CALL_TYPEHASH =
+        keccak256("OptionalCall(bytes data,address to,uint256 value,bool required)");
+    bytes32 public constant EXECUTE_TYPEHASH = keccak256(
+        "Execute(Call[] calls,uint256 nonce,uint256 deadline)Call(bytes data,address to,uint256 value)"
+    );
+    bytes32 public constant TRY_EXECUTE_TYPEHASH = keccak256(
+        "TryExecute(OptionalCall[] calls,uint256 nonce,uint256 deadline)OptionalCall(bytes data,address to,uint256 value,bool required)"
+    );
+
+    // secp256k1n / 2, the largest s accepted so signatures cannot be made malleable
+    uint256 private constant MAX_S = 0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0;
+
+    function _getStorage() private pure returns (BatchCallDelegationStorage storage s) {
+        bytes32 position = STORAGE_LOCATION;
+        assembly {
+            s.slot := position
+        }
+    }
+
+    /// @notice Next nonce a signed batch must carry
+    function nonce() external view returns (uint256) {
+        return _getStorage().nonce;
+    }
+
+    function _domainNameAndVersion() internal pure override returns (string memory, string memory) {
+        return ("BatchCallDelegation", "1");
+    }
+
+    /// @notice EIP-712 domain of the delegated account, whose address is only known at call time
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return _accountDomainSeparator();
+    }
+
     function execute(Call[] calldata calls) external payable {
+        if (msg.sender != address(this)) revert Unauthorized();
+        _execute(calls);
+    }
+
+    // Runs every call even when some fail, and reverts only when a required call fails
+    function tryExecute(OptionalCall[] calldata calls) external payable returns (Result[] memory results) {
+        if (msg.sender != address(this)) revert Unauthorized();
+        return _tryExecute(calls);
+    }
+
+    /// @notice Execute a batch signed by the delegated account, sent by anyone (e.g. a sponsor)
+    function executeWithSignature(Call[] calldata calls, uint256 nonce_, uint256 deadline, bytes calldata signature)
+        external
+        payable
+    {
+        bytes32[] memory hashes = new bytes32[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            hashes[i] = keccak256(abi.encode(CALL_TYPEHASH, keccak256(calls[i].data), calls[i].to, calls[i].value));
+        }
+        _useSignature(
+            keccak256(abi.encode(EXECUTE_TYPEHASH, keccak256(abi.encodePacked(hashes)), nonce_, deadline)),
+            nonce_,
+            deadline,
+            signature
+        );
+        _execute(calls);
+    }
+
+    /// @notice Non-atomic variant of executeWithSignature, see tryExecute
+    function tryExecuteWithSignature(
+        OptionalCall[] calldata calls,
+        uint256 nonce_,
+        uint256 deadline,
+        bytes calldata signature
+    )
+        external
+        payable
+        returns (Result[] memory results)
+    {
+        bytes32[] memory hashes = new bytes32[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            hashes[i] = keccak256(
+                abi.encode(
+                    OPTIONAL_CALL_TYPEHASH, keccak256(calls[i].data), calls[i].to, calls[i].value, calls[i].required
+                )
+            );
+        }
+        _useSignature(
+            keccak256(abi.encode(TRY_EXECUTE_TYPEHASH, keccak256(abi.encodePacked(hashes)), nonce_, deadline)),
+            nonce_,
+            deadline,
+            signature
+        );
+        return _tryExecute(calls);
+    }
+
+    // Checks the deadline, nonce and signer of a signed batch and consumes its nonce
+    function _useSignature(bytes32 structHash, uint256 nonce_, uint256 deadline, bytes calldata signature) private {
+        if (block.timestamp > deadline) revert BatchExpired();
+        if (nonce_ != _getStorage().nonce++) revert BatchNonceAlreadyUsed();
+        if (signature.length != 65) revert InvalidBatchSignature();
+
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        if (uint256(s) > MAX_S) revert InvalidBatchSignature();
+
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+        if (ecrecover(digest, v, r, s) != address(this)) revert InvalidBatchSignature();
+    }
+
+    function _execute(Call[] calldata calls) private {
         for (uint256 i = 0; i < calls.length; i++) {
             Call memory call = calls[i];
             (bool success, ) = call.to.call{value: call.value}(call.data);
@@ -17,4 +156,20 @@ contract BatchCallDelegation {
             emit CallExecuted(call.to, call.value, call.data, success);
         }
     }
-}
\ No newline at end of file
+
+    function _tryExecute(OptionalCall[] calldata calls) private returns (Result[] memory results) {
+        results = new Result[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            OptionalCall memory call = calls[i];
+            (bool success, bytes memory returnData) = call.to.call{value: call.value}(call.data);
+            if (!success && call.required) {
+                revert RequiredCallFailed(i, returnData);
+            }
+            results[i] = Result(success, returnData);
+            emit CallExecuted(call.to, call.value, call.data, success);
+            if (!success) {
+                emit CallFailed(i, call.to, returnData);
+            }
+        }
+    }
+}
@@ -0,0 +1,187 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ERC1271Delegate
+ * @notice ERC-1271 signature validation for an EOA delegated to a contract with EIP-7702
+ * @dev The account has code once delegated, so integrations verify its signatures with
+ * isValidSignature instead of ecrecover. The signer is the EOA's own key, and two forms are accepted:
+ * - a plain ECDSA signature of the hash, as the EOA signs without a delegation. The key controls
+ *   no other account, so the signature cannot be replayed on another one
+ * - an ERC-7739 nested typed data signature (TypedDataSign for EIP-712 messages, PersonalSign for
+ *   personal_sign messages), which also binds the account's EIP-712 domain into what the key signs
+ * @custom:eip ERC-1271 (Contract signature validation), ERC-7739 (Readable typed signatures), ERC-5267 (EIP-712 domain retrieval)
+ */
+abstract contract ERC1271Delegate {
+    /// @notice Returned by isValidSignature for a valid signature
+    bytes4 internal constant ERC1271_MAGIC_VALUE = 0x1626ba7e;
+
+    // Returned by isValidSignature for an invalid signature
+    bytes4 private constant ERC1271_INVALID = 0xffffffff;
+
+    // isValidSignature of this hash with an empty signature reports ERC-7739 support (version 1)
+    bytes32 private constant ERC7739_DETECTION_HASH = 0x7739773977397739773977397739773977397739773977397739773977397739;
+    bytes4 private constant ERC7739_SUPPORT = 0x77390001;
+
+    bytes32 private constant PERSONAL_SIGN_TYPEHASH = keccak256("PersonalSign(bytes prefixed)");
+
+    // secp256k1n / 2, the largest s accepted so signatures cannot be made malleable
+    uint256 private constant SECP256K1N_HALF = 0x7fffffffffffffffffffffffffffffff5d576e7357a4501ddfe92f46681b20a0;
+
+    /**
+     * @dev Name and version of the EIP-712 domain of the delegate
+     */
+    function _domainNameAndVersion() internal pure virtual returns (string memory name, string memory version);
+
+    /**
+     * @notice EIP-712 domain of the account running this code (ERC-5267)
+     * @dev Used by wallets to build the TypedDataSign and PersonalSign messages of ERC-7739
+     */
+    function eip712Domain()
+        public
+        view
+        returns (
+            bytes1 fields,
+            string memory name,
+            string memory version,
+            uint256 chainId,
+            address verifyingContract,
+            bytes32 salt,
+            uint256[] memory extensions
+        )
+    {
+        (name, version) = _domainNameAndVersion();
+        return (hex"0f", name, version, block.chainid, address(this), bytes32(0), new uint256[](0));
+    }
+
+    /**
+     * @notice Check that the delegated EOA signed a hash (ERC-1271)
+     * @param hash Hash of the signed data
+     * @param signature Plain 65-byte signature, or an ERC-7739 nested typed data signature
+     * @return ERC1271_MAGIC_VALUE when the signature is valid, 0xffffffff otherwise
+     */
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4) {
+        if (hash == ERC7739_DETECTION_HASH && signature.length == 0) return ERC7739_SUPPORT;
+
+        bool valid = signature.length == 65
+            ? _recover(hash, signature) == address(this) || _isValidPersonalSign(hash, signature)
+            : _isValidTypedDataSign(hash, signature);
+        return valid ? ERC1271_MAGIC_VALUE : ERC1271_INVALID;
+    }
+
+    /**
+     * @dev ERC-7739 PersonalSign: the key signed the personal_sign hash wrapped in the account's domain
+     */
+    function _isValidPersonalSign(bytes32 hash, bytes calldata signature) private view returns (bool) {
+        bytes32 digest =
+            keccak256(abi.encodePacked("\x19\x01", _accountDomainSeparator(), keccak256(abi.encode(PERSONAL_SIGN_TYPEHASH, hash))));
+        return _recover(digest, signature) == address(this);
+    }
+
+    /**
+     * @dev ERC-7739 TypedDataSign: the key signed the app's contents wrapped in a TypedDataSign struct
+     * that carries the account's domain, under the app's domain. The signature is
+     * originalSignature ‖ APP_DOMAIN_SEPARATOR ‖ contents ‖ contentsDescription ‖ uint16(contentsDescription.length)
+     */
+    function _isValidTypedDataSign(bytes32 hash, bytes calldata signature) private view returns (bool) {
+        if (signature.length < 131) return false;
+        uint256 descriptionLength = uint16(bytes2(signature[signature.length - 2:]));
+        if (signature.length != 131 + descriptionLength) return false;
+
+        bytes32 appDomainSeparator = bytes32(signature[65:97]);
+        bytes32 contents = bytes32(signature[97:129]);
+
+        // The hash must be the app's EIP-712 hash of the contents
+        if (hash != keccak256(abi.encodePacked("\x19\x01", appDomainSeparator, contents))) return false;
+
+        (bytes calldata contentsName, bytes calldata contentsType) =
+            _parseContentsDescription(signature[129:129 + descriptionLength]);
+        if (contentsType.length == 0 || !_isValidContentsName(contentsName)) return false;
+
+        (string memory name, string memory version) = _domainNameAndVersion();
+        bytes32 typeHash = keccak256(
+            abi.encodePacked(
+                "TypedDataSign(",
+                contentsName,
+                " contents,string name,string version,uint256 chainId,address verifyingContract,bytes32 salt)",
+                contentsType
+            )
+        );
+        bytes32 structHash = keccak256(
+            abi.encode(
+                typeHash, contents, keccak256(bytes(name)), keccak256(bytes(version)), block.chainid, address(this), bytes32(0)
+            )
+        );
+
+        return _recover(keccak256(abi.encodePacked("\x19\x01", appDomainSeparator, structHash)), signature[0:65])
+            == address(this);
+    }
+
+    /**
+     * @dev Split an ERC-7739 contents description into the contents name and type. In implicit
+     * mode the description is the type, named by its first struct. In explicit mode the name
+     * follows the type, after its last ")"
+     */
+    function _parseContentsDescription(bytes calldata description)
+        private
+        pure
+        returns (bytes calldata contentsName, bytes calldata contentsType)
+    {
+        uint256 length = description.length;
+        if (length == 0) return (description, description);
+
+        uint256 i;
+        if (description[length - 1] == ")") {
+            while (i < length && description[i] != "(") i++;
+            return (description[0:i], description);
+        }
+
+        i = length;
+        while (i > 0 && description[i - 1] != ")") i--;
+        return (description[i:], description[0:i]);
+    }
+
+    /**
+     * @dev A contents name must be a struct name: not empty, not starting with a lowercase letter,
+     * and without the characters that would change the TypedDataSign type
+     */
+    function _isValidContentsName(bytes calldata contentsName) private pure returns (bool) {
+        if (contentsName.length == 0 || (contentsName[0] >= "a" && contentsName[0] <= "z")) return false;
+
+        for (uint256 i = 0; i < contentsName.length; i++) {
+            bytes1 c = contentsName[i];
+            if (c == "," || c == " " || c == "(" || c == ")" || c == bytes1(0)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * @dev EIP-712 domain separator of the account running this code, also used by the
+     * delegate's own signed messages
+     */
+    function _accountDomainSeparator() internal view returns (bytes32) {
+        (string memory name, string memory version) = _domainNameAndVersion();
+        return keccak256(
+            abi.encode(
+                keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                keccak256(bytes(name)),
+                keccak256(bytes(version)),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    /**
+     * @dev Recover the signer of a 65-byte signature, or the zero address when it is malformed or malleable
+     */
+    function _recover(bytes32 digest, bytes calldata signature) private pure returns (address) {
+        if (signature.length != 65) return address(0);
+
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        if (uint256(s) > SECP256K1N_HALF) return address(0);
+
+        return ecrecover(digest, uint8(signature[64]), r, s);
+    }
+}
@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title MockERC20
+ * @notice A minimal ERC-20 token with open minting, for sponsored token transfers on a local network
+ * @dev Can imitate non-standard tokens whose transfer returns nothing (like USDT) or returns false
+ */
+contract MockERC20 {
+    /**
+     * @notice How transfer reports its result
+     * @dev Standard returns true, NoReturn returns no data, ReturnsFalse returns false without transferring
+     */
+    enum Behavior {
+        Standard,
+        NoReturn,
+        ReturnsFalse
+    }
+
+    /**
+     * @notice Thrown when an account has fewer tokens than it transfers
+     */
+    error InsufficientBalance();
+
+    /**
+     * @notice Thrown when a spender has a smaller allowance than it transfers
+     */
+    error InsufficientAllowance();
+
+    string public name;
+    string public symbol;
+    uint8 public immutable decimals;
+    uint256 public totalSupply;
+    Behavior public behavior;
+
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    /**
+     * @notice Emitted when tokens move between accounts, including minting (from the zero address)
+     */
+    event Transfer(address indexed from, address indexed to, uint256 value);
+
+    /**
+     * @notice Emitted when an owner sets the allowance of a spender
+     */
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    /**
+     * @param name_ Token name
+     * @param symbol_ Token symbol
+     * @param decimals_ Number of decimals (e.g. 6 for a USDC-like token)
+     */
+    constructor(string memory name_, string memory symbol_, uint8 decimals_) {
+        name = name_;
+        symbol = symbol_;
+        decimals = decimals_;
+    }
+
+    /**
+     * @notice Mint tokens to any account
+     * @dev Unrestricted, for testing only
+     */
+    function mint(address to, uint256 amount) external {
+        totalSupply += amount;
+        balanceOf[to] += amount;
+        emit Transfer(address(0), to, amount);
+    }
+
+    /**
+     * @notice Change how transfer reports its result
+     * @dev Unrestricted, for testing only
+     */
+    function setBehavior(Behavior behavior_) external {
+        behavior = behavior_;
+    }
+
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        if (behavior == Behavior.ReturnsFalse) return false;
+
+        _transfer(msg.sender, to, amount);
+
+        if (behavior == Behavior.NoReturn) {
+            assembly {
+                return(0, 0)
+            }
+        }
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        if (allowance[from][msg.sender] < amount) revert InsufficientAllowance();
+        allowance[from][msg.sender] -= amount;
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    function _transfer(address from, address to, uint256 amount) private {
+        if (balanceOf[from] < amount) revert InsufficientBalance();
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount;
+        emit Transfer(from, to, amount);
+    }
+}
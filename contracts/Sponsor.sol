@@ -1,13 +1,15 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
+import { ERC1271Delegate } from "./ERC1271Delegate.sol";
+
 /**
  * @title Sponsor
  * @notice Demonstration contract for gas sponsorship capabilities using EIP-7702
  * @dev Implements EIP-712 for secure signature validation and execution delegation
  * @custom:eip EIP-7702 (EOA Code Setting), EIP-712 (Typed structured data hashing and signing)
  */
-contract Sponsor {
+contract Sponsor is ERC1271Delegate {
     /**
      * @notice Thrown when ETH transfer to recipient fails
      * @dev May occur if recipient contract has a failing fallback function
@@ -26,6 +28,53 @@ contract Sponsor {
      */
     error NonceAlreadyUsed();
 
+    /**
+     * @notice Thrown when the target of a sponsored call reverts
+     * @param returnData Revert data returned by the target
+     */
+    error CallReverted(bytes returnData);
+
+    /**
+     * @notice Thrown when an ERC-20 token transfer fails
+     * @dev Covers tokens that revert, return false, or have no code at the token address
+     * @param token The token that could not be transferred
+     */
+    error TokenTransferFailed(address token);
+
+    /**
+     * @notice Thrown when the relayer charges more than the signed maximum fee
+     * @param feeAmount The fee charged by the relayer
+     * @param maxAmount The maximum fee signed by the sender
+     */
+    error FeeTooHigh(uint256 feeAmount, uint256 maxAmount);
+
+    /**
+     * @notice Thrown when a request is executed before validAfter or after validUntil
+     * @param validAfter Earliest timestamp at which the request may be executed
+     * @param validUntil Latest timestamp at which the request may be executed
+     */
+    error OutsideValidityWindow(uint256 validAfter, uint256 validUntil);
+
+    /**
+     * @notice Thrown when a function reserved to the delegated account is called by anyone else
+     */
+    error NotAccount();
+
+    /**
+     * @notice Thrown when a cancellation lists no nonces
+     * @dev Such a cancellation would burn nothing, so it could be relayed again and again
+     */
+    error NoNonces();
+
+    /**
+     * @notice Fee the sender agrees to pay the relayer (the transaction origin), in an ERC-20 token
+     * @dev A zero token address means the request is sponsored for free
+     */
+    struct Fee {
+        address token;
+        uint256 maxAmount;
+    }
+
     /**
      * @dev ERC-7201 storage namespace for Sponsor contract
      * @custom:storage-location erc7201:sponsor.storage
@@ -33,8 +82,8 @@ contract Sponsor {
     struct SponsorStorage {
         // Tracks gas spent by each sender when using sponsored transactions
         mapping(address => uint256) gasSpent;
-        // Tracks the next valid nonce for each sender
-        mapping(address => uint256) nonces;
+        // Tracks the next sequence number of each nonce key for each sender
+        mapping(address => mapping(uint192 => uint256)) nonceSequences;
     }
 
     // keccak256(abi.encode(uint256(keccak256("sponsor.storage")) - 1)) & ~bytes32(uint256(0xff));
@@ -51,27 +100,48 @@ contract Sponsor {
         }
     }
 
+    /// @notice Type hash for EIP-712 signature of the fee included in every sponsored request
+    bytes32 public constant FEE_TYPEHASH = keccak256("Fee(address token,uint256 maxAmount)");
+
     /// @notice Type hash for EIP-712 signature of sponsored transfers
-    bytes32 public constant SPONSORED_TRANSFER_TYPEHASH =
-        keccak256("SponsoredTransfer(address sender,address recipient,uint256 amount,uint256 nonce)");
+    bytes32 public constant SPONSORED_TRANSFER_TYPEHASH = keccak256(
+        "SponsoredTransfer(address sender,address recipient,uint256 amount,Fee fee,uint256 validAfter,uint256 validUntil,uint256 nonce)"
+        "Fee(address token,uint256 maxAmount)"
+    );
+
+    /// @notice Type hash for EIP-712 signature of sponsored calls to any contract
+    bytes32 public constant SPONSORED_CALL_TYPEHASH = keccak256(
+        "SponsoredCall(address sender,address target,uint256 value,bytes data,Fee fee,uint256 validAfter,uint256 validUntil,uint256 nonce)"
+        "Fee(address token,uint256 maxAmount)"
+    );
+
+    /// @notice Type hash for EIP-712 signature of sponsored ERC-20 token transfers
+    bytes32 public constant SPONSORED_TOKEN_TRANSFER_TYPEHASH = keccak256(
+        "SponsoredTokenTransfer(address sender,address token,address recipient,uint256 amount,Fee fee,uint256 validAfter,uint256 validUntil,uint256 nonce)"
+        "Fee(address token,uint256 maxAmount)"
+    );
 
-    /// @notice Domain separator for EIP-712 signatures
-    bytes32 public immutable DOMAIN_SEPARATOR;
+    /// @notice Type hash for EIP-712 signature of sponsored cancellations of signed requests
+    bytes32 public constant SPONSORED_CANCEL_TYPEHASH = keccak256(
+        "SponsoredCancel(address sender,uint256[] nonces,Fee fee,uint256 validAfter,uint256 validUntil)"
+        "Fee(address token,uint256 maxAmount)"
+    );
 
     /**
-     * @notice Initializes the sponsor contract
-     * @dev Sets up the EIP-712 domain separator based on contract address and chain
+     * @dev Name and version of the EIP-712 domain, also used for ERC-1271 signatures
      */
-    constructor() {
-        DOMAIN_SEPARATOR = keccak256(
-            abi.encode(
-                keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
-                keccak256(bytes("Sponsor")),
-                keccak256(bytes("1")),
-                block.chainid,
-                address(this)
-            )
-        );
+    function _domainNameAndVersion() internal pure override returns (string memory, string memory) {
+        return ("Sponsor", "1");
+    }
+
+    /**
+     * @notice Domain separator for EIP-712 signatures
+     * @dev Computed from address(this) at call time: when an EOA delegates to Sponsor, the
+     * verifying contract is the EOA, whose storage holds the nonces, not this deployment
+     * @return The EIP-712 domain separator of the account running this code
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return _accountDomainSeparator();
     }
 
     /**
@@ -84,12 +154,24 @@ contract Sponsor {
     }
 
     /**
-     * @notice Get the current nonce for a specific address
+     * @notice Get the next nonce of a key for a specific address
+     * @dev A nonce is a 192-bit key and a 64-bit sequence number (key << 64 | sequence), as in ERC-4337:
+     * requests with the same key run in order, requests with different keys are independent
+     * @param sender The address to check nonce for
+     * @param key The nonce key
+     * @return nonce The next nonce of the key, including the key
+     */
+    function getNonce(address sender, uint192 key) public view returns (uint256 nonce) {
+        return _getSponsorStorage().nonceSequences[sender][key] | (uint256(key) << 64);
+    }
+
+    /**
+     * @notice Get the next nonce of the default key (0) for a specific address
      * @param sender The address to check nonce for
      * @return Current nonce value for the sender
      */
     function nonces(address sender) external view returns (uint256) {
-        return _getSponsorStorage().nonces[sender];
+        return getNonce(sender, 0);
     }
 
     /**
@@ -98,41 +180,42 @@ contract Sponsor {
      * @param sender The address that authorized the transfer
      * @param recipient The address to receive the ETH
      * @param amount The amount of ETH to transfer
+     * @param fee The token and maximum amount of the fee paid to the relayer
+     * @param validAfter Earliest timestamp at which the request may be executed
+     * @param validUntil Latest timestamp at which the request may be executed
      * @param nonce The unique nonce to prevent replay attacks
      * @param v Recovery byte of the sender's signature
      * @param r First 32 bytes of the sender's signature
      * @param s Second 32 bytes of the sender's signature
+     * @param feeAmount The fee charged by the relayer, at most fee.maxAmount
      */
     function sponsoredTransfer(
         address sender,
         address payable recipient,
         uint256 amount,
+        Fee calldata fee,
+        uint256 validAfter,
+        uint256 validUntil,
         uint256 nonce,
         uint8 v,
         bytes32 r,
-        bytes32 s
+        bytes32 s,
+        uint256 feeAmount
     )
         external
         payable
     {
-        SponsorStorage storage sponsorStorage = _getSponsorStorage();
-
-        // Ensure nonce is not reused
-        if (nonce != sponsorStorage.nonces[sender]++) revert NonceAlreadyUsed();
-
-        // Compute expected message hash
-        bytes32 digest = keccak256(
-            abi.encodePacked(
-                "\x19\x01",
-                DOMAIN_SEPARATOR,
-                keccak256(abi.encode(SPONSORED_TRANSFER_TYPEHASH, sender, recipient, amount, nonce))
-            )
+        _useSignature(
+            sender,
+            keccak256(abi.encode(SPONSORED_TRANSFER_TYPEHASH, sender, recipient, amount, _hashFee(fee), validAfter, validUntil, nonce)),
+            validAfter,
+            validUntil,
+            nonce,
+            v,
+            r,
+            s
         );
 
-        // Recover signer from signature
-        address recovered = ecrecover(digest, v, r, s);
-        if (recovered != address(this) && recovered != sender) revert InvalidSignature();
-
         // Store initial gas for measurement
         uint256 startGas = gasleft();
 
@@ -141,10 +224,312 @@ contract Sponsor {
         if (!success) revert TransferFailed();
 
         // Calculate and record gas usage
-        uint256 gasUsed = startGas - gasleft();
-        sponsorStorage.gasSpent[sender] += gasUsed;
+        uint256 gasUsed = _recordGasSpent(sender, startGas);
 
         emit SponsoredTransfer(sender, recipient, amount, gasUsed);
+
+        _payFee(sender, fee, feeAmount);
+    }
+
+    /**
+     * @notice Execute any call on behalf of a user who provided a valid signature
+     * @dev Verifies EIP-712 signature, calls the target from the delegated account, and records gas usage
+     * @param sender The address that authorized the call
+     * @param target The contract (or account) to call
+     * @param value The amount of ETH to send with the call
+     * @param data The calldata to send to the target
+     * @param fee The token and maximum amount of the fee paid to the relayer
+     * @param validAfter Earliest timestamp at which the request may be executed
+     * @param validUntil Latest timestamp at which the request may be executed
+     * @param nonce The unique nonce to prevent replay attacks
+     * @param v Recovery byte of the sender's signature
+     * @param r First 32 bytes of the sender's signature
+     * @param s Second 32 bytes of the sender's signature
+     * @param feeAmount The fee charged by the relayer, at most fee.maxAmount
+     * @return result Data returned by the target
+     */
+    function sponsoredCall(
+        address sender,
+        address target,
+        uint256 value,
+        bytes calldata data,
+        Fee calldata fee,
+        uint256 validAfter,
+        uint256 validUntil,
+        uint256 nonce,
+        uint8 v,
+        bytes32 r,
+        bytes32 s,
+        uint256 feeAmount
+    )
+        external
+        payable
+        returns (bytes memory result)
+    {
+        _useSignature(
+            sender,
+            keccak256(
+                abi.encode(SPONSORED_CALL_TYPEHASH, sender, target, value, keccak256(data), _hashFee(fee), validAfter, validUntil, nonce)
+            ),
+            validAfter,
+            validUntil,
+            nonce,
+            v,
+            r,
+            s
+        );
+
+        // Store initial gas for measurement
+        uint256 startGas = gasleft();
+
+        // Execute the call
+        bool success;
+        (success, result) = target.call{ value: value }(data);
+        if (!success) revert CallReverted(result);
+
+        // Calculate and record gas usage
+        uint256 gasUsed = _recordGasSpent(sender, startGas);
+
+        emit SponsoredCall(sender, target, value, data, gasUsed);
+
+        _payFee(sender, fee, feeAmount);
+    }
+
+    /**
+     * @notice Transfer ERC-20 tokens on behalf of a user who provided a valid signature
+     * @dev Verifies EIP-712 signature, transfers the tokens held by the delegated account, and records gas usage
+     * @param sender The address that authorized the transfer
+     * @param token The ERC-20 token to transfer
+     * @param recipient The address to receive the tokens
+     * @param amount The amount of tokens to transfer, in the token's smallest unit
+     * @param fee The token and maximum amount of the fee paid to the relayer
+     * @param validAfter Earliest timestamp at which the request may be executed
+     * @param validUntil Latest timestamp at which the request may be executed
+     * @param nonce The unique nonce to prevent replay attacks
+     * @param v Recovery byte of the sender's signature
+     * @param r First 32 bytes of the sender's signature
+     * @param s Second 32 bytes of the sender's signature
+     * @param feeAmount The fee charged by the relayer, at most fee.maxAmount
+     */
+    function sponsoredTokenTransfer(
+        address sender,
+        address token,
+        address recipient,
+        uint256 amount,
+        Fee calldata fee,
+        uint256 validAfter,
+        uint256 validUntil,
+        uint256 nonce,
+        uint8 v,
+        bytes32 r,
+        bytes32 s,
+        uint256 feeAmount
+    )
+        external
+    {
+        _useSignature(
+            sender,
+            keccak256(
+                abi.encode(SPONSORED_TOKEN_TRANSFER_TYPEHASH, sender, token, recipient, amount, _hashFee(fee), validAfter, validUntil, nonce)
+            ),
+            validAfter,
+            validUntil,
+            nonce,
+            v,
+            r,
+            s
+        );
+
+        // Store initial gas for measurement
+        uint256 startGas = gasleft();
+
+        // Execute the token transfer
+        _safeTransfer(token, recipient, amount);
+
+        // Calculate and record gas usage
+        uint256 gasUsed = _recordGasSpent(sender, startGas);
+
+        emit SponsoredTokenTransfer(sender, token, recipient, amount, gasUsed);
+
+        _payFee(sender, fee, feeAmount);
+    }
+
+    /**
+     * @notice Cancel signed requests before they are relayed, called by the delegated account itself
+     * @dev Each nonce is burned together with the lower sequence numbers of its key
+     * @param nonces_ The nonces of the requests to cancel
+     */
+    function invalidateNonces(uint256[] calldata nonces_) external {
+        if (msg.sender != address(this)) revert NotAccount();
+        _invalidateNonces(address(this), nonces_);
+    }
+
+    /**
+     * @notice Cancel signed requests on behalf of a user who provided a valid signature
+     * @dev Verifies EIP-712 signature, burns the nonces, and records gas usage. Replaying the
+     * cancellation reverts, as its nonces are already burned, and an empty list is rejected
+     * @param sender The address that authorized the cancellation
+     * @param nonces_ The nonces of the requests to cancel
+     * @param fee The token and maximum amount of the fee paid to the relayer
+     * @param validAfter Earliest timestamp at which the cancellation may be executed
+     * @param validUntil Latest timestamp at which the cancellation may be executed
+     * @param v Recovery byte of the sender's signature
+     * @param r First 32 bytes of the sender's signature
+     * @param s Second 32 bytes of the sender's signature
+     * @param feeAmount The fee charged by the relayer, at most fee.maxAmount
+     */
+    function sponsoredCancel(
+        address sender,
+        uint256[] calldata nonces_,
+        Fee calldata fee,
+        uint256 validAfter,
+        uint256 validUntil,
+        uint8 v,
+        bytes32 r,
+        bytes32 s,
+        uint256 feeAmount
+    )
+        external
+    {
+        _checkValidityWindow(validAfter, validUntil);
+        _checkSignature(
+            sender,
+            keccak256(
+                abi.encode(
+                    SPONSORED_CANCEL_TYPEHASH, sender, keccak256(abi.encodePacked(nonces_)), _hashFee(fee), validAfter, validUntil
+                )
+            ),
+            v,
+            r,
+            s
+        );
+
+        // Store initial gas for measurement
+        uint256 startGas = gasleft();
+
+        _invalidateNonces(sender, nonces_);
+
+        // Calculate and record gas usage
+        _recordGasSpent(sender, startGas);
+
+        _payFee(sender, fee, feeAmount);
+    }
+
+    /**
+     * @dev Burn nonces, moving the sequence of each key past the nonce's
+     * @param sender The address whose nonces are burned
+     * @param nonces_ The nonces to burn, at least one, each one not used yet
+     */
+    function _invalidateNonces(address sender, uint256[] calldata nonces_) private {
+        if (nonces_.length == 0) revert NoNonces();
+
+        mapping(uint192 => uint256) storage sequences = _getSponsorStorage().nonceSequences[sender];
+        for (uint256 i = 0; i < nonces_.length; i++) {
+            uint192 key = uint192(nonces_[i] >> 64);
+            uint64 sequence = uint64(nonces_[i]);
+            if (sequence < sequences[key]) revert NonceAlreadyUsed();
+
+            sequences[key] = uint256(sequence) + 1;
+            emit NonceInvalidated(sender, nonces_[i]);
+        }
+    }
+
+    /**
+     * @dev Record the gas used since startGas against the sender
+     * @return gasUsed The gas used since startGas
+     */
+    function _recordGasSpent(address sender, uint256 startGas) private returns (uint256 gasUsed) {
+        gasUsed = startGas - gasleft();
+        _getSponsorStorage().gasSpent[sender] += gasUsed;
+    }
+
+    /**
+     * @dev Pay the relayer (the transaction origin) the fee it charged, after the request was executed
+     * @param sender The address that authorized the request
+     * @param fee The token and maximum amount signed by the sender
+     * @param feeAmount The fee charged by the relayer
+     */
+    function _payFee(address sender, Fee calldata fee, uint256 feeAmount) private {
+        if (feeAmount > fee.maxAmount) revert FeeTooHigh(feeAmount, fee.maxAmount);
+        if (feeAmount == 0) return;
+
+        _safeTransfer(fee.token, tx.origin, feeAmount);
+        emit FeePaid(sender, fee.token, tx.origin, feeAmount);
+    }
+
+    /**
+     * @dev EIP-712 hash of a fee
+     */
+    function _hashFee(Fee calldata fee) private pure returns (bytes32) {
+        return keccak256(abi.encode(FEE_TYPEHASH, fee.token, fee.maxAmount));
+    }
+
+    /**
+     * @dev Call transfer on an ERC-20 token, accepting tokens that return nothing (e.g. USDT)
+     * @param token The ERC-20 token to transfer
+     * @param recipient The address to receive the tokens
+     * @param amount The amount of tokens to transfer
+     */
+    function _safeTransfer(address token, address recipient, uint256 amount) private {
+        (bool success, bytes memory returnData) =
+            token.call(abi.encodeWithSignature("transfer(address,uint256)", recipient, amount));
+
+        // A token that returns nothing must at least be a contract, a token that returns data must return true
+        bool transferred = success
+            && (returnData.length == 0 ? token.code.length > 0 : returnData.length >= 32 && abi.decode(returnData, (bool)));
+        if (!transferred) revert TokenTransferFailed(token);
+    }
+
+    /**
+     * @dev Consume the sender's nonce and check that the delegated account signed the message
+     * @param sender The address that authorized the action, which must be the delegated account
+     * @param structHash EIP-712 hash of the signed struct
+     * @param validAfter Earliest timestamp at which the request may be executed
+     * @param validUntil Latest timestamp at which the request may be executed
+     * @param nonce The nonce of the signed struct, its key in the upper 192 bits and sequence in the lower 64
+     */
+    function _useSignature(
+        address sender,
+        bytes32 structHash,
+        uint256 validAfter,
+        uint256 validUntil,
+        uint256 nonce,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    )
+        private
+    {
+        _checkValidityWindow(validAfter, validUntil);
+
+        // Ensure nonce is the next one of its key, so it is not reused
+        uint192 key = uint192(nonce >> 64);
+        if (uint64(nonce) != _getSponsorStorage().nonceSequences[sender][key]++) revert NonceAlreadyUsed();
+
+        _checkSignature(sender, structHash, v, r, s);
+    }
+
+    /**
+     * @dev Ensure the signature is neither used early nor after it expired
+     */
+    function _checkValidityWindow(uint256 validAfter, uint256 validUntil) private view {
+        if (block.timestamp < validAfter || block.timestamp > validUntil) {
+            revert OutsideValidityWindow(validAfter, validUntil);
+        }
+    }
+
+    /**
+     * @dev Check that the delegated account signed the message
+     * @param sender The address that authorized the action, which must be the delegated account
+     * @param structHash EIP-712 hash of the signed struct
+     */
+    function _checkSignature(address sender, bytes32 structHash, uint8 v, bytes32 r, bytes32 s) private view {
+        // Compute expected message hash
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+
+        // Only the delegated account may authorize spending its funds
+        address recovered = ecrecover(digest, v, r, s);
+        if (sender != address(this) || recovered != address(this)) revert InvalidSignature();
     }
 
     /**
@@ -155,4 +540,42 @@ contract Sponsor {
      * @param gasUsed The amount of gas consumed by the transaction
      */
     event SponsoredTransfer(address indexed sender, address indexed recipient, uint256 amount, uint256 gasUsed);
+
+    /**
+     * @notice Emitted when a sponsored call is successfully executed
+     * @param sender The original sender (EOA) who authorized the call
+     * @param target The contract (or account) that was called
+     * @param value The amount of ETH sent with the call
+     * @param data The calldata sent to the target
+     * @param gasUsed The amount of gas consumed by the call
+     */
+    event SponsoredCall(address indexed sender, address indexed target, uint256 value, bytes data, uint256 gasUsed);
+
+    /**
+     * @notice Emitted when a sponsored ERC-20 token transfer is successfully executed
+     * @param sender The original sender (EOA) who authorized the transfer
+     * @param token The ERC-20 token that was transferred
+     * @param recipient The address that received the tokens
+     * @param amount The amount of tokens transferred
+     * @param gasUsed The amount of gas consumed by the transfer
+     */
+    event SponsoredTokenTransfer(
+        address indexed sender, address indexed token, address indexed recipient, uint256 amount, uint256 gasUsed
+    );
+
+    /**
+     * @notice Emitted when a nonce is burned before its request was relayed
+     * @param sender The original sender (EOA) who cancelled the request
+     * @param nonce The nonce burned, with the lower sequence numbers of its key
+     */
+    event NonceInvalidated(address indexed sender, uint256 nonce);
+
+    /**
+     * @notice Emitted when the relayer is paid the fee of a sponsored request
+     * @param sender The original sender (EOA) who paid the fee
+     * @param token The ERC-20 token the fee was paid in
+     * @param relayer The transaction origin that received the fee
+     * @param amount The fee paid
+     */
+    event FeePaid(address indexed sender, address indexed token, address indexed relayer, uint256 amount);
 }
\ No newline at end of file
@@ -1,18 +1,41 @@
 require('@nomicfoundation/hardhat-network-helpers');
 require('@nomicfoundation/hardhat-toolbox');
 require('dotenv').config();
+const { NETWORK_PRESETS } = require('./scripts/lib/networks');
+
+// Local Hardhat network running the Prague hardfork (EIP-7702)
+const networks = {
+  hardhat: {
+    chainId: NETWORK_PRESETS.hardhat.chainId,
+    hardfork: 'prague'
+  },
+  localhost: {
+    url: 'http://127.0.0.1:8545',
+    chainId: NETWORK_PRESETS.hardhat.chainId
+  }
+};
+
+// Remote networks are only configured when an RPC URL is available
+for (const preset of Object.values(NETWORK_PRESETS)) {
+  const url = preset.rpcUrlEnv && (process.env[preset.rpcUrlEnv] || process.env[preset.fallbackRpcUrlEnv]);
+  if (url) {
+    networks[preset.name] = { url, chainId: preset.chainId };
+  }
+}
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
     version: "0.8.28",
     settings: {
-      evmVersion: "prague"
+      evmVersion: "prague",
+      // Sponsor's signed requests take more parameters than the legacy pipeline can keep on the stack
+      viaIR: true,
+      optimizer: {
+        enabled: true,
+        runs: 200
+      }
     }
   },
-  networks: {
-    sichang: {
-      url: process.env.RPC_URL
-    },
-  },
+  networks,
 };
@@ -1,14 +1,33 @@
 const { ethers } = require('hardhat');
 const fs = require('fs');
-const path = require('path');
+const {
+  buildAuthorization,
+  hashAuthorization,
+  signAuthorization,
+  buildSetCodeTx,
+  hashSetCodeTx,
+  signSetCodeTx,
+  serialize
+} = require('./lib/eip7702');
+const { resolveAuthorizationNonce, validateAuthorizations, logAuthorizationResults } = require('./lib/delegation');
+const { loadDeploymentAddress } = require('./lib/registry');
+const { getNetworkPreset, resolveFees, logExplorerLink } = require('./lib/networks');
+const { checkEIP7702Support } = require('./lib/capabilities');
+const { estimateSetCodeTxGas, logGasEstimate } = require('./lib/gas');
+const { isDryRun, simulateSetCodeTx, logSimulation } = require('./lib/simulation');
+const { classifyError, logClassifiedError } = require('./lib/errors');
+const { encodeBatch, signBatch } = require('./lib/batch');
 
 /**
  * EIP-7702 Alternative Sponsored Transaction Implementation
  * 
  * This script demonstrates the abnormal transaction approach with sponsor:
  * - EOA acts as a pseudo-safe account
+ * - the authority signs the batch, and the sponsor relays it to the
+ *   authority's account with executeWithSignature
  * - sponsor nonce +1
- * - authority set to an extremely high nonce = 1001
+ * - authority nonce can be forced with AUTHORIZATION_NONCE (e.g. 1001);
+ *   the preflight check shows the chain will skip such an authorization
  */
 const main = async () => {
   // Initialize accounts
@@ -20,16 +39,12 @@ const main = async () => {
 
   // Get the actual chain ID from the network we're connected to
   const { chainId } = await ethers.provider.getNetwork();
-  console.log(`Chain ID: ${chainId} (${ethers.toBeHex(chainId)})`);
+  const preset = getNetworkPreset(chainId);
+  console.log(`Network: ${preset.name}, Chain ID: ${chainId} (${ethers.toBeHex(chainId)})`);
+  checkEIP7702Support(preset);
 
-  // Read deployment info from JSON file for the current network
-  const deploymentPath = path.join(__dirname, '../deployments', `${network.name}.json`);
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error(`Deployment file not found for network: ${network.name}`);
-  }
-  
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-  const BATCH_CALL_DELEGATION_ADDRESS = deploymentInfo.contractAddress;
+  // Load the BatchCallDelegation address from the deployment registry
+  const BATCH_CALL_DELEGATION_ADDRESS = await loadDeploymentAddress('BatchCallDelegation');
   
   console.log(`Using BatchCallDelegation at: ${BATCH_CALL_DELEGATION_ADDRESS}`);
 
@@ -37,11 +52,6 @@ const main = async () => {
   const recipientAddress = process.env.RECIPIENT_ADDRESS || "0xa06b838A5c46D3736Dff107427fA0A4B43F3cc66";
   console.log(`Using recipient address: ${recipientAddress}`);
 
-  // Define contract interface with execute function
-  const batchInterface = new ethers.Interface([
-    "function execute(tuple(bytes data, address to, uint256 value)[] calls)"
-  ]);
-    
   // Define a simple ETH transfer as the call
   const calls = [
     {
@@ -51,124 +61,94 @@ const main = async () => {
     }
   ];
 
-  // Encode the execute function call with parameters
-  const calldata = batchInterface.encodeFunctionData("execute", [calls]);
+  // The authority signs the batch: BatchCallDelegation only runs unsigned batches
+  // sent by the account itself, so the sponsor relays it with executeWithSignature
+  const signedBatch = await signBatch(authorityAccount, calls, { chainId });
+  console.log(`Batch signed by the authority (nonce ${signedBatch.nonce})`);
+  const calldata = encodeBatch(calls, { signed: signedBatch });
 
   // Get nonce for sponsor who will send the transaction
   const sponsorNonce = await ethers.provider.getTransactionCount(sponsorAccount.address);
   console.log(`Sponsor nonce: ${sponsorNonce}`);
 
-  // Using Abnormal approach with extremely high authorization nonce
-  const authorizationNonce = 1001;
+  // The authority's current nonce, unless AUTHORIZATION_NONCE overrides it
+  // (e.g. 1001 for the abnormal approach, which the chain will skip)
+  const authorizationNonce = process.env.AUTHORIZATION_NONCE
+    ? BigInt(process.env.AUTHORIZATION_NONCE)
+    : await resolveAuthorizationNonce(ethers.provider, authorityAccount.address, sponsorAccount.address);
   console.log(`Using authorization nonce: ${authorizationNonce}`);
 
   // Create authorization for the user to delegate to the contract
-  const authorizationData = {
-    chainId: ethers.toBeHex(chainId), // Use actual chain ID from the connected network
+  const unsignedAuthorization = buildAuthorization({
+    chainId, // Use actual chain ID from the connected network
     address: BATCH_CALL_DELEGATION_ADDRESS,
-    nonce: ethers.toBeHex(authorizationNonce), // Using extremely high nonce (abnormal approach)
-  }
+    nonce: authorizationNonce,
+  });
 
   // Print the authorization data for debugging
   console.log("Authorization data:", {
-    chainId: authorizationData.chainId,
-    address: authorizationData.address,
-    nonce: authorizationData.nonce
+    chainId: ethers.toBeHex(unsignedAuthorization.chainId),
+    address: unsignedAuthorization.address,
+    nonce: ethers.toBeHex(unsignedAuthorization.nonce)
   });
 
-  // Encode authorization data according to EIP-7702
-  const encodedAuthorizationData = ethers.concat([
-    '0x05', // MAGIC code for EIP7702
-    ethers.encodeRlp([
-      authorizationData.chainId,
-      authorizationData.address,
-      authorizationData.nonce,
-    ])
-  ]);
-
-  console.log("Encoded authorization data:", encodedAuthorizationData);
-
   // Authority signs the authorization
-  const authorizationDataHash = ethers.keccak256(encodedAuthorizationData);
-  console.log("Authorization data hash:", authorizationDataHash);
+  console.log("Authorization data hash:", hashAuthorization(unsignedAuthorization));
   
-  const authorizationSignature = authorityAccount.signingKey.sign(authorizationDataHash);
+  const authorization = signAuthorization(authorityAccount, unsignedAuthorization);
 
-  // Store signature components
-  authorizationData.yParity = authorizationSignature.yParity == 0 ? '0x' : '0x01';
-  authorizationData.r = authorizationSignature.r;
-  authorizationData.s = authorizationSignature.s;
+  // Check which authorizations the chain will apply before broadcasting
+  console.log("Preflight check of authorizations:");
+  logAuthorizationResults(await validateAuthorizations(ethers.provider, [authorization], {
+    sender: sponsorAccount.address,
+    chainId
+  }));
 
-  // Get current gas fee data from the network
-  const feeData = await ethers.provider.getFeeData();
-  
-  // Get gas prices with fallbacks for legacy networks
-  let gasPrice, maxPriorityFeePerGas, maxFeePerGas;
-  
-  if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
-    // EIP-1559 network
-    maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
-    maxFeePerGas = feeData.maxFeePerGas;
-  } else {
-    // Legacy network
-    gasPrice = feeData.gasPrice || ethers.parseUnits("10", "gwei");
-    maxPriorityFeePerGas = gasPrice;
-    maxFeePerGas = gasPrice;
-  }
+  // Get gas fees, with the network's defaults as fallback
+  const { maxPriorityFeePerGas, maxFeePerGas } = await resolveFees(ethers.provider, preset);
 
   console.log("Gas fees:", {
-    gasPrice: gasPrice ? gasPrice.toString() : "N/A (EIP-1559)",
     maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
     maxFeePerGas: maxFeePerGas.toString()
   });
 
-  // Prepare transaction data structure with sponsor as sender
-  const txData = [
-    authorizationData.chainId, // chain ID
-    ethers.toBeHex(sponsorNonce), // sponsor nonce
-    ethers.toBeHex(maxPriorityFeePerGas), // tip
-    ethers.toBeHex(maxFeePerGas), // max fee
-    ethers.toBeHex(1000000), // gas limit
-    sponsorAccount.address, // sponsor address pays for gas
-    '0x', // no additional value 
-    calldata, // encoded function call
-    [], // access list (empty)
-    [
-      [
-        authorizationData.chainId,
-        authorizationData.address,
-        authorizationData.nonce,
-        authorizationData.yParity, 
-        authorizationData.r,
-        authorizationData.s
-      ]
-    ]
-  ];
+  // Call made by the set code transaction
+  const setCodeCall = {
+    to: authorityAccount.address,
+    data: calldata,
+    authorizationList: [authorization]
+  };
+
+  // In dry-run mode, show what the transaction would do and stop before broadcasting
+  if (isDryRun()) {
+    logSimulation(await simulateSetCodeTx(ethers.provider, setCodeCall, { from: sponsorAccount.address }));
+    return;
+  }
 
-  // Encode transaction data with version prefix
-  const encodedTxData = ethers.concat([
-    '0x04', // Transaction type for EIP-7702
-    ethers.encodeRlp(txData)
-  ]);
+  // Estimate the gas limit, including the cost of the authorization list
+  const gasEstimate = await estimateSetCodeTxGas(ethers.provider, setCodeCall, { from: sponsorAccount.address });
+  logGasEstimate(gasEstimate);
+
+  // Prepare transaction with sponsor as sender
+  const unsignedTx = buildSetCodeTx({
+    chainId,
+    nonce: sponsorNonce, // sponsor nonce
+    maxPriorityFeePerGas, // tip
+    maxFeePerGas, // max fee
+    gasLimit: gasEstimate.gasLimit,
+    to: authorityAccount.address, // Delegated authority account that runs the batch
+    data: calldata, // encoded function call
+    authorizationList: [authorization]
+  });
 
+  const encodedTxData = serialize(unsignedTx);
   console.log("Encoded transaction data (truncated):", encodedTxData.substring(0, 66) + "...");
 
   // Sponsor signs the complete transaction
-  const txDataHash = ethers.keccak256(encodedTxData);
+  const txDataHash = hashSetCodeTx(unsignedTx);
   console.log("Transaction data hash:", txDataHash);
   
-  const txSignature = sponsorAccount.signingKey.sign(txDataHash);
-
-  // Construct the fully signed transaction
-  const signedTx = ethers.hexlify(ethers.concat([
-    '0x04',
-    ethers.encodeRlp([
-      ...txData,
-      txSignature.yParity == 0 ? '0x' : '0x01',
-      txSignature.r,
-      txSignature.s
-    ])
-  ]));
+  const signedTx = serialize(signSetCodeTx(sponsorAccount, unsignedTx));
 
   console.log("Signed transaction created, sending to network...");
   
@@ -177,13 +157,11 @@ const main = async () => {
     console.log(signedTx)
     const tx = await ethers.provider.send('eth_sendRawTransaction', [signedTx]);
     console.log('✅ Alternative sponsored transaction sent:', tx);
+    logExplorerLink(preset, tx);
     console.log(`Authority: ${authorityAccount.address} authorized the transaction`);
     console.log(`Sponsor: ${sponsorAccount.address} paid for the gas`);
   } catch (error) {
-    console.error("❌ Error sending transaction:", error.message);
-    if (error.error && error.error.message) {
-      console.error("Detailed error:", error.error.message);
-    }
+    logClassifiedError(classifyError(error), "Error sending transaction");
     
     // Save debug information - Fixed to avoid BigInt serialization issues
     const debugInfo = {
@@ -192,12 +170,12 @@ const main = async () => {
       sponsorNonce: sponsorNonce.toString(),
       authorizationNonce: authorizationNonce.toString(),
       authorizationData: {
-        chainId: authorizationData.chainId,
-        address: authorizationData.address,
-        nonce: authorizationData.nonce,
-        yParity: authorizationData.yParity,
-        r: authorizationData.r,
-        s: authorizationData.s
+        chainId: ethers.toBeHex(authorization.chainId),
+        address: authorization.address,
+        nonce: ethers.toBeHex(authorization.nonce),
+        yParity: authorization.yParity,
+        r: authorization.r,
+        s: authorization.s
       },
       txDataHash: txDataHash,
       encodedTxDataPrefix: encodedTxData.substring(0, 200)
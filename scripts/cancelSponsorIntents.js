@@ -0,0 +1,202 @@
+const { ethers } = require('hardhat');
+const {
+  buildAuthorization,
+  signAuthorization,
+  buildSetCodeTx,
+  signSetCodeTx,
+  serialize
+} = require('./lib/eip7702');
+const { resolveAuthorizationNonce, validateAuthorizations, logAuthorizationResults } = require('./lib/delegation');
+const { loadDeploymentAddress } = require('./lib/registry');
+const { getNetworkPreset, resolveFees, logExplorerLink } = require('./lib/networks');
+const { checkEIP7702Support } = require('./lib/capabilities');
+const { estimateSetCodeTxGas, logGasEstimate } = require('./lib/gas');
+const { isDryRun, simulateSetCodeTx, logSimulation } = require('./lib/simulation');
+const { classifyError, logClassifiedError } = require('./lib/errors');
+const { trackTransaction, logTrackingResult } = require('./lib/confirmations');
+const {
+  getSponsorNonce,
+  decodeSponsorNonce,
+  checkValidityWindow,
+  signSponsoredCancel,
+  encodeSponsoredCancel,
+  encodeInvalidateNonces
+} = require('./lib/sponsor');
+const {
+  createSponsorNonceManager,
+  getCancellationNonces,
+  loadSponsorIntents,
+  saveSponsorIntents
+} = require('./lib/nonces');
+
+/**
+ * Cancel the outstanding Sponsor intents of a user
+ *
+ * Burns the nonces of every intent of the user (PRIVATE_KEY) tracked in
+ * deployments/sponsor-nonces.json that was not relayed yet, whether signed
+ * with NONCE_KEY or the default key 0, plus the nonces listed in
+ * CANCEL_NONCES (comma separated, for intents signed by other tools), then
+ * checks on chain that the sequence of each key moved past them.
+ *
+ * By default the user signs a SponsoredCancel and the sponsor (PRIVATE_KEY_2)
+ * relays it and pays for gas. With CANCEL_DIRECT=true the user sends
+ * invalidateNonces to their own account and pays for gas.
+ */
+async function main() {
+  const user = new ethers.Wallet(process.env.PRIVATE_KEY, ethers.provider);
+  const direct = process.env.CANCEL_DIRECT === 'true';
+  const sender = direct ? user : new ethers.Wallet(process.env.PRIVATE_KEY_2, ethers.provider);
+
+  console.log("User address:", user.address);
+  console.log(`Sent by: ${sender.address} (${direct ? 'the user, directly' : 'the sponsor'})`);
+
+  // Load the Sponsor address from the deployment registry
+  const SPONSOR_CONTRACT_ADDRESS = await loadDeploymentAddress('Sponsor');
+  console.log(`Using Sponsor contract at: ${SPONSOR_CONTRACT_ADDRESS}`);
+
+  // Get network information
+  const network = await ethers.provider.getNetwork();
+  const preset = getNetworkPreset(network.chainId);
+  console.log(`Network: ${preset.name} (Chain ID: ${network.chainId})`);
+  checkEIP7702Support(preset);
+
+  // Find the intents that were not relayed yet
+  const manager = createSponsorNonceManager(ethers.provider, user.address, {
+    intents: loadSponsorIntents(network.chainId, user.address)
+  });
+  const { pending } = await manager.refresh();
+  const listed = (process.env.CANCEL_NONCES || '').split(',').filter(Boolean).map((nonce) => ({ nonce: BigInt(nonce.trim()) }));
+  const outstanding = [...pending];
+  for (const intent of listed) {
+    if (!(await manager.isConsumed(intent.nonce))) {
+      outstanding.push(intent);
+    }
+  }
+
+  console.log(`Outstanding intents: ${outstanding.length}`);
+  for (const { nonce } of outstanding) {
+    console.log(`  nonce ${nonce}`);
+  }
+  if (outstanding.length === 0) {
+    saveSponsorIntents(network.chainId, manager);
+    console.log("✅ Nothing to cancel");
+    return;
+  }
+
+  // One nonce per key burns all the intents signed with that key
+  const nonces = getCancellationNonces(outstanding);
+  console.log(`Nonces to invalidate: ${nonces.length}`);
+
+  let calldata;
+  let signed;
+  if (direct) {
+    calldata = encodeInvalidateNonces(nonces);
+  } else {
+    console.log("Generating EIP-712 signature...");
+    signed = await signSponsoredCancel(user, { nonces, chainId: network.chainId });
+    calldata = encodeSponsoredCancel(signed);
+  }
+
+  // Get sender's current nonce
+  const senderNonce = await ethers.provider.getTransactionCount(sender.address);
+
+  // User authorizes delegation of their account to the Sponsor contract
+  const authorization = signAuthorization(user, buildAuthorization({
+    chainId: network.chainId,
+    address: SPONSOR_CONTRACT_ADDRESS,
+    nonce: await resolveAuthorizationNonce(ethers.provider, user.address, sender.address)
+  }));
+
+  // Check which authorizations the chain will apply before broadcasting
+  console.log("Preflight check of authorizations:");
+  logAuthorizationResults(await validateAuthorizations(ethers.provider, [authorization], {
+    sender: sender.address,
+    chainId: network.chainId
+  }));
+
+  // Get gas fees, with the network's defaults as fallback
+  const { maxPriorityFeePerGas, maxFeePerGas } = await resolveFees(ethers.provider, preset);
+
+  // Call made by the set code transaction
+  const setCodeCall = {
+    to: user.address,
+    data: calldata,
+    authorizationList: [authorization]
+  };
+
+  // In dry-run mode, show what the transaction would do and stop before broadcasting
+  if (isDryRun()) {
+    logSimulation(await simulateSetCodeTx(ethers.provider, setCodeCall, { from: sender.address }));
+    return;
+  }
+
+  // Refuse to relay a cancellation that has expired (or is not valid yet)
+  if (signed) {
+    await checkValidityWindow(ethers.provider, signed);
+  }
+
+  // Estimate the gas limit, including the cost of the authorization list
+  const gasEstimate = await estimateSetCodeTxGas(ethers.provider, setCodeCall, { from: sender.address });
+  logGasEstimate(gasEstimate);
+
+  const signedTx = serialize(signSetCodeTx(sender, buildSetCodeTx({
+    chainId: network.chainId,
+    nonce: senderNonce,
+    maxPriorityFeePerGas,
+    maxFeePerGas,
+    gasLimit: gasEstimate.gasLimit,
+    to: user.address, // User's delegated account, which holds the nonces
+    data: calldata,
+    authorizationList: [authorization]
+  })));
+
+  try {
+    const txHash = await ethers.provider.send('eth_sendRawTransaction', [signedTx]);
+    console.log(`Transaction sent: ${txHash}`);
+    logExplorerLink(preset, txHash);
+
+    // Follow the transaction until it is confirmed, replaced or dropped
+    console.log("Waiting for transaction confirmation...");
+    logTrackingResult(await trackTransaction(ethers.provider, txHash, {
+      sender: sender.address,
+      nonce: senderNonce,
+      onUpdate: (message) => console.log(message)
+    }));
+  } catch (error) {
+    logClassifiedError(classifyError(error), "Error sending transaction");
+    throw error;
+  }
+
+  // Confirm that every outstanding nonce is burned
+  await manager.refresh();
+  saveSponsorIntents(network.chainId, manager);
+
+  for (const nonce of nonces) {
+    const { key } = decodeSponsorNonce(nonce);
+    const { sequence } = decodeSponsorNonce(await getSponsorNonce(ethers.provider, user.address, key));
+    console.log(`  key ${key}: next sequence ${sequence}`);
+  }
+
+  let burned = 0;
+  for (const { nonce } of outstanding) {
+    if (await manager.isConsumed(nonce)) {
+      burned++;
+    } else {
+      console.log(`❌ Nonce ${nonce} is still usable`);
+    }
+  }
+
+  if (burned === outstanding.length) {
+    console.log(`✅ All ${burned} outstanding intents cancelled (nonces burned)`);
+  } else {
+    console.log(`⚠️ Only ${burned} of ${outstanding.length} intents were cancelled`);
+  }
+}
+
+// Execute the script
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,48 @@
+const { ethers } = require('hardhat');
+const { loadDeploymentAddresses } = require('./lib/registry');
+const { getDelegationStatus } = require('./lib/delegation');
+
+/**
+ * EIP-7702 Delegation Status
+ *
+ * Shows what an EOA's code delegates to:
+ * - Detects the 0xef0100 || address delegation designator
+ * - Matches the delegate against the deployed BatchCallDelegation, Sponsor and LogEmitter
+ * - Reports the account's nonce and balance, and whether the delegate still has code
+ *
+ * Inspects the comma-separated addresses in ADDRESS, or the PRIVATE_KEY account.
+ */
+async function main() {
+  const addresses = process.env.ADDRESS
+    ? process.env.ADDRESS.split(',').map((address) => address.trim())
+    : [new ethers.Wallet(process.env.PRIVATE_KEY).address];
+
+  // Deployed contracts of this repository on the current chain
+  const knownContracts = await loadDeploymentAddresses();
+
+  for (const address of addresses) {
+    const status = await getDelegationStatus(ethers.provider, address, knownContracts);
+
+    console.log(`\nAccount: ${status.address}`);
+    console.log(`Nonce: ${status.nonce}`);
+    console.log(`Balance: ${ethers.formatEther(status.balance)} ETH`);
+
+    if (status.delegated) {
+      console.log(`✅ Delegated to: ${status.delegate} (${status.delegateName || 'unknown contract'})`);
+      console.log(status.delegateHasCode
+        ? 'Delegate has code'
+        : '⚠️ Delegate has no code, calls to this account will do nothing');
+    } else if (status.isContract) {
+      console.log(`⚠️ Account is a contract (${ethers.dataLength(status.code)} bytes of code), not a delegated EOA`);
+    } else {
+      console.log('Not delegated (no code)');
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
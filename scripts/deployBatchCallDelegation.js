@@ -1,6 +1,5 @@
 const { ethers } = require('hardhat');
-const fs = require('fs');
-const path = require('path');
+const { recordDeployment, REGISTRY_PATH } = require('./lib/registry');
 
 const main = async () => {
   // Initialize wallet instance with private key and provider
@@ -20,27 +19,9 @@ const main = async () => {
   const contractAddress = await batchCallDelegation.target;
   console.log("BatchCallDelegation deployed to:", contractAddress);
 
-  // Create deployment info object
-  const deploymentInfo = {
-    contractAddress: contractAddress,
-    deploymentTime: new Date().toISOString(),
-    network: network.name,
-    deployer: wallet.address
-  };
-
-  // Ensure the deployments directory exists
-  const deploymentDir = path.join(__dirname, '../deployments');
-  if (!fs.existsSync(deploymentDir)){
-    fs.mkdirSync(deploymentDir, { recursive: true });
-  }
-
-  // Save deployment info to JSON file
-  const deploymentPath = path.join(deploymentDir, `${network.name}.json`);
-  fs.writeFileSync(
-    deploymentPath,
-    JSON.stringify(deploymentInfo, null, 2)
-  );
-  console.log(`Deployment info saved to ${deploymentPath}`);
+  // Record the deployment in the registry
+  const record = await recordDeployment("BatchCallDelegation", batchCallDelegation);
+  console.log(`Deployment (block ${record.blockNumber}, tx ${record.txHash}) recorded in ${REGISTRY_PATH}`);
 }
 
 main().then(() => {
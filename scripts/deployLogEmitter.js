@@ -1,7 +1,6 @@
 // filepath: /workspaces/eip7702-example/scripts/deployLogEmitter.js
 const { ethers } = require('hardhat');
-const fs = require('fs');
-const path = require('path');
+const { recordDeployment, REGISTRY_PATH } = require('./lib/registry');
 
 /**
  * Deploy LogEmitter contract
@@ -25,32 +24,9 @@ async function main() {
   const logEmitterAddress = await logEmitter.getAddress();
   console.log(`LogEmitter contract deployed to: ${logEmitterAddress}`);
 
-  // Save deployment info
-  const network = await ethers.provider.getNetwork();
-  const networkName = network.name === 'unknown' ? 'sichang' : network.name;
-  
-  const deploymentInfo = {
-    contractAddress: logEmitterAddress,
-    deploymentTime: new Date().toISOString(),
-    network: networkName,
-    chainId: Number(network.chainId), // Convert BigInt to Number to fix JSON serialization
-    deployer: deployer.address
-  };
-
-  // Create deployments directory if it doesn't exist
-  const deploymentsDir = path.join(__dirname, '../deployments');
-  if (!fs.existsSync(deploymentsDir)) {
-    fs.mkdirSync(deploymentsDir);
-  }
-
-  // Write deployment info to file
-  const deploymentPath = path.join(deploymentsDir, `${networkName}_logemitter.json`);
-  fs.writeFileSync(
-    deploymentPath,
-    JSON.stringify(deploymentInfo, null, 2)
-  );
-
-  console.log(`Deployment info saved to: ${deploymentPath}`);
+  // Record the deployment in the registry
+  const record = await recordDeployment('LogEmitter', logEmitter);
+  console.log(`Deployment (block ${record.blockNumber}, tx ${record.txHash}) recorded in ${REGISTRY_PATH}`);
 }
 
 main()
@@ -0,0 +1,50 @@
+const { ethers } = require('hardhat');
+const { recordDeployment, REGISTRY_PATH } = require('./lib/registry');
+
+/**
+ * Deploy MockERC20 contract
+ * This script deploys a mock ERC-20 token (MockERC20.sol) for sponsored token transfers
+ * on a local network, and mints tokens to the deployer (PRIVATE_KEY), which is the user
+ * account of the sponsor scripts.
+ *
+ * TOKEN_NAME, TOKEN_SYMBOL and TOKEN_DECIMALS configure the token (Mock USD, mUSD, 6),
+ * MINT_AMOUNT is the amount minted to the deployer (1000 tokens).
+ */
+async function main() {
+  console.log('Deploying MockERC20 contract...');
+
+  // Get the deployer account from wallet using environment variable
+  const deployer = new ethers.Wallet(process.env.PRIVATE_KEY, ethers.provider);
+  console.log(`Deployer address: ${deployer.address}`);
+
+  const name = process.env.TOKEN_NAME || 'Mock USD';
+  const symbol = process.env.TOKEN_SYMBOL || 'mUSD';
+  const decimals = Number(process.env.TOKEN_DECIMALS || 6);
+
+  // Deploy the MockERC20 contract
+  const MockERC20 = await ethers.getContractFactory('MockERC20', deployer);
+  const token = await MockERC20.deploy(name, symbol, decimals);
+
+  // Wait for deployment to complete
+  await token.waitForDeployment();
+
+  // Get the deployed contract address
+  const tokenAddress = await token.getAddress();
+  console.log(`MockERC20 (${name}, ${symbol}, ${decimals} decimals) deployed to: ${tokenAddress}`);
+
+  // Mint tokens to the deployer, so it has a balance to transfer
+  const mintAmount = ethers.parseUnits(process.env.MINT_AMOUNT || '1000', decimals);
+  await (await token.mint(deployer.address, mintAmount)).wait();
+  console.log(`Minted ${ethers.formatUnits(mintAmount, decimals)} ${symbol} to ${deployer.address}`);
+
+  // Record the deployment in the registry
+  const record = await recordDeployment('MockERC20', token);
+  console.log(`Deployment (block ${record.blockNumber}, tx ${record.txHash}) recorded in ${REGISTRY_PATH}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,6 +1,5 @@
 const { ethers } = require('hardhat');
-const fs = require('fs');
-const path = require('path');
+const { recordDeployment, REGISTRY_PATH } = require('./lib/registry');
 
 /**
  * Deploy Sponsor contract
@@ -24,31 +23,9 @@ async function main() {
   const sponsorAddress = await sponsor.getAddress();
   console.log(`Sponsor contract deployed to: ${sponsorAddress}`);
 
-  // Save deployment info
-  const network = await ethers.provider.getNetwork();
-  const networkName = network.name === 'unknown' ? 'sichang' : network.name;
-  
-  const deploymentInfo = {
-    contractAddress: sponsorAddress,
-    deploymentTime: new Date().toISOString(),
-    network: networkName,
-    deployer: deployer.address
-  };
-
-  // Create deployments directory if it doesn't exist
-  const deploymentsDir = path.join(__dirname, '../deployments');
-  if (!fs.existsSync(deploymentsDir)) {
-    fs.mkdirSync(deploymentsDir);
-  }
-
-  // Write deployment info to file
-  const deploymentPath = path.join(deploymentsDir, `${networkName}_sponsor.json`);
-  fs.writeFileSync(
-    deploymentPath,
-    JSON.stringify(deploymentInfo, null, 2)
-  );
-
-  console.log(`Deployment info saved to: ${deploymentPath}`);
+  // Record the deployment in the registry
+  const record = await recordDeployment('Sponsor', sponsor);
+  console.log(`Deployment (block ${record.blockNumber}, tx ${record.txHash}) recorded in ${REGISTRY_PATH}`);
 }
 
 main()
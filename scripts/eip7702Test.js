@@ -1,6 +1,24 @@
-const { ethers } = require('hardhat');
+const { ethers, artifacts } = require('hardhat');
 const fs = require('fs');
-const path = require('path');
+const {
+  buildAuthorization,
+  signAuthorization,
+  buildSetCodeTx,
+  signSetCodeTx,
+  serialize
+} = require('./lib/eip7702');
+const { resolveAuthorizationNonce, validateAuthorizations, logAuthorizationResults } = require('./lib/delegation');
+const { loadDeploymentAddress } = require('./lib/registry');
+const { getNetworkPreset, resolveFees, logExplorerLink } = require('./lib/networks');
+const { estimateSetCodeTxGas, logGasEstimate } = require('./lib/gas');
+const { isDryRun, simulateSetCodeTx, logSimulation } = require('./lib/simulation');
+const { classifyError, isUnsupportedNetworkError, logClassifiedError } = require('./lib/errors');
+const {
+  probeCapabilities,
+  saveCapabilityReport,
+  logCapabilityReport,
+  checkEIP7702Support
+} = require('./lib/capabilities');
 
 /**
  * Simplified EIP-7702 transaction test
@@ -18,32 +36,24 @@ const main = async () => {
 
   // Get the actual chain ID from the network we're connected to
   const { chainId } = await ethers.provider.getNetwork();
-  console.log(`Chain ID: ${chainId} (${ethers.toBeHex(chainId)})`);
+  const preset = getNetworkPreset(chainId);
+  console.log(`Network: ${preset.name}, Chain ID: ${chainId} (${ethers.toBeHex(chainId)})`);
+  checkEIP7702Support(preset);
 
-  // Read deployment info from JSON file for the current network
-  const deploymentPath = path.join(__dirname, '../deployments', `${network.name}.json`);
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error(`Deployment file not found for network: ${network.name}`);
-  }
-  
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-  const BATCH_CALL_DELEGATION_ADDRESS = deploymentInfo.contractAddress;
+  // Load the BatchCallDelegation address from the deployment registry
+  const BATCH_CALL_DELEGATION_ADDRESS = await loadDeploymentAddress('BatchCallDelegation');
   
   console.log(`Using BatchCallDelegation at: ${BATCH_CALL_DELEGATION_ADDRESS}`);
 
-  // Check if we can deploy a normal transaction first to verify network connectivity
-  console.log("\nTesting standard transaction first...");
-  try {
-    const tx = await authorityAccount.sendTransaction({
-      to: sponsorAccount.address,
-      value: ethers.parseEther("0.0001")
-    });
-    console.log("✅ Standard transaction successful:", tx.hash);
-    await tx.wait();
-    console.log("Standard transaction confirmed!");
-  } catch (error) {
-    console.error("❌ Standard transaction failed:", error.message);
-    throw new Error("Cannot proceed with EIP-7702 test if standard transactions fail");
+  // Probe the endpoint first, without spending funds
+  console.log("\nProbing the endpoint's EIP-7702 capabilities...");
+  const { deployedBytecode } = await artifacts.readArtifact('EIP7702Demonstrator');
+  const capabilities = await probeCapabilities(ethers.provider, { demonstratorCode: deployedBytecode });
+  capabilities.network = preset.name;
+  logCapabilityReport(capabilities);
+  saveCapabilityReport(capabilities);
+  if (!capabilities.supportsEIP7702) {
+    throw new Error("Cannot proceed with EIP-7702 test, the endpoint does not support set code transactions");
   }
 
   console.log("\nProceeding with EIP-7702 test...");
@@ -55,91 +65,57 @@ const main = async () => {
   console.log(`Authority nonce: ${authorityNonce}`);
   console.log(`Sponsor nonce: ${sponsorNonce}`);
 
-  // Try normal approach first (using current nonce)
-  const testNonce = authorityNonce;
+  // The sponsor sends the transaction, so the authority signs for its current nonce
+  const testNonce = await resolveAuthorizationNonce(ethers.provider, authorityAccount.address, sponsorAccount.address);
   console.log(`Using authorization nonce: ${testNonce}`);
 
-  // Create authorization data
-  const authorizationData = {
-    chainId: ethers.toBeHex(chainId),
+  // Create and sign authorization
+  const authorization = signAuthorization(authorityAccount, buildAuthorization({
+    chainId,
     address: BATCH_CALL_DELEGATION_ADDRESS,
-    nonce: ethers.toBeHex(testNonce),
+    nonce: testNonce
+  }));
+
+  // Check which authorizations the chain will apply before broadcasting
+  console.log("Preflight check of authorizations:");
+  logAuthorizationResults(await validateAuthorizations(ethers.provider, [authorization], {
+    sender: sponsorAccount.address,
+    chainId
+  }));
+
+  // Get gas fees, with the network's defaults as fallback
+  const { maxPriorityFeePerGas, maxFeePerGas } = await resolveFees(ethers.provider, preset);
+
+  // Call made by the set code transaction
+  const setCodeCall = {
+    to: sponsorAccount.address,
+    authorizationList: [authorization]
+  };
+
+  // In dry-run mode, show what the transaction would do and stop before broadcasting
+  if (isDryRun()) {
+    logSimulation(await simulateSetCodeTx(ethers.provider, setCodeCall, { from: sponsorAccount.address }));
+    return;
   }
 
-  // Encode and sign authorization
-  const encodedAuthorizationData = ethers.concat([
-    '0x05', // MAGIC code for EIP7702
-    ethers.encodeRlp([
-      authorizationData.chainId,
-      authorizationData.address,
-      authorizationData.nonce,
-    ])
-  ]);
-
-  const authorizationDataHash = ethers.keccak256(encodedAuthorizationData);
-  const authorizationSignature = authorityAccount.signingKey.sign(authorizationDataHash);
-
-  // Store signature components
-  authorizationData.yParity = authorizationSignature.yParity == 0 ? '0x' : '0x01';
-  authorizationData.r = authorizationSignature.r;
-  authorizationData.s = authorizationSignature.s;
-
-  // Get gas prices
-  const feeData = await ethers.provider.getFeeData();
-  let gasPrice, maxPriorityFeePerGas, maxFeePerGas;
-  
-  if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
-    maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
-    maxFeePerGas = feeData.maxFeePerGas;
-  } else {
-    gasPrice = feeData.gasPrice || ethers.parseUnits("10", "gwei");
-    maxPriorityFeePerGas = gasPrice;
-    maxFeePerGas = gasPrice;
-  }
+  // Estimate the gas limit, including the cost of the authorization list
+  const gasEstimate = await estimateSetCodeTxGas(ethers.provider, setCodeCall, { from: sponsorAccount.address });
+  logGasEstimate(gasEstimate);
 
   // Define the simplest possible transaction
-  const txData = [
-    authorizationData.chainId, // chain ID
-    ethers.toBeHex(sponsorNonce), // sponsor nonce
-    ethers.toBeHex(maxPriorityFeePerGas), // tip
-    ethers.toBeHex(maxFeePerGas), // max fee
-    ethers.toBeHex(100000), // gas limit
-    sponsorAccount.address, // sponsor address pays for gas
-    '0x', // no value 
-    '0x', // empty calldata (no contract call)
-    [], // access list (empty)
-    [
-      [
-        authorizationData.chainId,
-        authorizationData.address,
-        authorizationData.nonce,
-        authorizationData.yParity, 
-        authorizationData.r,
-        authorizationData.s
-      ]
-    ]
-  ];
-
-  // Encode transaction 
-  const encodedTxData = ethers.concat([
-    '0x04', // Transaction type for EIP-7702
-    ethers.encodeRlp(txData)
-  ]);
+  const unsignedTx = buildSetCodeTx({
+    chainId,
+    nonce: sponsorNonce, // sponsor nonce
+    maxPriorityFeePerGas, // tip
+    maxFeePerGas, // max fee
+    gasLimit: gasEstimate.gasLimit,
+    to: sponsorAccount.address, // sponsor address pays for gas
+    data: '0x', // empty calldata (no contract call)
+    authorizationList: [authorization]
+  });
 
   // Sponsor signs the transaction
-  const txDataHash = ethers.keccak256(encodedTxData);
-  const txSignature = sponsorAccount.signingKey.sign(txDataHash);
-
-  // Construct the fully signed transaction
-  const signedTx = ethers.hexlify(ethers.concat([
-    '0x04',
-    ethers.encodeRlp([
-      ...txData,
-      txSignature.yParity == 0 ? '0x' : '0x01',
-      txSignature.r,
-      txSignature.s
-    ])
-  ]));
+  const signedTx = serialize(signSetCodeTx(sponsorAccount, unsignedTx));
 
   console.log("Sending simplified EIP-7702 transaction...");
   
@@ -147,12 +123,13 @@ const main = async () => {
     // Send the raw transaction to the network
     const tx = await ethers.provider.send('eth_sendRawTransaction', [signedTx]);
     console.log('✅ EIP-7702 transaction sent:', tx);
+    logExplorerLink(preset, tx);
   } catch (error) {
-    console.error("❌ EIP-7702 transaction failed:", error.message);
+    const classified = classifyError(error);
+    logClassifiedError(classified, "EIP-7702 transaction failed");
     
-    // Check if error suggests EIP-7702 is not supported
-    if (error.message.includes("decode") || error.message.includes("invalid") || 
-        error.message.includes("unknown") || error.message.includes("unsupported")) {
+    // Check if the node rejected the transaction type itself
+    if (isUnsupportedNetworkError(classified)) {
       console.log("\n⚠️ NETWORK COMPATIBILITY ISSUE: It appears this network does not support EIP-7702 yet");
       console.log("EIP-7702 is a relatively new standard and many networks haven't implemented it yet.");
       console.log("Try using a network that explicitly supports EIP-7702 transactions.");
@@ -166,6 +143,7 @@ const main = async () => {
       sponsorNonce: sponsorNonce.toString(),
       testNonce: testNonce.toString(),
       error: error.message,
+      cause: classified.cause,
       signedTx: signedTx
     };
     
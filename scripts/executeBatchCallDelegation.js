@@ -1,6 +1,29 @@
 const { ethers } = require('hardhat');
-const fs = require('fs');
-const path = require('path');
+const {
+  buildAuthorization,
+  signAuthorization,
+  buildSetCodeTx,
+  signSetCodeTx,
+  serialize
+} = require('./lib/eip7702');
+const { resolveAuthorizationNonce, validateAuthorizations, logAuthorizationResults } = require('./lib/delegation');
+const { loadDeploymentAddress, loadDeploymentAddresses } = require('./lib/registry');
+const { loadNetworkPreset, resolveFees, logExplorerLink } = require('./lib/networks');
+const { checkEIP7702Support } = require('./lib/capabilities');
+const { estimateSetCodeTxGas, logGasEstimate } = require('./lib/gas');
+const { isDryRun, simulateSetCodeTx, logSimulation } = require('./lib/simulation');
+const { classifyError, logClassifiedError } = require('./lib/errors');
+const { trackTransaction, logTrackingResult } = require('./lib/confirmations');
+const {
+  loadBatchFile,
+  isAtomicBatch,
+  validateBatch,
+  encodeBatch,
+  decodeBatchResults,
+  buildBatchReport,
+  logBatch,
+  logBatchReport
+} = require('./lib/batch');
 
 const main = async () => {
   const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, ethers.provider);
@@ -9,119 +32,104 @@ const main = async () => {
   console.log("Wallet address:", wallet.address);
   console.log("sponsor address:", sponsor.address);
 
-  // Read deployment info from JSON file
-  const deploymentPath = path.join(__dirname, '../deployments', `${network.name}.json`);
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error(`Deployment file not found for network: ${network.name}`);
-  }
-  
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-  const BATCH_CALL_DELEGATION_ADDRESS = deploymentInfo.contractAddress;
+  const preset = await loadNetworkPreset(ethers.provider);
+  console.log(`Network: ${preset.name} (Chain ID: ${preset.chainId})`);
+  checkEIP7702Support(preset);
+
+  // Load the BatchCallDelegation address from the deployment registry
+  const BATCH_CALL_DELEGATION_ADDRESS = await loadDeploymentAddress('BatchCallDelegation');
   
   console.log(`Using BatchCallDelegation at: ${BATCH_CALL_DELEGATION_ADDRESS}`);
 
-  // Define contract interface with execute function signature
-  const batchInterface = new ethers.Interface([
-    "function execute(tuple(bytes data, address to, uint256 value)[] calls)"
-  ]);
-    
-  // Define sample transaction parameters for batch execution
-  const calls = [
-    {
-      data: "0x",
-      to: process.env.RECIPIENT_ADDRESS,
-      value: ethers.parseEther("0.001")
-    }
-  ];
+  // Calls to execute: the batch file named in BATCH_FILE, or a sample 0.001 ETH transfer
+  const batch = process.env.BATCH_FILE
+    ? loadBatchFile(process.env.BATCH_FILE)
+    : { calls: [{ type: 'transfer', to: process.env.RECIPIENT_ADDRESS, value: '0.001' }] };
+  const calls = validateBatch(batch, { addresses: await loadDeploymentAddresses() });
+  const atomic = isAtomicBatch(batch);
+  logBatch(calls);
 
-  // Encode the execute function call with parameters
-  const calldata = batchInterface.encodeFunctionData("execute", [calls]);
+  // Encode the execute (or, for a non-atomic batch, tryExecute) call
+  const calldata = encodeBatch(calls, { atomic });
 
   const currentNonce = await ethers.provider.getTransactionCount(wallet.address);
 
-  const authorizationData = {
-    chainId: '0x0aae6b',
+  // Create and sign authorization delegating the wallet to the contract.
+  // The wallet also sends the transaction, so it signs for its next nonce.
+  const authorization = signAuthorization(wallet, buildAuthorization({
+    chainId: preset.chainId,
     address: BATCH_CALL_DELEGATION_ADDRESS,
-    nonce: ethers.toBeHex(currentNonce + 1),
+    nonce: await resolveAuthorizationNonce(ethers.provider, wallet.address, wallet.address)
+  }));
+
+  // Get current gas fees, with the network's defaults as fallback
+  const { maxPriorityFeePerGas, maxFeePerGas } = await resolveFees(ethers.provider, preset);
+
+  // Call made by the set code transaction
+  const setCodeCall = {
+    to: wallet.address,
+    data: calldata,
+    authorizationList: [authorization]
+  };
+
+  // In dry-run mode, show what the transaction would do and stop before broadcasting
+  if (isDryRun()) {
+    const simulation = await simulateSetCodeTx(ethers.provider, setCodeCall, { from: wallet.address });
+    logSimulation(simulation);
+    if (!atomic && simulation.success) {
+      logBatchReport(buildBatchReport(calls, { results: decodeBatchResults(simulation.returnData) }));
+    }
+    return;
   }
 
-  // Encode authorization data according to EIP-712 standard
-  const encodedAuthorizationData = ethers.concat([
-    '0x05', // MAGIC code for EIP7702
-    ethers.encodeRlp([
-      authorizationData.chainId,
-      authorizationData.address,
-      authorizationData.nonce,
-    ])
-  ]);
-
-  // Generate and sign authorization data hash
-  const authorizationDataHash = ethers.keccak256(encodedAuthorizationData);
-
-  const authorizationSignature = wallet.signingKey.sign(authorizationDataHash);
-
-  // Store signature components
-  authorizationData.yParity = authorizationSignature.yParity == 0 ? '0x' : '0x01';
-  authorizationData.r = authorizationSignature.r;
-  authorizationData.s = authorizationSignature.s;
-
-  // Get current gas fee data from the network
-  const feeData = await ethers.provider.getFeeData();
-
-  // Prepare complete transaction data structure
-  const txData = [
-    authorizationData.chainId,
-    ethers.toBeHex(currentNonce),
-    ethers.toBeHex(feeData.maxPriorityFeePerGas), // Priority fee (tip)
-    ethers.toBeHex(feeData.maxFeePerGas), // Maximum total fee willing to pay
-    ethers.toBeHex(1000000), // Gas limit
-    wallet.address, // Sender address
-    '0x', // Value (in addition to batch transfers)
-    calldata, // Encoded function call
-    [], // Access list (empty for this transaction)
-    [
-      [
-        authorizationData.chainId,
-        authorizationData.address,
-        authorizationData.nonce,
-        authorizationData.yParity,
-        authorizationData.r,
-        authorizationData.s
-      ]
-    ]
-  ];
-
-  // Encode final transaction data with version prefix
-  const encodedTxData = ethers.concat([
-    '0x04', // Transaction type identifier
-    ethers.encodeRlp(txData)
-  ]);
-
-  // Sign the complete transaction
-  const txDataHash = ethers.keccak256(encodedTxData);
-  const txSignature = wallet.signingKey.sign(txDataHash);
+  // Estimate the gas limit, including the cost of the authorization list
+  const gasEstimate = await estimateSetCodeTxGas(ethers.provider, setCodeCall, { from: wallet.address });
+  logGasEstimate(gasEstimate);
+
+  // Prepare and sign the complete set code transaction
+  const tx = signSetCodeTx(wallet, buildSetCodeTx({
+    chainId: authorization.chainId,
+    nonce: currentNonce,
+    maxPriorityFeePerGas, // Priority fee (tip)
+    maxFeePerGas, // Maximum total fee willing to pay
+    gasLimit: gasEstimate.gasLimit,
+    to: wallet.address, // Sender address
+    data: calldata, // Encoded function call
+    authorizationList: [authorization]
+  }));
+
+  // Check which authorizations the chain will apply before broadcasting
+  console.log("Preflight check of authorizations:");
+  logAuthorizationResults(await validateAuthorizations(ethers.provider, [authorization], {
+    sender: wallet.address,
+    chainId: preset.chainId
+  }));
 
   // Construct the fully signed transaction
-  const signedTx = ethers.hexlify(ethers.concat([
-    '0x04',
-    ethers.encodeRlp([
-      ...txData,
-      txSignature.yParity == 0 ? '0x' : '0x01',
-      txSignature.r,
-      txSignature.s
-    ])
-  ]));
+  const signedTx = serialize(tx);
 
   // Send the raw transaction to the network
-  const tx = await ethers.provider.send('eth_sendRawTransaction', [signedTx]);
+  const txHash = await ethers.provider.send('eth_sendRawTransaction', [signedTx]);
   
-  console.log('tx sent: ', tx);
+  console.log('tx sent: ', txHash);
+  logExplorerLink(preset, txHash);
+
+  // Wait for the transaction and report the outcome of each call
+  const tracking = await trackTransaction(ethers.provider, txHash, {
+    sender: wallet.address,
+    nonce: currentNonce,
+    onUpdate: (message) => console.log(message)
+  });
+  logTrackingResult(tracking);
+  if (tracking.receipt && tracking.receipt.status === 1) {
+    logBatchReport(buildBatchReport(calls, { receipt: tracking.receipt, account: wallet.address }));
+  }
 }
 
 main().then(() => {
   console.log('Execution completed');
   process.exit(0);
 }).catch((error) => {
-  console.error(error);
+  logClassifiedError(classifyError(error));
   process.exit(1);
 });
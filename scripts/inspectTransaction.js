@@ -0,0 +1,113 @@
+const { ethers, network } = require('hardhat');
+const fs = require('fs');
+const path = require('path');
+const { inspectTransaction } = require('./lib/inspector');
+
+/**
+ * EIP-7702 Transaction Inspector
+ *
+ * Decodes a signed set code transaction (type 0x04) and checks it the way a node would:
+ * - Recovers the sender from the outer signature and the authority of each authorization
+ * - Checks low-s, yParity and chain ID consistency
+ * - Decodes the calldata against BatchCallDelegation, Sponsor and LogEmitter
+ *
+ * The raw transaction is read from RAW_TX, or from the `signedTx` field of
+ * TX_FILE (defaults to eip7702_debug.json).
+ */
+
+/**
+ * Print a list of checks with their outcome
+ * @param {Array} checks Checks from the inspector report
+ * @param {string} indent Prefix for each line
+ */
+function printChecks(checks, indent) {
+  for (const { check, ok, detail } of checks) {
+    console.log(`${indent}${ok ? '✅' : '❌'} ${check}: ${detail}`);
+  }
+}
+
+/**
+ * Print a decoded call, including the inner calls of a batch
+ * @param {Object} call Decoded calldata from the inspector
+ * @param {string} indent Prefix for each line
+ */
+function printCall(call, indent) {
+  console.log(`${indent}${call.contract}.${call.signature}`);
+  for (const arg of call.args) {
+    if (arg.name !== 'calls') {
+      console.log(`${indent}  ${arg.name} (${arg.type}): ${arg.value}`);
+    }
+  }
+
+  (call.calls || []).forEach((inner, i) => {
+    console.log(`${indent}  [${i}] to=${inner.to} value=${ethers.formatEther(inner.value)} ETH data=${inner.data}${inner.required ? '' : ' (optional)'}`);
+    if (inner.decoded) {
+      printCall(inner.decoded, `${indent}      `);
+    }
+  });
+}
+
+async function main() {
+  let rawTx = process.env.RAW_TX;
+  if (!rawTx) {
+    const txFile = path.resolve(process.env.TX_FILE || path.join(__dirname, '../eip7702_debug.json'));
+    if (!fs.existsSync(txFile)) {
+      throw new Error(`Transaction file not found: ${txFile}`);
+    }
+    rawTx = JSON.parse(fs.readFileSync(txFile, 'utf8')).signedTx;
+    console.log(`Reading signedTx from ${txFile}`);
+  }
+
+  // Only compare against the chain ID when connected to a real network
+  let chainId;
+  if (network.name !== 'hardhat') {
+    chainId = (await ethers.provider.getNetwork()).chainId;
+  }
+
+  const report = inspectTransaction(rawTx, { chainId });
+  const { tx } = report;
+
+  console.log('\nTransaction');
+  console.log('===========');
+  console.log(`Hash: ${report.hash || 'N/A (unsigned)'}`);
+  console.log(`Chain ID: ${tx.chainId}`);
+  console.log(`Nonce: ${tx.nonce}`);
+  console.log(`Max priority fee: ${ethers.formatUnits(tx.maxPriorityFeePerGas, 'gwei')} gwei`);
+  console.log(`Max fee: ${ethers.formatUnits(tx.maxFeePerGas, 'gwei')} gwei`);
+  console.log(`Gas limit: ${tx.gasLimit}`);
+  console.log(`To: ${tx.to}`);
+  console.log(`Value: ${ethers.formatEther(tx.value)} ETH`);
+  console.log(`Data: ${tx.data.length > 66 ? tx.data.substring(0, 66) + '...' : tx.data}`);
+  console.log(`Access list entries: ${tx.accessList.length}`);
+  console.log(`Sender (recovered): ${report.sender || 'unknown'}`);
+  printChecks(report.checks, '  ');
+
+  console.log(`\nAuthorizations (${report.authorizations.length})`);
+  console.log('==============');
+  for (const authorization of report.authorizations) {
+    console.log(`[${authorization.index}] authority=${authorization.authority || 'unknown'}`);
+    console.log(`    delegate=${authorization.address} chainId=${authorization.chainId} nonce=${authorization.nonce}`);
+    printChecks(authorization.checks, '    ');
+  }
+
+  console.log('\nCalldata');
+  console.log('========');
+  if (report.call) {
+    printCall(report.call, '  ');
+  } else if (tx.data === '0x') {
+    console.log('  (empty)');
+  } else {
+    console.log('  Does not match any known contract ABI');
+  }
+
+  console.log(report.valid
+    ? '\n✅ All checks passed'
+    : '\n❌ Some checks failed, nodes will reject or skip parts of this transaction');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,112 @@
+/**
+ * Human-readable ABIs of the contracts in this repository
+ *
+ * Shared by the scripts that need to encode calls to, or decode calldata,
+ * events and errors from, the delegate contracts.
+ */
+
+// Signature validation shared by the delegate contracts (ERC1271Delegate.sol)
+const ERC1271_ABI = [
+  "function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)"
+];
+
+const BATCH_CALL_DELEGATION_ABI = [
+  "function execute(tuple(bytes data, address to, uint256 value)[] calls) payable",
+  "function tryExecute(tuple(bytes data, address to, uint256 value, bool required)[] calls) payable returns (tuple(bool success, bytes returnData)[] results)",
+  "function executeWithSignature(tuple(bytes data, address to, uint256 value)[] calls, uint256 nonce, uint256 deadline, bytes signature) payable",
+  "function tryExecuteWithSignature(tuple(bytes data, address to, uint256 value, bool required)[] calls, uint256 nonce, uint256 deadline, bytes signature) payable returns (tuple(bool success, bytes returnData)[] results)",
+  "function nonce() view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  ...ERC1271_ABI,
+  "event CallExecuted(address indexed to, uint256 indexed value, bytes data, bool success)",
+  "event CallFailed(uint256 indexed index, address indexed to, bytes returnData)",
+  "error RequiredCallFailed(uint256 index, bytes returnData)",
+  "error Unauthorized()",
+  "error InvalidBatchSignature()",
+  "error BatchNonceAlreadyUsed()",
+  "error BatchExpired()"
+];
+
+const SPONSOR_ABI = [
+  "function sponsoredTransfer(address sender, address payable recipient, uint256 amount, tuple(address token, uint256 maxAmount) fee, uint256 validAfter, uint256 validUntil, uint256 nonce, uint8 v, bytes32 r, bytes32 s, uint256 feeAmount) payable",
+  "function sponsoredCall(address sender, address target, uint256 value, bytes data, tuple(address token, uint256 maxAmount) fee, uint256 validAfter, uint256 validUntil, uint256 nonce, uint8 v, bytes32 r, bytes32 s, uint256 feeAmount) payable returns (bytes result)",
+  "function sponsoredTokenTransfer(address sender, address token, address recipient, uint256 amount, tuple(address token, uint256 maxAmount) fee, uint256 validAfter, uint256 validUntil, uint256 nonce, uint8 v, bytes32 r, bytes32 s, uint256 feeAmount)",
+  "function sponsoredCancel(address sender, uint256[] nonces, tuple(address token, uint256 maxAmount) fee, uint256 validAfter, uint256 validUntil, uint8 v, bytes32 r, bytes32 s, uint256 feeAmount)",
+  "function invalidateNonces(uint256[] nonces)",
+  "function nonces(address) view returns (uint256)",
+  "function getNonce(address sender, uint192 key) view returns (uint256 nonce)",
+  "function gasSpent(address) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  ...ERC1271_ABI,
+  "function FEE_TYPEHASH() view returns (bytes32)",
+  "function SPONSORED_TRANSFER_TYPEHASH() view returns (bytes32)",
+  "function SPONSORED_CALL_TYPEHASH() view returns (bytes32)",
+  "function SPONSORED_TOKEN_TRANSFER_TYPEHASH() view returns (bytes32)",
+  "function SPONSORED_CANCEL_TYPEHASH() view returns (bytes32)",
+  "event SponsoredTransfer(address indexed sender, address indexed recipient, uint256 amount, uint256 gasUsed)",
+  "event SponsoredCall(address indexed sender, address indexed target, uint256 value, bytes data, uint256 gasUsed)",
+  "event SponsoredTokenTransfer(address indexed sender, address indexed token, address indexed recipient, uint256 amount, uint256 gasUsed)",
+  "event FeePaid(address indexed sender, address indexed token, address indexed relayer, uint256 amount)",
+  "event NonceInvalidated(address indexed sender, uint256 nonce)",
+  "error TransferFailed()",
+  "error InvalidSignature()",
+  "error NonceAlreadyUsed()",
+  "error CallReverted(bytes returnData)",
+  "error TokenTransferFailed(address token)",
+  "error FeeTooHigh(uint256 feeAmount, uint256 maxAmount)",
+  "error OutsideValidityWindow(uint256 validAfter, uint256 validUntil)",
+  "error NotAccount()",
+  "error NoNonces()"
+];
+
+// Earlier versions of the sponsored functions, so transactions signed for an
+// older Sponsor deployment still decode. Only used for decoding
+const LEGACY_SPONSOR_ABI = [
+  // Before the ERC-20 fee
+  "function sponsoredTransfer(address sender, address payable recipient, uint256 amount, uint256 nonce, uint8 v, bytes32 r, bytes32 s) payable",
+  "function sponsoredCall(address sender, address target, uint256 value, bytes data, uint256 nonce, uint8 v, bytes32 r, bytes32 s) payable returns (bytes result)",
+  "function sponsoredTokenTransfer(address sender, address token, address recipient, uint256 amount, uint256 nonce, uint8 v, bytes32 r, bytes32 s)",
+  // Before the validity window
+  "function sponsoredTransfer(address sender, address payable recipient, uint256 amount, tuple(address token, uint256 maxAmount) fee, uint256 nonce, uint8 v, bytes32 r, bytes32 s, uint256 feeAmount) payable",
+  "function sponsoredCall(address sender, address target, uint256 value, bytes data, tuple(address token, uint256 maxAmount) fee, uint256 nonce, uint8 v, bytes32 r, bytes32 s, uint256 feeAmount) payable returns (bytes result)",
+  "function sponsoredTokenTransfer(address sender, address token, address recipient, uint256 amount, tuple(address token, uint256 maxAmount) fee, uint256 nonce, uint8 v, bytes32 r, bytes32 s, uint256 feeAmount)"
+];
+
+// The part of ERC-20 used by sponsored token transfers (MockERC20 implements it locally)
+const ERC20_ABI = [
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)"
+];
+
+const LOG_EMITTER_ABI = [
+  "function emitHello()",
+  "function emitWorld()",
+  "event Hello()",
+  "event World()"
+];
+
+const EIP7702_DEMONSTRATOR_ABI = [
+  "function getCodeLength(address account) view returns (uint256)"
+];
+
+// Contracts whose calldata, events and errors the tooling knows how to decode
+const KNOWN_ABIS = {
+  BatchCallDelegation: BATCH_CALL_DELEGATION_ABI,
+  Sponsor: [...SPONSOR_ABI, ...LEGACY_SPONSOR_ABI],
+  LogEmitter: LOG_EMITTER_ABI,
+  ERC20: ERC20_ABI
+};
+
+module.exports = {
+  ERC1271_ABI,
+  BATCH_CALL_DELEGATION_ABI,
+  SPONSOR_ABI,
+  LOG_EMITTER_ABI,
+  ERC20_ABI,
+  EIP7702_DEMONSTRATOR_ABI,
+  KNOWN_ABIS
+};
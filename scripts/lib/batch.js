@@ -0,0 +1,508 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const yaml = require('js-yaml');
+const { BATCH_CALL_DELEGATION_ABI } = require('./abis');
+const { decodeRevertData, formatRevert } = require('./errors');
+
+/**
+ * Batch Files
+ *
+ * A batch file lists the calls BatchCallDelegation.execute makes, in JSON or
+ * YAML, so a batch can be written without editing a script:
+ *
+ *   calls:
+ *     - type: transfer            # send ETH
+ *       to: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8"
+ *       value: "0.001"            # ETH, or with a unit: "250 gwei", "1 wei"
+ *     - type: call                # call a function by its signature
+ *       to: LogEmitter            # an address, or a contract in the deployment registry
+ *       signature: "function emitHello()"
+ *       args: []
+ *     - type: raw                 # send calldata that is already encoded
+ *       to: "0x..."
+ *       data: "0x..."
+ *
+ * Every call may also carry a value and a description. The file is checked
+ * as a whole and every problem found is reported with the index of its call.
+ *
+ * A batch is atomic by default and sent to execute, which reverts on the
+ * first failing call. With `atomic: false` at the top of the file it is sent
+ * to tryExecute instead: failing calls are skipped and reported, and only a
+ * call marked `required: true` reverts the batch.
+ *
+ * execute and tryExecute only accept calls from the delegated account itself,
+ * so a self-paid transaction calls them directly. A sponsor relays a batch
+ * the account signed (EIP-712, with a nonce and deadline) through
+ * executeWithSignature or tryExecuteWithSignature instead.
+ */
+
+const CALL_TYPES = ['transfer', 'call', 'raw'];
+
+const ALLOWED_FIELDS = {
+  transfer: ['type', 'description', 'to', 'value', 'required'],
+  call: ['type', 'description', 'to', 'value', 'required', 'signature', 'args'],
+  raw: ['type', 'description', 'to', 'value', 'required', 'data']
+};
+
+const VALUE_UNITS = ['ether', 'gwei', 'wei'];
+
+// ERC-7201 slot of BatchCallDelegation's storage in the delegated account; its first field is the nonce
+const BATCH_STORAGE_LOCATION = '0x0f735bcca6ec7646e83a04b9d22946c0f1412f4ef2a56772b03404b89a694200';
+
+// How long a signed batch stays valid when no deadline is given
+const DEFAULT_BATCH_VALIDITY_SECONDS = 3600;
+
+// EIP-712 types of the batches signed for executeWithSignature and tryExecuteWithSignature
+const BATCH_TYPES = {
+  atomic: {
+    Execute: [
+      { name: 'calls', type: 'Call[]' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ],
+    Call: [
+      { name: 'data', type: 'bytes' },
+      { name: 'to', type: 'address' },
+      { name: 'value', type: 'uint256' }
+    ]
+  },
+  nonAtomic: {
+    TryExecute: [
+      { name: 'calls', type: 'OptionalCall[]' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ],
+    OptionalCall: [
+      { name: 'data', type: 'bytes' },
+      { name: 'to', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'required', type: 'bool' }
+    ]
+  }
+};
+
+const batchInterface = new ethers.Interface(BATCH_CALL_DELEGATION_ABI);
+
+/**
+ * Parse the text of a batch file
+ * @param {string} text JSON or YAML text
+ * @param {string} [format] 'json' or 'yaml', YAML (a superset of JSON) when omitted
+ * @returns {Object} The parsed batch
+ */
+function parseBatch(text, format = 'yaml') {
+  return format === 'json' ? JSON.parse(text) : yaml.load(text);
+}
+
+/**
+ * Read and parse a batch file, choosing the format from its extension
+ * @param {string} file Path to a .json, .yaml or .yml file
+ * @returns {Object} The parsed batch
+ */
+function loadBatchFile(file) {
+  const format = path.extname(file).toLowerCase() === '.json' ? 'json' : 'yaml';
+  try {
+    return parseBatch(fs.readFileSync(file, 'utf8'), format);
+  } catch (error) {
+    throw new Error(`Could not read batch file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a value in ETH, or with an explicit unit
+ * @param {string|number} value e.g. "0.001", "0.001 ether", "250 gwei", "1 wei"
+ * @returns {bigint} Value in wei
+ */
+function parseValue(value) {
+  const [amount, unit = 'ether', ...rest] = String(value).trim().split(/\s+/);
+  if (rest.length > 0 || !VALUE_UNITS.includes(unit.toLowerCase())) {
+    throw new Error(`expected an amount in ETH or with a unit (${VALUE_UNITS.join(', ')}), got "${value}"`);
+  }
+  const wei = ethers.parseUnits(amount, unit.toLowerCase());
+  if (wei < 0n) {
+    throw new Error(`must not be negative, got "${value}"`);
+  }
+  return wei;
+}
+
+/**
+ * Resolve a call target to an address
+ * @param {string} to Address or contract name
+ * @param {Object<string, string>} addresses Contract name to address
+ * @returns {string} Checksummed address
+ */
+function resolveAddress(to, addresses) {
+  if (to === undefined || to === null || to === '') {
+    throw new Error('is required');
+  }
+  if (typeof to !== 'string') {
+    throw new Error(`must be a quoted string, got ${to}`);
+  }
+  if (addresses[to]) {
+    return ethers.getAddress(addresses[to]);
+  }
+  if (!ethers.isAddress(to)) {
+    throw new Error(`"${to}" is neither an address nor a deployed contract`);
+  }
+  return ethers.getAddress(to);
+}
+
+/**
+ * Encode a call given as a function signature and its arguments
+ * @param {string} signature Human-readable signature, with or without the leading "function"
+ * @param {Array} args Arguments, in order
+ * @returns {{data: string, fragment: ethers.FunctionFragment}}
+ */
+function encodeSignatureCall(signature, args) {
+  if (typeof signature !== 'string' || signature.trim() === '') {
+    throw new Error('signature is required');
+  }
+  if (!Array.isArray(args)) {
+    throw new Error('args must be a list');
+  }
+
+  const trimmed = signature.trim();
+  const fragment = ethers.FunctionFragment.from(trimmed.startsWith('function ') ? trimmed : `function ${trimmed}`);
+  if (fragment.inputs.length !== args.length) {
+    throw new Error(`${fragment.format()} takes ${fragment.inputs.length} argument(s), got ${args.length}`);
+  }
+
+  return { data: new ethers.Interface([fragment]).encodeFunctionData(fragment, args), fragment };
+}
+
+/**
+ * Whether a batch reverts as a whole on the first failing call
+ * @param {Object|Array} batch Parsed batch file
+ * @returns {boolean}
+ */
+function isAtomicBatch(batch) {
+  return Array.isArray(batch) || !batch || batch.atomic !== false;
+}
+
+/**
+ * Check a batch and turn it into the calls passed to BatchCallDelegation
+ * @param {Object|Array} batch Parsed batch file, an object with a calls list or the list itself
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.addresses] Contract names that may be used in place of an address
+ * @returns {Array<{data: string, to: string, value: bigint, required: boolean, type: string, description: string}>}
+ */
+function validateBatch(batch, { addresses = {} } = {}) {
+  const entries = Array.isArray(batch) ? batch : batch && batch.calls;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Invalid batch: expected a non-empty "calls" list');
+  }
+
+  const problems = [];
+  const atomic = isAtomicBatch(batch);
+  if (!Array.isArray(batch) && batch.atomic !== undefined && typeof batch.atomic !== 'boolean') {
+    problems.push(`atomic must be true or false, got "${batch.atomic}"`);
+  }
+
+  const calls = entries.map((entry, index) => {
+    const fail = (message) => {
+      problems.push(`calls[${index}]: ${message}`);
+      return null;
+    };
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return fail('expected an object');
+    }
+    if (!CALL_TYPES.includes(entry.type)) {
+      return fail(`type must be one of ${CALL_TYPES.join(', ')}, got "${entry.type}"`);
+    }
+
+    const unknown = Object.keys(entry).filter((field) => !ALLOWED_FIELDS[entry.type].includes(field));
+    if (unknown.length > 0) {
+      fail(`unknown field(s) for a ${entry.type}: ${unknown.join(', ')}`);
+    }
+
+    let to;
+    try {
+      to = resolveAddress(entry.to, addresses);
+    } catch (error) {
+      fail(`to ${error.message}`);
+    }
+
+    let value = 0n;
+    if (entry.value !== undefined) {
+      try {
+        value = parseValue(entry.value);
+      } catch (error) {
+        fail(`value ${error.message}`);
+      }
+    } else if (entry.type === 'transfer') {
+      fail('value is required for a transfer');
+    }
+
+    if (entry.required !== undefined && typeof entry.required !== 'boolean') {
+      fail(`required must be true or false, got "${entry.required}"`);
+    } else if (entry.required !== undefined && atomic) {
+      fail('required only applies to a batch with atomic: false, where every other call may fail');
+    }
+
+    let data = '0x';
+    let description = entry.description;
+    if (entry.type === 'call') {
+      try {
+        const encoded = encodeSignatureCall(entry.signature, entry.args || []);
+        data = encoded.data;
+        description = description || `${encoded.fragment.name}(${(entry.args || []).join(', ')})`;
+      } catch (error) {
+        fail(error.shortMessage || error.message);
+      }
+    } else if (entry.type === 'raw') {
+      if (typeof entry.data !== 'string' || !ethers.isHexString(entry.data) || entry.data.length % 2 !== 0) {
+        fail('data must be a quoted, 0x-prefixed hex string with an even number of digits');
+      } else {
+        data = entry.data;
+      }
+    }
+
+    return {
+      data,
+      to,
+      value,
+      required: atomic || entry.required === true,
+      type: entry.type,
+      description: description || (entry.type === 'transfer' ? `transfer ${ethers.formatEther(value)} ETH` : entry.type)
+    };
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid batch:\n  ${problems.join('\n  ')}`);
+  }
+  return calls;
+}
+
+/**
+ * The calls of a batch as the contract takes them
+ * @param {Array} calls Validated calls
+ * @param {boolean} atomic Call structs for execute, or optional call structs for tryExecute
+ * @returns {Array<Object>}
+ */
+function toContractCalls(calls, atomic) {
+  return atomic
+    ? calls.map(({ data, to, value }) => ({ data, to, value }))
+    : calls.map(({ data, to, value, required }) => ({ data, to, value, required }));
+}
+
+/**
+ * Encode calls as BatchCallDelegation calldata
+ * @param {Array<{data: string, to: string, value: bigint, required: boolean}>} calls Validated calls
+ * @param {Object} [options]
+ * @param {boolean} [options.atomic] Encode for execute, or for tryExecute when false
+ * @param {{nonce: bigint, deadline: bigint, signature: string}} [options.signed] Result of signBatch,
+ *   to encode for executeWithSignature or tryExecuteWithSignature
+ * @returns {string} Calldata
+ */
+function encodeBatch(calls, { atomic = true, signed } = {}) {
+  const contractCalls = toContractCalls(calls, atomic);
+  if (signed) {
+    return batchInterface.encodeFunctionData(atomic ? 'executeWithSignature' : 'tryExecuteWithSignature', [
+      contractCalls,
+      signed.nonce,
+      signed.deadline,
+      signed.signature
+    ]);
+  }
+  return batchInterface.encodeFunctionData(atomic ? 'execute' : 'tryExecute', [contractCalls]);
+}
+
+/**
+ * EIP-712 domain of a delegated account
+ *
+ * The verifying contract is the account itself, not the BatchCallDelegation
+ * deployment, so a signature is only valid for the account that signed it.
+ *
+ * @param {bigint} chainId Chain the batch is executed on
+ * @param {string} account Delegated account
+ * @returns {Object}
+ */
+function getBatchDomain(chainId, account) {
+  return { name: 'BatchCallDelegation', version: '1', chainId, verifyingContract: account };
+}
+
+/**
+ * Read the next nonce a signed batch of an account must carry
+ *
+ * Read straight from the account's storage, so it also works before the
+ * account is delegated (when it is 0).
+ *
+ * @param {ethers.Provider} provider Provider to read from
+ * @param {string} account Delegated account
+ * @returns {Promise<bigint>}
+ */
+async function getBatchNonce(provider, account) {
+  return BigInt(await provider.getStorage(account, BATCH_STORAGE_LOCATION));
+}
+
+/**
+ * Sign a batch so that anyone can relay it to the account
+ * @param {ethers.Wallet} signer The delegated account
+ * @param {Array} calls Validated calls
+ * @param {Object} [options]
+ * @param {boolean} [options.atomic] Sign for executeWithSignature, or for tryExecuteWithSignature when false
+ * @param {bigint} [options.chainId] Chain ID, read from the provider when omitted
+ * @param {bigint} [options.nonce] Batch nonce, read from the account when omitted
+ * @param {bigint} [options.deadline] Last timestamp the batch may run at, an hour from the latest block when omitted
+ * @returns {Promise<{nonce: bigint, deadline: bigint, signature: string}>}
+ */
+async function signBatch(signer, calls, { atomic = true, chainId, nonce, deadline } = {}) {
+  const { provider } = signer;
+  if (chainId === undefined) {
+    ({ chainId } = await provider.getNetwork());
+  }
+  if (nonce === undefined) {
+    nonce = await getBatchNonce(provider, signer.address);
+  }
+  if (deadline === undefined) {
+    const block = await provider.getBlock('latest');
+    deadline = BigInt(block.timestamp + DEFAULT_BATCH_VALIDITY_SECONDS);
+  }
+
+  const signature = await signer.signTypedData(
+    getBatchDomain(chainId, signer.address),
+    atomic ? BATCH_TYPES.atomic : BATCH_TYPES.nonAtomic,
+    { calls: toContractCalls(calls, atomic), nonce, deadline }
+  );
+  return { nonce, deadline, signature };
+}
+
+/**
+ * Relay a signed batch to an account that is already delegated to BatchCallDelegation
+ * @param {ethers.Signer} relayer Account sending and paying for the transaction
+ * @param {string} account Delegated account that signed the batch
+ * @param {Array} calls Validated calls
+ * @param {{nonce: bigint, deadline: bigint, signature: string}} signed Result of signBatch
+ * @param {Object} [options]
+ * @param {boolean} [options.atomic] Whether the batch was signed for executeWithSignature
+ * @returns {Promise<ethers.TransactionResponse>}
+ */
+async function relayBatch(relayer, account, calls, signed, { atomic = true } = {}) {
+  return relayer.sendTransaction({ to: account, data: encodeBatch(calls, { atomic, signed }) });
+}
+
+/**
+ * Decode the per-call results returned by tryExecute or tryExecuteWithSignature
+ * @param {string} returnData Return data of the call, e.g. from a simulation
+ * @returns {Array<{success: boolean, returnData: string}>}
+ */
+function decodeBatchResults(returnData) {
+  const [results] = batchInterface.decodeFunctionResult('tryExecute', returnData);
+  return results.map(({ success, returnData }) => ({ success, returnData }));
+}
+
+/**
+ * Match the outcome of a batch to its calls
+ *
+ * The outcome comes either from the results returned by tryExecute, or from
+ * the CallExecuted and CallFailed events the delegated account emitted in a
+ * mined transaction. Calls without an event were never reached.
+ *
+ * @param {Array} calls Validated calls, in the order they were sent
+ * @param {Object} outcome
+ * @param {Array<{success: boolean, returnData: string}>} [outcome.results] Decoded tryExecute results
+ * @param {Object} [outcome.receipt] Receipt of the mined transaction
+ * @param {string} [outcome.account] Delegated account that ran the batch
+ * @returns {Array<{index: number, description: string, to: string, required: boolean, success: boolean|null, returnData: string|null, revert: Object|null}>}
+ */
+function buildBatchReport(calls, { results, receipt, account }) {
+  let outcomes = results;
+  if (!outcomes) {
+    outcomes = [];
+    const failures = new Map();
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== account.toLowerCase()) {
+        continue;
+      }
+      const parsed = batchInterface.parseLog(log);
+      if (parsed && parsed.name === 'CallExecuted') {
+        outcomes.push({ success: parsed.args.success, returnData: null });
+      } else if (parsed && parsed.name === 'CallFailed') {
+        failures.set(Number(parsed.args.index), parsed.args.returnData);
+      }
+    }
+    for (const [index, returnData] of failures) {
+      outcomes[index].returnData = returnData;
+    }
+  }
+
+  return calls.map((call, index) => {
+    const outcome = outcomes[index];
+    return {
+      index,
+      description: call.description,
+      to: call.to,
+      required: call.required,
+      success: outcome ? outcome.success : null,
+      returnData: outcome ? outcome.returnData : null,
+      revert: outcome && !outcome.success ? decodeRevertData(outcome.returnData) : null
+    };
+  });
+}
+
+/**
+ * Total ETH sent by the calls of a batch
+ * @param {Array<{value: bigint}>} calls Validated calls
+ * @returns {bigint}
+ */
+function batchValue(calls) {
+  return calls.reduce((total, call) => total + call.value, 0n);
+}
+
+/**
+ * Print the calls of a batch
+ * @param {Array} calls Validated calls
+ */
+function logBatch(calls) {
+  console.log(`Batch of ${calls.length} call(s), ${ethers.formatEther(batchValue(calls))} ETH in total:`);
+  for (const [index, call] of calls.entries()) {
+    console.log(`  ${index}. ${call.description} -> ${call.to}${call.required ? '' : ' (optional)'}`);
+  }
+}
+
+/**
+ * Print the outcome of each call of a batch
+ * @param {Array} report Result of buildBatchReport
+ */
+function logBatchReport(report) {
+  console.log('Batch results:');
+  for (const entry of report) {
+    const label = `${entry.index}. ${entry.description} -> ${entry.to}`;
+    if (entry.success === null) {
+      console.log(`  ⚠️ ${label}: not executed`);
+    } else if (entry.success) {
+      console.log(`  ✅ ${label}`);
+    } else if (entry.revert) {
+      console.log(`  ❌ ${label}: reverted with ${formatRevert(entry.revert)}`);
+    } else {
+      console.log(`  ❌ ${label}: failed${entry.returnData && entry.returnData !== '0x' ? ` (${entry.returnData})` : ''}`);
+    }
+  }
+
+  const failed = report.filter((entry) => entry.success === false).length;
+  if (failed > 0) {
+    console.log(`⚠️ ${failed} of ${report.length} call(s) failed and were skipped`);
+  }
+}
+
+module.exports = {
+  CALL_TYPES,
+  BATCH_TYPES,
+  BATCH_STORAGE_LOCATION,
+  parseBatch,
+  loadBatchFile,
+  parseValue,
+  isAtomicBatch,
+  validateBatch,
+  encodeBatch,
+  getBatchDomain,
+  getBatchNonce,
+  signBatch,
+  relayBatch,
+  decodeBatchResults,
+  buildBatchReport,
+  batchValue,
+  logBatch,
+  logBatchReport
+};
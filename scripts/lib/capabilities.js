@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { DELEGATION_PREFIX, buildAuthorization, signAuthorization, buildSetCodeTx, signSetCodeTx, serialize } = require('./eip7702');
+const { ERROR_CAUSES, classifyError } = require('./errors');
+const { PER_EMPTY_ACCOUNT_COST, toCallRequest } = require('./gas');
+const { EIP7702_DEMONSTRATOR_ABI } = require('./abis');
+
+/**
+ * EIP-7702 Capability Probe
+ *
+ * Finds out what an RPC endpoint supports without spending funds. Every
+ * check uses freshly generated, unfunded accounts and state overrides:
+ * - setCodeTx: a type 0x04 transaction from an unfunded account is rejected
+ *   for its funds (decoded) rather than for its type
+ * - estimateGas / call: the authorizationList field is honoured
+ * - pragueRules: the Prague precompiles exist, and a call to an account
+ *   holding a delegation designator runs the delegate's code
+ *
+ * Reports are stored in deployments/capabilities.json keyed by chain ID, so
+ * other scripts can consult the last probe instead of the network preset.
+ */
+
+const CAPABILITIES_PATH = path.join(__dirname, '../../deployments/capabilities.json');
+
+const CAPABILITY = {
+  SUPPORTED: 'supported',
+  UNSUPPORTED: 'unsupported',
+  UNKNOWN: 'unknown'
+};
+
+// PUSH1 0x2a PUSH1 0x00 MSTORE PUSH1 0x20 PUSH1 0x00 RETURN: returns 42
+const PROBE_DELEGATE_CODE = '0x602a60005260206000f3';
+const PROBE_RETURN_VALUE = 42n;
+
+// BLS12-381 G1 addition precompile, added in Prague (EIP-2537)
+const BLS12_G1ADD = '0x000000000000000000000000000000000000000b';
+
+// Size of the 0xef0100 || address delegation designator
+const DELEGATION_DESIGNATOR_LENGTH = 23n;
+
+const check = (status, detail) => ({ status, detail });
+
+/**
+ * Whether eth_call output is the probe delegate's return value
+ * @param {string} output Call output
+ * @returns {boolean}
+ */
+function isProbeReturnValue(output) {
+  return ethers.dataLength(output) === 32 && BigInt(output) === PROBE_RETURN_VALUE;
+}
+
+/**
+ * Sign an authorization from a new random account
+ * @param {bigint} chainId Chain ID of the network
+ * @param {string} delegate Address to delegate to
+ * @returns {{authority: ethers.Wallet, authorization: Object}}
+ */
+function createProbeAuthorization(chainId, delegate) {
+  const authority = ethers.Wallet.createRandom();
+  const authorization = signAuthorization(authority, buildAuthorization({ chainId, address: delegate, nonce: 0n }));
+  return { authority, authorization };
+}
+
+/**
+ * Check whether the node decodes set code transactions
+ * @param {ethers.Provider} provider Provider to probe
+ * @param {bigint} chainId Chain ID of the network
+ * @returns {Promise<{status: string, detail: string}>}
+ */
+async function probeSetCodeTx(provider, chainId) {
+  const { authority, authorization } = createProbeAuthorization(chainId, ethers.Wallet.createRandom().address);
+  const feeData = await provider.getFeeData();
+  const maxFeePerGas = feeData.maxFeePerGas || feeData.gasPrice || ethers.parseUnits('1', 'gwei');
+
+  // The sender has no funds, so a node that decodes the transaction rejects it for its cost
+  const signedTx = serialize(signSetCodeTx(authority, buildSetCodeTx({
+    chainId,
+    nonce: 0,
+    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas || maxFeePerGas,
+    maxFeePerGas,
+    gasLimit: 100000n,
+    to: ethers.ZeroAddress,
+    authorizationList: [authorization]
+  })));
+
+  try {
+    await provider.send('eth_sendRawTransaction', [signedTx]);
+    return check(CAPABILITY.SUPPORTED, 'Accepted a set code transaction from an unfunded account');
+  } catch (error) {
+    const classified = classifyError(error);
+    if (classified.cause === ERROR_CAUSES.UNSUPPORTED_TX_TYPE) {
+      return check(CAPABILITY.UNSUPPORTED, classified.message);
+    }
+    if (classified.cause === ERROR_CAUSES.UNKNOWN) {
+      return check(CAPABILITY.UNKNOWN, classified.message);
+    }
+    return check(CAPABILITY.SUPPORTED, `Decoded, then rejected as expected: ${classified.label.toLowerCase()}`);
+  }
+}
+
+/**
+ * Check whether eth_estimateGas charges for an authorization list
+ * @param {ethers.Provider} provider Provider to probe
+ * @param {bigint} chainId Chain ID of the network
+ * @returns {Promise<{status: string, detail: string}>}
+ */
+async function probeEstimateGas(provider, chainId) {
+  const { authorization } = createProbeAuthorization(chainId, ethers.Wallet.createRandom().address);
+  const from = ethers.Wallet.createRandom().address;
+  const tx = { to: ethers.ZeroAddress, authorizationList: [authorization] };
+
+  try {
+    const estimate = BigInt(await provider.send('eth_estimateGas', [toCallRequest(from, tx, true)]));
+    return estimate >= 21000n + PER_EMPTY_ACCOUNT_COST
+      ? check(CAPABILITY.SUPPORTED, `Estimate of ${estimate} includes the authorization cost`)
+      : check(CAPABILITY.UNSUPPORTED, `Estimate of ${estimate} ignores the authorization list`);
+  } catch (error) {
+    return check(CAPABILITY.UNSUPPORTED, classifyError(error).message);
+  }
+}
+
+/**
+ * Check whether eth_call applies an authorization list
+ * @param {ethers.Provider} provider Provider to probe
+ * @param {bigint} chainId Chain ID of the network
+ * @returns {Promise<{status: string, detail: string}>}
+ */
+async function probeCall(provider, chainId) {
+  const delegate = ethers.Wallet.createRandom().address;
+  const { authority, authorization } = createProbeAuthorization(chainId, delegate);
+  const from = ethers.Wallet.createRandom().address;
+  const tx = { to: authority.address, authorizationList: [authorization] };
+
+  try {
+    const output = await provider.send('eth_call', [
+      toCallRequest(from, tx, true),
+      'latest',
+      { [delegate]: { code: PROBE_DELEGATE_CODE } }
+    ]);
+    return isProbeReturnValue(output)
+      ? check(CAPABILITY.SUPPORTED, 'The call ran the delegate\'s code')
+      : check(CAPABILITY.UNSUPPORTED, 'The authorization list was ignored');
+  } catch (error) {
+    // Other failures may come from the state override rather than the authorization list
+    const classified = classifyError(error);
+    return check(
+      classified.cause === ERROR_CAUSES.UNSUPPORTED_TX_TYPE ? CAPABILITY.UNSUPPORTED : CAPABILITY.UNKNOWN,
+      classified.message
+    );
+  }
+}
+
+/**
+ * Check whether the chain runs Prague rules: the BLS12-381 precompiles of
+ * EIP-2537 exist and calls to an account holding a delegation designator run
+ * the delegate's code
+ * @param {ethers.Provider} provider Provider to probe
+ * @param {Object} [options]
+ * @param {string} [options.demonstratorCode] Runtime code of EIP7702Demonstrator, used to read the code length of the delegated account
+ * @returns {Promise<{status: string, detail: string, codeLength: bigint|null}>}
+ */
+async function probePragueRules(provider, { demonstratorCode } = {}) {
+  // Adding two points at infinity returns 128 zero bytes; before Prague the address is empty
+  try {
+    const output = await provider.send('eth_call', [{ to: BLS12_G1ADD, data: ethers.zeroPadBytes('0x', 256) }, 'latest']);
+    if (ethers.dataLength(output) !== 128) {
+      return { ...check(CAPABILITY.UNSUPPORTED, 'The BLS12-381 precompiles of Prague (EIP-2537) are missing'), codeLength: null };
+    }
+  } catch (error) {
+    return { ...check(CAPABILITY.UNKNOWN, `Could not call the BLS12-381 precompile: ${classifyError(error).message}`), codeLength: null };
+  }
+
+  const account = ethers.Wallet.createRandom().address;
+  const delegate = ethers.Wallet.createRandom().address;
+  const demonstrator = ethers.Wallet.createRandom().address;
+  const overrides = {
+    [account]: { code: ethers.concat([DELEGATION_PREFIX, delegate]) },
+    [delegate]: { code: PROBE_DELEGATE_CODE }
+  };
+
+  // Without state overrides the delegation rules cannot be checked
+  try {
+    if (!isProbeReturnValue(await provider.send('eth_call', [{ to: delegate }, 'latest', overrides]))) {
+      return { ...check(CAPABILITY.SUPPORTED, 'Prague precompiles present, state overrides are ignored'), codeLength: null };
+    }
+  } catch (error) {
+    return { ...check(CAPABILITY.SUPPORTED, 'Prague precompiles present, state overrides are not supported'), codeLength: null };
+  }
+
+  let codeLength = null;
+  if (demonstratorCode) {
+    const iface = new ethers.Interface(EIP7702_DEMONSTRATOR_ABI);
+    try {
+      const output = await provider.send('eth_call', [
+        { to: demonstrator, data: iface.encodeFunctionData('getCodeLength', [account]) },
+        'latest',
+        { ...overrides, [demonstrator]: { code: demonstratorCode } }
+      ]);
+      [codeLength] = iface.decodeFunctionResult('getCodeLength', output);
+    } catch (error) {
+      codeLength = null;
+    }
+  }
+  const lengthDetail = codeLength === null ? '' : `, EXTCODESIZE of the delegated account is ${codeLength}`;
+
+  try {
+    const output = await provider.send('eth_call', [{ to: account }, 'latest', overrides]);
+    if (isProbeReturnValue(output) && (codeLength === null || codeLength === DELEGATION_DESIGNATOR_LENGTH)) {
+      return { ...check(CAPABILITY.SUPPORTED, `Prague precompiles present, calls to a delegated account run the delegate's code${lengthDetail}`), codeLength };
+    }
+    return { ...check(CAPABILITY.UNSUPPORTED, `The delegation designator was not followed${lengthDetail}`), codeLength };
+  } catch (error) {
+    // Without EIP-7702 0xef is an invalid opcode, so executing the designator fails
+    return { ...check(CAPABILITY.UNSUPPORTED, `Executing the delegation designator failed: ${classifyError(error).message}`), codeLength };
+  }
+}
+
+/**
+ * Probe what an endpoint supports, without spending funds
+ * @param {ethers.Provider} provider Provider to probe
+ * @param {Object} [options]
+ * @param {string} [options.demonstratorCode] Runtime code of EIP7702Demonstrator
+ * @returns {Promise<Object>} Capability report
+ */
+async function probeCapabilities(provider, options = {}) {
+  const { chainId } = await provider.getNetwork();
+  const blockNumber = await provider.getBlockNumber();
+
+  const checks = {
+    setCodeTx: await probeSetCodeTx(provider, chainId),
+    estimateGas: await probeEstimateGas(provider, chainId),
+    call: await probeCall(provider, chainId),
+    pragueRules: await probePragueRules(provider, options)
+  };
+
+  return {
+    chainId: Number(chainId),
+    blockNumber,
+    probedAt: new Date().toISOString(),
+    checks,
+    supportsEIP7702: checks.setCodeTx.status === CAPABILITY.SUPPORTED &&
+      checks.pragueRules.status !== CAPABILITY.UNSUPPORTED
+  };
+}
+
+/**
+ * Store a capability report for its chain
+ * @param {Object} report Result of probeCapabilities
+ */
+function saveCapabilityReport(report) {
+  const reports = fs.existsSync(CAPABILITIES_PATH)
+    ? JSON.parse(fs.readFileSync(CAPABILITIES_PATH, 'utf8'))
+    : {};
+  reports[report.chainId] = report;
+
+  fs.mkdirSync(path.dirname(CAPABILITIES_PATH), { recursive: true });
+  fs.writeFileSync(CAPABILITIES_PATH, JSON.stringify(reports, (key, value) => (
+    typeof value === 'bigint' ? value.toString() : value
+  ), 2));
+}
+
+/**
+ * Read the last capability report of a chain
+ * @param {bigint|number} chainId Chain ID
+ * @returns {Object|null} Report, or null when the chain was never probed
+ */
+function loadCapabilityReport(chainId) {
+  if (!fs.existsSync(CAPABILITIES_PATH)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(CAPABILITIES_PATH, 'utf8'))[chainId.toString()] || null;
+}
+
+/**
+ * Print a capability report
+ * @param {Object} report Result of probeCapabilities
+ */
+function logCapabilityReport(report) {
+  const labels = {
+    setCodeTx: 'Set code transactions (type 0x04)',
+    estimateGas: 'authorizationList in eth_estimateGas',
+    call: 'authorizationList in eth_call',
+    pragueRules: 'Prague rules (delegations followed)'
+  };
+  const icons = { [CAPABILITY.SUPPORTED]: '✅', [CAPABILITY.UNSUPPORTED]: '❌', [CAPABILITY.UNKNOWN]: '⚠️' };
+
+  console.log(`Capabilities of chain ${report.chainId} at block ${report.blockNumber}:`);
+  for (const [name, result] of Object.entries(report.checks)) {
+    console.log(`${icons[result.status]} ${labels[name]}: ${result.status} (${result.detail})`);
+  }
+  console.log(report.supportsEIP7702
+    ? '✅ The endpoint supports EIP-7702'
+    : '❌ The endpoint does not support EIP-7702');
+}
+
+/**
+ * Warn when set code transactions are not known to work on a network
+ *
+ * The last capability probe of the chain (scripts/probeCapabilities.js)
+ * takes precedence over the preset.
+ *
+ * @param {Object} preset Network preset
+ * @returns {boolean} Whether the network supports EIP-7702
+ */
+function checkEIP7702Support(preset) {
+  const report = loadCapabilityReport(preset.chainId);
+  if (report) {
+    if (!report.supportsEIP7702) {
+      console.log(`⚠️ The capability probe of ${report.probedAt} found that ${preset.name} (chain ${preset.chainId}) does not support EIP-7702, set code transactions may be rejected`);
+    }
+    return report.supportsEIP7702;
+  }
+
+  if (!preset.supportsEIP7702) {
+    console.log(`⚠️ ${preset.name} (chain ${preset.chainId}) is not known to support EIP-7702, set code transactions may be rejected`);
+    console.log('Run scripts/probeCapabilities.js to check the endpoint');
+  }
+  return preset.supportsEIP7702;
+}
+
+module.exports = {
+  CAPABILITIES_PATH,
+  CAPABILITY,
+  probeCapabilities,
+  saveCapabilityReport,
+  loadCapabilityReport,
+  logCapabilityReport,
+  checkEIP7702Support
+};
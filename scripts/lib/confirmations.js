@@ -0,0 +1,185 @@
+/**
+ * Transaction Confirmation Tracker
+ *
+ * Follows a sent transaction until it reaches a final state by polling the
+ * node with backoff (the interval resets whenever a new block arrives):
+ * - confirmed / reverted: included and buried under the requested number of
+ *   confirmations
+ * - replaced: another transaction from the sender used the same nonce
+ * - dropped: the node no longer knows the transaction and its nonce is unused
+ * - timeout: none of the above within the time limit
+ *
+ * A receipt whose block is no longer canonical is discarded and the
+ * transaction is followed again (counted as a reorg).
+ */
+
+const TX_STATUS = {
+  CONFIRMED: 'confirmed',
+  REVERTED: 'reverted',
+  REPLACED: 'replaced',
+  DROPPED: 'dropped',
+  TIMEOUT: 'timeout'
+};
+
+// Overridden with CONFIRMATIONS
+const DEFAULT_CONFIRMATIONS = 1;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Look for the transaction that used a sender's nonce
+ * @param {ethers.Provider} provider Provider to read blocks from
+ * @param {string} sender Sender address
+ * @param {number} nonce Nonce used by the replacement
+ * @param {number} fromBlock First block to search
+ * @param {number} toBlock Last block to search
+ * @returns {Promise<string|null>} Hash of the replacement, if found
+ */
+async function findReplacement(provider, sender, nonce, fromBlock, toBlock) {
+  for (let blockNumber = toBlock; blockNumber >= fromBlock; blockNumber--) {
+    const block = await provider.getBlock(blockNumber, true);
+    const replacement = block && block.prefetchedTransactions.find(
+      (tx) => tx.from.toLowerCase() === sender.toLowerCase() && tx.nonce === nonce
+    );
+    if (replacement) {
+      return replacement.hash;
+    }
+  }
+  return null;
+}
+
+/**
+ * Track a sent transaction until it is final
+ * @param {ethers.Provider} provider Provider to poll
+ * @param {string} txHash Hash of the sent transaction
+ * @param {Object} [options]
+ * @param {string} [options.sender] Sender, read from the node when omitted
+ * @param {number} [options.nonce] Sender nonce of the transaction, read from the node when omitted
+ * @param {number} [options.confirmations] Blocks required on top of (and including) the inclusion block
+ * @param {number} [options.timeoutMs] Give up after this long
+ * @param {number} [options.pollIntervalMs] First polling interval
+ * @param {number} [options.maxPollIntervalMs] Upper bound for the polling interval
+ * @param {number} [options.dropGraceMs] How long the transaction may be unknown to the node before it counts as dropped
+ * @param {Function} [options.onUpdate] Called with a progress message
+ * @returns {Promise<{status: string, txHash: string, receipt: ethers.TransactionReceipt|null, confirmations: number, replacementHash: string|null, reorgs: number}>}
+ */
+async function trackTransaction(provider, txHash, {
+  sender,
+  nonce,
+  confirmations = Number(process.env.CONFIRMATIONS || DEFAULT_CONFIRMATIONS),
+  timeoutMs = 120000,
+  pollIntervalMs = 1000,
+  maxPollIntervalMs = 15000,
+  dropGraceMs = 30000,
+  onUpdate = () => {}
+} = {}) {
+  const result = { status: null, txHash, receipt: null, confirmations: 0, replacementHash: null, reorgs: 0 };
+  const startedAt = Date.now();
+  const startBlock = await provider.getBlockNumber();
+
+  let interval = pollIntervalMs;
+  let lastBlock = startBlock;
+  let missingSince = null;
+
+  while (Date.now() - startedAt < timeoutMs) {
+    const head = await provider.getBlockNumber();
+    if (head !== lastBlock) {
+      lastBlock = head;
+      interval = pollIntervalMs;
+    }
+
+    const receipt = await provider.getTransactionReceipt(txHash);
+
+    // A receipt seen before that disappeared or moved to another block was reorged out
+    if (result.receipt && (!receipt || receipt.blockHash !== result.receipt.blockHash)) {
+      result.reorgs++;
+      onUpdate(`Block ${result.receipt.blockNumber} was reorged, following the transaction again`);
+      result.receipt = null;
+      result.confirmations = 0;
+    }
+
+    if (receipt) {
+      const block = await provider.getBlock(receipt.blockNumber);
+      if (block && block.hash === receipt.blockHash) {
+        missingSince = null;
+        if (!result.receipt) {
+          onUpdate(`Included in block ${receipt.blockNumber}`);
+        }
+        result.receipt = receipt;
+        result.confirmations = head - receipt.blockNumber + 1;
+
+        if (result.confirmations >= confirmations) {
+          result.status = receipt.status === 1 ? TX_STATUS.CONFIRMED : TX_STATUS.REVERTED;
+          return result;
+        }
+        onUpdate(`${result.confirmations}/${confirmations} confirmations`);
+      }
+    } else {
+      const tx = await provider.getTransaction(txHash);
+      if (tx) {
+        sender = sender || tx.from;
+        nonce = nonce ?? tx.nonce;
+        missingSince = null;
+      } else if (missingSince === null) {
+        missingSince = Date.now();
+      }
+
+      // The nonce was used while this transaction is not included
+      if (sender && nonce !== undefined) {
+        const accountNonce = await provider.getTransactionCount(sender, 'latest');
+        if (accountNonce > nonce) {
+          // Give a pending receipt one more chance before calling it replaced
+          if (!(await provider.getTransactionReceipt(txHash))) {
+            result.status = TX_STATUS.REPLACED;
+            result.replacementHash = await findReplacement(provider, sender, nonce, startBlock, head);
+            return result;
+          }
+          continue;
+        }
+      }
+
+      if (missingSince !== null && Date.now() - missingSince >= dropGraceMs) {
+        result.status = TX_STATUS.DROPPED;
+        return result;
+      }
+    }
+
+    await sleep(interval);
+    interval = Math.min(Math.ceil(interval * 1.5), maxPollIntervalMs);
+  }
+
+  result.status = TX_STATUS.TIMEOUT;
+  return result;
+}
+
+/**
+ * Print the final status of a tracked transaction
+ * @param {Object} result Result of trackTransaction
+ */
+function logTrackingResult(result) {
+  switch (result.status) {
+    case TX_STATUS.CONFIRMED:
+      console.log(`✅ Transaction confirmed in block ${result.receipt.blockNumber} (${result.confirmations} confirmations, gas used ${result.receipt.gasUsed})`);
+      break;
+    case TX_STATUS.REVERTED:
+      console.log(`❌ Transaction reverted in block ${result.receipt.blockNumber} (gas used ${result.receipt.gasUsed})`);
+      break;
+    case TX_STATUS.REPLACED:
+      console.log(`⚠️ Transaction replaced${result.replacementHash ? ` by ${result.replacementHash}` : ''}, its nonce was used by another transaction`);
+      break;
+    case TX_STATUS.DROPPED:
+      console.log('⚠️ Transaction dropped, the node no longer knows it and its nonce is unused');
+      break;
+    default:
+      console.log(`⚠️ Transaction not confirmed in time${result.receipt ? ` (${result.confirmations} confirmations so far)` : ''}`);
+  }
+  if (result.reorgs > 0) {
+    console.log(`⚠️ Followed through ${result.reorgs} reorg(s)`);
+  }
+}
+
+module.exports = {
+  TX_STATUS,
+  trackTransaction,
+  logTrackingResult
+};
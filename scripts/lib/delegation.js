@@ -0,0 +1,224 @@
+const { ethers } = require('ethers');
+const {
+  MAX_AUTHORIZATION_NONCE,
+  recoverAuthority,
+  getDelegationAddress
+} = require('./eip7702');
+const { checkSignature } = require('./inspector');
+
+/**
+ * Work out the nonce an authorization must carry to be applied
+ *
+ * The sender's nonce is incremented before the authorization list is
+ * processed, so when the authority also sends the transaction its
+ * authorization must use the account nonce plus one.
+ *
+ * @param {ethers.Provider} provider Provider to read the account nonce from
+ * @param {string} authority Address signing the authorization
+ * @param {string} sender Address sending (and paying for) the transaction
+ * @param {string|number} [blockTag] Block to read the nonce at
+ * @returns {Promise<bigint>}
+ */
+async function resolveAuthorizationNonce(provider, authority, sender, blockTag = 'pending') {
+  const nonce = BigInt(await provider.getTransactionCount(authority, blockTag));
+  return ethers.getAddress(authority) === ethers.getAddress(sender) ? nonce + 1n : nonce;
+}
+
+/**
+ * Predict which authorizations of a set code transaction will be applied
+ *
+ * Follows the EIP-7702 processing rules for each tuple, in order:
+ * chain ID is 0 or the current chain, nonce < 2^64, s <= secp256k1n/2,
+ * the authority has no code or only a delegation designator, and the
+ * nonce equals the authority's current nonce. Applied tuples increment the
+ * authority's nonce, so a later tuple from the same authority must use the
+ * next nonce.
+ *
+ * @param {ethers.Provider} provider Provider to read account state from
+ * @param {Array} authorizationList Signed authorizations
+ * @param {Object} options
+ * @param {string} options.sender Address sending the transaction
+ * @param {bigint} options.chainId Chain the transaction is sent on
+ * @param {string|number} [options.blockTag] Block whose state the list is checked against
+ * @returns {Promise<Array<{index: number, authority: string|null, delegate: string, expectedNonce: bigint|null, applied: boolean, reason: string, checks: Array}>>}
+ */
+async function validateAuthorizations(provider, authorizationList, { sender, chainId, blockTag = 'pending' }) {
+  const nextNonce = new Map();
+  const results = [];
+
+  for (const [index, authorization] of authorizationList.entries()) {
+    const result = {
+      index,
+      authority: null,
+      delegate: authorization.address,
+      expectedNonce: null,
+      applied: false,
+      reason: '',
+      checks: []
+    };
+    results.push(result);
+
+    result.checks.push({
+      check: 'chainId',
+      ok: authorization.chainId === 0n || authorization.chainId === ethers.getBigInt(chainId),
+      detail: `chain ID ${authorization.chainId} must be 0 or ${chainId}`
+    });
+    result.checks.push({
+      check: 'nonce range',
+      ok: authorization.nonce <= MAX_AUTHORIZATION_NONCE,
+      detail: `nonce ${authorization.nonce} must be below 2^64`
+    });
+    result.checks.push(...checkSignature(authorization));
+
+    try {
+      result.authority = recoverAuthority(authorization);
+    } catch (error) {
+      result.checks.push({ check: 'authority', ok: false, detail: `cannot recover authority: ${error.message}` });
+    }
+
+    if (result.authority) {
+      const code = await provider.getCode(result.authority, blockTag);
+      result.checks.push({
+        check: 'authority code',
+        ok: code === '0x' || getDelegationAddress(code) !== null,
+        detail: 'authority must have no code or a delegation designator'
+      });
+
+      if (!nextNonce.has(result.authority)) {
+        nextNonce.set(result.authority, await resolveAuthorizationNonce(provider, result.authority, sender, blockTag));
+      }
+      result.expectedNonce = nextNonce.get(result.authority);
+      result.checks.push({
+        check: 'nonce',
+        ok: authorization.nonce === result.expectedNonce,
+        detail: `nonce ${authorization.nonce} must equal account nonce ${result.expectedNonce}`
+      });
+    }
+
+    const failed = result.checks.find((c) => !c.ok);
+    result.applied = !failed;
+    result.reason = failed ? failed.detail : 'all checks passed';
+
+    if (result.applied) {
+      nextNonce.set(result.authority, result.expectedNonce + 1n);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Work out which authorizations of an included set code transaction were applied
+ *
+ * Replays the authorization list against the state of the block before
+ * inclusion with validateAuthorizations, then confirms the result against
+ * the authorities' code after the block.
+ *
+ * @param {ethers.Provider} provider Provider with access to recent state
+ * @param {Object} tx Set code transaction (from buildSetCodeTx or parse)
+ * @param {string} sender Address that sent the transaction
+ * @param {ethers.TransactionReceipt} receipt Receipt of the included transaction
+ * @returns {Promise<Array<{index: number, authority: string|null, delegate: string, applied: boolean, reason: string}>>}
+ */
+async function getAuthorizationOutcomes(provider, tx, sender, receipt) {
+  const outcomes = await validateAuthorizations(provider, tx.authorizationList, {
+    sender,
+    chainId: tx.chainId,
+    blockTag: receipt.blockNumber - 1
+  });
+
+  // The last applied authorization of each authority determines its code
+  const finalDelegate = new Map();
+  for (const outcome of outcomes.filter((o) => o.applied)) {
+    finalDelegate.set(outcome.authority, outcome.delegate);
+  }
+
+  for (const [authority, delegate] of finalDelegate) {
+    const code = await provider.getCode(authority, receipt.blockNumber);
+    const actual = getDelegationAddress(code) || ethers.ZeroAddress;
+    if (actual !== delegate) {
+      for (const outcome of outcomes.filter((o) => o.applied && o.authority === authority)) {
+        outcome.applied = false;
+        outcome.reason = `account code points to ${actual} after inclusion`;
+      }
+    }
+  }
+
+  for (const outcome of outcomes.filter((o) => o.applied)) {
+    outcome.reason = finalDelegate.get(outcome.authority) === outcome.delegate
+      ? 'delegation set'
+      : 'applied, then overridden by a later authorization';
+  }
+
+  return outcomes;
+}
+
+/**
+ * Read the EIP-7702 delegation status of an account
+ * @param {ethers.Provider} provider Provider to read account state from
+ * @param {string} address Account to inspect
+ * @param {Object<string, string>} [knownContracts] Contract name to deployed address
+ * @returns {Promise<Object>} Code, delegate target (if any), matching contract name,
+ *   whether the target has code, and the account's nonce and balance
+ */
+async function getDelegationStatus(provider, address, knownContracts = {}) {
+  const [code, nonce, balance] = await Promise.all([
+    provider.getCode(address),
+    provider.getTransactionCount(address),
+    provider.getBalance(address)
+  ]);
+
+  const status = {
+    address: ethers.getAddress(address),
+    code,
+    nonce,
+    balance,
+    delegated: false,
+    isContract: false,
+    delegate: null,
+    delegateName: null,
+    delegateHasCode: null
+  };
+
+  status.delegate = getDelegationAddress(code);
+  if (!status.delegate) {
+    status.isContract = code !== '0x';
+    return status;
+  }
+
+  status.delegated = true;
+  const match = Object.entries(knownContracts)
+    .find(([, contractAddress]) => ethers.getAddress(contractAddress) === status.delegate);
+  status.delegateName = match ? match[0] : null;
+  status.delegateHasCode = (await provider.getCode(status.delegate)) !== '0x';
+
+  return status;
+}
+
+/**
+ * Print the result of validateAuthorizations or getAuthorizationOutcomes
+ * @param {Array} results Per-authorization results
+ * @param {boolean} [included] Whether the results describe an included transaction
+ */
+function logAuthorizationResults(results, included = false) {
+  const appliedLabel = included ? 'applied' : 'would be applied';
+  const skippedLabel = included ? 'skipped' : 'would be skipped';
+
+  for (const result of results) {
+    const status = result.applied ? `✅ ${appliedLabel}` : `⚠️ ${skippedLabel}`;
+    console.log(`[${result.index}] ${status} ${result.authority || 'unknown'} -> ${result.delegate}: ${result.reason}`);
+  }
+
+  const skipped = results.filter((r) => !r.applied).length;
+  if (skipped > 0) {
+    console.log(`⚠️ ${skipped} of ${results.length} authorization(s) ${skippedLabel}`);
+  }
+}
+
+module.exports = {
+  resolveAuthorizationNonce,
+  validateAuthorizations,
+  getAuthorizationOutcomes,
+  getDelegationStatus,
+  logAuthorizationResults
+};
@@ -0,0 +1,424 @@
+const { ethers } = require('ethers');
+
+/**
+ * EIP-7702 Transaction Builder
+ *
+ * Shared helpers for building, signing and serializing set code
+ * transactions (type 0x04) and their authorization tuples:
+ * - Authorization hash: keccak256(0x05 || rlp([chainId, address, nonce]))
+ * - Transaction payload: 0x04 || rlp([chainId, nonce, maxPriorityFeePerGas,
+ *   maxFeePerGas, gasLimit, to, value, data, accessList, authorizationList,
+ *   yParity, r, s])
+ */
+
+// Transaction type identifier for EIP-7702 set code transactions
+const SET_CODE_TX_TYPE = '0x04';
+
+// MAGIC prefix used when hashing an authorization tuple
+const AUTHORIZATION_MAGIC = '0x05';
+
+// Code prefix of an account delegated with EIP-7702: 0xef0100 || address
+const DELEGATION_PREFIX = '0xef0100';
+
+// Authorization nonces are limited to 2^64 - 1 by EIP-2681
+const MAX_AUTHORIZATION_NONCE = 2n ** 64n - 1n;
+
+// Order of the secp256k1 curve, signatures must have s <= SECP256K1_N / 2
+const SECP256K1_N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+
+/**
+ * Encode an integer as a canonical RLP quantity (no leading zeros, zero is empty)
+ * @param {bigint|number|string} value The integer to encode
+ * @returns {string} Hex string suitable for ethers.encodeRlp
+ */
+function toRlpQuantity(value) {
+  return ethers.hexlify(ethers.toBeArray(value ?? 0));
+}
+
+/**
+ * Get the low-level signing key from a wallet or signing key
+ * @param {ethers.Wallet|ethers.SigningKey} signer Wallet or signing key
+ * @returns {ethers.SigningKey}
+ */
+function getSigningKey(signer) {
+  if (signer instanceof ethers.SigningKey) {
+    return signer;
+  }
+  if (signer && signer.signingKey) {
+    return signer.signingKey;
+  }
+  throw new Error('Signer must be an ethers Wallet or SigningKey');
+}
+
+/**
+ * Create an unsigned authorization tuple
+ * @param {Object} params
+ * @param {bigint|number} params.chainId Chain the authorization is valid on (0 for any chain)
+ * @param {string} params.address Contract the authority delegates its code to
+ * @param {bigint|number} params.nonce Account nonce of the authority when the tuple is processed
+ * @returns {{chainId: bigint, address: string, nonce: bigint}}
+ */
+function buildAuthorization({ chainId, address, nonce }) {
+  return {
+    chainId: ethers.getBigInt(chainId),
+    address: ethers.getAddress(address),
+    nonce: ethers.getBigInt(nonce)
+  };
+}
+
+/**
+ * Compute the digest the authority signs for an authorization tuple
+ * @param {Object} authorization Authorization created with buildAuthorization
+ * @returns {string} keccak256(0x05 || rlp([chainId, address, nonce]))
+ */
+function hashAuthorization(authorization) {
+  return ethers.keccak256(ethers.concat([
+    AUTHORIZATION_MAGIC,
+    ethers.encodeRlp([
+      toRlpQuantity(authorization.chainId),
+      authorization.address,
+      toRlpQuantity(authorization.nonce)
+    ])
+  ]));
+}
+
+/**
+ * Sign an authorization tuple with the authority's key
+ * @param {ethers.Wallet|ethers.SigningKey} signer The authority delegating its code
+ * @param {Object} authorization Authorization created with buildAuthorization
+ * @returns {Object} The authorization with yParity, r and s attached
+ */
+function signAuthorization(signer, authorization) {
+  const unsigned = buildAuthorization(authorization);
+  const signature = getSigningKey(signer).sign(hashAuthorization(unsigned));
+
+  return {
+    ...unsigned,
+    yParity: signature.yParity,
+    r: signature.r,
+    s: signature.s
+  };
+}
+
+/**
+ * Encode a signed authorization as the RLP list used in authorizationList
+ * @param {Object} authorization Signed authorization
+ * @returns {Array} [chainId, address, nonce, yParity, r, s]
+ */
+function encodeAuthorization(authorization) {
+  return [
+    toRlpQuantity(authorization.chainId),
+    authorization.address,
+    toRlpQuantity(authorization.nonce),
+    toRlpQuantity(authorization.yParity),
+    toRlpQuantity(authorization.r),
+    toRlpQuantity(authorization.s)
+  ];
+}
+
+/**
+ * Create an unsigned set code transaction
+ * @param {Object} params
+ * @param {bigint|number} params.chainId Chain ID the transaction is sent on
+ * @param {bigint|number} params.nonce Nonce of the account sending the transaction
+ * @param {bigint|number} params.maxPriorityFeePerGas Priority fee (tip)
+ * @param {bigint|number} params.maxFeePerGas Maximum total fee per gas
+ * @param {bigint|number} params.gasLimit Gas limit
+ * @param {string} params.to Destination address (set code transactions cannot create contracts)
+ * @param {bigint|number} [params.value] Value in wei sent with the call
+ * @param {string} [params.data] Calldata
+ * @param {Array} [params.accessList] EIP-2930 access list
+ * @param {Array} params.authorizationList Signed authorizations
+ * @returns {Object} Normalized transaction
+ */
+function buildSetCodeTx({
+  chainId,
+  nonce,
+  maxPriorityFeePerGas,
+  maxFeePerGas,
+  gasLimit,
+  to,
+  value = 0n,
+  data = '0x',
+  accessList = [],
+  authorizationList
+}) {
+  if (!authorizationList || authorizationList.length === 0) {
+    throw new Error('Set code transactions require at least one authorization');
+  }
+
+  return {
+    type: 4,
+    chainId: ethers.getBigInt(chainId),
+    nonce: ethers.getBigInt(nonce),
+    maxPriorityFeePerGas: ethers.getBigInt(maxPriorityFeePerGas),
+    maxFeePerGas: ethers.getBigInt(maxFeePerGas),
+    gasLimit: ethers.getBigInt(gasLimit),
+    to: ethers.getAddress(to),
+    value: ethers.getBigInt(value),
+    data: ethers.hexlify(data),
+    accessList,
+    authorizationList
+  };
+}
+
+/**
+ * Get the RLP fields of a set code transaction, excluding the signature
+ * @param {Object} tx Transaction created with buildSetCodeTx
+ * @returns {Array} The 10 transaction fields
+ */
+function getSetCodeTxFields(tx) {
+  return [
+    toRlpQuantity(tx.chainId),
+    toRlpQuantity(tx.nonce),
+    toRlpQuantity(tx.maxPriorityFeePerGas),
+    toRlpQuantity(tx.maxFeePerGas),
+    toRlpQuantity(tx.gasLimit),
+    tx.to,
+    toRlpQuantity(tx.value),
+    tx.data,
+    tx.accessList.map(({ address, storageKeys }) => [address, storageKeys]),
+    tx.authorizationList.map(encodeAuthorization)
+  ];
+}
+
+/**
+ * Compute the digest the sender signs for a set code transaction
+ * @param {Object} tx Transaction created with buildSetCodeTx
+ * @returns {string} keccak256(0x04 || rlp(fields))
+ */
+function hashSetCodeTx(tx) {
+  return ethers.keccak256(ethers.concat([
+    SET_CODE_TX_TYPE,
+    ethers.encodeRlp(getSetCodeTxFields(tx))
+  ]));
+}
+
+/**
+ * Sign a set code transaction with the key of the account paying for gas
+ * @param {ethers.Wallet|ethers.SigningKey} signer The transaction sender
+ * @param {Object} tx Transaction created with buildSetCodeTx
+ * @returns {Object} The transaction with its signature attached
+ */
+function signSetCodeTx(signer, tx) {
+  const signature = getSigningKey(signer).sign(hashSetCodeTx(tx));
+
+  return {
+    ...tx,
+    signature: {
+      yParity: signature.yParity,
+      r: signature.r,
+      s: signature.s
+    }
+  };
+}
+
+/**
+ * Serialize a set code transaction
+ * @param {Object} tx Transaction, signed or unsigned
+ * @returns {string} Raw transaction ready for eth_sendRawTransaction when signed
+ */
+function serialize(tx) {
+  const fields = getSetCodeTxFields(tx);
+
+  if (tx.signature) {
+    fields.push(
+      toRlpQuantity(tx.signature.yParity),
+      toRlpQuantity(tx.signature.r),
+      toRlpQuantity(tx.signature.s)
+    );
+  }
+
+  return ethers.hexlify(ethers.concat([SET_CODE_TX_TYPE, ethers.encodeRlp(fields)]));
+}
+
+/**
+ * Decode an RLP quantity into a bigint
+ * @param {string} value Hex string from ethers.decodeRlp
+ * @returns {bigint}
+ */
+function fromRlpQuantity(value) {
+  return value === '0x' ? 0n : ethers.toBigInt(value);
+}
+
+/**
+ * Decode an RLP-encoded authorization tuple
+ * @param {Array} fields [chainId, address, nonce, yParity, r, s]
+ * @returns {Object} Signed authorization
+ */
+function decodeAuthorization(fields) {
+  if (!Array.isArray(fields) || fields.length !== 6) {
+    throw new Error(`Authorization tuple must have 6 fields, got ${Array.isArray(fields) ? fields.length : 'bytes'}`);
+  }
+
+  const [chainId, address, nonce, yParity, r, s] = fields;
+  return {
+    chainId: fromRlpQuantity(chainId),
+    address: ethers.getAddress(address),
+    nonce: fromRlpQuantity(nonce),
+    yParity: Number(fromRlpQuantity(yParity)),
+    r: ethers.toBeHex(fromRlpQuantity(r), 32),
+    s: ethers.toBeHex(fromRlpQuantity(s), 32)
+  };
+}
+
+/**
+ * Parse a serialized set code transaction
+ * @param {string} rawTx Raw transaction starting with 0x04
+ * @returns {Object} Transaction in the shape returned by buildSetCodeTx, with
+ *   its signature attached when the payload is signed
+ */
+function parse(rawTx) {
+  const bytes = ethers.getBytes(rawTx);
+  if (bytes[0] !== Number(SET_CODE_TX_TYPE)) {
+    throw new Error(`Not a set code transaction: type 0x${bytes[0].toString(16).padStart(2, '0')}`);
+  }
+
+  const fields = ethers.decodeRlp(bytes.slice(1));
+  if (!Array.isArray(fields) || (fields.length !== 10 && fields.length !== 13)) {
+    throw new Error(`Set code transaction must have 10 or 13 fields, got ${fields.length}`);
+  }
+
+  const [
+    chainId,
+    nonce,
+    maxPriorityFeePerGas,
+    maxFeePerGas,
+    gasLimit,
+    to,
+    value,
+    data,
+    accessList,
+    authorizationList
+  ] = fields;
+
+  const tx = {
+    type: 4,
+    chainId: fromRlpQuantity(chainId),
+    nonce: fromRlpQuantity(nonce),
+    maxPriorityFeePerGas: fromRlpQuantity(maxPriorityFeePerGas),
+    maxFeePerGas: fromRlpQuantity(maxFeePerGas),
+    gasLimit: fromRlpQuantity(gasLimit),
+    to: ethers.getAddress(to),
+    value: fromRlpQuantity(value),
+    data,
+    accessList: accessList.map(([address, storageKeys]) => ({
+      address: ethers.getAddress(address),
+      storageKeys
+    })),
+    authorizationList: authorizationList.map(decodeAuthorization)
+  };
+
+  if (fields.length === 13) {
+    const [yParity, r, s] = fields.slice(10);
+    tx.signature = {
+      yParity: Number(fromRlpQuantity(yParity)),
+      r: ethers.toBeHex(fromRlpQuantity(r), 32),
+      s: ethers.toBeHex(fromRlpQuantity(s), 32)
+    };
+  }
+
+  return tx;
+}
+
+/**
+ * Check whether a signature's s value is in the lower half of the curve order
+ * @param {string|bigint} s The s component of the signature
+ * @returns {boolean}
+ */
+function isLowS(s) {
+  return ethers.toBigInt(s) <= SECP256K1_N / 2n;
+}
+
+/**
+ * Recover the address that signed an authorization tuple
+ * @param {Object} authorization Signed authorization
+ * @returns {string} Address of the authority
+ */
+function recoverAuthority(authorization) {
+  return ethers.recoverAddress(hashAuthorization(authorization), {
+    r: authorization.r,
+    s: authorization.s,
+    yParity: authorization.yParity
+  });
+}
+
+/**
+ * Recover the sender of a signed set code transaction
+ * @param {Object} tx Signed transaction, e.g. from parse
+ * @returns {string} Address of the account paying for gas
+ */
+function recoverSender(tx) {
+  if (!tx.signature) {
+    throw new Error('Transaction is not signed');
+  }
+  return ethers.recoverAddress(hashSetCodeTx(tx), tx.signature);
+}
+
+/**
+ * Convert a signed authorization to a JSON-safe object (e.g. to hand it to a sponsor)
+ * @param {Object} authorization Signed authorization
+ * @returns {Object} Authorization with hex-encoded integers
+ */
+function authorizationToJSON(authorization) {
+  return {
+    chainId: ethers.toBeHex(authorization.chainId),
+    address: authorization.address,
+    nonce: ethers.toBeHex(authorization.nonce),
+    yParity: authorization.yParity,
+    r: authorization.r,
+    s: authorization.s
+  };
+}
+
+/**
+ * Read a signed authorization produced by authorizationToJSON
+ * @param {Object} json Authorization with hex or decimal integers
+ * @returns {Object} Signed authorization
+ */
+function authorizationFromJSON(json) {
+  return {
+    ...buildAuthorization(json),
+    yParity: Number(json.yParity),
+    r: ethers.toBeHex(json.r, 32),
+    s: ethers.toBeHex(json.s, 32)
+  };
+}
+
+/**
+ * Get the address an account's code delegates to
+ * @param {string} code Account code from eth_getCode
+ * @returns {string|null} Delegate address, or null if the code is not a delegation designator
+ */
+function getDelegationAddress(code) {
+  if (!code || ethers.dataLength(code) !== 23 || !code.toLowerCase().startsWith(DELEGATION_PREFIX)) {
+    return null;
+  }
+  return ethers.getAddress(ethers.dataSlice(code, 3));
+}
+
+module.exports = {
+  SET_CODE_TX_TYPE,
+  AUTHORIZATION_MAGIC,
+  DELEGATION_PREFIX,
+  MAX_AUTHORIZATION_NONCE,
+  SECP256K1_N,
+  toRlpQuantity,
+  buildAuthorization,
+  hashAuthorization,
+  signAuthorization,
+  encodeAuthorization,
+  buildSetCodeTx,
+  getSetCodeTxFields,
+  hashSetCodeTx,
+  signSetCodeTx,
+  serialize,
+  decodeAuthorization,
+  parse,
+  isLowS,
+  recoverAuthority,
+  recoverSender,
+  authorizationToJSON,
+  authorizationFromJSON,
+  getDelegationAddress
+};
@@ -0,0 +1,149 @@
+const { ethers } = require('ethers');
+const { ERC1271_ABI } = require('./abis');
+
+/**
+ * ERC-1271 Signatures of Delegated EOAs
+ *
+ * An EOA delegated to BatchCallDelegation or Sponsor has code, so dapps check
+ * its signatures with isValidSignature (ERC-1271) rather than ecrecover. Both
+ * delegates accept a plain signature by the EOA's key, and the nested typed
+ * data signatures of ERC-7739, which wrap the signed content in the account's
+ * own EIP-712 domain so a signature is only valid for that account:
+ * - signTypedDataSign signs an app's EIP-712 message as a TypedDataSign
+ * - signPersonalSign signs a personal_sign message as a PersonalSign
+ *
+ * The account's domain comes from its eip712Domain (ERC-5267), see
+ * getAccountDomain.
+ */
+
+// Returned by isValidSignature for a valid signature
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+
+// isValidSignature(ERC7739_DETECTION_HASH, '0x') returns ERC7739_SUPPORT on accounts that implement ERC-7739
+const ERC7739_DETECTION_HASH = '0x7739773977397739773977397739773977397739773977397739773977397739';
+const ERC7739_SUPPORT = '0x77390001';
+
+/**
+ * EIP-712 domain of a delegated account, read from its eip712Domain
+ * @param {ethers.Provider} provider Provider to read from
+ * @param {string} account Delegated account
+ * @returns {Promise<{name: string, version: string, chainId: bigint, verifyingContract: string}>}
+ */
+async function getAccountDomain(provider, account) {
+  const { name, version, chainId, verifyingContract } =
+    await new ethers.Contract(account, ERC1271_ABI, provider).eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * Sign a personal_sign message as an ERC-7739 PersonalSign for a delegated account
+ *
+ * The signature is checked with the usual personal_sign hash
+ * (ethers.hashMessage) as the hash.
+ *
+ * @param {ethers.Wallet} signer The delegated EOA
+ * @param {string|Uint8Array} message Message, a string is signed as UTF-8
+ * @param {Object} accountDomain Result of getAccountDomain
+ * @returns {Promise<string>} 65-byte signature
+ */
+async function signPersonalSign(signer, message, accountDomain) {
+  const bytes = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+  const prefixed = ethers.concat([ethers.toUtf8Bytes(`${ethers.MessagePrefix}${bytes.length}`), bytes]);
+  return signer.signTypedData(accountDomain, { PersonalSign: [{ name: 'prefixed', type: 'bytes' }] }, { prefixed });
+}
+
+/**
+ * Sign an app's EIP-712 message as an ERC-7739 TypedDataSign for a delegated account
+ *
+ * The signature is checked with the app's usual EIP-712 hash
+ * (ethers.TypedDataEncoder.hash) as the hash.
+ *
+ * @param {ethers.Wallet} signer The delegated EOA
+ * @param {Object} appDomain EIP-712 domain of the app that verifies the signature
+ * @param {Object} types EIP-712 types of the message, without EIP712Domain
+ * @param {Object} message The message
+ * @param {Object} accountDomain Result of getAccountDomain
+ * @returns {Promise<string>} Signature ‖ app domain separator ‖ contents hash ‖ contents description ‖ its length
+ */
+async function signTypedDataSign(signer, appDomain, types, message, accountDomain) {
+  const contentsName = ethers.TypedDataEncoder.getPrimaryType(types);
+  const typedDataSignTypes = {
+    TypedDataSign: [
+      { name: 'contents', type: contentsName },
+      { name: 'name', type: 'string' },
+      { name: 'version', type: 'string' },
+      { name: 'chainId', type: 'uint256' },
+      { name: 'verifyingContract', type: 'address' },
+      { name: 'salt', type: 'bytes32' }
+    ],
+    ...types
+  };
+
+  // The contents type is what follows TypedDataSign(...) in the full type string, so its structs
+  // are sorted as EIP-712 requires. When it does not start with the contents struct, the name
+  // is appended (ERC-7739 explicit mode)
+  const encodedType = ethers.TypedDataEncoder.from(typedDataSignTypes).encodeType('TypedDataSign');
+  const contentsType = encodedType.slice(encodedType.indexOf(')') + 1);
+  const description = contentsType.startsWith(`${contentsName}(`) ? contentsType : `${contentsType}${contentsName}`;
+
+  const signature = await signer.signTypedData(appDomain, typedDataSignTypes, {
+    contents: message,
+    name: accountDomain.name,
+    version: accountDomain.version,
+    chainId: accountDomain.chainId,
+    verifyingContract: accountDomain.verifyingContract,
+    salt: ethers.ZeroHash
+  });
+
+  const descriptionBytes = ethers.toUtf8Bytes(description);
+  return ethers.concat([
+    signature,
+    ethers.TypedDataEncoder.hashDomain(appDomain),
+    ethers.TypedDataEncoder.hashStruct(contentsName, types, message),
+    descriptionBytes,
+    ethers.toBeHex(descriptionBytes.length, 2)
+  ]);
+}
+
+/**
+ * Check a signature the way a dapp does for a contract account
+ * @param {ethers.Provider} provider Provider to call the account with
+ * @param {string} account Delegated account
+ * @param {string} hash Hash of the signed data
+ * @param {string} signature Signature
+ * @returns {Promise<boolean>} False as well when the account has no isValidSignature
+ */
+async function isValidERC1271Signature(provider, account, hash, signature) {
+  try {
+    const result = await new ethers.Contract(account, ERC1271_ABI, provider).isValidSignature(hash, signature);
+    return result === ERC1271_MAGIC_VALUE;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether an account supports ERC-7739 nested typed data signatures
+ * @param {ethers.Provider} provider Provider to call the account with
+ * @param {string} account Delegated account
+ * @returns {Promise<boolean>}
+ */
+async function supportsERC7739(provider, account) {
+  try {
+    const result = await new ethers.Contract(account, ERC1271_ABI, provider).isValidSignature(ERC7739_DETECTION_HASH, '0x');
+    return result === ERC7739_SUPPORT;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  ERC1271_MAGIC_VALUE,
+  ERC7739_DETECTION_HASH,
+  ERC7739_SUPPORT,
+  getAccountDomain,
+  signPersonalSign,
+  signTypedDataSign,
+  isValidERC1271Signature,
+  supportsERC7739
+};
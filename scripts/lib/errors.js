@@ -0,0 +1,269 @@
+const { ethers } = require('ethers');
+const { KNOWN_ABIS } = require('./abis');
+
+/**
+ * Error Classification
+ *
+ * Maps node responses and revert data to a typed cause, so scripts can tell
+ * a network without EIP-7702 support apart from an ordinary nonce, funding
+ * or fee problem, and can name the contract error behind a revert.
+ */
+
+const ERROR_CAUSES = {
+  UNSUPPORTED_TX_TYPE: 'unsupported-tx-type',
+  NONCE_TOO_LOW: 'nonce-too-low',
+  NONCE_TOO_HIGH: 'nonce-too-high',
+  INSUFFICIENT_FUNDS: 'insufficient-funds',
+  UNDERPRICED: 'underpriced',
+  INTRINSIC_GAS_TOO_LOW: 'intrinsic-gas-too-low',
+  REVERTED: 'reverted',
+  UNKNOWN: 'unknown'
+};
+
+// Checked in order against every message found in the error. The patterns
+// cover geth, Nethermind, Besu, Erigon and Hardhat wording.
+const MESSAGE_PATTERNS = [
+  {
+    cause: ERROR_CAUSES.UNSUPPORTED_TX_TYPE,
+    pattern: /transaction type not supported|(unsupported|invalid|unknown) (transaction|tx) type|typed transaction too short|failed to decode|could not decode|rlp: |not supported by the current hardfork/i
+  },
+  { cause: ERROR_CAUSES.NONCE_TOO_LOW, pattern: /nonce too low|nonce has already been used|old ?nonce/i },
+  { cause: ERROR_CAUSES.NONCE_TOO_HIGH, pattern: /nonce too high|nonce gap|future nonce/i },
+  { cause: ERROR_CAUSES.INSUFFICIENT_FUNDS, pattern: /insufficient funds|doesn't have enough funds|insufficient balance/i },
+  {
+    cause: ERROR_CAUSES.UNDERPRICED,
+    pattern: /underpriced|fee too low|less than (the )?block base fee|maxFeePerGas \(\d+\) is too low|fee cap .* too low/i
+  },
+  { cause: ERROR_CAUSES.INTRINSIC_GAS_TOO_LOW, pattern: /intrinsic gas too low|requires at least \d+ gas|gas limit is too low/i }
+];
+
+// Error codes ethers assigns when it recognises the node response itself
+const ETHERS_CODES = {
+  NONCE_EXPIRED: ERROR_CAUSES.NONCE_TOO_LOW,
+  INSUFFICIENT_FUNDS: ERROR_CAUSES.INSUFFICIENT_FUNDS,
+  REPLACEMENT_UNDERPRICED: ERROR_CAUSES.UNDERPRICED
+};
+
+const DESCRIPTIONS = {
+  [ERROR_CAUSES.UNSUPPORTED_TX_TYPE]: {
+    label: 'Unsupported transaction type',
+    hint: 'The node cannot decode set code transactions (type 0x04); this network may not support EIP-7702 yet'
+  },
+  [ERROR_CAUSES.NONCE_TOO_LOW]: {
+    label: 'Nonce too low',
+    hint: 'The sender nonce was already used; read the pending nonce again and re-sign'
+  },
+  [ERROR_CAUSES.NONCE_TOO_HIGH]: {
+    label: 'Nonce too high',
+    hint: 'An earlier nonce of the sender has not been used yet'
+  },
+  [ERROR_CAUSES.INSUFFICIENT_FUNDS]: {
+    label: 'Insufficient funds',
+    hint: 'The account paying for gas cannot cover gas limit x max fee plus value; fund the sponsor'
+  },
+  [ERROR_CAUSES.UNDERPRICED]: {
+    label: 'Transaction underpriced',
+    hint: 'The max fee is below the base fee, or too low to replace a pending transaction'
+  },
+  [ERROR_CAUSES.INTRINSIC_GAS_TOO_LOW]: {
+    label: 'Intrinsic gas too low',
+    hint: 'The gas limit does not cover the base cost, calldata and 25000 gas per authorization'
+  },
+  [ERROR_CAUSES.REVERTED]: {
+    label: 'Execution reverted',
+    hint: null
+  },
+  [ERROR_CAUSES.UNKNOWN]: {
+    label: 'Unclassified error',
+    hint: null
+  }
+};
+
+const knownInterfaces = Object.entries(KNOWN_ABIS).map(([contract, abi]) => ({
+  contract,
+  iface: new ethers.Interface(abi)
+}));
+
+// Why each contract error is thrown
+const REVERT_HINTS = {
+  TransferFailed: 'The delegated account could not send the amount (too little balance, or the recipient rejects ETH)',
+  InvalidSignature: 'The Sponsor message was not signed by the delegated account, or was signed for another domain',
+  NonceAlreadyUsed: 'The Sponsor message nonce is not the next one of its key in the account (already used or cancelled, or signed ahead of another request)',
+  CallReverted: 'The target of the SponsoredCall reverted; its revert data is in the error',
+  TokenTransferFailed: 'The token transfer reverted or returned false (too few tokens in the delegated account), or the token address is not a contract',
+  FeeTooHigh: 'The relayer charged more than the maximum fee the user signed',
+  OutsideValidityWindow: 'The Sponsor message was relayed before its validAfter or after its validUntil; sign it again',
+  NotAccount: 'Only the delegated account itself may call invalidateNonces; a sponsor must relay a signed SponsoredCancel',
+  NoNonces: 'The cancellation lists no nonces, list the nonce of each request to cancel',
+  'call reverted': 'One of the calls in the BatchCallDelegation batch failed, so the whole batch was reverted',
+  RequiredCallFailed: 'A call marked required in the non-atomic batch failed, so the whole batch was reverted',
+  Unauthorized: 'Only the delegated account itself may call execute directly; a sponsor must relay a signed batch',
+  InvalidBatchSignature: 'The batch was not signed by the delegated account, or was signed for another chain or account',
+  BatchNonceAlreadyUsed: 'The batch nonce does not match the account\'s current BatchCallDelegation nonce',
+  BatchExpired: 'The deadline of the signed batch has passed, sign it again'
+};
+
+/**
+ * Collect the messages of an error and the errors it wraps
+ * @param {Error} error Error thrown by ethers, Hardhat or the node
+ * @returns {string[]}
+ */
+function collectMessages(error) {
+  const messages = [];
+  const seen = new Set();
+  const visit = (value) => {
+    if (!value || typeof value !== 'object' || seen.has(value)) {
+      return;
+    }
+    seen.add(value);
+    for (const key of ['shortMessage', 'message', 'reason']) {
+      if (typeof value[key] === 'string') {
+        messages.push(value[key]);
+      }
+    }
+    visit(value.error);
+    visit(value.info && value.info.error);
+    visit(value.parent);
+    visit(value.cause);
+  };
+  visit(error);
+  return messages;
+}
+
+/**
+ * Find revert data in an error and the errors it wraps
+ * @param {Error} error Error thrown by ethers, Hardhat or the node
+ * @returns {string|null}
+ */
+function findRevertData(error) {
+  const seen = new Set();
+  const visit = (value) => {
+    if (!value || typeof value !== 'object' || seen.has(value)) {
+      return null;
+    }
+    seen.add(value);
+    // Some nodes nest the data as { data: '0x...' }
+    const data = typeof value.data === 'object' && value.data !== null ? value.data.data : value.data;
+    if (typeof data === 'string' && ethers.isHexString(data) && data.length >= 10) {
+      return data;
+    }
+    return visit(value.error) || visit(value.info && value.info.error) || visit(value.parent) || visit(value.cause);
+  };
+  return visit(error);
+}
+
+/**
+ * Decode revert data against Error(string), Panic(uint256) and the errors of
+ * the contracts in this repository
+ * @param {string} data Revert data
+ * @returns {{contract: string|null, name: string, args: Array, signature: string}|null}
+ */
+function decodeRevertData(data) {
+  if (!data || !ethers.isHexString(data) || data.length < 10) {
+    return null;
+  }
+
+  const selector = ethers.dataSlice(data, 0, 4);
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  try {
+    if (selector === '0x08c379a0') {
+      const [reason] = coder.decode(['string'], ethers.dataSlice(data, 4));
+      return { contract: null, name: 'Error', args: [reason], signature: 'Error(string)' };
+    }
+    if (selector === '0x4e487b71') {
+      const [code] = coder.decode(['uint256'], ethers.dataSlice(data, 4));
+      return { contract: null, name: 'Panic', args: [code], signature: 'Panic(uint256)' };
+    }
+  } catch (error) {
+    return null;
+  }
+
+  for (const { contract, iface } of knownInterfaces) {
+    const parsed = iface.parseError(data);
+    if (parsed) {
+      return { contract, name: parsed.name, args: [...parsed.args], signature: parsed.signature };
+    }
+  }
+  return null;
+}
+
+/**
+ * Classify an error thrown while estimating, sending or waiting for a
+ * transaction
+ * @param {Error} error Error thrown by ethers, Hardhat or the node
+ * @returns {{cause: string, label: string, message: string, hint: string|null, revert: Object|null, revertData: string|null}}
+ */
+function classifyError(error) {
+  const messages = collectMessages(error);
+  const revertData = findRevertData(error);
+  const revert = decodeRevertData(revertData);
+
+  let cause = ERROR_CAUSES.UNKNOWN;
+  if (revertData || error.code === 'CALL_EXCEPTION' || messages.some((m) => /revert/i.test(m))) {
+    cause = ERROR_CAUSES.REVERTED;
+  } else if (ETHERS_CODES[error.code]) {
+    cause = ETHERS_CODES[error.code];
+  } else {
+    const match = MESSAGE_PATTERNS.find(({ pattern }) => messages.some((m) => pattern.test(m)));
+    if (match) {
+      cause = match.cause;
+    }
+  }
+
+  // The innermost message is the node's own wording
+  const message = messages.length > 0 ? messages[messages.length - 1] : String(error);
+
+  let hint = DESCRIPTIONS[cause].hint;
+  if (revert) {
+    hint = REVERT_HINTS[revert.name === 'Error' ? revert.args[0] : revert.name] || null;
+  }
+
+  return { cause, label: DESCRIPTIONS[cause].label, message, hint, revert, revertData };
+}
+
+/**
+ * Whether a classified error means the network cannot handle set code
+ * transactions, so a standard transaction is worth trying instead
+ * @param {Object} classified Result of classifyError
+ * @returns {boolean}
+ */
+function isUnsupportedNetworkError(classified) {
+  return classified.cause === ERROR_CAUSES.UNSUPPORTED_TX_TYPE;
+}
+
+/**
+ * Format a decoded revert as Contract.Name(args)
+ * @param {Object} revert Decoded revert from decodeRevertData
+ * @returns {string}
+ */
+function formatRevert(revert) {
+  const args = revert.args.map((arg) => (typeof arg === 'string' ? `"${arg}"` : String(arg))).join(', ');
+  return `${revert.contract ? `${revert.contract}.` : ''}${revert.name}(${args})`;
+}
+
+/**
+ * Print a classified error
+ * @param {Object} classified Result of classifyError
+ * @param {string} [context] What was being done when the error happened
+ */
+function logClassifiedError(classified, context) {
+  console.error(`❌ ${context ? `${context}: ` : ''}${classified.label} [${classified.cause}]`);
+  console.error(`   Message: ${classified.message}`);
+  if (classified.revert) {
+    console.error(`   Revert: ${formatRevert(classified.revert)}`);
+  } else if (classified.revertData) {
+    console.error(`   Revert data: ${classified.revertData}`);
+  }
+  if (classified.hint) {
+    console.error(`   Hint: ${classified.hint}`);
+  }
+}
+
+module.exports = {
+  ERROR_CAUSES,
+  classifyError,
+  decodeRevertData,
+  formatRevert,
+  isUnsupportedNetworkError,
+  logClassifiedError
+};
@@ -0,0 +1,272 @@
+const { ethers } = require('ethers');
+const { recoverAuthority } = require('./eip7702');
+const { ERROR_CAUSES, classifyError } = require('./errors');
+
+/**
+ * Gas Estimation for Set Code Transactions
+ *
+ * The gas limit of a set code transaction (type 0x04) is its intrinsic cost
+ * plus the gas used by the call:
+ * - 21000 base cost
+ * - 4 gas per zero and 16 gas per non-zero calldata byte (EIP-2028)
+ * - 2400 per access list address and 1900 per storage key (EIP-2930)
+ * - 25000 per authorization (PER_EMPTY_ACCOUNT_COST), of which 12500 is
+ *   refunded when the authority already exists (EIP-7702)
+ * The total can never be below the calldata floor of EIP-7623.
+ *
+ * The call itself is estimated with eth_estimateGas including the
+ * authorization list where the node supports it, otherwise by overriding
+ * the authority's code with the delegate's code, otherwise with a fixed
+ * fallback. An estimate with the authorization list that does not exceed
+ * the intrinsic cost of a delegating transaction means the node ignored the
+ * list, and the state override is used instead.
+ */
+
+const TX_BASE_GAS = 21000n;
+const TX_DATA_ZERO_GAS = 4n;
+const TX_DATA_NON_ZERO_GAS = 16n;
+const ACCESS_LIST_ADDRESS_GAS = 2400n;
+const ACCESS_LIST_STORAGE_KEY_GAS = 1900n;
+const PER_EMPTY_ACCOUNT_COST = 25000n;
+const PER_AUTH_BASE_COST = 12500n;
+const TOTAL_COST_FLOOR_PER_TOKEN = 10n;
+
+// Applied on top of the estimate, overridden with GAS_MARGIN_PERCENT
+const DEFAULT_MARGIN_PERCENT = 20;
+
+// Execution gas assumed when the node cannot estimate the call
+const DEFAULT_FALLBACK_EXECUTION_GAS = 100000n;
+
+/**
+ * Compute the intrinsic gas of a set code transaction
+ * @param {Object} tx Transaction with data, accessList and authorizationList
+ * @returns {{base: bigint, calldata: bigint, accessList: bigint, authorizations: bigint, total: bigint, floor: bigint}}
+ */
+function computeIntrinsicGas(tx) {
+  const data = ethers.getBytes(tx.data || '0x');
+  const zeroBytes = BigInt(data.filter((byte) => byte === 0).length);
+  const nonZeroBytes = BigInt(data.length) - zeroBytes;
+
+  const accessList = (tx.accessList || []).reduce(
+    (sum, entry) => sum + ACCESS_LIST_ADDRESS_GAS + ACCESS_LIST_STORAGE_KEY_GAS * BigInt(entry.storageKeys.length),
+    0n
+  );
+
+  const intrinsic = {
+    base: TX_BASE_GAS,
+    calldata: zeroBytes * TX_DATA_ZERO_GAS + nonZeroBytes * TX_DATA_NON_ZERO_GAS,
+    accessList,
+    authorizations: PER_EMPTY_ACCOUNT_COST * BigInt((tx.authorizationList || []).length)
+  };
+  intrinsic.total = intrinsic.base + intrinsic.calldata + intrinsic.accessList + intrinsic.authorizations;
+
+  // EIP-7623: a non-zero byte counts as four tokens
+  const tokens = zeroBytes + nonZeroBytes * 4n;
+  intrinsic.floor = TX_BASE_GAS + tokens * TOTAL_COST_FLOOR_PER_TOKEN;
+
+  return intrinsic;
+}
+
+/**
+ * Work out the refund for authorizations whose authority already exists
+ * @param {ethers.Provider} provider Provider to read account state from
+ * @param {Array} authorizationList Signed authorizations
+ * @returns {Promise<bigint>}
+ */
+async function computeAuthorizationRefund(provider, authorizationList) {
+  let refund = 0n;
+  for (const authorization of authorizationList) {
+    let authority;
+    try {
+      authority = recoverAuthority(authorization);
+    } catch (error) {
+      continue;
+    }
+
+    const [nonce, balance, code] = await Promise.all([
+      provider.getTransactionCount(authority),
+      provider.getBalance(authority),
+      provider.getCode(authority)
+    ]);
+    if (nonce > 0 || balance > 0n || code !== '0x') {
+      refund += PER_EMPTY_ACCOUNT_COST - PER_AUTH_BASE_COST;
+    }
+  }
+  return refund;
+}
+
+/**
+ * Format a transaction as an eth_estimateGas call object
+ * @param {string} from Sender address
+ * @param {Object} tx Transaction fields
+ * @param {boolean} withAuthorizations Whether to include the authorization list
+ * @returns {Object}
+ */
+function toCallRequest(from, tx, withAuthorizations) {
+  const request = {
+    from,
+    to: tx.to,
+    data: tx.data || '0x',
+    value: ethers.toQuantity(tx.value || 0n)
+  };
+
+  if (tx.accessList && tx.accessList.length > 0) {
+    request.accessList = tx.accessList;
+  }
+  if (withAuthorizations) {
+    request.authorizationList = tx.authorizationList.map((authorization) => ({
+      chainId: ethers.toQuantity(authorization.chainId),
+      address: authorization.address,
+      nonce: ethers.toQuantity(authorization.nonce),
+      yParity: ethers.toQuantity(authorization.yParity),
+      r: authorization.r,
+      s: authorization.s
+    }));
+  }
+
+  return request;
+}
+
+/**
+ * Whether an estimation error means the call reverts, rather than the node
+ * not supporting the request
+ * @param {Error} error Error thrown by eth_estimateGas
+ * @returns {boolean}
+ */
+function isRevertError(error) {
+  return classifyError(error).cause === ERROR_CAUSES.REVERTED;
+}
+
+/**
+ * Estimate the gas used by the call of a set code transaction
+ * @param {ethers.Provider} provider Provider to estimate with
+ * @param {string} from Sender address
+ * @param {Object} tx Transaction fields
+ * @param {Object} intrinsic Result of computeIntrinsicGas
+ * @returns {Promise<{method: string, execution: bigint|null}>}
+ */
+async function estimateExecutionGas(provider, from, tx, intrinsic) {
+  // The authorization that applies to the called account, when it is one of the authorities
+  const authorization = [...tx.authorizationList].reverse().find((a) => {
+    try {
+      return ethers.getAddress(recoverAuthority(a)) === ethers.getAddress(tx.to);
+    } catch (error) {
+      return false;
+    }
+  });
+  const delegated = authorization !== undefined && authorization.address !== ethers.ZeroAddress;
+
+  // Nodes that support EIP-7702 in eth_estimateGas return the full cost. Some
+  // accept the authorization list but ignore it: the call then reaches an
+  // account without code and costs no more than the intrinsic gas, which is
+  // not trusted when the called account is being delegated
+  try {
+    const estimate = BigInt(await provider.send('eth_estimateGas', [toCallRequest(from, tx, true)]));
+    const execution = estimate - intrinsic.total;
+    if (execution > 0n || !delegated) {
+      return { method: 'eth_estimateGas', execution: execution > 0n ? execution : 0n };
+    }
+  } catch (error) {
+    if (isRevertError(error)) {
+      throw error;
+    }
+  }
+
+  // Otherwise run the call without the authorization list, placing the
+  // delegate's code at the called account when it is one of the authorities
+  const params = [toCallRequest(from, tx, false)];
+  if (delegated) {
+    params.push('latest', { [tx.to]: { code: await provider.getCode(authorization.address) } });
+  }
+
+  try {
+    const estimate = BigInt(await provider.send('eth_estimateGas', params));
+    const execution = estimate - (intrinsic.base + intrinsic.calldata + intrinsic.accessList);
+    return {
+      method: params.length > 1 ? 'state override' : 'eth_estimateGas without authorizations',
+      execution: execution > 0n ? execution : 0n
+    };
+  } catch (error) {
+    if (isRevertError(error)) {
+      throw error;
+    }
+  }
+
+  return { method: 'intrinsic only', execution: null };
+}
+
+/**
+ * Estimate the gas limit of a set code transaction
+ * @param {ethers.Provider} provider Provider to estimate with
+ * @param {Object} tx Transaction fields (to, value, data, accessList, authorizationList)
+ * @param {Object} options
+ * @param {string} options.from Sender address
+ * @param {number} [options.marginPercent] Safety margin added to the estimate
+ * @param {bigint} [options.fallbackExecutionGas] Execution gas used when the call cannot be estimated
+ * @returns {Promise<Object>} gasLimit, the estimation method and a breakdown of the estimate
+ */
+async function estimateSetCodeTxGas(provider, tx, {
+  from,
+  marginPercent = Number(process.env.GAS_MARGIN_PERCENT || DEFAULT_MARGIN_PERCENT),
+  fallbackExecutionGas = DEFAULT_FALLBACK_EXECUTION_GAS
+}) {
+  const intrinsic = computeIntrinsicGas(tx);
+  const refund = await computeAuthorizationRefund(provider, tx.authorizationList || []);
+  const { method, execution } = await estimateExecutionGas(provider, from, tx, intrinsic);
+
+  const executionGas = execution === null ? fallbackExecutionGas : execution;
+  const estimate = intrinsic.total + executionGas > intrinsic.floor
+    ? intrinsic.total + executionGas
+    : intrinsic.floor;
+  const margin = estimate * BigInt(Math.round(marginPercent * 100)) / 10000n;
+
+  return {
+    gasLimit: estimate + margin,
+    method,
+    breakdown: {
+      base: intrinsic.base,
+      calldata: intrinsic.calldata,
+      accessList: intrinsic.accessList,
+      authorizations: intrinsic.authorizations,
+      execution: executionGas,
+      floor: intrinsic.floor,
+      estimate,
+      margin,
+      marginPercent,
+      refund
+    }
+  };
+}
+
+/**
+ * Print the breakdown of a gas estimate
+ * @param {Object} result Result of estimateSetCodeTxGas
+ */
+function logGasEstimate({ gasLimit, method, breakdown }) {
+  console.log(`Gas estimate (${method}):`);
+  console.log(`  Base:           ${breakdown.base}`);
+  console.log(`  Calldata:       ${breakdown.calldata}`);
+  if (breakdown.accessList > 0n) {
+    console.log(`  Access list:    ${breakdown.accessList}`);
+  }
+  console.log(`  Authorizations: ${breakdown.authorizations}`);
+  console.log(`  Execution:      ${breakdown.execution}${method === 'intrinsic only' ? ' (fallback, call could not be estimated)' : ''}`);
+  if (breakdown.floor > breakdown.base + breakdown.calldata + breakdown.accessList + breakdown.authorizations + breakdown.execution) {
+    console.log(`  Calldata floor: ${breakdown.floor} (EIP-7623)`);
+  }
+  console.log(`  Margin:         ${breakdown.margin} (${breakdown.marginPercent}%)`);
+  console.log(`  Gas limit:      ${gasLimit}`);
+  if (breakdown.refund > 0n) {
+    console.log(`  Expected refund for existing authorities: ${breakdown.refund}`);
+  }
+}
+
+module.exports = {
+  PER_EMPTY_ACCOUNT_COST,
+  PER_AUTH_BASE_COST,
+  computeIntrinsicGas,
+  computeAuthorizationRefund,
+  toCallRequest,
+  estimateSetCodeTxGas,
+  logGasEstimate
+};
@@ -0,0 +1,212 @@
+const { ethers } = require('ethers');
+const {
+  MAX_AUTHORIZATION_NONCE,
+  parse,
+  isLowS,
+  recoverAuthority,
+  recoverSender
+} = require('./eip7702');
+const { KNOWN_ABIS } = require('./abis');
+
+const knownInterfaces = Object.entries(KNOWN_ABIS).map(([contract, abi]) => ({
+  contract,
+  iface: new ethers.Interface(abi)
+}));
+
+/**
+ * Decode calldata against the ABIs of the contracts in this repository
+ * @param {string} data Calldata
+ * @param {bigint} [value] Value sent with the call
+ * @returns {Object|null} Decoded call, or null when no known function matches.
+ *   Calls to BatchCallDelegation.execute and tryExecute, and to Sponsor.sponsoredCall,
+ *   include the decoded inner calls.
+ */
+function decodeCalldata(data, value = 0n) {
+  if (!data || data === '0x') {
+    return null;
+  }
+
+  for (const { contract, iface } of knownInterfaces) {
+    let parsed;
+    try {
+      parsed = iface.parseTransaction({ data, value });
+    } catch (error) {
+      continue;
+    }
+    if (!parsed) {
+      continue;
+    }
+
+    const decoded = {
+      contract,
+      name: parsed.name,
+      signature: parsed.signature,
+      args: parsed.fragment.inputs.map((input, i) => ({
+        name: input.name,
+        type: input.type,
+        value: parsed.args[i]
+      }))
+    };
+
+    if (contract === 'BatchCallDelegation' && ['execute', 'tryExecute'].includes(parsed.name)) {
+      decoded.calls = parsed.args[0].map((call) => ({
+        to: call.to,
+        value: call.value,
+        data: call.data,
+        required: parsed.name === 'execute' || call.required,
+        decoded: decodeCalldata(call.data, call.value)
+      }));
+    } else if (contract === 'Sponsor' && parsed.name === 'sponsoredCall') {
+      const { target, value: callValue, data: callData } = parsed.args;
+      decoded.calls = [{
+        to: target,
+        value: callValue,
+        data: callData,
+        required: true,
+        decoded: decodeCalldata(callData, callValue)
+      }];
+    }
+
+    return decoded;
+  }
+
+  return null;
+}
+
+/**
+ * Decode an event log against the ABIs of the contracts in this repository
+ * @param {{topics: string[], data: string}} log Event log
+ * @returns {Object|null} Decoded event, or null when no known event matches
+ */
+function decodeLog(log) {
+  for (const { contract, iface } of knownInterfaces) {
+    let parsed;
+    try {
+      parsed = iface.parseLog(log);
+    } catch (error) {
+      continue;
+    }
+    if (!parsed) {
+      continue;
+    }
+
+    return {
+      contract,
+      name: parsed.name,
+      signature: parsed.signature,
+      args: parsed.fragment.inputs.map((input, i) => ({
+        name: input.name,
+        type: input.type,
+        value: parsed.args[i]
+      }))
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check the r/s/yParity components of a signature
+ * @param {Object} signature Signature with yParity, r and s
+ * @returns {Array<{check: string, ok: boolean, detail: string}>}
+ */
+function checkSignature(signature) {
+  return [
+    {
+      check: 'yParity',
+      ok: signature.yParity === 0 || signature.yParity === 1,
+      detail: `yParity is ${signature.yParity}`
+    },
+    {
+      check: 'low-s',
+      ok: isLowS(signature.s),
+      detail: isLowS(signature.s) ? 's <= secp256k1n/2' : 's > secp256k1n/2 (malleable signature, rejected by nodes)'
+    }
+  ];
+}
+
+/**
+ * Decode and check a raw set code transaction
+ * @param {string} rawTx Raw transaction starting with 0x04
+ * @param {Object} [options]
+ * @param {bigint} [options.chainId] Chain ID of the network the transaction is meant for
+ * @returns {Object} Report with the decoded transaction, recovered addresses,
+ *   decoded calldata and the result of every check
+ */
+function inspectTransaction(rawTx, { chainId } = {}) {
+  const tx = parse(rawTx);
+  const report = {
+    hash: tx.signature ? ethers.keccak256(rawTx) : null,
+    tx,
+    sender: null,
+    checks: [],
+    authorizations: [],
+    call: decodeCalldata(tx.data, tx.value)
+  };
+
+  if (tx.signature) {
+    report.checks.push(...checkSignature(tx.signature));
+    try {
+      report.sender = recoverSender(tx);
+    } catch (error) {
+      report.checks.push({ check: 'sender', ok: false, detail: `Cannot recover sender: ${error.message}` });
+    }
+  } else {
+    report.checks.push({ check: 'signature', ok: false, detail: 'Transaction is not signed' });
+  }
+
+  if (chainId !== undefined) {
+    report.checks.push({
+      check: 'chainId',
+      ok: tx.chainId === ethers.getBigInt(chainId),
+      detail: `Transaction chain ${tx.chainId}, network chain ${chainId}`
+    });
+  }
+
+  tx.authorizationList.forEach((authorization, index) => {
+    const entry = { index, ...authorization, authority: null, checks: checkSignature(authorization) };
+
+    entry.checks.push({
+      check: 'chainId',
+      ok: authorization.chainId === 0n || authorization.chainId === tx.chainId,
+      detail: authorization.chainId === 0n
+        ? 'Valid on any chain'
+        : `Authorization chain ${authorization.chainId}, transaction chain ${tx.chainId}`
+    });
+
+    entry.checks.push({
+      check: 'nonce',
+      ok: authorization.nonce <= MAX_AUTHORIZATION_NONCE,
+      detail: `Nonce ${authorization.nonce}`
+    });
+
+    try {
+      entry.authority = recoverAuthority(authorization);
+    } catch (error) {
+      entry.checks.push({ check: 'authority', ok: false, detail: `Cannot recover authority: ${error.message}` });
+    }
+
+    // The sender's nonce is incremented before the authorization list is processed
+    if (entry.authority && entry.authority === report.sender) {
+      entry.checks.push({
+        check: 'self-sponsored nonce',
+        ok: authorization.nonce === tx.nonce + 1n,
+        detail: `Authority is the sender, authorization nonce must be ${tx.nonce + 1n}`
+      });
+    }
+
+    report.authorizations.push(entry);
+  });
+
+  report.valid = report.checks.every((c) => c.ok) &&
+    report.authorizations.every((a) => a.checks.every((c) => c.ok));
+
+  return report;
+}
+
+module.exports = {
+  decodeCalldata,
+  decodeLog,
+  checkSignature,
+  inspectTransaction
+};
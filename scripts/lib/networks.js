@@ -0,0 +1,145 @@
+const { ethers } = require('ethers');
+
+/**
+ * Network Presets
+ *
+ * Chain details used by hardhat.config.js and the scripts. Each preset has:
+ * - chainId: Chain ID the network must report
+ * - rpcUrlEnv: Environment variable holding the RPC URL
+ * - fallbackRpcUrlEnv: Environment variable used when rpcUrlEnv is not set (RPC_URL, sichang only)
+ * - explorerTxUrl: Block explorer URL template for a transaction, `{hash}` is replaced
+ * - fees: Fee defaults used when the node does not report EIP-1559 fee data
+ * - supportsEIP7702: Whether the network accepts set code transactions (type 0x04)
+ */
+const NETWORK_PRESETS = {
+  hardhat: {
+    name: 'hardhat',
+    chainId: 31337,
+    rpcUrlEnv: null,
+    explorerTxUrl: null,
+    fees: {
+      gasPrice: ethers.parseUnits('1', 'gwei'),
+      maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei')
+    },
+    supportsEIP7702: true
+  },
+  sichang: {
+    name: 'sichang',
+    chainId: 700011,
+    rpcUrlEnv: 'SICHANG_RPC_URL',
+    fallbackRpcUrlEnv: 'RPC_URL',
+    explorerTxUrl: 'https://sichang.thaichain.org/tx/{hash}',
+    fees: {
+      gasPrice: ethers.parseUnits('10', 'gwei'),
+      maxPriorityFeePerGas: ethers.parseUnits('10', 'gwei')
+    },
+    supportsEIP7702: true
+  },
+  sepolia: {
+    name: 'sepolia',
+    chainId: 11155111,
+    rpcUrlEnv: 'SEPOLIA_RPC_URL',
+    explorerTxUrl: 'https://sepolia.etherscan.io/tx/{hash}',
+    fees: {
+      gasPrice: ethers.parseUnits('3', 'gwei'),
+      maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei')
+    },
+    supportsEIP7702: true
+  },
+  holesky: {
+    name: 'holesky',
+    chainId: 17000,
+    rpcUrlEnv: 'HOLESKY_RPC_URL',
+    explorerTxUrl: 'https://holesky.etherscan.io/tx/{hash}',
+    fees: {
+      gasPrice: ethers.parseUnits('3', 'gwei'),
+      maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei')
+    },
+    supportsEIP7702: true
+  }
+};
+
+// Used for chains without a preset
+const DEFAULT_FEES = {
+  gasPrice: ethers.parseUnits('10', 'gwei'),
+  maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei')
+};
+
+/**
+ * Find the preset for a chain ID
+ * @param {bigint|number} chainId Chain ID reported by the network
+ * @returns {Object} The matching preset, or a generic one without explorer
+ *   and EIP-7702 support for unknown chains
+ */
+function getNetworkPreset(chainId) {
+  const preset = Object.values(NETWORK_PRESETS)
+    .find((p) => BigInt(p.chainId) === BigInt(chainId));
+
+  return preset || {
+    name: `chain-${chainId}`,
+    chainId: Number(chainId),
+    rpcUrlEnv: null,
+    explorerTxUrl: null,
+    fees: DEFAULT_FEES,
+    supportsEIP7702: false
+  };
+}
+
+/**
+ * Load the preset of the network a provider is connected to
+ * @param {ethers.Provider} provider Connected provider
+ * @returns {Promise<Object>}
+ */
+async function loadNetworkPreset(provider) {
+  const { chainId } = await provider.getNetwork();
+  return getNetworkPreset(chainId);
+}
+
+/**
+ * Resolve EIP-1559 fees, falling back to the preset's fee defaults
+ * @param {ethers.Provider} provider Connected provider
+ * @param {Object} preset Network preset
+ * @returns {Promise<{maxPriorityFeePerGas: bigint, maxFeePerGas: bigint}>}
+ */
+async function resolveFees(provider, preset) {
+  const feeData = await provider.getFeeData();
+  const gasPrice = feeData.gasPrice || preset.fees.gasPrice;
+  const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas || preset.fees.maxPriorityFeePerGas;
+  const maxFeePerGas = feeData.maxFeePerGas || gasPrice;
+
+  return {
+    maxPriorityFeePerGas: maxPriorityFeePerGas < maxFeePerGas ? maxPriorityFeePerGas : maxFeePerGas,
+    maxFeePerGas
+  };
+}
+
+/**
+ * Build the block explorer link for a transaction
+ * @param {Object} preset Network preset
+ * @param {string} txHash Transaction hash
+ * @returns {string|null} Explorer URL, or null when the network has no explorer
+ */
+function getExplorerTxUrl(preset, txHash) {
+  return preset.explorerTxUrl ? preset.explorerTxUrl.replace('{hash}', txHash) : null;
+}
+
+/**
+ * Print the block explorer link for a transaction, if the network has an explorer
+ * @param {Object} preset Network preset
+ * @param {string} txHash Transaction hash
+ */
+function logExplorerLink(preset, txHash) {
+  const url = getExplorerTxUrl(preset, txHash);
+  if (url) {
+    console.log(`View on explorer: ${url}`);
+  }
+}
+
+module.exports = {
+  NETWORK_PRESETS,
+  getNetworkPreset,
+  loadNetworkPreset,
+  resolveFees,
+  getExplorerTxUrl,
+  logExplorerLink
+};
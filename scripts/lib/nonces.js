@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { encodeSponsorNonce, decodeSponsorNonce, getSponsorNonce } = require('./sponsor');
+
+/**
+ * Sponsor Nonce Manager
+ *
+ * Allocates the nonces of independent Sponsor intents and tracks which ones
+ * were consumed on chain. Each intent signed with its own nonce key can be
+ * relayed in any order, so one stuck intent no longer blocks the others.
+ * Intents that must run in order share a key and take consecutive sequence
+ * numbers.
+ *
+ * Fresh keys are random, so two managers (or two machines) never hand out
+ * the same nonce. Pending intents are cancelled by burning the last nonce
+ * of each of their keys (see getCancellationNonces).
+ *
+ * The allocated intents of each account are stored in
+ * deployments/sponsor-nonces.json keyed by chain ID, then account:
+ *
+ *   { "<chainId>": { "<account>": { intents: [{ nonce, key, sequence, consumed, allocatedAt }] } } }
+ */
+
+const SPONSOR_NONCES_PATH = path.join(__dirname, '../../deployments/sponsor-nonces.json');
+
+// Size of a random nonce key, in bytes
+const NONCE_KEY_BYTES = 24;
+
+/**
+ * Create a nonce manager for the Sponsor intents of an account
+ * @param {ethers.Provider} provider Provider to read the account's nonces from
+ * @param {string} account Delegated account signing the intents
+ * @param {Object} [options]
+ * @param {Object[]} [options.intents] Intents tracked so far, from loadSponsorIntents
+ * @returns {Object} Manager with allocate, track, isConsumed, refresh and the tracked intents
+ */
+function createSponsorNonceManager(provider, account, { intents = [] } = {}) {
+  // One entry per nonce, the same nonce may have been tracked by several runs
+  const tracked = [];
+  for (const intent of intents) {
+    if (!tracked.some((other) => other.nonce === intent.nonce)) {
+      tracked.push({ ...intent });
+    }
+  }
+
+  // Next sequence of a key: after the on-chain one and any sequence already handed out
+  async function nextSequence(key) {
+    let { sequence } = decodeSponsorNonce(await getSponsorNonce(provider, account, key));
+    for (const intent of tracked) {
+      if (intent.key === key && intent.sequence >= sequence) {
+        sequence = intent.sequence + 1n;
+      }
+    }
+    return sequence;
+  }
+
+  return {
+    account,
+    intents: tracked,
+
+    /**
+     * Allocate the nonce of a new intent
+     * @param {Object} [options]
+     * @param {bigint} [options.key] Key to order the intent after the others of that key, a fresh random key when omitted
+     * @returns {Promise<bigint>} Nonce to sign
+     */
+    async allocate({ key } = {}) {
+      if (key === undefined) {
+        key = BigInt(ethers.hexlify(ethers.randomBytes(NONCE_KEY_BYTES)));
+      }
+      const sequence = await nextSequence(key);
+      const nonce = encodeSponsorNonce(key, sequence);
+      tracked.push({ nonce, key, sequence, consumed: false, allocatedAt: new Date().toISOString() });
+      return nonce;
+    },
+
+    /**
+     * Track the nonce of an intent that was not allocated by this manager
+     *
+     * Used for the default key 0, whose intents take the next on-chain nonce
+     * as before keyed nonces, so they can be cancelled like the others.
+     *
+     * @param {bigint} nonce Nonce the intent was signed with
+     */
+    track(nonce) {
+      if (tracked.some((intent) => intent.nonce === nonce)) {
+        return;
+      }
+      const { key, sequence } = decodeSponsorNonce(nonce);
+      tracked.push({ nonce, key, sequence, consumed: false, allocatedAt: new Date().toISOString() });
+    },
+
+    /**
+     * Check whether a nonce was consumed on chain
+     * @param {bigint} nonce Sponsor nonce
+     * @returns {Promise<boolean>}
+     */
+    async isConsumed(nonce) {
+      const { key, sequence } = decodeSponsorNonce(nonce);
+      const next = decodeSponsorNonce(await getSponsorNonce(provider, account, key)).sequence;
+      return next > sequence;
+    },
+
+    /**
+     * Mark the tracked intents consumed on chain since the last refresh
+     * @returns {Promise<{pending: Object[], consumed: Object[]}>}
+     */
+    async refresh() {
+      const sequences = new Map();
+      for (const intent of tracked.filter((intent) => !intent.consumed)) {
+        if (!sequences.has(intent.key)) {
+          sequences.set(intent.key, decodeSponsorNonce(await getSponsorNonce(provider, account, intent.key)).sequence);
+        }
+        intent.consumed = sequences.get(intent.key) > intent.sequence;
+      }
+      return {
+        pending: tracked.filter((intent) => !intent.consumed),
+        consumed: tracked.filter((intent) => intent.consumed)
+      };
+    }
+  };
+}
+
+/**
+ * Nonces that cancel a set of intents: the highest one of each key
+ *
+ * Sponsor burns a nonce together with the lower sequence numbers of its key,
+ * so one nonce per key cancels all the intents signed with that key.
+ *
+ * @param {Array<{nonce: bigint}>} intents Pending intents
+ * @returns {bigint[]} Nonces to invalidate, one per key
+ */
+function getCancellationNonces(intents) {
+  const highest = new Map();
+  for (const { nonce } of intents) {
+    const { key, sequence } = decodeSponsorNonce(nonce);
+    if (!highest.has(key) || decodeSponsorNonce(highest.get(key)).sequence < sequence) {
+      highest.set(key, BigInt(nonce));
+    }
+  }
+  return [...highest.values()];
+}
+
+/**
+ * Read the intents tracked for an account
+ * @param {bigint|number} chainId Chain ID
+ * @param {string} account Delegated account
+ * @returns {Object[]} Intents, empty when none were tracked
+ */
+function loadSponsorIntents(chainId, account) {
+  if (!fs.existsSync(SPONSOR_NONCES_PATH)) {
+    return [];
+  }
+  const records = JSON.parse(fs.readFileSync(SPONSOR_NONCES_PATH, 'utf8'))[chainId.toString()] || {};
+  const { intents = [] } = records[ethers.getAddress(account)] || {};
+  return intents.map((intent) => ({
+    ...intent,
+    nonce: BigInt(intent.nonce),
+    key: BigInt(intent.key),
+    sequence: BigInt(intent.sequence)
+  }));
+}
+
+/**
+ * Store the intents tracked by a nonce manager
+ * @param {bigint|number} chainId Chain ID
+ * @param {Object} manager Result of createSponsorNonceManager
+ */
+function saveSponsorIntents(chainId, manager) {
+  const records = fs.existsSync(SPONSOR_NONCES_PATH)
+    ? JSON.parse(fs.readFileSync(SPONSOR_NONCES_PATH, 'utf8'))
+    : {};
+  records[chainId.toString()] = {
+    ...records[chainId.toString()],
+    [ethers.getAddress(manager.account)]: { intents: manager.intents }
+  };
+
+  fs.mkdirSync(path.dirname(SPONSOR_NONCES_PATH), { recursive: true });
+  fs.writeFileSync(SPONSOR_NONCES_PATH, JSON.stringify(records, (key, value) => (
+    typeof value === 'bigint' ? value.toString() : value
+  ), 2));
+}
+
+/**
+ * Allocate the nonce of an intent from the NONCE_KEY environment variable
+ *
+ * Without NONCE_KEY the intent uses the next on-chain nonce of the default
+ * key 0. NONCE_KEY=new allocates a fresh key, any other value is the key
+ * (decimal or hex) to order the intent after.
+ *
+ * The intent is only tracked, so cancelSponsorIntents.js can cancel it, once
+ * commit is called after relaying it. A dry run, or a run that fails before
+ * relaying, leaves nothing to cancel.
+ *
+ * @param {ethers.Provider} provider Provider to read the account's nonces from
+ * @param {string} account Delegated account signing the intent
+ * @param {bigint} chainId Chain ID
+ * @returns {Promise<{nonce: bigint, commit: Function}>} Nonce to sign, and the function tracking the relayed intent
+ */
+async function allocateNonceFromEnv(provider, account, chainId) {
+  const { NONCE_KEY } = process.env;
+  const manager = createSponsorNonceManager(provider, account, { intents: loadSponsorIntents(chainId, account) });
+  await manager.refresh();
+
+  let nonce;
+  if (NONCE_KEY) {
+    nonce = await manager.allocate(NONCE_KEY === 'new' ? {} : { key: BigInt(NONCE_KEY) });
+  } else {
+    nonce = await getSponsorNonce(provider, account);
+    manager.track(nonce);
+  }
+
+  return {
+    nonce,
+    commit: () => saveSponsorIntents(chainId, manager)
+  };
+}
+
+module.exports = {
+  SPONSOR_NONCES_PATH,
+  createSponsorNonceManager,
+  getCancellationNonces,
+  loadSponsorIntents,
+  saveSponsorIntents,
+  allocateNonceFromEnv
+};
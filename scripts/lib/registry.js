@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const hre = require('hardhat');
+
+/**
+ * Deployment Registry
+ *
+ * Single record of the contracts deployed by this repository, keyed by
+ * chain ID and contract name and stored in deployments/registry.json:
+ *
+ *   { "<chainId>": { "<ContractName>": { address, txHash, blockNumber, deployer,
+ *     runtimeBytecodeHash, network, deploymentTime } } }
+ *
+ * Deploy scripts write to it with recordDeployment, every other script reads
+ * from it with loadDeployment, which also checks that the code on chain still
+ * matches the compiled artifact.
+ */
+
+const REGISTRY_PATH = path.join(__dirname, '../../deployments/registry.json');
+
+/**
+ * Read the whole registry
+ * @returns {Object} Records keyed by chain ID, then contract name
+ */
+function readRegistry() {
+  if (!fs.existsSync(REGISTRY_PATH)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+}
+
+/**
+ * Hash runtime bytecode with its immutable values zeroed out
+ *
+ * Immutables are written into the runtime code at deployment, so the code on
+ * chain only matches the compiled artifact once they are masked again.
+ *
+ * @param {string} contractName Name of the contract artifact
+ * @param {string} code Runtime bytecode, from the artifact or eth_getCode
+ * @returns {Promise<string>} keccak256 of the masked bytecode
+ */
+async function getRuntimeBytecodeHash(contractName, code) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const immutableReferences = buildInfo
+    ? buildInfo.output.contracts[artifact.sourceName][artifact.contractName].evm.deployedBytecode.immutableReferences || {}
+    : {};
+
+  const bytes = hre.ethers.getBytes(code);
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) {
+      bytes.fill(0, start, start + length);
+    }
+  }
+
+  return hre.ethers.keccak256(bytes);
+}
+
+/**
+ * Record a freshly deployed contract in the registry
+ * @param {string} contractName Name of the contract artifact
+ * @param {ethers.BaseContract} contract Deployed contract, after waitForDeployment
+ * @returns {Promise<Object>} The stored record
+ */
+async function recordDeployment(contractName, contract) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const address = await contract.getAddress();
+  const deploymentTx = contract.deploymentTransaction();
+  const receipt = deploymentTx ? await deploymentTx.wait() : null;
+
+  const record = {
+    address,
+    txHash: deploymentTx ? deploymentTx.hash : null,
+    blockNumber: receipt ? receipt.blockNumber : null,
+    deployer: deploymentTx ? deploymentTx.from : null,
+    runtimeBytecodeHash: await getRuntimeBytecodeHash(contractName, await hre.ethers.provider.getCode(address)),
+    network: hre.network.name,
+    deploymentTime: new Date().toISOString()
+  };
+
+  const registry = readRegistry();
+  registry[chainId] = { ...registry[chainId], [contractName]: record };
+
+  fs.mkdirSync(path.dirname(REGISTRY_PATH), { recursive: true });
+  fs.writeFileSync(REGISTRY_PATH, JSON.stringify(registry, null, 2));
+
+  return record;
+}
+
+/**
+ * Load the deployment of a contract on the current chain
+ * @param {string} contractName Name of the contract artifact
+ * @param {Object} [options]
+ * @param {boolean} [options.verify] Check the on-chain code against the compiled artifact
+ * @returns {Promise<Object>} The registry record
+ */
+async function loadDeployment(contractName, { verify = true } = {}) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const record = (readRegistry()[chainId] || {})[contractName];
+  if (!record) {
+    throw new Error(`${contractName} is not deployed on chain ${chainId} (network: ${hre.network.name}). Deploy it first.`);
+  }
+
+  if (verify) {
+    const code = await hre.ethers.provider.getCode(record.address);
+    if (code === '0x') {
+      throw new Error(`${contractName} at ${record.address} has no code on chain ${chainId}`);
+    }
+
+    const artifact = await hre.artifacts.readArtifact(contractName);
+    const [onChainHash, artifactHash] = await Promise.all([
+      getRuntimeBytecodeHash(contractName, code),
+      getRuntimeBytecodeHash(contractName, artifact.deployedBytecode)
+    ]);
+    if (onChainHash !== artifactHash) {
+      throw new Error(`${contractName} at ${record.address} does not match the compiled artifact. Redeploy it.`);
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Load the deployed address of a contract on the current chain
+ * @param {string} contractName Name of the contract artifact
+ * @param {Object} [options] Options passed to loadDeployment
+ * @returns {Promise<string>}
+ */
+async function loadDeploymentAddress(contractName, options) {
+  return (await loadDeployment(contractName, options)).address;
+}
+
+/**
+ * Load the addresses of all contracts deployed on the current chain
+ * @returns {Promise<Object<string, string>>} Contract name to address
+ */
+async function loadDeploymentAddresses() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const records = readRegistry()[chainId] || {};
+  return Object.fromEntries(Object.entries(records).map(([name, record]) => [name, record.address]));
+}
+
+module.exports = {
+  REGISTRY_PATH,
+  readRegistry,
+  getRuntimeBytecodeHash,
+  recordDeployment,
+  loadDeployment,
+  loadDeploymentAddress,
+  loadDeploymentAddresses
+};
@@ -0,0 +1,389 @@
+const { ethers } = require('ethers');
+const { DELEGATION_PREFIX, recoverAuthority } = require('./eip7702');
+const { ERROR_CAUSES, classifyError, decodeRevertData, formatRevert } = require('./errors');
+const { toCallRequest } = require('./gas');
+const { decodeCalldata, decodeLog } = require('./inspector');
+const { KNOWN_ABIS } = require('./abis');
+
+/**
+ * Dry-Run Simulation of Set Code Transactions
+ *
+ * Runs the exact call of a set code transaction without broadcasting it and
+ * reports the decoded return value or revert, the emitted events and the ETH
+ * balance changes. The node is asked, in order, for:
+ * - eth_simulateV1 with traceTransfers: events and transfers directly
+ * - debug_traceCall: events and transfers read from the LOG and CALL steps
+ * - eth_call: return value or revert only
+ * The delegations are applied through the authorization list where the
+ * node supports it, otherwise by overriding each authority's code with the
+ * 0xef0100 || address delegation designator. Nodes that accept the
+ * authorization list but silently ignore it also get the state override.
+ *
+ * Enabled with DRY_RUN=1, or --dry-run when a script is run with node.
+ */
+
+// Pseudo-address of the ETH transfer logs added by eth_simulateV1's traceTransfers
+const ETH_TRANSFER_LOG_ADDRESS = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+const CALL_OPS = ['CALL', 'CALLCODE', 'DELEGATECALL', 'STATICCALL'];
+const CREATE_OPS = ['CREATE', 'CREATE2'];
+
+/**
+ * Whether scripts should simulate instead of broadcasting
+ * @returns {boolean}
+ */
+function isDryRun() {
+  return ['1', 'true'].includes((process.env.DRY_RUN || '').toLowerCase()) ||
+    process.argv.includes('--dry-run');
+}
+
+/**
+ * State override placing each authority's delegation designator, for nodes
+ * that ignore the authorization list in calls
+ * @param {Array} authorizationList Signed authorizations
+ * @returns {Object} Override keyed by authority address
+ */
+function buildDelegationOverride(authorizationList) {
+  const override = {};
+  for (const authorization of authorizationList) {
+    const authority = recoverAuthority(authorization);
+    override[authority] = {
+      code: authorization.address === ethers.ZeroAddress
+        ? '0x'
+        : ethers.concat([DELEGATION_PREFIX, authorization.address])
+    };
+  }
+  return override;
+}
+
+/**
+ * Normalise a hex value from a trace, which may come without 0x prefix
+ * @param {string} value Hex string
+ * @returns {string}
+ */
+function toHex(value) {
+  return value.startsWith('0x') ? value : `0x${value}`;
+}
+
+/**
+ * Read the events and ETH transfers of a call from debug_traceCall steps
+ *
+ * Steps are grouped into call frames by depth. A frame's events and
+ * transfers only count when it returned successfully, which is the success
+ * flag the calling frame finds on top of its stack afterwards.
+ *
+ * @param {Array} structLogs Steps from the default tracer
+ * @param {Object} call The traced call (from, to, value)
+ * @returns {{logs: Array, transfers: Array}}
+ */
+function parseStructLogs(structLogs, call) {
+  const root = { address: call.to, logs: [], transfers: [] };
+  if (BigInt(call.value || 0) > 0n) {
+    root.transfers.push({ from: call.from, to: call.to, value: BigInt(call.value) });
+  }
+  const frames = [root];
+
+  const stackArg = (step, n) => BigInt(toHex(step.stack[step.stack.length - 1 - n]));
+  const succeeded = (step) => step !== undefined && step.stack.length > 0 && stackArg(step, 0) === 1n;
+  const merge = (parent, child) => {
+    parent.logs.push(...child.logs);
+    parent.transfers.push(...child.transfers);
+  };
+
+  structLogs.forEach((step, i) => {
+    const frame = frames[frames.length - 1];
+    const next = structLogs[i + 1];
+
+    if (CALL_OPS.includes(step.op) || CREATE_OPS.includes(step.op)) {
+      const isCall = CALL_OPS.includes(step.op);
+      const target = isCall ? ethers.getAddress(ethers.toBeHex(stackArg(step, 1), 20)) : null;
+      const value = step.op === 'CALL' ? stackArg(step, 2) : 0n;
+      const child = {
+        address: ['DELEGATECALL', 'CALLCODE'].includes(step.op) ? frame.address : target,
+        logs: [],
+        transfers: value > 0n ? [{ from: frame.address, to: target, value }] : []
+      };
+
+      if (next && next.depth > step.depth) {
+        frames.push(child);
+      } else if (succeeded(next)) {
+        // Call to an account without code or a precompile
+        merge(frame, child);
+      }
+    } else if (step.op.startsWith('LOG')) {
+      const topicCount = Number(step.op.slice(3));
+      const offset = Number(stackArg(step, 0));
+      const size = Number(stackArg(step, 1));
+      const memory = ethers.getBytes(toHex((step.memory || []).join('')));
+      const data = new Uint8Array(size);
+      data.set(memory.slice(offset, offset + size));
+
+      frame.logs.push({
+        address: frame.address,
+        topics: Array.from({ length: topicCount }, (_, t) => ethers.toBeHex(stackArg(step, 2 + t), 32)),
+        data: ethers.hexlify(data)
+      });
+    }
+
+    if (next && next.depth < step.depth && frames.length > 1) {
+      const child = frames.pop();
+      if (succeeded(next)) {
+        merge(frames[frames.length - 1], child);
+      }
+    }
+  });
+
+  return { logs: root.logs, transfers: root.transfers };
+}
+
+/**
+ * Run the call with eth_simulateV1
+ * @returns {Promise<Object>}
+ */
+async function simulateWithSimulateV1(provider, request, override) {
+  const [block] = await provider.send('eth_simulateV1', [{
+    blockStateCalls: [{ stateOverrides: override || undefined, calls: [request] }],
+    traceTransfers: true,
+    validation: false
+  }, 'latest']);
+  const result = block.calls[0];
+
+  const isTransfer = (log) => log.address.toLowerCase() === ETH_TRANSFER_LOG_ADDRESS && log.topics[0] === TRANSFER_TOPIC;
+  return {
+    success: BigInt(result.status) === 1n,
+    returnData: result.returnData,
+    revertData: result.error && result.error.data ? result.error.data : result.returnData,
+    gasUsed: BigInt(result.gasUsed),
+    logs: result.logs.filter((log) => !isTransfer(log)),
+    transfers: result.logs.filter(isTransfer).map((log) => ({
+      from: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+      to: ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+      value: BigInt(log.data)
+    }))
+  };
+}
+
+/**
+ * Run the call with debug_traceCall and read events and transfers from the steps
+ * @returns {Promise<Object>}
+ */
+async function simulateWithTraceCall(provider, request, override) {
+  const config = { enableMemory: true, disableStorage: true };
+  if (override) {
+    config.stateOverrides = override;
+  }
+  const trace = await provider.send('debug_traceCall', [request, 'latest', config]);
+  const returnData = toHex(trace.returnValue || '');
+  const { logs, transfers } = trace.failed ? { logs: [], transfers: [] } : parseStructLogs(trace.structLogs, request);
+
+  return {
+    success: !trace.failed,
+    returnData,
+    revertData: returnData,
+    gasUsed: BigInt(trace.gas),
+    logs,
+    transfers
+  };
+}
+
+/**
+ * Run the call with eth_call, which only gives the return value or revert
+ * @returns {Promise<Object>}
+ */
+async function simulateWithCall(provider, request, override) {
+  const params = override ? [request, 'latest', override] : [request, 'latest'];
+  try {
+    const returnData = await provider.send('eth_call', params);
+    return { success: true, returnData, revertData: null, gasUsed: null, logs: null, transfers: null };
+  } catch (error) {
+    const classified = classifyError(error);
+    if (classified.cause !== ERROR_CAUSES.REVERTED) {
+      throw error;
+    }
+    return { success: false, returnData: '0x', revertData: classified.revertData, gasUsed: null, logs: null, transfers: null };
+  }
+}
+
+/**
+ * Sum ETH transfers into a balance change per address
+ * @param {Array} transfers Transfers with from, to and value
+ * @returns {Object} Change in wei keyed by address
+ */
+function computeBalanceDeltas(transfers) {
+  const deltas = {};
+  for (const { from, to, value } of transfers) {
+    deltas[from] = (deltas[from] || 0n) - value;
+    deltas[to] = (deltas[to] || 0n) + value;
+  }
+  return deltas;
+}
+
+/**
+ * Decode the return data of a call to a known contract function
+ * @param {string} data Calldata
+ * @param {string} returnData Return data
+ * @returns {Object|null} Function and decoded values, or null when unknown
+ */
+function decodeReturnData(data, returnData) {
+  const call = decodeCalldata(data);
+  if (!call) {
+    return null;
+  }
+  const iface = new ethers.Interface(KNOWN_ABIS[call.contract]);
+  try {
+    return { function: `${call.contract}.${call.name}`, values: [...iface.decodeFunctionResult(call.signature, returnData)] };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a simulation result shows that the delegation took effect
+ *
+ * Some nodes accept the authorizationList field of a call, or a state
+ * override, but ignore it. The call then reaches an account without code, so
+ * it succeeds without return data or events. Such a result is only trusted
+ * when the called account is not delegated by the transaction, or already
+ * holds the same designator.
+ *
+ * @param {ethers.Provider} provider Provider to read the current code with
+ * @param {Object} tx Transaction fields (to, authorizationList)
+ * @param {Object} result Result of one of the simulate functions
+ * @returns {Promise<boolean>}
+ */
+async function isDelegationApplied(provider, tx, result) {
+  if (!result.success || result.returnData !== '0x' || (result.logs && result.logs.length > 0)) {
+    return true;
+  }
+
+  // The last authorization of an authority is the one that applies
+  const authorization = [...(tx.authorizationList || [])].reverse().find((auth) => (
+    auth.address !== ethers.ZeroAddress && recoverAuthority(auth).toLowerCase() === tx.to.toLowerCase()
+  ));
+  if (!authorization) {
+    return true;
+  }
+  const designator = ethers.concat([DELEGATION_PREFIX, authorization.address]);
+  return (await provider.getCode(tx.to)).toLowerCase() === designator.toLowerCase();
+}
+
+/**
+ * Simulate a set code transaction without broadcasting it
+ *
+ * A result that does not show the delegation took effect (see
+ * isDelegationApplied) is only returned when no other attempt does, so a node
+ * ignoring the authorization list falls back to the state override.
+ *
+ * @param {ethers.Provider} provider Provider to simulate with
+ * @param {Object} tx Transaction fields (to, value, data, accessList, authorizationList)
+ * @param {Object} options
+ * @param {string} options.from Sender (sponsor) address
+ * @returns {Promise<Object>} success, decoded return value or revert, events, transfers and balance changes
+ */
+async function simulateSetCodeTx(provider, tx, { from }) {
+  const attempts = [
+    ['authorization list', toCallRequest(from, tx, true), null],
+    ['state override', toCallRequest(from, tx, false), buildDelegationOverride(tx.authorizationList || [])]
+  ];
+  const methods = [
+    ['eth_simulateV1', simulateWithSimulateV1],
+    ['debug_traceCall', simulateWithTraceCall],
+    ['eth_call', simulateWithCall]
+  ];
+
+  const report = (method, delegation, result) => ({
+    method,
+    delegation,
+    success: result.success,
+    gasUsed: result.gasUsed,
+    returned: result.success ? decodeReturnData(tx.data, result.returnData) : null,
+    returnData: result.returnData,
+    revert: result.success ? null : decodeRevertData(result.revertData),
+    revertData: result.success ? null : result.revertData,
+    events: result.logs && result.logs.map((log) => ({ ...log, decoded: decodeLog(log) })),
+    transfers: result.transfers,
+    balanceDeltas: result.transfers && computeBalanceDeltas(result.transfers)
+  });
+
+  // First result that does not show the delegation took effect, used when no other one does
+  let unconfirmed = null;
+  let lastError;
+  for (const [method, simulate] of methods) {
+    for (const [delegation, request, override] of attempts) {
+      let result;
+      try {
+        result = await simulate(provider, request, override);
+      } catch (error) {
+        lastError = error;
+        continue;
+      }
+
+      if (await isDelegationApplied(provider, tx, result)) {
+        return report(method, delegation, result);
+      }
+      unconfirmed = unconfirmed || report(method, delegation, result);
+    }
+  }
+
+  if (unconfirmed) {
+    return unconfirmed;
+  }
+  throw lastError;
+}
+
+/**
+ * Format the arguments of a decoded event
+ * @param {Object} decoded Decoded event from decodeLog
+ * @returns {string}
+ */
+function formatEvent(decoded) {
+  const args = decoded.args.map((arg) => `${arg.name}=${arg.value}`).join(', ');
+  return `${decoded.contract}.${decoded.name}(${args})`;
+}
+
+/**
+ * Print the result of a simulation
+ * @param {Object} result Result of simulateSetCodeTx
+ */
+function logSimulation(result) {
+  console.log(`\nDry run (${result.method}, delegations via ${result.delegation}):`);
+
+  const gas = result.gasUsed === null ? '' : `, gas used ${result.gasUsed}`;
+  if (result.success) {
+    console.log(`✅ The transaction would succeed${gas}`);
+    if (result.returned && result.returned.values.length > 0) {
+      console.log(`   ${result.returned.function} returned ${result.returned.values.join(', ')}`);
+    }
+  } else {
+    console.log(`❌ The transaction would revert${gas}`);
+    if (result.revert) {
+      console.log(`   Revert: ${formatRevert(result.revert)}`);
+    } else if (result.revertData && result.revertData !== '0x') {
+      console.log(`   Revert data: ${result.revertData}`);
+    }
+  }
+
+  if (result.events === null) {
+    console.log('⚠️ Events and balance changes are not available from this node');
+  } else {
+    console.log(`Events (${result.events.length}):`);
+    for (const event of result.events) {
+      console.log(`   ${event.decoded ? formatEvent(event.decoded) : `topic ${event.topics[0] || 'none'}`} at ${event.address}`);
+    }
+
+    const deltas = Object.entries(result.balanceDeltas).filter(([, delta]) => delta !== 0n);
+    console.log(`Balance changes (${deltas.length}, excluding gas):`);
+    for (const [address, delta] of deltas) {
+      console.log(`   ${address}: ${delta > 0n ? '+' : ''}${ethers.formatEther(delta)} ETH`);
+    }
+  }
+
+  console.log('⚠️ Dry run only, nothing was broadcast');
+}
+
+module.exports = {
+  isDryRun,
+  simulateSetCodeTx,
+  logSimulation
+};
@@ -0,0 +1,491 @@
+const { ethers } = require('ethers');
+const { SPONSOR_ABI, ERC20_ABI } = require('./abis');
+
+/**
+ * Sponsor Signatures
+ *
+ * Signs and encodes the EIP-712 messages the Sponsor contract accepts from a
+ * delegated EOA: SponsoredTransfer (move ETH to a recipient), SponsoredCall
+ * (call any contract, with value and calldata) and SponsoredTokenTransfer
+ * (move ERC-20 tokens to a recipient). The user signs,
+ * the sponsor sends the encoded call to the user's account and pays the gas.
+ * A SponsoredCancel burns the nonces of requests signed but not relayed yet.
+ *
+ * Every message includes a Fee: the ERC-20 token and maximum amount the user
+ * agrees to reimburse the relayer (the transaction origin). The relayer quotes
+ * the cost of the transaction in that token, refuses requests whose maximum is
+ * below it, and passes the quote as the fee it charges. A fee with the zero
+ * token address (NO_FEE, the default) is sponsored for free.
+ *
+ * Every message is also only valid between validAfter and validUntil, by
+ * default from the latest block for ten minutes, and is not relayed outside
+ * that window.
+ *
+ * The domain's verifying contract is the user's account, which runs the
+ * Sponsor code once delegated (DOMAIN_SEPARATOR follows address(this)), and
+ * the nonces and gas spent are read from the account's storage, not from the
+ * Sponsor deployment's.
+ *
+ * A nonce is a 192-bit key and a 64-bit sequence number, as in ERC-4337.
+ * Requests signed with the same key run in order, requests with different
+ * keys are independent of each other. The sign functions use the default
+ * key 0 unless given a nonce (see nonces.js to allocate keys).
+ */
+
+// ERC-7201 slot of the Sponsor storage in the delegated account: gasSpent, then nonceSequences
+const SPONSOR_STORAGE_LOCATION = '0xa185f0c1eeeb9abcce3ff812824b81cc825ec30cf022a2ea6a53b4f45b576600';
+
+const SPONSOR_TYPES = {
+  SponsoredTransfer: [
+    { name: 'sender', type: 'address' },
+    { name: 'recipient', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'fee', type: 'Fee' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validUntil', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ],
+  SponsoredCall: [
+    { name: 'sender', type: 'address' },
+    { name: 'target', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'data', type: 'bytes' },
+    { name: 'fee', type: 'Fee' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validUntil', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ],
+  SponsoredTokenTransfer: [
+    { name: 'sender', type: 'address' },
+    { name: 'token', type: 'address' },
+    { name: 'recipient', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'fee', type: 'Fee' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validUntil', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ],
+  SponsoredCancel: [
+    { name: 'sender', type: 'address' },
+    { name: 'nonces', type: 'uint256[]' },
+    { name: 'fee', type: 'Fee' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validUntil', type: 'uint256' }
+  ],
+  Fee: [
+    { name: 'token', type: 'address' },
+    { name: 'maxAmount', type: 'uint256' }
+  ]
+};
+
+// How long a signed request stays valid when no validUntil is given
+const DEFAULT_SPONSOR_VALIDITY_SECONDS = 600;
+
+// Fee of a request that is sponsored for free
+const NO_FEE = Object.freeze({ token: ethers.ZeroAddress, maxAmount: 0n });
+
+const sponsorInterface = new ethers.Interface(SPONSOR_ABI);
+
+/**
+ * EIP-712 domain of an account delegated to Sponsor
+ * @param {bigint} chainId Chain the message is executed on
+ * @param {string} account Delegated account that runs the Sponsor code
+ * @returns {Object}
+ */
+function getSponsorDomain(chainId, account) {
+  return { name: 'Sponsor', version: '1', chainId, verifyingContract: account };
+}
+
+// Bits of a nonce holding the sequence number, below the key
+const NONCE_SEQUENCE_BITS = 64n;
+const MAX_NONCE_KEY = (1n << 192n) - 1n;
+
+/**
+ * Storage slot of an account's entry in one of the Sponsor mappings
+ * @param {string} account Delegated account, also the mapping key
+ * @param {bigint} offset 0 for gasSpent, 1 for nonceSequences
+ * @returns {string}
+ */
+function getSponsorSlot(account, offset) {
+  const mappingSlot = BigInt(SPONSOR_STORAGE_LOCATION) + offset;
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [account, mappingSlot]));
+}
+
+/**
+ * Combine a nonce key and sequence number into a Sponsor nonce
+ * @param {bigint} key 192-bit nonce key
+ * @param {bigint} sequence 64-bit sequence number within the key
+ * @returns {bigint}
+ */
+function encodeSponsorNonce(key, sequence) {
+  if (key < 0n || key > MAX_NONCE_KEY) {
+    throw new Error(`Nonce key ${key} does not fit in 192 bits`);
+  }
+  return (key << NONCE_SEQUENCE_BITS) | BigInt.asUintN(Number(NONCE_SEQUENCE_BITS), sequence);
+}
+
+/**
+ * Split a Sponsor nonce into its key and sequence number
+ * @param {bigint} nonce Sponsor nonce
+ * @returns {{key: bigint, sequence: bigint}}
+ */
+function decodeSponsorNonce(nonce) {
+  return {
+    key: BigInt(nonce) >> NONCE_SEQUENCE_BITS,
+    sequence: BigInt.asUintN(Number(NONCE_SEQUENCE_BITS), BigInt(nonce))
+  };
+}
+
+/**
+ * Read the next Sponsor nonce of a key of an account
+ *
+ * The nonce lives in the delegated account's own storage, not in the Sponsor
+ * deployment's, so it is read from the account's storage slot. This also
+ * works before the account is delegated (when its sequence is 0).
+ *
+ * @param {ethers.Provider} provider Provider to read from
+ * @param {string} account Delegated account
+ * @param {bigint} [key] Nonce key, the default key 0 when omitted
+ * @returns {Promise<bigint>} The next nonce, including the key
+ */
+async function getSponsorNonce(provider, account, key = 0n) {
+  const keySlot = ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(['uint192', 'bytes32'], [key, getSponsorSlot(account, 1n)])
+  );
+  return encodeSponsorNonce(key, BigInt(await provider.getStorage(account, keySlot)));
+}
+
+/**
+ * Read the gas recorded by Sponsor for the requests of an account
+ *
+ * Like the nonce, it is read from the account's own storage.
+ *
+ * @param {ethers.Provider} provider Provider to read from
+ * @param {string} account Delegated account
+ * @returns {Promise<bigint>}
+ */
+async function getSponsorGasSpent(provider, account) {
+  return BigInt(await provider.getStorage(account, getSponsorSlot(account, 0n)));
+}
+
+/**
+ * EIP-712 types of one of the Sponsor messages, with the Fee type it references
+ * @param {string} primaryType 'SponsoredTransfer', 'SponsoredCall', 'SponsoredTokenTransfer' or 'SponsoredCancel'
+ * @returns {Object}
+ */
+function getSponsorTypes(primaryType) {
+  return { [primaryType]: SPONSOR_TYPES[primaryType], Fee: SPONSOR_TYPES.Fee };
+}
+
+/**
+ * Fill in the bounds of a validity window that were omitted, from the latest block
+ * @param {ethers.Provider} provider Provider to read the latest block from
+ * @param {{validAfter: bigint|undefined, validUntil: bigint|undefined}} window
+ * @returns {Promise<{validAfter: bigint, validUntil: bigint}>}
+ */
+async function resolveValidityWindow(provider, { validAfter, validUntil }) {
+  if (validAfter === undefined || validUntil === undefined) {
+    const { timestamp } = await provider.getBlock('latest');
+    if (validAfter === undefined) {
+      validAfter = BigInt(timestamp);
+    }
+    if (validUntil === undefined) {
+      validUntil = BigInt(timestamp + DEFAULT_SPONSOR_VALIDITY_SECONDS);
+    }
+  }
+  return { validAfter, validUntil };
+}
+
+/**
+ * Sign one of the Sponsor messages, filling in the chain ID, validity window and nonce when omitted
+ * @param {ethers.Wallet} signer The delegated account, also the verifying contract
+ * @param {string} primaryType 'SponsoredTransfer', 'SponsoredCall' or 'SponsoredTokenTransfer'
+ * @param {Object} fields Message fields other than sender, fee, validity window and nonce
+ * @param {Object} options
+ * @returns {Promise<Object>} The message, with its signature
+ */
+async function signSponsorMessage(signer, primaryType, fields, { fee = NO_FEE, validAfter, validUntil, chainId, nonce }) {
+  const { provider } = signer;
+  if (chainId === undefined) {
+    ({ chainId } = await provider.getNetwork());
+  }
+  if (nonce === undefined) {
+    nonce = await getSponsorNonce(provider, signer.address);
+  }
+  ({ validAfter, validUntil } = await resolveValidityWindow(provider, { validAfter, validUntil }));
+
+  const message = {
+    sender: signer.address,
+    ...fields,
+    fee: { token: fee.token, maxAmount: fee.maxAmount },
+    validAfter,
+    validUntil,
+    nonce
+  };
+  const signature = await signer.signTypedData(getSponsorDomain(chainId, signer.address), getSponsorTypes(primaryType), message);
+  return { ...message, signature };
+}
+
+/**
+ * Sign a SponsoredTransfer of ETH from the signer's account
+ * @param {ethers.Wallet} signer The delegated account
+ * @param {Object} transfer
+ * @param {string} transfer.recipient Address receiving the ETH
+ * @param {bigint} transfer.amount Amount in wei
+ * @param {{token: string, maxAmount: bigint}} [transfer.fee] Fee paid to the relayer, none when omitted
+ * @param {bigint} [transfer.validAfter] First timestamp the request may run at, the latest block's when omitted
+ * @param {bigint} [transfer.validUntil] Last timestamp the request may run at, ten minutes later when omitted
+ * @param {bigint} [transfer.nonce] Sponsor nonce, the next one of key 0 when omitted
+ * @param {bigint} [transfer.chainId] Chain ID, read from the provider when omitted
+ * @returns {Promise<{sender: string, recipient: string, amount: bigint, fee: Object, validAfter: bigint, validUntil: bigint, nonce: bigint, signature: string}>}
+ */
+async function signSponsoredTransfer(signer, { recipient, amount, fee, validAfter, validUntil, nonce, chainId }) {
+  return signSponsorMessage(signer, 'SponsoredTransfer', { recipient, amount }, { fee, validAfter, validUntil, chainId, nonce });
+}
+
+/**
+ * Sign a SponsoredCall from the signer's account to any contract
+ * @param {ethers.Wallet} signer The delegated account
+ * @param {Object} call
+ * @param {string} call.target Contract (or account) to call
+ * @param {bigint} [call.value] ETH sent with the call
+ * @param {string} [call.data] Calldata
+ * @param {{token: string, maxAmount: bigint}} [call.fee] Fee paid to the relayer, none when omitted
+ * @param {bigint} [call.validAfter] First timestamp the request may run at, the latest block's when omitted
+ * @param {bigint} [call.validUntil] Last timestamp the request may run at, ten minutes later when omitted
+ * @param {bigint} [call.nonce] Sponsor nonce, the next one of key 0 when omitted
+ * @param {bigint} [call.chainId] Chain ID, read from the provider when omitted
+ * @returns {Promise<{sender: string, target: string, value: bigint, data: string, fee: Object, validAfter: bigint, validUntil: bigint, nonce: bigint, signature: string}>}
+ */
+async function signSponsoredCall(signer, { target, value = 0n, data = '0x', fee, validAfter, validUntil, nonce, chainId }) {
+  return signSponsorMessage(signer, 'SponsoredCall', { target, value, data }, { fee, validAfter, validUntil, chainId, nonce });
+}
+
+/**
+ * Sign a SponsoredTokenTransfer of ERC-20 tokens held by the signer's account
+ * @param {ethers.Wallet} signer The delegated account
+ * @param {Object} transfer
+ * @param {string} transfer.token ERC-20 token contract
+ * @param {string} transfer.recipient Address receiving the tokens
+ * @param {bigint} transfer.amount Amount in the token's smallest unit
+ * @param {{token: string, maxAmount: bigint}} [transfer.fee] Fee paid to the relayer, none when omitted
+ * @param {bigint} [transfer.validAfter] First timestamp the request may run at, the latest block's when omitted
+ * @param {bigint} [transfer.validUntil] Last timestamp the request may run at, ten minutes later when omitted
+ * @param {bigint} [transfer.nonce] Sponsor nonce, the next one of key 0 when omitted
+ * @param {bigint} [transfer.chainId] Chain ID, read from the provider when omitted
+ * @returns {Promise<{sender: string, token: string, recipient: string, amount: bigint, fee: Object, validAfter: bigint, validUntil: bigint, nonce: bigint, signature: string}>}
+ */
+async function signSponsoredTokenTransfer(signer, { token, recipient, amount, fee, validAfter, validUntil, nonce, chainId }) {
+  return signSponsorMessage(signer, 'SponsoredTokenTransfer', { token, recipient, amount }, { fee, validAfter, validUntil, chainId, nonce });
+}
+
+/**
+ * Sign a SponsoredCancel of requests signed by the signer but not relayed yet
+ *
+ * Each nonce is burned together with the lower sequence numbers of its key,
+ * so cancelling the last nonce signed with a key cancels all of its requests.
+ *
+ * @param {ethers.Wallet} signer The delegated account
+ * @param {Object} cancel
+ * @param {bigint[]} cancel.nonces Nonces of the requests to cancel, at least one
+ * @param {{token: string, maxAmount: bigint}} [cancel.fee] Fee paid to the relayer, none when omitted
+ * @param {bigint} [cancel.validAfter] First timestamp the cancellation may run at, the latest block's when omitted
+ * @param {bigint} [cancel.validUntil] Last timestamp the cancellation may run at, ten minutes later when omitted
+ * @param {bigint} [cancel.chainId] Chain ID, read from the provider when omitted
+ * @returns {Promise<{sender: string, nonces: bigint[], fee: Object, validAfter: bigint, validUntil: bigint, signature: string}>}
+ */
+async function signSponsoredCancel(signer, { nonces, fee = NO_FEE, validAfter, validUntil, chainId }) {
+  // Sponsor rejects an empty cancellation, which would burn nothing and could be relayed again and again
+  if (!nonces || nonces.length === 0) {
+    throw new Error('A SponsoredCancel must list at least one nonce');
+  }
+
+  const { provider } = signer;
+  if (chainId === undefined) {
+    ({ chainId } = await provider.getNetwork());
+  }
+  ({ validAfter, validUntil } = await resolveValidityWindow(provider, { validAfter, validUntil }));
+
+  const message = {
+    sender: signer.address,
+    nonces,
+    fee: { token: fee.token, maxAmount: fee.maxAmount },
+    validAfter,
+    validUntil
+  };
+  const signature = await signer.signTypedData(getSponsorDomain(chainId, signer.address), getSponsorTypes('SponsoredCancel'), message);
+  return { ...message, signature };
+}
+
+/**
+ * Encode the sponsoredTransfer call for a signed SponsoredTransfer
+ * @param {Object} signed Result of signSponsoredTransfer
+ * @param {bigint} [feeAmount] Fee charged by the relayer, at most the signed maximum
+ * @returns {string} Calldata
+ */
+function encodeSponsoredTransfer({ sender, recipient, amount, fee, validAfter, validUntil, nonce, signature }, feeAmount = 0n) {
+  const { v, r, s } = ethers.Signature.from(signature);
+  return sponsorInterface.encodeFunctionData('sponsoredTransfer', [
+    sender, recipient, amount, fee, validAfter, validUntil, nonce, v, r, s, feeAmount
+  ]);
+}
+
+/**
+ * Encode the sponsoredCall call for a signed SponsoredCall
+ * @param {Object} signed Result of signSponsoredCall
+ * @param {bigint} [feeAmount] Fee charged by the relayer, at most the signed maximum
+ * @returns {string} Calldata
+ */
+function encodeSponsoredCall({ sender, target, value, data, fee, validAfter, validUntil, nonce, signature }, feeAmount = 0n) {
+  const { v, r, s } = ethers.Signature.from(signature);
+  return sponsorInterface.encodeFunctionData('sponsoredCall', [
+    sender, target, value, data, fee, validAfter, validUntil, nonce, v, r, s, feeAmount
+  ]);
+}
+
+/**
+ * Encode the sponsoredTokenTransfer call for a signed SponsoredTokenTransfer
+ * @param {Object} signed Result of signSponsoredTokenTransfer
+ * @param {bigint} [feeAmount] Fee charged by the relayer, at most the signed maximum
+ * @returns {string} Calldata
+ */
+function encodeSponsoredTokenTransfer(
+  { sender, token, recipient, amount, fee, validAfter, validUntil, nonce, signature },
+  feeAmount = 0n
+) {
+  const { v, r, s } = ethers.Signature.from(signature);
+  return sponsorInterface.encodeFunctionData('sponsoredTokenTransfer', [
+    sender, token, recipient, amount, fee, validAfter, validUntil, nonce, v, r, s, feeAmount
+  ]);
+}
+
+/**
+ * Encode the sponsoredCancel call for a signed SponsoredCancel
+ * @param {Object} signed Result of signSponsoredCancel
+ * @param {bigint} [feeAmount] Fee charged by the relayer, at most the signed maximum
+ * @returns {string} Calldata
+ */
+function encodeSponsoredCancel({ sender, nonces, fee, validAfter, validUntil, signature }, feeAmount = 0n) {
+  const { v, r, s } = ethers.Signature.from(signature);
+  return sponsorInterface.encodeFunctionData('sponsoredCancel', [
+    sender, nonces, fee, validAfter, validUntil, v, r, s, feeAmount
+  ]);
+}
+
+/**
+ * Encode the invalidateNonces call the delegated account sends to itself
+ * @param {bigint[]} nonces Nonces of the requests to cancel
+ * @returns {string} Calldata
+ */
+function encodeInvalidateNonces(nonces) {
+  return sponsorInterface.encodeFunctionData('invalidateNonces', [nonces]);
+}
+
+/**
+ * Quote the cost of a transaction in a fee token
+ *
+ * The cost is the gas limit at the maximum fee per gas, so the quote covers
+ * the worst case. It is rounded up to the token's smallest unit.
+ *
+ * @param {Object} params
+ * @param {bigint} params.gasLimit Gas limit of the transaction
+ * @param {bigint} params.maxFeePerGas Maximum fee per gas, in wei
+ * @param {bigint} params.rate Price of 1 ETH in the token's smallest unit
+ * @returns {bigint} Fee in the token's smallest unit
+ */
+function quoteFee({ gasLimit, maxFeePerGas, rate }) {
+  const cost = gasLimit * maxFeePerGas * rate;
+  const wei = ethers.WeiPerEther;
+  return (cost + wei - 1n) / wei;
+}
+
+/**
+ * Check that the maximum fee a user signed covers the quoted cost, before relaying
+ * @param {{token: string, maxAmount: bigint}} fee Signed fee
+ * @param {bigint} quote Result of quoteFee
+ * @throws {Error} When the signed maximum is below the quote
+ */
+function checkFeeCovers(fee, quote) {
+  if (fee.maxAmount < quote) {
+    throw new Error(`Signed maximum fee ${fee.maxAmount} is below the quoted cost ${quote}, refusing to relay`);
+  }
+}
+
+/**
+ * Check that a signed request can run in the next block, before relaying it
+ * @param {ethers.Provider} provider Provider to read the latest block from
+ * @param {{validAfter: bigint, validUntil: bigint}} signed Result of one of the sign functions
+ * @throws {Error} When the request has expired, or is not valid yet
+ */
+async function checkValidityWindow(provider, { validAfter, validUntil }) {
+  const { timestamp } = await provider.getBlock('latest');
+  if (BigInt(timestamp) >= validUntil) {
+    throw new Error(`The signed request expired at ${validUntil} (latest block ${timestamp}), refusing to relay; ask the user to sign again`);
+  }
+  if (BigInt(timestamp) + 1n < validAfter) {
+    throw new Error(`The signed request is only valid from ${validAfter} (latest block ${timestamp}), refusing to relay yet`);
+  }
+}
+
+/**
+ * Read the fee token, signed maximum and token/ETH rate from the environment
+ *
+ * FEE_TOKEN is the token's address or its name in the deployment registry,
+ * FEE_MAX the maximum fee the user signs and FEE_TOKEN_RATE the price of
+ * 1 ETH, both in whole tokens.
+ *
+ * @param {ethers.Provider} provider Provider to read the token from
+ * @param {Object} [options]
+ * @param {Object} [options.addresses] Deployed contract addresses by name
+ * @returns {Promise<Object|null>} {token, symbol, decimals, maxAmount, rate}, or null when FEE_TOKEN is not set
+ */
+async function loadFeeConfig(provider, { addresses = {} } = {}) {
+  const { FEE_TOKEN, FEE_MAX, FEE_TOKEN_RATE } = process.env;
+  if (!FEE_TOKEN) {
+    return null;
+  }
+
+  const token = ethers.isAddress(FEE_TOKEN) ? FEE_TOKEN : addresses[FEE_TOKEN];
+  if (!token) {
+    throw new Error(`FEE_TOKEN "${FEE_TOKEN}" is neither an address nor a deployed contract`);
+  }
+  if (!FEE_MAX || !FEE_TOKEN_RATE) {
+    throw new Error('FEE_MAX and FEE_TOKEN_RATE are required with FEE_TOKEN');
+  }
+
+  const erc20 = new ethers.Contract(token, ERC20_ABI, provider);
+  const [symbol, decimals] = await Promise.all([erc20.symbol(), erc20.decimals()]);
+  return {
+    token,
+    symbol,
+    decimals,
+    maxAmount: ethers.parseUnits(FEE_MAX, decimals),
+    rate: ethers.parseUnits(FEE_TOKEN_RATE, decimals)
+  };
+}
+
+module.exports = {
+  SPONSOR_TYPES,
+  SPONSOR_STORAGE_LOCATION,
+  NO_FEE,
+  DEFAULT_SPONSOR_VALIDITY_SECONDS,
+  getSponsorDomain,
+  getSponsorTypes,
+  encodeSponsorNonce,
+  decodeSponsorNonce,
+  getSponsorNonce,
+  getSponsorGasSpent,
+  signSponsoredTransfer,
+  signSponsoredCall,
+  signSponsoredTokenTransfer,
+  signSponsoredCancel,
+  encodeSponsoredTransfer,
+  encodeSponsoredCall,
+  encodeSponsoredTokenTransfer,
+  encodeSponsoredCancel,
+  encodeInvalidateNonces,
+  quoteFee,
+  checkFeeCovers,
+  checkValidityWindow,
+  loadFeeConfig
+};
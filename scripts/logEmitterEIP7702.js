@@ -2,6 +2,21 @@
 const { ethers } = require('hardhat');
 const fs = require('fs');
 const path = require('path');
+const {
+  buildAuthorization,
+  signAuthorization,
+  buildSetCodeTx,
+  signSetCodeTx,
+  serialize
+} = require('./lib/eip7702');
+const { resolveAuthorizationNonce, validateAuthorizations, logAuthorizationResults } = require('./lib/delegation');
+const { loadDeploymentAddress } = require('./lib/registry');
+const { getNetworkPreset, resolveFees, logExplorerLink } = require('./lib/networks');
+const { checkEIP7702Support } = require('./lib/capabilities');
+const { estimateSetCodeTxGas, logGasEstimate } = require('./lib/gas');
+const { isDryRun, simulateSetCodeTx, logSimulation } = require('./lib/simulation');
+const { classifyError, isUnsupportedNetworkError, logClassifiedError } = require('./lib/errors');
+const { TX_STATUS, trackTransaction, logTrackingResult } = require('./lib/confirmations');
 
 /**
  * EIP-7702 Example with LogEmitter
@@ -25,17 +40,12 @@ async function main() {
 
   // 2. Get network information
   const network = await ethers.provider.getNetwork();
-  console.log(`Network: ${network.name} (Chain ID: ${network.chainId})`);
-  const chainIdHex = ethers.toBeHex(network.chainId);
+  const preset = getNetworkPreset(network.chainId);
+  console.log(`Network: ${preset.name} (Chain ID: ${network.chainId})`);
+  checkEIP7702Support(preset);
 
-  // 3. Load the LogEmitter contract address
-  const deploymentPath = path.join(__dirname, '../deployments', `${network.name === 'unknown' ? 'sichang' : network.name}_logemitter.json`);
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error('LogEmitter deployment file not found. Please deploy the contract first using: npx hardhat run scripts/deployLogEmitter.js');
-  }
-  
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-  const LOG_EMITTER_ADDRESS = deploymentInfo.contractAddress;
+  // 3. Load the LogEmitter address from the deployment registry
+  const LOG_EMITTER_ADDRESS = await loadDeploymentAddress('LogEmitter');
   console.log(`LogEmitter contract: ${LOG_EMITTER_ADDRESS}`);
 
   // 4. Create contract interface and instance
@@ -55,111 +65,78 @@ async function main() {
   console.log(`Encoded calldata: ${calldata}`);
   
   // 6. Get Alice's and Bob's nonces
-  const aliceNonce = await ethers.provider.getTransactionCount(alice.address);
+  const aliceNonce = await resolveAuthorizationNonce(ethers.provider, alice.address, bob.address);
   const bobNonce = await ethers.provider.getTransactionCount(bob.address);
   
   console.log(`Alice's nonce: ${aliceNonce}`);
   console.log(`Bob's nonce: ${bobNonce}`);
 
-  // 7. Get gas fee information
-  const feeData = await ethers.provider.getFeeData();
-  
-  // Handle both EIP-1559 and legacy gas pricing
-  let maxPriorityFeePerGas, maxFeePerGas;
-  if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
-    maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
-    maxFeePerGas = feeData.maxFeePerGas;
-  } else {
-    const gasPrice = feeData.gasPrice || ethers.parseUnits("10", "gwei");
-    maxPriorityFeePerGas = gasPrice;
-    maxFeePerGas = gasPrice;
-  }
-  
+  // 7. Get gas fees, with the network's defaults as fallback
+  const { maxPriorityFeePerGas, maxFeePerGas } = await resolveFees(ethers.provider, preset);
+
   console.log(`Gas prices: max=${ethers.formatUnits(maxFeePerGas, "gwei")} gwei`);
 
   // 8. Create authorization data for EIP-7702
   console.log('\nPreparing EIP-7702 authorization...');
   
-  const authorizationData = {
-    chainId: chainIdHex,
+  const unsignedAuthorization = buildAuthorization({
+    chainId: network.chainId,
     address: LOG_EMITTER_ADDRESS,
-    nonce: ethers.toBeHex(aliceNonce)
-  };
+    nonce: aliceNonce
+  });
   
-  // 9. Encode the authorization data per EIP-7702 spec
-  const encodedAuthorizationData = ethers.concat([
-    '0x05', // MAGIC code for EIP7702
-    ethers.encodeRlp([
-      authorizationData.chainId,
-      authorizationData.address,
-      authorizationData.nonce,
-    ])
-  ]);
-  
-  // 10. Alice signs the authorization data
+  // 9. Alice signs the authorization data
   console.log('Alice signing the authorization...');
-  const authorizationDataHash = ethers.keccak256(encodedAuthorizationData);
-  const authorizationSignature = alice.signingKey.sign(authorizationDataHash);
-  
-  // Store signature components
-  authorizationData.yParity = authorizationSignature.yParity == 0 ? '0x' : '0x01';
-  authorizationData.r = authorizationSignature.r;
-  authorizationData.s = authorizationSignature.s;
-  
-  // 11. Create the EIP-7702 transaction data structure
-  const gasLimit = 200000; // Gas limit for the transaction
-  
-  const txData = [
-    chainIdHex,
-    ethers.toBeHex(bobNonce),
-    ethers.toBeHex(maxPriorityFeePerGas),
-    ethers.toBeHex(maxFeePerGas),
-    ethers.toBeHex(gasLimit),
-    alice.address, // From Alice's address
-    '0x', // No value sent with transaction
-    calldata, // Function call data to emitHello()
-    [], // Access list (empty)
-    [
-      [
-        authorizationData.chainId,
-        authorizationData.address,
-        authorizationData.nonce,
-        authorizationData.yParity,
-        authorizationData.r,
-        authorizationData.s
-      ]
-    ]
-  ];
-  
-  // 12. Encode the final transaction with EIP-7702 type (0x04)
-  const encodedTxData = ethers.concat([
-    '0x04', // Transaction type for EIP-7702
-    ethers.encodeRlp(txData)
-  ]);
-  
-  // 13. Bob signs the complete transaction
+  const authorization = signAuthorization(alice, unsignedAuthorization);
+  
+  // Check which authorizations the chain will apply before broadcasting
+  console.log("Preflight check of authorizations:");
+  logAuthorizationResults(await validateAuthorizations(ethers.provider, [authorization], {
+    sender: bob.address,
+    chainId: network.chainId
+  }));
+
+  // 10. Call made by the set code transaction
+  const setCodeCall = {
+    to: alice.address,
+    data: calldata,
+    authorizationList: [authorization]
+  };
+
+  // In dry-run mode, show what the transaction would do and stop before broadcasting
+  if (isDryRun()) {
+    logSimulation(await simulateSetCodeTx(ethers.provider, setCodeCall, { from: bob.address }));
+    return;
+  }
+
+  // Estimate the gas limit, including the cost of the authorization list
+  const gasEstimate = await estimateSetCodeTxGas(ethers.provider, setCodeCall, { from: bob.address });
+  logGasEstimate(gasEstimate);
+
+  // Create the EIP-7702 transaction
+  const unsignedTx = buildSetCodeTx({
+    chainId: network.chainId,
+    nonce: bobNonce,
+    maxPriorityFeePerGas,
+    maxFeePerGas,
+    gasLimit: gasEstimate.gasLimit,
+    to: alice.address, // From Alice's address
+    data: calldata, // Function call data to emitHello()
+    authorizationList: [authorization]
+  });
+  
+  // 11. Bob signs the complete transaction
   console.log('Bob signing the transaction (paying for gas)...');
-  const txDataHash = ethers.keccak256(encodedTxData);
-  const txSignature = bob.signingKey.sign(txDataHash);
-  
-  // 14. Create the complete signed transaction
-  const signedTx = ethers.hexlify(ethers.concat([
-    '0x04',
-    ethers.encodeRlp([
-      ...txData,
-      txSignature.yParity == 0 ? '0x' : '0x01',
-      txSignature.r,
-      txSignature.s
-    ])
-  ]));
+  const signedTx = serialize(signSetCodeTx(bob, unsignedTx));
   
   console.log('Transaction signed and ready to send');
   
   try {
-    // 15. Send the raw transaction to the network
+    // 12. Send the raw transaction to the network
     console.log('\nSending EIP-7702 transaction...');
     const txHash = await ethers.provider.send('eth_sendRawTransaction', [signedTx]);
     console.log(`✅ Transaction sent! Hash: ${txHash}`);
+    logExplorerLink(preset, txHash);
     
     // Save the transaction info to a file for reference
     const txInfo = {
@@ -169,7 +146,7 @@ async function main() {
       bob: bob.address,
       contractAddress: LOG_EMITTER_ADDRESS,
       function: "emitHello()",
-      network: network.name,
+      network: preset.name,
       chainId: Number(network.chainId) // Convert BigInt to Number
     };
     
@@ -179,64 +156,46 @@ async function main() {
     );
     console.log('Transaction info saved to logemitter_eip7702_tx.json');
     
-    // 16. Try to wait for the transaction confirmation
-    try {
-      console.log('\nWaiting for transaction confirmation...');
-      
-      // Some networks may not support waiting, so we'll use a timeout
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error("Transaction confirmation timeout")), 30000)
-      );
-      
-      // Wait for receipt with timeout
-      const receipt = await Promise.race([
-        ethers.provider.getTransactionReceipt(txHash),
-        timeoutPromise
-      ]);
-      
-      if (receipt) {
-        console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
-        console.log(`Gas used: ${receipt.gasUsed}`);
-        console.log(`Status: ${receipt.status === 1 ? 'Success' : 'Failed'}`);
+    // 13. Follow the transaction until it is confirmed, replaced or dropped
+    console.log('\nWaiting for transaction confirmation...');
+    const tracking = await trackTransaction(ethers.provider, txHash, {
+      sender: bob.address,
+      nonce: bobNonce,
+      timeoutMs: 30000,
+      onUpdate: (message) => console.log(message)
+    });
+    logTrackingResult(tracking);
+
+    const receipt = tracking.receipt;
+    if (tracking.status === TX_STATUS.CONFIRMED) {
+      // Check for the Hello event
+      if (receipt.logs && receipt.logs.length > 0) {
+        console.log(`\n✅ Found ${receipt.logs.length} log(s) in the transaction`);
         
-        // Check for the Hello event
-        if (receipt.logs && receipt.logs.length > 0) {
-          console.log(`\n✅ Found ${receipt.logs.length} log(s) in the transaction`);
+        // Try to parse the Hello event
+        try {
+          const event = logEmitterInterface.parseLog({
+            topics: receipt.logs[0].topics,
+            data: receipt.logs[0].data
+          });
           
-          // Try to parse the Hello event
-          try {
-            const event = logEmitterInterface.parseLog({
-              topics: receipt.logs[0].topics,
-              data: receipt.logs[0].data
-            });
-            
-            if (event) {
-              console.log(`Event emitted: ${event.name}`);
-            }
-          } catch (parseError) {
-            console.log('Could not parse log as Hello event');
+          if (event) {
+            console.log(`Event emitted: ${event.name}`);
           }
-        } else {
-          console.log('⚠️ No logs found in the transaction receipt');
+        } catch (parseError) {
+          console.log('Could not parse log as Hello event');
         }
+      } else {
+        console.log('⚠️ No logs found in the transaction receipt');
       }
-    } catch (waitError) {
-      console.log("Could not get transaction confirmation:", waitError.message);
-      console.log("This is expected on some networks that don't support waiting for receipts.");
     }
     
   } catch (error) {
-    console.error("\n❌ Error sending transaction:", error.message);
-    
-    if (error.error && error.error.message) {
-      console.error("Error details:", error.error.message);
-    }
+    const classified = classifyError(error);
+    logClassifiedError(classified, "Error sending transaction");
     
-    // Check if the error indicates network doesn't support EIP-7702
-    if (error.message.includes("decode") || 
-        error.message.includes("invalid") || 
-        error.message.includes("unknown") || 
-        error.message.includes("unsupported")) {
+    // Fall back only when the node rejected the transaction type itself
+    if (isUnsupportedNetworkError(classified)) {
       console.log("\n⚠️ NETWORK COMPATIBILITY ISSUE: This network may not support EIP-7702 yet");
       console.log("EIP-7702 is a relatively new standard and many networks haven't fully implemented it.");
       
@@ -245,8 +204,7 @@ async function main() {
       try {
         const tx = await bob.sendTransaction({
           to: LOG_EMITTER_ADDRESS,
-          data: calldata,
-          gasLimit: gasLimit
+          data: calldata
         });
         
         console.log(`Fallback transaction sent: ${tx.hash}`);
@@ -260,10 +218,10 @@ async function main() {
           console.log(`Gas used: ${receipt.gasUsed}`);
           console.log(`Status: ${receipt.status === 1 ? 'Success' : 'Failed'}`);
         } catch (waitError) {
-          console.log("Could not wait for transaction confirmation:", waitError.message);
+          logClassifiedError(classifyError(waitError), "Could not wait for transaction confirmation");
         }
       } catch (fallbackError) {
-        console.error("Fallback transaction also failed:", fallbackError.message);
+        logClassifiedError(classifyError(fallbackError), "Fallback transaction also failed");
       }
     }
   }
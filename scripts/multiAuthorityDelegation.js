@@ -0,0 +1,159 @@
+const { ethers } = require('hardhat');
+const fs = require('fs');
+const path = require('path');
+const {
+  buildAuthorization,
+  signAuthorization,
+  buildSetCodeTx,
+  signSetCodeTx,
+  serialize,
+  authorizationFromJSON
+} = require('./lib/eip7702');
+const { loadDeploymentAddress } = require('./lib/registry');
+const { getNetworkPreset, resolveFees, logExplorerLink } = require('./lib/networks');
+const { checkEIP7702Support } = require('./lib/capabilities');
+const { estimateSetCodeTxGas, logGasEstimate } = require('./lib/gas');
+const { isDryRun, simulateSetCodeTx, logSimulation } = require('./lib/simulation');
+const { trackTransaction, logTrackingResult } = require('./lib/confirmations');
+const { classifyError, logClassifiedError } = require('./lib/errors');
+const {
+  resolveAuthorizationNonce,
+  validateAuthorizations,
+  getAuthorizationOutcomes,
+  logAuthorizationResults
+} = require('./lib/delegation');
+
+/**
+ * Bulk EIP-7702 Delegation
+ *
+ * Sends one sponsor-paid set code transaction carrying authorizations from many EOAs:
+ * - AUTHORITY_KEYS: comma-separated private keys, each signs its own authorization
+ * - AUTHORIZATION_FILES: comma-separated JSON files with pre-signed authorizations
+ *   (see scripts/presignAuthorization.js), each holding one authorization or an array
+ * - DELEGATE: BatchCallDelegation (default) or Sponsor
+ *
+ * Falls back to PRIVATE_KEY when neither is given. The sponsor (PRIVATE_KEY_2)
+ * pays for gas. After inclusion, the outcome of each authorization is reported.
+ */
+
+/**
+ * Split a comma-separated environment variable into its entries
+ * @param {string} value Environment variable value
+ * @returns {string[]}
+ */
+function splitList(value) {
+  return (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+async function main() {
+  const sponsor = new ethers.Wallet(process.env.PRIVATE_KEY_2, ethers.provider);
+  const delegateName = process.env.DELEGATE || 'BatchCallDelegation';
+  const delegateAddress = await loadDeploymentAddress(delegateName);
+
+  console.log(`Sponsor address (gas payer): ${sponsor.address}`);
+  console.log(`Delegating to ${delegateName} at: ${delegateAddress}`);
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const preset = getNetworkPreset(chainId);
+  checkEIP7702Support(preset);
+  const sponsorNonce = await ethers.provider.getTransactionCount(sponsor.address);
+
+  let authorityKeys = splitList(process.env.AUTHORITY_KEYS);
+  const authorizationFiles = splitList(process.env.AUTHORIZATION_FILES);
+  if (authorityKeys.length === 0 && authorizationFiles.length === 0) {
+    authorityKeys = [process.env.PRIVATE_KEY];
+  }
+
+  const authorizationList = [];
+
+  // Sign an authorization for every key, using the authority's next nonce
+  for (const key of authorityKeys) {
+    const authority = new ethers.Wallet(key, ethers.provider);
+    authorizationList.push(signAuthorization(authority, buildAuthorization({
+      chainId,
+      address: delegateAddress,
+      nonce: await resolveAuthorizationNonce(ethers.provider, authority.address, sponsor.address)
+    })));
+  }
+
+  // Load pre-signed authorizations
+  for (const file of authorizationFiles) {
+    const content = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    for (const json of [].concat(content)) {
+      const authorization = authorizationFromJSON(json);
+      if (authorization.address !== delegateAddress) {
+        console.log(`⚠️ ${file} delegates to ${authorization.address}, not ${delegateName}`);
+      }
+      authorizationList.push(authorization);
+    }
+  }
+
+  console.log(`\nPreflight check of ${authorizationList.length} authorization(s):`);
+  logAuthorizationResults(await validateAuthorizations(ethers.provider, authorizationList, {
+    sender: sponsor.address,
+    chainId
+  }));
+
+  // Get gas fees, with the network's defaults as fallback
+  const { maxPriorityFeePerGas, maxFeePerGas } = await resolveFees(ethers.provider, preset);
+
+  // Call made by the set code transaction
+  const setCodeCall = {
+    to: ethers.ZeroAddress,
+    authorizationList
+  };
+
+  // In dry-run mode, show what the transaction would do and stop before broadcasting
+  if (isDryRun()) {
+    logSimulation(await simulateSetCodeTx(ethers.provider, setCodeCall, { from: sponsor.address }));
+    return;
+  }
+
+  // Estimate the gas limit, including the cost of the authorization list
+  const gasEstimate = await estimateSetCodeTxGas(ethers.provider, setCodeCall, { from: sponsor.address });
+  logGasEstimate(gasEstimate);
+
+  // A pure delegation transaction: an empty call to an address that can never
+  // have code, since the sponsor itself may be delegated to a contract without
+  // a receive function
+  const tx = buildSetCodeTx({
+    chainId,
+    nonce: sponsorNonce,
+    maxPriorityFeePerGas,
+    maxFeePerGas,
+    gasLimit: gasEstimate.gasLimit,
+    to: ethers.ZeroAddress,
+    authorizationList
+  });
+
+  const txHash = await ethers.provider.send('eth_sendRawTransaction', [serialize(signSetCodeTx(sponsor, tx))]);
+  console.log(`\nTransaction sent: ${txHash}`);
+  logExplorerLink(preset, txHash);
+
+  console.log("Waiting for transaction confirmation...");
+  const tracking = await trackTransaction(ethers.provider, txHash, {
+    sender: sponsor.address,
+    nonce: sponsorNonce,
+    onUpdate: (message) => console.log(message)
+  });
+  logTrackingResult(tracking);
+  if (!tracking.receipt) {
+    throw new Error(`Transaction was not mined (${tracking.status})`);
+  }
+  const receipt = tracking.receipt;
+
+  const outcomes = await getAuthorizationOutcomes(ethers.provider, tx, sponsor.address, receipt);
+
+  console.log('\nAuthorization outcomes:');
+  logAuthorizationResults(outcomes, true);
+
+  const applied = outcomes.filter((o) => o.applied).length;
+  console.log(`\n${applied} of ${outcomes.length} authorizations applied`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logClassifiedError(classifyError(error));
+    process.exit(1);
+  });
@@ -0,0 +1,48 @@
+const { ethers } = require('hardhat');
+const fs = require('fs');
+const path = require('path');
+const { buildAuthorization, signAuthorization, authorizationToJSON } = require('./lib/eip7702');
+const { loadDeploymentAddress } = require('./lib/registry');
+
+/**
+ * Pre-sign an EIP-7702 authorization
+ *
+ * The user (PRIVATE_KEY) signs an authorization delegating their account to
+ * BatchCallDelegation or Sponsor (DELEGATE) and saves it to a JSON file that a
+ * sponsor can later include with scripts/multiAuthorityDelegation.js.
+ * The authorization uses the user's current account nonce, so it stays valid
+ * until the user sends another transaction.
+ */
+async function main() {
+  const user = new ethers.Wallet(process.env.PRIVATE_KEY, ethers.provider);
+  const delegateName = process.env.DELEGATE || 'BatchCallDelegation';
+  const delegateAddress = await loadDeploymentAddress(delegateName);
+
+  console.log(`User address (authority): ${user.address}`);
+  console.log(`Delegating to ${delegateName} at: ${delegateAddress}`);
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const nonce = await ethers.provider.getTransactionCount(user.address);
+
+  const authorization = signAuthorization(user, buildAuthorization({
+    chainId,
+    address: delegateAddress,
+    nonce
+  }));
+
+  const outputPath = path.resolve(
+    process.env.AUTHORIZATION_FILE ||
+    path.join(__dirname, '../authorizations', `${user.address}.json`)
+  );
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(authorizationToJSON(authorization), null, 2));
+
+  console.log(`Authorization (chain ${chainId}, nonce ${nonce}) saved to ${outputPath}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+const { ethers, artifacts } = require('hardhat');
+const { getNetworkPreset } = require('./lib/networks');
+const {
+  CAPABILITIES_PATH,
+  probeCapabilities,
+  saveCapabilityReport,
+  logCapabilityReport
+} = require('./lib/capabilities');
+
+/**
+ * EIP-7702 Capability Probe
+ *
+ * Reports whether the endpoint accepts set code transactions (type 0x04),
+ * honours authorizationList in eth_call and eth_estimateGas, and runs Prague
+ * rules. Nothing is sent from a funded account: the probe signs with fresh
+ * random keys and uses state overrides, including EIP7702Demonstrator's code
+ * to read the code length of a delegated account.
+ *
+ * The report is saved to deployments/capabilities.json, where the other
+ * scripts look before sending set code transactions.
+ */
+async function main() {
+  const { chainId } = await ethers.provider.getNetwork();
+  const preset = getNetworkPreset(chainId);
+  console.log(`Network: ${preset.name}, Chain ID: ${chainId}`);
+
+  const { deployedBytecode } = await artifacts.readArtifact('EIP7702Demonstrator');
+  const report = await probeCapabilities(ethers.provider, { demonstratorCode: deployedBytecode });
+  report.network = preset.name;
+
+  logCapabilityReport(report);
+  saveCapabilityReport(report);
+  console.log(`Report saved to ${CAPABILITIES_PATH}`);
+
+  if (report.supportsEIP7702 !== preset.supportsEIP7702) {
+    console.log(`⚠️ The ${preset.name} preset says supportsEIP7702 is ${preset.supportsEIP7702}, the probe result takes precedence`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,126 @@
+const { ethers } = require('hardhat');
+const {
+  buildAuthorization,
+  signAuthorization,
+  buildSetCodeTx,
+  signSetCodeTx,
+  serialize,
+  getDelegationAddress
+} = require('./lib/eip7702');
+const {
+  resolveAuthorizationNonce,
+  validateAuthorizations,
+  logAuthorizationResults
+} = require('./lib/delegation');
+const { getNetworkPreset, resolveFees, logExplorerLink } = require('./lib/networks');
+const { checkEIP7702Support } = require('./lib/capabilities');
+const { estimateSetCodeTxGas, logGasEstimate } = require('./lib/gas');
+const { isDryRun, simulateSetCodeTx, logSimulation } = require('./lib/simulation');
+const { trackTransaction, logTrackingResult } = require('./lib/confirmations');
+const { classifyError, logClassifiedError } = require('./lib/errors');
+
+/**
+ * Sponsor-paid EIP-7702 Delegation Revocation
+ *
+ * Clears the delegation designator of the user's account:
+ * - User (PRIVATE_KEY) signs an authorization to the zero address
+ * - Sponsor (PRIVATE_KEY_2) sends the set code transaction and pays for gas
+ * - The account code is checked to be empty afterwards
+ */
+async function main() {
+  const user = new ethers.Wallet(process.env.PRIVATE_KEY, ethers.provider);
+  const sponsor = new ethers.Wallet(process.env.PRIVATE_KEY_2, ethers.provider);
+
+  console.log("User address (authority):", user.address);
+  console.log("Sponsor address (gas payer):", sponsor.address);
+
+  const currentDelegate = getDelegationAddress(await ethers.provider.getCode(user.address));
+  if (!currentDelegate) {
+    console.log("User account is not delegated, nothing to revoke");
+    return;
+  }
+  console.log(`Current delegate: ${currentDelegate}`);
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const preset = getNetworkPreset(chainId);
+  checkEIP7702Support(preset);
+  const sponsorNonce = await ethers.provider.getTransactionCount(sponsor.address);
+
+  // An authorization to the zero address resets the account code to empty
+  const authorization = signAuthorization(user, buildAuthorization({
+    chainId,
+    address: ethers.ZeroAddress,
+    nonce: await resolveAuthorizationNonce(ethers.provider, user.address, sponsor.address)
+  }));
+
+  // Check which authorizations the chain will apply before broadcasting
+  console.log("Preflight check of authorizations:");
+  const results = await validateAuthorizations(ethers.provider, [authorization], {
+    sender: sponsor.address,
+    chainId
+  });
+  logAuthorizationResults(results);
+  if (!results[0].applied) {
+    throw new Error(`Revocation would be skipped: ${results[0].reason}`);
+  }
+
+  // Get gas fees, with the network's defaults as fallback
+  const { maxPriorityFeePerGas, maxFeePerGas } = await resolveFees(ethers.provider, preset);
+
+  // Call made by the set code transaction
+  const setCodeCall = {
+    to: ethers.ZeroAddress,
+    authorizationList: [authorization]
+  };
+
+  // In dry-run mode, show what the transaction would do and stop before broadcasting
+  if (isDryRun()) {
+    logSimulation(await simulateSetCodeTx(ethers.provider, setCodeCall, { from: sponsor.address }));
+    return;
+  }
+
+  // Estimate the gas limit, including the cost of the authorization list
+  const gasEstimate = await estimateSetCodeTxGas(ethers.provider, setCodeCall, { from: sponsor.address });
+  logGasEstimate(gasEstimate);
+
+  // Empty call to an address without code, the authorization does the work
+  const signedTx = serialize(signSetCodeTx(sponsor, buildSetCodeTx({
+    chainId,
+    nonce: sponsorNonce,
+    maxPriorityFeePerGas,
+    maxFeePerGas,
+    gasLimit: gasEstimate.gasLimit,
+    to: ethers.ZeroAddress,
+    authorizationList: [authorization]
+  })));
+
+  const txHash = await ethers.provider.send('eth_sendRawTransaction', [signedTx]);
+  console.log(`Revocation transaction sent: ${txHash}`);
+  logExplorerLink(preset, txHash);
+
+  console.log("Waiting for transaction confirmation...");
+  const tracking = await trackTransaction(ethers.provider, txHash, {
+    sender: sponsor.address,
+    nonce: sponsorNonce,
+    onUpdate: (message) => console.log(message)
+  });
+  logTrackingResult(tracking);
+  if (!tracking.receipt) {
+    throw new Error(`Transaction was not mined (${tracking.status})`);
+  }
+
+  const code = await ethers.provider.getCode(user.address);
+  if (code === '0x') {
+    console.log("✅ Delegation revoked, account code is empty again");
+  } else {
+    console.log(`❌ Account code is still ${code}`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    logClassifiedError(classifyError(error));
+    process.exit(1);
+  });
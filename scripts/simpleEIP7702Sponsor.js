@@ -2,6 +2,30 @@
 const { ethers } = require('hardhat');
 const fs = require('fs');
 const path = require('path');
+const {
+  buildAuthorization,
+  signAuthorization,
+  buildSetCodeTx,
+  signSetCodeTx,
+  serialize
+} = require('./lib/eip7702');
+const { resolveAuthorizationNonce, validateAuthorizations, logAuthorizationResults } = require('./lib/delegation');
+const { loadDeploymentAddress } = require('./lib/registry');
+const { getNetworkPreset, resolveFees, logExplorerLink } = require('./lib/networks');
+const { checkEIP7702Support } = require('./lib/capabilities');
+const { estimateSetCodeTxGas, logGasEstimate } = require('./lib/gas');
+const { isDryRun, simulateSetCodeTx, logSimulation } = require('./lib/simulation');
+const { classifyError, isUnsupportedNetworkError, logClassifiedError } = require('./lib/errors');
+const { trackTransaction, logTrackingResult } = require('./lib/confirmations');
+const {
+  getSponsorNonce,
+  decodeSponsorNonce,
+  getSponsorGasSpent,
+  checkValidityWindow,
+  signSponsoredTransfer,
+  encodeSponsoredTransfer
+} = require('./lib/sponsor');
+const { allocateNonceFromEnv } = require('./lib/nonces');
 
 /**
  * Simple EIP-7702 Gas Sponsorship Implementation
@@ -27,186 +51,105 @@ async function main() {
 
   // 2. Get network information
   const network = await ethers.provider.getNetwork();
-  console.log(`Network: ${network.name} (Chain ID: ${network.chainId})`);
-  const chainIdHex = ethers.toBeHex(network.chainId);
+  const preset = getNetworkPreset(network.chainId);
+  console.log(`Network: ${preset.name} (Chain ID: ${network.chainId})`);
+  checkEIP7702Support(preset);
 
-  // 3. Load the Sponsor contract address
-  const deploymentPath = path.join(__dirname, '../deployments/sichang_sponsor.json');
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error('Sponsor deployment file not found. Please deploy the contract first.');
-  }
-  
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-  const SPONSOR_CONTRACT_ADDRESS = deploymentInfo.contractAddress;
+  // 3. Load the Sponsor address from the deployment registry
+  const SPONSOR_CONTRACT_ADDRESS = await loadDeploymentAddress('Sponsor');
   console.log(`Sponsor contract: ${SPONSOR_CONTRACT_ADDRESS}`);
 
-  // 4. Define contract interface and create contract instance
-  const sponsorInterface = new ethers.Interface([
-    "function sponsoredTransfer(address sender, address payable recipient, uint256 amount, uint256 nonce, uint8 v, bytes32 r, bytes32 s)",
-    "function nonces(address) view returns (uint256)",
-    "function gasSpent(address) view returns (uint256)"
-  ]);
-  
-  const sponsorContract = new ethers.Contract(
-    SPONSOR_CONTRACT_ADDRESS,
-    sponsorInterface,
-    ethers.provider
-  );
-
-  // 5. Get current nonce for Alice
-  const aliceNonce = await sponsorContract.nonces(alice.address);
-  console.log(`Alice's current nonce: ${aliceNonce}`);
-
-  // 6. Define the recipient and amount for the transfer
+  // 4. Define the recipient and amount for the transfer
   const recipient = process.env.RECIPIENT_ADDRESS || "0xa06b838A5c46D3736Dff107427fA0A4B43F3cc66";
   const amount = ethers.parseEther("0.0001");
   console.log(`Recipient: ${recipient}`);
   console.log(`Amount: ${ethers.formatEther(amount)} ETH`);
 
-  // 7. Generate EIP-712 signature from Alice
+  // 5. Generate EIP-712 signature from Alice, with her next Sponsor nonce (tracked once relayed so it can be cancelled)
   console.log('\nGenerating EIP-712 signature from Alice...');
-  
-  // Create the domain data
-  const domain = {
-    name: "Sponsor", 
-    version: "1",
-    chainId: network.chainId,
-    verifyingContract: SPONSOR_CONTRACT_ADDRESS
-  };
-  
-  // Define the typed data structure
-  const types = {
-    SponsoredTransfer: [
-      { name: "sender", type: "address" },
-      { name: "recipient", type: "address" },
-      { name: "amount", type: "uint256" },
-      { name: "nonce", type: "uint256" }
-    ]
-  };
-  
-  // Create the message object
-  const message = {
-    sender: alice.address,
-    recipient: recipient,
-    amount: amount,
-    nonce: aliceNonce
-  };
-  
-  // Alice signs the typed data
-  const signature = await alice.signTypedData(domain, types, message);
-  const sig = ethers.Signature.from(signature);
+  const { nonce, commit: trackIntent } = await allocateNonceFromEnv(ethers.provider, alice.address, network.chainId);
+  const signed = await signSponsoredTransfer(alice, { recipient, amount, nonce, chainId: network.chainId });
   console.log('Signature generated successfully');
 
-  // 8. Encode the function call to sponsoredTransfer
-  const calldata = sponsorInterface.encodeFunctionData("sponsoredTransfer", [
-    alice.address,
-    recipient,
-    amount,
-    aliceNonce,
-    sig.v,
-    sig.r,
-    sig.s
-  ]);
+  // 6. Alice's Sponsor nonce, included in the signature
+  const aliceNonce = signed.nonce;
+  console.log(`Alice's current nonce: ${aliceNonce}`);
+
+  // 7. Encode the function call to sponsoredTransfer
+  const calldata = encodeSponsoredTransfer(signed);
   
-  // 9. Get Bob's current nonce and gas price information
+  // 8. Get Bob's current nonce and gas fees, with the network's defaults as fallback
   const bobNonce = await ethers.provider.getTransactionCount(bob.address);
-  const feeData = await ethers.provider.getFeeData();
-  
-  // Handle both EIP-1559 and legacy gas pricing
-  let maxPriorityFeePerGas, maxFeePerGas;
-  if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
-    maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
-    maxFeePerGas = feeData.maxFeePerGas;
-  } else {
-    const gasPrice = feeData.gasPrice || ethers.parseUnits("10", "gwei");
-    maxPriorityFeePerGas = gasPrice;
-    maxFeePerGas = gasPrice;
-  }
-  
+  const { maxPriorityFeePerGas, maxFeePerGas } = await resolveFees(ethers.provider, preset);
+
   console.log(`Bob's nonce: ${bobNonce}`);
   console.log(`Gas prices: max=${ethers.formatUnits(maxFeePerGas, "gwei")} gwei`);
 
-  // 10. Create the authorization data for EIP-7702
+  // 9. Create the authorization data for EIP-7702
   console.log('\nPreparing EIP-7702 transaction...');
   
-  const authorizationData = {
-    chainId: chainIdHex,
+  const unsignedAuthorization = buildAuthorization({
+    chainId: network.chainId,
     address: SPONSOR_CONTRACT_ADDRESS,
-    nonce: ethers.toBeHex(bobNonce),
+    nonce: await resolveAuthorizationNonce(ethers.provider, alice.address, bob.address)
+  });
+  
+  // 10. Alice signs the authorization data
+  const authorization = signAuthorization(alice, unsignedAuthorization);
+  
+  // Check which authorizations the chain will apply before broadcasting
+  console.log("Preflight check of authorizations:");
+  logAuthorizationResults(await validateAuthorizations(ethers.provider, [authorization], {
+    sender: bob.address,
+    chainId: network.chainId
+  }));
+
+  // 11. Call made by the set code transaction
+  const setCodeCall = {
+    to: alice.address,
+    data: calldata,
+    authorizationList: [authorization]
   };
-  
-  // 11. Encode the authorization data per EIP-7702 spec
-  const encodedAuthorizationData = ethers.concat([
-    '0x05', // MAGIC code for EIP7702
-    ethers.encodeRlp([
-      authorizationData.chainId,
-      authorizationData.address,
-      authorizationData.nonce,
-    ])
-  ]);
-  
-  // 12. Alice signs the authorization data
-  const authorizationDataHash = ethers.keccak256(encodedAuthorizationData);
-  const authorizationSignature = alice.signingKey.sign(authorizationDataHash);
-  
-  // Store signature components
-  authorizationData.yParity = authorizationSignature.yParity == 0 ? '0x' : '0x01';
-  authorizationData.r = authorizationSignature.r;
-  authorizationData.s = authorizationSignature.s;
-  
-  // 13. Create the EIP-7702 transaction data structure
-  const gasLimit = 300000; // Gas limit for the transaction
-  
-  const txData = [
-    chainIdHex,
-    ethers.toBeHex(bobNonce),
-    ethers.toBeHex(maxPriorityFeePerGas),
-    ethers.toBeHex(maxFeePerGas),
-    ethers.toBeHex(gasLimit),
-    bob.address, // Bob pays for gas
-    '0x', // No value sent with transaction
-    calldata, // Function call data
-    [], // Access list (empty)
-    [
-      [
-        authorizationData.chainId,
-        authorizationData.address,
-        authorizationData.nonce,
-        authorizationData.yParity,
-        authorizationData.r,
-        authorizationData.s
-      ]
-    ]
-  ];
-  
-  // 14. Encode the final transaction with EIP-7702 type (0x04)
-  const encodedTxData = ethers.concat([
-    '0x04', // Transaction type for EIP-7702
-    ethers.encodeRlp(txData)
-  ]);
-  
-  // 15. Bob signs the complete transaction
-  const txDataHash = ethers.keccak256(encodedTxData);
-  const txSignature = bob.signingKey.sign(txDataHash);
-  
-  // 16. Create the complete signed transaction
-  const signedTx = ethers.hexlify(ethers.concat([
-    '0x04',
-    ethers.encodeRlp([
-      ...txData,
-      txSignature.yParity == 0 ? '0x' : '0x01',
-      txSignature.r,
-      txSignature.s
-    ])
-  ]));
+
+  // In dry-run mode, show what the transaction would do and stop before broadcasting
+  if (isDryRun()) {
+    logSimulation(await simulateSetCodeTx(ethers.provider, setCodeCall, { from: bob.address }));
+    return;
+  }
+
+  // Refuse to relay a request that has expired (or is not valid yet)
+  await checkValidityWindow(ethers.provider, signed);
+
+  // Estimate the gas limit, including the cost of the authorization list
+  const gasEstimate = await estimateSetCodeTxGas(ethers.provider, setCodeCall, { from: bob.address });
+  logGasEstimate(gasEstimate);
+
+  // Create the EIP-7702 transaction
+  const unsignedTx = buildSetCodeTx({
+    chainId: network.chainId,
+    nonce: bobNonce,
+    maxPriorityFeePerGas,
+    maxFeePerGas,
+    gasLimit: gasEstimate.gasLimit,
+    to: alice.address, // Alice's delegated account runs the transfer, Bob pays for gas
+    data: calldata, // Function call data
+    authorizationList: [authorization]
+  });
+  
+  // 12. Bob signs the complete transaction
+  const signedTx = serialize(signSetCodeTx(bob, unsignedTx));
   
   console.log('Transaction signed and ready to send');
   
   try {
-    // 17. Send the raw transaction to the network
+    // 13. Send the raw transaction to the network
     console.log('\nSending EIP-7702 transaction...');
     const txHash = await ethers.provider.send('eth_sendRawTransaction', [signedTx]);
+
+    // Relayed: track the intent so it can be cancelled while it is pending
+    trackIntent();
     console.log(`✅ Transaction sent! Hash: ${txHash}`);
+    logExplorerLink(preset, txHash);
     
     // Save the transaction info to a file for reference
     const txInfo = {
@@ -216,8 +159,8 @@ async function main() {
       bob: bob.address,
       recipient: recipient,
       amount: ethers.formatEther(amount),
-      network: network.name,
-      chainId: network.chainId
+      network: preset.name,
+      chainId: preset.chainId
     };
     
     fs.writeFileSync(
@@ -226,41 +169,22 @@ async function main() {
     );
     console.log('Transaction info saved to simple_eip7702_tx.json');
     
-    // 18. Try to wait for the transaction confirmation
-    try {
-      console.log('\nWaiting for transaction confirmation...');
-      
-      // Some networks may not support waiting, so we'll use a timeout
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error("Transaction confirmation timeout")), 30000)
-      );
-      
-      // Wait for receipt with timeout
-      const receipt = await Promise.race([
-        ethers.provider.getTransactionReceipt(txHash),
-        timeoutPromise
-      ]);
-      
-      if (receipt) {
-        console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
-        console.log(`Gas used: ${receipt.gasUsed}`);
-        console.log(`Status: ${receipt.status === 1 ? 'Success' : 'Failed'}`);
-      }
-    } catch (waitError) {
-      console.log("Could not get transaction confirmation:", waitError.message);
-      console.log("This is expected on some networks that don't support waiting for receipts.");
-    }
-    
-    // 19. Wait a few seconds and check updated state
-    console.log('\nWaiting for blockchain state to update...');
-    await new Promise(resolve => setTimeout(resolve, 5000));
+    // 14. Follow the transaction until it is confirmed, replaced or dropped
+    console.log('\nWaiting for transaction confirmation...');
+    const tracking = await trackTransaction(ethers.provider, txHash, {
+      sender: bob.address,
+      nonce: bobNonce,
+      timeoutMs: 30000,
+      onUpdate: (message) => console.log(message)
+    });
+    logTrackingResult(tracking);
     
-    // 20. Check gas spent by Alice
-    const gasSpent = await sponsorContract.gasSpent(alice.address);
+    // 15. Check gas spent by Alice
+    const gasSpent = await getSponsorGasSpent(ethers.provider, alice.address);
     console.log(`Gas spent by Alice: ${gasSpent}`);
     
-    // 21. Check new nonce for Alice
-    const newNonce = await sponsorContract.nonces(alice.address);
+    // 16. Check new nonce for Alice
+    const newNonce = await getSponsorNonce(ethers.provider, alice.address, decodeSponsorNonce(aliceNonce).key);
     console.log(`Alice's new nonce: ${newNonce}`);
     
     if (newNonce > aliceNonce) {
@@ -270,34 +194,29 @@ async function main() {
     }
     
   } catch (error) {
-    console.error("\n❌ Error sending transaction:", error.message);
-    
-    if (error.error && error.error.message) {
-      console.error("Error details:", error.error.message);
-    }
+    const classified = classifyError(error);
+    logClassifiedError(classified, "Error sending transaction");
     
-    // Check if the error indicates network doesn't support EIP-7702
-    if (error.message.includes("decode") || 
-        error.message.includes("invalid") || 
-        error.message.includes("unknown") || 
-        error.message.includes("unsupported")) {
+    // Fall back only when the node rejected the transaction type itself
+    if (isUnsupportedNetworkError(classified)) {
       console.log("\n⚠️ NETWORK COMPATIBILITY ISSUE: This network may not support EIP-7702 yet");
       console.log("EIP-7702 is a relatively new standard and many networks haven't fully implemented it.");
       
       // Fallback to standard transaction
       console.log('\nTrying fallback approach with standard transaction...');
       try {
+        // Only works when Alice's account is already delegated to Sponsor
         const tx = await bob.sendTransaction({
-          to: SPONSOR_CONTRACT_ADDRESS,
-          data: calldata,
-          gasLimit: gasLimit
+          to: alice.address,
+          data: calldata
         });
         
         console.log(`Fallback transaction sent: ${tx.hash}`);
-        console.log("Note: This is NOT using EIP-7702, but a standard transaction from Bob.");
-        console.log("The contract will still validate Alice's signature and execute the transfer.");
+        trackIntent();
+        console.log("Note: This is NOT using EIP-7702, but a standard transaction from Bob to Alice's delegated account.");
+        console.log("The account will still validate Alice's signature and execute the transfer.");
       } catch (fallbackError) {
-        console.error("Fallback transaction also failed:", fallbackError.message);
+        logClassifiedError(classifyError(fallbackError), "Fallback transaction also failed");
       }
     }
   }
@@ -1,6 +1,35 @@
 const { ethers } = require('hardhat');
-const fs = require('fs');
-const path = require('path');
+const {
+  buildAuthorization,
+  signAuthorization,
+  buildSetCodeTx,
+  signSetCodeTx,
+  serialize
+} = require('./lib/eip7702');
+const { resolveAuthorizationNonce, validateAuthorizations, logAuthorizationResults } = require('./lib/delegation');
+const { loadDeploymentAddress, loadDeploymentAddresses } = require('./lib/registry');
+const { getNetworkPreset, resolveFees, logExplorerLink } = require('./lib/networks');
+const { checkEIP7702Support } = require('./lib/capabilities');
+const { estimateSetCodeTxGas, logGasEstimate } = require('./lib/gas');
+const { isDryRun, simulateSetCodeTx, logSimulation } = require('./lib/simulation');
+const { classifyError, isUnsupportedNetworkError, logClassifiedError } = require('./lib/errors');
+const { trackTransaction, logTrackingResult } = require('./lib/confirmations');
+const {
+  NO_FEE,
+  getSponsorNonce,
+  decodeSponsorNonce,
+  getSponsorGasSpent,
+  checkValidityWindow,
+  signSponsoredTransfer,
+  signSponsoredCall,
+  encodeSponsoredTransfer,
+  encodeSponsoredCall,
+  quoteFee,
+  checkFeeCovers,
+  loadFeeConfig
+} = require('./lib/sponsor');
+const { allocateNonceFromEnv } = require('./lib/nonces');
+const { validateBatch } = require('./lib/batch');
 
 /**
  * EIP-7702 Sponsorship Implementation for the Sponsor Contract
@@ -10,6 +39,17 @@ const path = require('path');
  * - User authorizes the transaction by signing (does not pay gas)
  * - Sponsor executes and pays for gas
  * - The transaction appears to come from the user
+ *
+ * By default the user signs a SponsoredTransfer of ETH to RECIPIENT_ADDRESS.
+ * With CALL_TARGET (an address or a deployed contract name) the user signs a
+ * SponsoredCall instead, e.g. CALL_TARGET=LogEmitter CALL_SIGNATURE="emitHello()".
+ *
+ * With FEE_TOKEN, FEE_MAX and FEE_TOKEN_RATE the user also signs a maximum fee in
+ * that token, and the sponsor charges the quoted cost of the transaction.
+ *
+ * With NONCE_KEY the intent is signed with a keyed nonce and tracked (see
+ * lib/nonces.js): "new" for a fresh key, independent of any other intent,
+ * or an existing key to run after the intents already signed with it.
  */
 async function main() {
   // Load the accounts
@@ -27,21 +67,16 @@ async function main() {
     console.error("Warning: Sponsor account has very low balance for paying gas");
   }
 
-  // Load Sponsor contract address from deployment file
-  const deploymentPath = path.join(__dirname, '../deployments/sichang_sponsor.json');
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error("Sponsor deployment file not found for sichang network");
-  }
-  
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-  const SPONSOR_CONTRACT_ADDRESS = deploymentInfo.contractAddress;
+  // Load the Sponsor address from the deployment registry
+  const SPONSOR_CONTRACT_ADDRESS = await loadDeploymentAddress('Sponsor');
   
   console.log(`Using Sponsor contract at: ${SPONSOR_CONTRACT_ADDRESS}`);
 
   // Get network info
   const network = await ethers.provider.getNetwork();
-  console.log(`Network: ${network.name} (Chain ID: ${network.chainId})`);
-  const chainIdHex = ethers.toBeHex(network.chainId);
+  const preset = getNetworkPreset(network.chainId);
+  console.log(`Network: ${preset.name} (Chain ID: ${network.chainId})`);
+  checkEIP7702Support(preset);
 
   // Define recipient and amount for the sponsored transfer
   const recipient = process.env.RECIPIENT_ADDRESS || "0xa06b838A5c46D3736Dff107427fA0A4B43F3cc66";
@@ -50,69 +85,51 @@ async function main() {
   console.log(`Recipient: ${recipient}`);
   console.log(`Amount: ${ethers.formatEther(amount)} ETH`);
 
-  // Define Sponsor contract interface
-  const sponsorInterface = new ethers.Interface([
-    "function sponsoredTransfer(address sender, address recipient, uint256 amount, uint256 nonce, uint8 v, bytes32 r, bytes32 s)",
-    "function nonces(address) view returns (uint256)",
-    "function gasSpent(address) view returns (uint256)"
-  ]);
-
-  // Create contract instance for reading data
-  const sponsorContract = new ethers.Contract(
-    SPONSOR_CONTRACT_ADDRESS,
-    sponsorInterface,
-    ethers.provider
-  );
-
-  // Get current nonce for the user
-  const currentNonce = await sponsorContract.nonces(user.address);
-  console.log(`Current nonce for user: ${currentNonce}`);
-
-  // Create domain data for EIP-712 signature
+
+  // The fee the user signs, when the sponsor asks to be reimbursed in a token
+  const addresses = await loadDeploymentAddresses();
+  const feeConfig = await loadFeeConfig(ethers.provider, { addresses });
+  const fee = feeConfig ? { token: feeConfig.token, maxAmount: feeConfig.maxAmount } : NO_FEE;
+  if (feeConfig) {
+    console.log(`Maximum fee: ${ethers.formatUnits(fee.maxAmount, feeConfig.decimals)} ${feeConfig.symbol}`);
+  }
+
+  // The nonce of the intent, on NONCE_KEY or the default key 0, tracked once relayed so it can be cancelled
+  const { nonce, commit: trackIntent } = await allocateNonceFromEnv(ethers.provider, user.address, network.chainId);
+
+  // The user signs a SponsoredCall when CALL_TARGET is set (with CALL_SIGNATURE and
+  // CALL_ARGS, or CALL_DATA, and optionally CALL_VALUE), otherwise a SponsoredTransfer
   console.log("Generating EIP-712 signature...");
-  const domain = {
-    name: "Sponsor",
-    version: "1",
-    chainId: network.chainId,
-    verifyingContract: SPONSOR_CONTRACT_ADDRESS
-  };
-
-  // Define the types for EIP-712 structured data
-  const types = {
-    SponsoredTransfer: [
-      { name: "sender", type: "address" },
-      { name: "recipient", type: "address" },
-      { name: "amount", type: "uint256" },
-      { name: "nonce", type: "uint256" }
-    ]
-  };
-
-  // Create the message to sign
-  const message = {
-    sender: user.address,
-    recipient: recipient,
-    amount: amount,
-    nonce: currentNonce
-  };
-
-  // Sign the typed data using EIP-712
-  const signature = await user.signTypedData(domain, types, message);
-  console.log("Signature generated successfully");
-
-  // Get the signature components (v, r, s)
-  const sig = ethers.Signature.from(signature);
-  console.log(`Signature details: { v: ${sig.v}, r: '${sig.r.slice(0, 10)}...', s: '${sig.s.slice(0, 10)}...' }`);
-
-  // Encode the function call to sponsoredTransfer
-  const calldata = sponsorInterface.encodeFunctionData("sponsoredTransfer", [
-    user.address,
-    recipient,
-    amount,
-    currentNonce,
-    sig.v,
-    sig.r,
-    sig.s
-  ]);
+  let signed;
+  let encode;
+  if (process.env.CALL_TARGET) {
+    const entry = process.env.CALL_DATA
+      ? { type: 'raw', to: process.env.CALL_TARGET, data: process.env.CALL_DATA }
+      : { type: 'call', to: process.env.CALL_TARGET, signature: process.env.CALL_SIGNATURE, args: JSON.parse(process.env.CALL_ARGS || '[]') };
+    if (process.env.CALL_VALUE) {
+      entry.value = process.env.CALL_VALUE;
+    }
+    const [call] = validateBatch([entry], { addresses });
+    console.log(`Sponsored call: ${call.description} -> ${call.to}`);
+
+    signed = await signSponsoredCall(user, {
+      target: call.to,
+      value: call.value,
+      data: call.data,
+      fee,
+      nonce,
+      chainId: network.chainId
+    });
+    encode = (feeAmount) => encodeSponsoredCall(signed, feeAmount);
+  } else {
+    signed = await signSponsoredTransfer(user, { recipient, amount, fee, nonce, chainId: network.chainId });
+    encode = (feeAmount) => encodeSponsoredTransfer(signed, feeAmount);
+  }
+  const currentNonce = signed.nonce;
+  console.log(`Signature generated successfully (user's Sponsor nonce: ${currentNonce})`);
+
+  // Until the fee is quoted, simulate and estimate charging the signed maximum
+  let calldata = encode(fee.maxAmount);
 
   console.log("Building EIP-7702 transaction (type 4)...");
   
@@ -120,73 +137,95 @@ async function main() {
   const sponsorNonce = await ethers.provider.getTransactionCount(sponsor.address);
   console.log(`Sponsor nonce: ${sponsorNonce}`);
 
-  // Get gas fee data
-  const feeData = await ethers.provider.getFeeData();
-  let maxPriorityFeePerGas, maxFeePerGas;
-  
-  if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
-    // EIP-1559 enabled network
-    maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
-    maxFeePerGas = feeData.maxFeePerGas;
-  } else {
-    // Legacy gas pricing
-    const gasPrice = feeData.gasPrice || ethers.parseUnits("10", "gwei");
-    maxPriorityFeePerGas = gasPrice;
-    maxFeePerGas = gasPrice;
-  }
+  // Get gas fees, with the network's defaults as fallback
+  const { maxPriorityFeePerGas, maxFeePerGas } = await resolveFees(ethers.provider, preset);
 
   console.log(`Gas prices: priority=${ethers.formatUnits(maxPriorityFeePerGas, "gwei")} gwei, max=${ethers.formatUnits(maxFeePerGas, "gwei")} gwei`);
 
-  // Standard transaction object (will be used for debugging if needed)
-  const standardTx = {
-    to: SPONSOR_CONTRACT_ADDRESS,
-    nonce: sponsorNonce,
-    maxPriorityFeePerGas: maxPriorityFeePerGas,
-    maxFeePerGas: maxFeePerGas,
-    gasLimit: 1000000,
-    data: calldata,
+  // User authorizes delegation of their account to the Sponsor contract
+  const authorization = signAuthorization(user, buildAuthorization({
     chainId: network.chainId,
-    type: 0,
-    value: 0
-  };
+    address: SPONSOR_CONTRACT_ADDRESS,
+    nonce: await resolveAuthorizationNonce(ethers.provider, user.address, sponsor.address)
+  }));
+
+  // Check which authorizations the chain will apply before broadcasting
+  console.log("Preflight check of authorizations:");
+  logAuthorizationResults(await validateAuthorizations(ethers.provider, [authorization], {
+    sender: sponsor.address,
+    chainId: network.chainId
+  }));
 
   try {
     // --------------------------------------------------------------------
     // APPROACH 1: Using eth_sendRawTransaction with EIP-7702 encoding
     // --------------------------------------------------------------------
     
-    // Create the standard transaction hash for signature
-    const tx = await sponsor.sendTransaction({
-      to: SPONSOR_CONTRACT_ADDRESS,
+    // Call made by the set code transaction
+    const setCodeCall = {
+      to: user.address,
       data: calldata,
-      gasLimit: 1000000,
-      value: 0
-    });
+      authorizationList: [authorization]
+    };
 
-    console.log(`Transaction sent: ${tx.hash}`);
-    console.log(`View on explorer: https://explorer.sichang.io/tx/${tx.hash}`);
-    
-    try {
-      console.log("Waiting for transaction confirmation...");
-      const receipt = await tx.wait();
-      console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
-      console.log(`Gas used: ${receipt.gasUsed}`);
-    } catch (waitError) {
-      console.log("Could not wait for transaction: ", waitError.message);
+    // In dry-run mode, show what the transaction would do and stop before broadcasting
+    if (isDryRun()) {
+      logSimulation(await simulateSetCodeTx(ethers.provider, setCodeCall, { from: sponsor.address }));
+      return;
     }
+
+    // Refuse to relay a request that has expired (or is not valid yet)
+    await checkValidityWindow(ethers.provider, signed);
+
+    // Estimate the gas limit, including the cost of the authorization list
+    const gasEstimate = await estimateSetCodeTxGas(ethers.provider, setCodeCall, { from: sponsor.address });
+    logGasEstimate(gasEstimate);
+
+    // Quote the fee in the user's token and refuse to relay when the signed maximum is below it
+    if (feeConfig) {
+      const feeAmount = quoteFee({ gasLimit: gasEstimate.gasLimit, maxFeePerGas, rate: feeConfig.rate });
+      console.log(`Fee quote: ${ethers.formatUnits(feeAmount, feeConfig.decimals)} ${feeConfig.symbol}`);
+      checkFeeCovers(fee, feeAmount);
+      calldata = encode(feeAmount);
+    }
+
+    // Sponsor signs the set code transaction and pays for gas
+    const signedTx = serialize(signSetCodeTx(sponsor, buildSetCodeTx({
+      chainId: network.chainId,
+      nonce: sponsorNonce,
+      maxPriorityFeePerGas,
+      maxFeePerGas,
+      gasLimit: gasEstimate.gasLimit,
+      to: user.address,
+      data: calldata,
+      authorizationList: [authorization]
+    })));
+
+    const txHash = await ethers.provider.send('eth_sendRawTransaction', [signedTx]);
+
+    // Relayed: track the intent so it can be cancelled while it is pending
+    trackIntent();
+
+    console.log(`Transaction sent: ${txHash}`);
+    logExplorerLink(preset, txHash);
+    
+    // Follow the transaction until it is confirmed, replaced or dropped
+    console.log("Waiting for transaction confirmation...");
+    logTrackingResult(await trackTransaction(ethers.provider, txHash, {
+      sender: sponsor.address,
+      nonce: sponsorNonce,
+      onUpdate: (message) => console.log(message)
+    }));
     
     // Check updated state
     console.log("Checking updated contract state...");
     
-    // Wait a moment for blockchain state to update
-    await new Promise(resolve => setTimeout(resolve, 5000));
-    
     // Check gas spent by user
-    const gasSpent = await sponsorContract.gasSpent(user.address);
+    const gasSpent = await getSponsorGasSpent(ethers.provider, user.address);
     console.log(`Total gas spent by user: ${gasSpent}`);
     
     // Check new nonce
-    const newNonce = await sponsorContract.nonces(user.address);
+    const newNonce = await getSponsorNonce(ethers.provider, user.address, decodeSponsorNonce(currentNonce).key);
     console.log(`New nonce for user: ${newNonce}`);
     
     if (newNonce > currentNonce) {
@@ -196,29 +235,30 @@ async function main() {
     }
     
   } catch (error) {
-    console.error("Error sending transaction:", error.message);
-    
-    if (error.error && error.error.message) {
-      console.error("Detailed error:", error.error.message);
-    }
+    const classified = classifyError(error);
+    logClassifiedError(classified, "Error sending transaction");
 
-    // Try fallback approach (standard transaction)
+    // Try fallback approach (standard transaction) when the node rejected the transaction type
+    if (!isUnsupportedNetworkError(classified)) {
+      throw error;
+    }
     console.log("\nTrying fallback approach with standard transaction...");
 
     try {
+      // Only works when the user's account is already delegated to Sponsor
       const tx = await sponsor.sendTransaction({
-        to: SPONSOR_CONTRACT_ADDRESS,
-        data: calldata,
-        gasLimit: 1000000
+        to: user.address,
+        data: calldata
       });
       
       console.log(`Fallback transaction sent: ${tx.hash}`);
-      console.log(`View on explorer: https://explorer.sichang.io/tx/${tx.hash}`);
+      trackIntent();
+      logExplorerLink(preset, tx.hash);
       
-      console.log("Note: This is NOT using EIP-7702, but a standard transaction from the sponsor");
-      console.log("The contract will still validate the user's signature and execute the transfer");
+      console.log("Note: This is NOT using EIP-7702, but a standard transaction from the sponsor to the user's delegated account");
+      console.log("The account will still validate the user's signature and execute the transfer");
     } catch (fallbackError) {
-      console.error("Fallback transaction also failed:", fallbackError.message);
+      logClassifiedError(classifyError(fallbackError), "Fallback transaction also failed");
       throw fallbackError;
     }
   }
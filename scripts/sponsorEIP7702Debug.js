@@ -1,6 +1,37 @@
 const { ethers } = require('hardhat');
 const fs = require('fs');
 const path = require('path');
+const {
+  buildAuthorization,
+  hashAuthorization,
+  signAuthorization,
+  buildSetCodeTx,
+  getSetCodeTxFields,
+  hashSetCodeTx,
+  signSetCodeTx,
+  serialize,
+  getDelegationAddress
+} = require('./lib/eip7702');
+const { resolveAuthorizationNonce, validateAuthorizations, logAuthorizationResults } = require('./lib/delegation');
+const { loadDeploymentAddress } = require('./lib/registry');
+const { getNetworkPreset, resolveFees, logExplorerLink } = require('./lib/networks');
+const { checkEIP7702Support } = require('./lib/capabilities');
+const { estimateSetCodeTxGas, logGasEstimate } = require('./lib/gas');
+const { isDryRun, simulateSetCodeTx, logSimulation } = require('./lib/simulation');
+const { classifyError, logClassifiedError } = require('./lib/errors');
+const { trackTransaction, logTrackingResult } = require('./lib/confirmations');
+const { SPONSOR_ABI } = require('./lib/abis');
+const {
+  getSponsorDomain,
+  getSponsorTypes,
+  getSponsorNonce,
+  decodeSponsorNonce,
+  getSponsorGasSpent,
+  checkValidityWindow,
+  signSponsoredTransfer,
+  encodeSponsoredTransfer
+} = require('./lib/sponsor');
+const { allocateNonceFromEnv } = require('./lib/nonces');
 
 /**
  * Debug version of EIP-7702 Sponsorship Implementation
@@ -24,14 +55,8 @@ async function main() {
   const userBalance = await ethers.provider.getBalance(user.address);
   console.log(`User balance: ${ethers.formatEther(userBalance)} ETH`);
 
-  // Load Sponsor contract address from deployment file
-  const deploymentPath = path.join(__dirname, '../deployments/sichang_sponsor.json');
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error("Sponsor deployment file not found for sichang network");
-  }
-  
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-  const SPONSOR_CONTRACT_ADDRESS = deploymentInfo.contractAddress;
+  // Load the Sponsor address from the deployment registry
+  const SPONSOR_CONTRACT_ADDRESS = await loadDeploymentAddress('Sponsor');
   
   console.log(`Using Sponsor contract at: ${SPONSOR_CONTRACT_ADDRESS}`);
 
@@ -41,9 +66,10 @@ async function main() {
 
   // Get network info
   const network = await ethers.provider.getNetwork();
-  console.log(`Network: ${network.name} (Chain ID: ${network.chainId})`);
-  const chainIdHex = ethers.toBeHex(network.chainId);
-  console.log(`Chain ID (hex): ${chainIdHex}`);
+  const preset = getNetworkPreset(network.chainId);
+  console.log(`Network: ${preset.name} (Chain ID: ${network.chainId})`);
+  console.log(`Chain ID (hex): ${ethers.toBeHex(network.chainId)}`);
+  checkEIP7702Support(preset);
 
   // Define recipient and amount for the sponsored transfer
   const recipient = process.env.RECIPIENT_ADDRESS || "0xa06b838A5c46D3736Dff107427fA0A4B43F3cc66";
@@ -56,211 +82,140 @@ async function main() {
   const recipientBalance = await ethers.provider.getBalance(recipient);
   console.log(`Recipient balance: ${ethers.formatEther(recipientBalance)} ETH`);
 
-  // Define Sponsor contract interface
-  const sponsorInterface = new ethers.Interface([
-    "function sponsoredTransfer(address sender, address payable recipient, uint256 amount, uint256 nonce, uint8 v, bytes32 r, bytes32 s)",
-    "function nonces(address) view returns (uint256)",
-    "function gasSpent(address) view returns (uint256)",
-    "function DOMAIN_SEPARATOR() view returns (bytes32)"
-  ]);
-
-  // Create contract instance for reading data
-  const sponsorContract = new ethers.Contract(
-    SPONSOR_CONTRACT_ADDRESS,
-    sponsorInterface,
-    ethers.provider
-  );
-
-  // Get current nonce for the user
-  const currentNonce = await sponsorContract.nonces(user.address);
+  // Nonce for the user, on NONCE_KEY or the default key 0, tracked once relayed so the intent can be cancelled
+  const { nonce: currentNonce, commit: trackIntent } = await allocateNonceFromEnv(ethers.provider, user.address, network.chainId);
   console.log(`Current nonce for user: ${currentNonce}`);
 
-  // Get domain separator directly from contract for verification
-  const contractDomainSeparator = await sponsorContract.DOMAIN_SEPARATOR();
-  console.log(`Contract domain separator: ${contractDomainSeparator}`);
+  // The signature's domain names the user's account, which runs the Sponsor code once delegated
+  const domain = getSponsorDomain(network.chainId, user.address);
+  const localDomainSeparator = ethers.TypedDataEncoder.hashDomain(domain);
+  console.log(`Local domain separator:    ${localDomainSeparator}`);
+
+  // When the account is already delegated to Sponsor, compare with the separator it computes
+  const delegate = getDelegationAddress(await ethers.provider.getCode(user.address));
+  if (delegate === SPONSOR_CONTRACT_ADDRESS) {
+    const userAccount = new ethers.Contract(user.address, SPONSOR_ABI, ethers.provider);
+    const contractDomainSeparator = await userAccount.DOMAIN_SEPARATOR();
+    console.log(`Account domain separator:  ${contractDomainSeparator}`);
+    if (contractDomainSeparator !== localDomainSeparator) {
+      console.log("⚠️ Domain separators differ, the signature will be rejected");
+    }
+  } else {
+    console.log(`Account is delegated to ${delegate || 'nothing'}, it will use the same separator once delegated to Sponsor`);
+  }
 
-  // Create domain data for EIP-712 signature
+  // Sign the SponsoredTransfer using EIP-712
   console.log("Generating EIP-712 signature...");
-  const domain = {
-    name: "Sponsor",
-    version: "1",
-    chainId: network.chainId,
-    verifyingContract: SPONSOR_CONTRACT_ADDRESS
-  };
-
-  // Define the types for EIP-712 structured data
-  const types = {
-    SponsoredTransfer: [
-      { name: "sender", type: "address" },
-      { name: "recipient", type: "address" },
-      { name: "amount", type: "uint256" },
-      { name: "nonce", type: "uint256" }
-    ]
-  };
-
-  // Create the message to sign
-  const message = {
-    sender: user.address,
-    recipient: recipient,
-    amount: amount,
-    nonce: currentNonce
-  };
-
-  // Log complete message for debugging
+  const signed = await signSponsoredTransfer(user, {
+    recipient,
+    amount,
+    nonce: currentNonce,
+    chainId: network.chainId
+  });
+  const { signature, ...message } = signed;
   console.log("Message to sign:", {
     domain,
-    types,
+    types: getSponsorTypes('SponsoredTransfer'),
     message
   });
-
-  // Sign the typed data using EIP-712
-  const signature = await user.signTypedData(domain, types, message);
   console.log("Signature generated successfully");
 
   // Get the signature components (v, r, s)
   const sig = ethers.Signature.from(signature);
   console.log(`Signature details: { v: ${sig.v}, r: '${sig.r}', s: '${sig.s}' }`);
 
-  // Encode the function call to sponsoredTransfer with extra debugging
-  console.log("Function parameters:", [
-    user.address, // sender
-    recipient,    // recipient
-    amount,       // amount
-    currentNonce, // nonce
-    sig.v,        // v
-    sig.r,        // r
-    sig.s         // s
-  ]);
-
-  const calldata = sponsorInterface.encodeFunctionData("sponsoredTransfer", [
-    user.address,
-    recipient,
-    amount,
-    currentNonce,
-    sig.v,
-    sig.r,
-    sig.s
-  ]);
-
+  const calldata = encodeSponsoredTransfer(signed);
   console.log("Encoded calldata:", calldata);
   
   // Get sponsor's current nonce
   const sponsorNonce = await ethers.provider.getTransactionCount(sponsor.address);
   console.log(`Sponsor nonce: ${sponsorNonce}`);
 
-  // Get gas fee data
-  const feeData = await ethers.provider.getFeeData();
+  // Get gas fees, with the network's defaults as fallback
+  const { maxPriorityFeePerGas, maxFeePerGas } = await resolveFees(ethers.provider, preset);
   console.log("Fee data:", {
-    gasPrice: feeData.gasPrice ? ethers.formatUnits(feeData.gasPrice, "gwei") + " gwei" : "N/A",
-    maxFeePerGas: feeData.maxFeePerGas ? ethers.formatUnits(feeData.maxFeePerGas, "gwei") + " gwei" : "N/A",
-    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ? ethers.formatUnits(feeData.maxPriorityFeePerGas, "gwei") + " gwei" : "N/A"
+    maxFeePerGas: ethers.formatUnits(maxFeePerGas, "gwei") + " gwei",
+    maxPriorityFeePerGas: ethers.formatUnits(maxPriorityFeePerGas, "gwei") + " gwei"
   });
-  
-  // Use legacy gas pricing if EIP-1559 fees not available
-  const gasPrice = feeData.gasPrice || ethers.parseUnits("10", "gwei");
-  const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas || gasPrice;
-  const maxFeePerGas = feeData.maxFeePerGas || gasPrice;
 
   try {
     console.log("Preparing EIP-7702 transaction (type 4)...");
     
     // Create authorization data structure for EIP-7702
     console.log("Creating authorization data for EIP-7702...");
-    const authorizationData = {
-      chainId: chainIdHex,
+    const unsignedAuthorization = buildAuthorization({
+      chainId: network.chainId,
       address: SPONSOR_CONTRACT_ADDRESS,
-      nonce: ethers.toBeHex(sponsorNonce),
-    };
-    
-    console.log("Authorization data:", authorizationData);
-
-    // Encode authorization data according to EIP-712 standard
-    const encodedAuthorizationData = ethers.concat([
-      '0x05', // MAGIC code for EIP7702
-      ethers.encodeRlp([
-        authorizationData.chainId,
-        authorizationData.address,
-        authorizationData.nonce,
-      ])
-    ]);
+      nonce: await resolveAuthorizationNonce(ethers.provider, user.address, sponsor.address)
+    });
     
-    console.log("Encoded authorization data:", encodedAuthorizationData);
+    console.log("Authorization data:", unsignedAuthorization);
 
     // Generate and sign authorization data hash with USER key
-    const authorizationDataHash = ethers.keccak256(encodedAuthorizationData);
-    console.log("Authorization data hash:", authorizationDataHash);
+    console.log("Authorization data hash:", hashAuthorization(unsignedAuthorization));
     
-    const authorizationSignature = user.signingKey.sign(authorizationDataHash);
+    const authorization = signAuthorization(user, unsignedAuthorization);
     console.log("Authorization signature:", {
-      r: authorizationSignature.r,
-      s: authorizationSignature.s,
-      yParity: authorizationSignature.yParity
+      r: authorization.r,
+      s: authorization.s,
+      yParity: authorization.yParity
     });
 
-    // Store signature components
-    authorizationData.yParity = authorizationSignature.yParity == 0 ? '0x' : '0x01';
-    authorizationData.r = authorizationSignature.r;
-    authorizationData.s = authorizationSignature.s;
+    // Check which authorizations the chain will apply before broadcasting
+    console.log("Preflight check of authorizations:");
+    logAuthorizationResults(await validateAuthorizations(ethers.provider, [authorization], {
+      sender: sponsor.address,
+      chainId: network.chainId
+    }));
+
+    // Call made by the set code transaction
+    const setCodeCall = {
+      to: user.address,
+      value: amount,
+      data: calldata,
+      authorizationList: [authorization]
+    };
+
+    // In dry-run mode, show what the transaction would do and stop before broadcasting
+    if (isDryRun()) {
+      logSimulation(await simulateSetCodeTx(ethers.provider, setCodeCall, { from: sponsor.address }));
+      return;
+    }
+
+    // Refuse to relay a request that has expired (or is not valid yet)
+    await checkValidityWindow(ethers.provider, signed);
 
-    const gasLimit = 1000000; // Gas limit
-    console.log(`Using gas limit: ${gasLimit}`);
+    // Estimate the gas limit, including the cost of the authorization list
+    const gasEstimate = await estimateSetCodeTxGas(ethers.provider, setCodeCall, { from: sponsor.address });
+    logGasEstimate(gasEstimate);
 
-    // Create the EIP-7702 transaction data structure
+    // Create the EIP-7702 transaction
     console.log("Creating EIP-7702 transaction data...");
-    const txData = [
-      chainIdHex,
-      ethers.toBeHex(sponsorNonce),
-      ethers.toBeHex(maxPriorityFeePerGas),
-      ethers.toBeHex(maxFeePerGas),
-      ethers.toBeHex(gasLimit),
-      user.address, // Sponsor address (who pays for gas)
-      ethers.toBeHex(amount), // Include value to ensure contract has enough for transfer
-      calldata, // Function call data
-      [], // Access list (empty)
-      [
-        [
-          authorizationData.chainId,
-          authorizationData.address,
-          authorizationData.nonce,
-          authorizationData.yParity,
-          authorizationData.r,
-          authorizationData.s
-        ]
-      ]
-    ];
+    const unsignedTx = buildSetCodeTx({
+      chainId: network.chainId,
+      nonce: sponsorNonce,
+      maxPriorityFeePerGas,
+      maxFeePerGas,
+      gasLimit: gasEstimate.gasLimit,
+      to: user.address, // Sponsor address (who pays for gas)
+      value: amount, // Include value to ensure contract has enough for transfer
+      data: calldata, // Function call data
+      authorizationList: [authorization]
+    });
     
+    const txData = getSetCodeTxFields(unsignedTx);
     console.log("Transaction data:", JSON.stringify(txData, null, 2));
-
-    // Encode the final transaction with EIP-7702 type (0x04)
-    const encodedTxData = ethers.concat([
-      '0x04', // Transaction type for EIP-7702
-      ethers.encodeRlp(txData)
-    ]);
-    
-    console.log("Encoded transaction data length:", encodedTxData.length);
+    console.log("Encoded transaction data length:", serialize(unsignedTx).length);
 
     // Have the SPONSOR sign the complete transaction
     console.log("Signing transaction with sponsor key...");
-    const txDataHash = ethers.keccak256(encodedTxData);
-    console.log("Transaction data hash:", txDataHash);
+    console.log("Transaction data hash:", hashSetCodeTx(unsignedTx));
     
-    const txSignature = sponsor.signingKey.sign(txDataHash);
-    console.log("Transaction signature:", {
-      r: txSignature.r,
-      s: txSignature.s,
-      yParity: txSignature.yParity
-    });
+    const tx = signSetCodeTx(sponsor, unsignedTx);
+    console.log("Transaction signature:", tx.signature);
 
     // Create the complete signed transaction 
-    const signedTx = ethers.hexlify(ethers.concat([
-      '0x04',
-      ethers.encodeRlp([
-        ...txData,
-        txSignature.yParity == 0 ? '0x' : '0x01',
-        txSignature.r,
-        txSignature.s
-      ])
-    ]));
+    const signedTx = serialize(tx);
     
     console.log("Signed transaction (first 100 chars):", signedTx.substring(0, 100) + "...");
     
@@ -268,7 +223,14 @@ async function main() {
     fs.writeFileSync(
       path.join(__dirname, '../eip7702_debug.json'), 
       JSON.stringify({
-        authorizationData,
+        authorizationData: {
+          chainId: ethers.toBeHex(authorization.chainId),
+          address: authorization.address,
+          nonce: ethers.toBeHex(authorization.nonce),
+          yParity: authorization.yParity,
+          r: authorization.r,
+          s: authorization.s
+        },
         txData,
         signedTx
       }, null, 2)
@@ -278,8 +240,11 @@ async function main() {
     // Send the raw transaction
     console.log("Sending EIP-7702 raw transaction...");
     const txHash = await ethers.provider.send('eth_sendRawTransaction', [signedTx]);
+
+    // Relayed: track the intent so it can be cancelled while it is pending
+    trackIntent();
     console.log(`Transaction sent: ${txHash}`);
-    console.log(`View on explorer: https://sichang.thaichain.org/tx/${txHash}`);
+    logExplorerLink(preset, txHash);
     
     // Write the transaction hash and info to a debug file
     fs.writeFileSync(
@@ -287,45 +252,29 @@ async function main() {
       JSON.stringify({
         txHash,
         timestamp: new Date().toISOString(),
-        network: network.name,
-        chainId: network.chainId
+        network: preset.name,
+        chainId: preset.chainId
       }, null, 2)
     );
     
-    try {
-      console.log("Waiting for transaction confirmation...");
-      
-      // Since some networks may not support waiting for confirmation, we'll use a timeout
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error("Transaction confirmation timeout")), 60000)
-      );
-      
-      // Wait for receipt with timeout
-      const receipt = await Promise.race([
-        ethers.provider.getTransactionReceipt(txHash),
-        timeoutPromise
-      ]);
-      
-      if (receipt) {
-        console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
-        console.log(`Gas used: ${receipt.gasUsed}`);
-        console.log(`Transaction status: ${receipt.status === 1 ? 'Success' : 'Failed'}`);
-      
-        // Log full receipt for debugging
-        console.log("Full receipt:", JSON.stringify(receipt, null, 2));
-      }
-    } catch (waitError) {
-      console.log("Could not get transaction confirmation:", waitError.message);
-      console.log("This is expected on some networks that don't support waiting for receipts");
+    // Follow the transaction until it is confirmed, replaced or dropped
+    console.log("Waiting for transaction confirmation...");
+    const tracking = await trackTransaction(ethers.provider, txHash, {
+      sender: sponsor.address,
+      nonce: sponsorNonce,
+      timeoutMs: 60000,
+      onUpdate: (message) => console.log(message)
+    });
+    logTrackingResult(tracking);
+
+    if (tracking.receipt) {
+      // Log full receipt for debugging
+      console.log("Full receipt:", JSON.stringify(tracking.receipt, null, 2));
     }
-    
+
     // Check updated state
     console.log("Checking updated contract state...");
     
-    // Wait a moment for blockchain state to update
-    console.log("Waiting 10 seconds for blockchain state to update...");
-    await new Promise(resolve => setTimeout(resolve, 10000));
-    
     // Check balances after transaction
     const newContractBalance = await ethers.provider.getBalance(SPONSOR_CONTRACT_ADDRESS);
     console.log(`Contract balance after: ${ethers.formatEther(newContractBalance)} ETH`);
@@ -341,11 +290,11 @@ async function main() {
     }
     
     // Check gas spent by user
-    const gasSpent = await sponsorContract.gasSpent(user.address);
+    const gasSpent = await getSponsorGasSpent(ethers.provider, user.address);
     console.log(`Total gas spent by user: ${gasSpent}`);
     
     // Check new nonce
-    const newNonce = await sponsorContract.nonces(user.address);
+    const newNonce = await getSponsorNonce(ethers.provider, user.address, decodeSponsorNonce(currentNonce).key);
     console.log(`New nonce for user: ${newNonce}`);
     
     if (newNonce > currentNonce) {
@@ -355,11 +304,7 @@ async function main() {
     }
     
   } catch (error) {
-    console.error("Error sending transaction:", error.message);
-    
-    if (error.error && error.error.message) {
-      console.error("Detailed error:", error.error.message);
-    }
+    logClassifiedError(classifyError(error), "Error sending transaction");
     
     // Try to extract more information from the error
     if (error.transaction) {
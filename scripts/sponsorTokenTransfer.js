@@ -0,0 +1,217 @@
+const { ethers } = require('hardhat');
+const {
+  buildAuthorization,
+  signAuthorization,
+  buildSetCodeTx,
+  signSetCodeTx,
+  serialize
+} = require('./lib/eip7702');
+const { resolveAuthorizationNonce, validateAuthorizations, logAuthorizationResults } = require('./lib/delegation');
+const { loadDeploymentAddress, loadDeploymentAddresses } = require('./lib/registry');
+const { getNetworkPreset, resolveFees, logExplorerLink } = require('./lib/networks');
+const { checkEIP7702Support } = require('./lib/capabilities');
+const { estimateSetCodeTxGas, logGasEstimate } = require('./lib/gas');
+const { isDryRun, simulateSetCodeTx, logSimulation } = require('./lib/simulation');
+const { classifyError, logClassifiedError } = require('./lib/errors');
+const { trackTransaction, logTrackingResult } = require('./lib/confirmations');
+const { ERC20_ABI } = require('./lib/abis');
+const {
+  NO_FEE,
+  getSponsorNonce,
+  decodeSponsorNonce,
+  getSponsorGasSpent,
+  checkValidityWindow,
+  signSponsoredTokenTransfer,
+  encodeSponsoredTokenTransfer,
+  quoteFee,
+  checkFeeCovers,
+  loadFeeConfig
+} = require('./lib/sponsor');
+const { allocateNonceFromEnv } = require('./lib/nonces');
+
+/**
+ * Sponsored ERC-20 token transfer with the Sponsor contract
+ *
+ * The user (PRIVATE_KEY) signs a SponsoredTokenTransfer of TOKEN_AMOUNT tokens
+ * (in whole tokens, default 1) to RECIPIENT_ADDRESS, and the sponsor
+ * (PRIVATE_KEY_2) relays it to the user's delegated account and pays for gas.
+ * TOKEN_ADDRESS is the token's address or its name in the deployment registry
+ * (default MockERC20, see deployMockERC20.js).
+ *
+ * With FEE_TOKEN, FEE_MAX and FEE_TOKEN_RATE the user also signs a maximum fee in
+ * that token, and the sponsor charges the quoted cost of the transaction.
+ *
+ * With NONCE_KEY the intent is signed with a keyed nonce and tracked (see
+ * lib/nonces.js): "new" for a fresh key, independent of any other intent,
+ * or an existing key to run after the intents already signed with it.
+ */
+async function main() {
+  // Set up user wallet (token holder) and sponsor wallet (gas payer)
+  const user = new ethers.Wallet(process.env.PRIVATE_KEY, ethers.provider);
+  const sponsor = new ethers.Wallet(process.env.PRIVATE_KEY_2, ethers.provider);
+
+  console.log("User address:", user.address);
+  console.log("Sponsor address:", sponsor.address);
+
+  // Load the Sponsor and token addresses from the deployment registry
+  const SPONSOR_CONTRACT_ADDRESS = await loadDeploymentAddress('Sponsor');
+  const tokenName = process.env.TOKEN_ADDRESS || 'MockERC20';
+  const tokenAddress = ethers.isAddress(tokenName) ? tokenName : await loadDeploymentAddress(tokenName);
+
+  console.log(`Using Sponsor contract at: ${SPONSOR_CONTRACT_ADDRESS}`);
+
+  // Get network information
+  const network = await ethers.provider.getNetwork();
+  const preset = getNetworkPreset(network.chainId);
+  console.log(`Network: ${preset.name} (Chain ID: ${network.chainId})`);
+  checkEIP7702Support(preset);
+
+  // Read the token's details and the user's balance
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, ethers.provider);
+  const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+  console.log(`Token: ${symbol} at ${tokenAddress} (${decimals} decimals)`);
+
+  // Define recipient and amount for the sponsored token transfer
+  const recipient = process.env.RECIPIENT_ADDRESS || "0xa06b838A5c46D3736Dff107427fA0A4B43F3cc66";
+  const amount = ethers.parseUnits(process.env.TOKEN_AMOUNT || "1", decimals);
+
+  console.log(`Recipient: ${recipient}`);
+  console.log(`Amount: ${ethers.formatUnits(amount, decimals)} ${symbol}`);
+
+  const userBalance = await token.balanceOf(user.address);
+  const recipientBalance = await token.balanceOf(recipient);
+  console.log(`User token balance: ${ethers.formatUnits(userBalance, decimals)} ${symbol}`);
+  if (userBalance < amount) {
+    console.log(`⚠️ The user holds less than ${ethers.formatUnits(amount, decimals)} ${symbol}, the transfer will revert`);
+  }
+
+
+  // The fee the user signs, when the sponsor asks to be reimbursed in a token
+  const feeConfig = await loadFeeConfig(ethers.provider, { addresses: await loadDeploymentAddresses() });
+  const fee = feeConfig ? { token: feeConfig.token, maxAmount: feeConfig.maxAmount } : NO_FEE;
+  if (feeConfig) {
+    console.log(`Maximum fee: ${ethers.formatUnits(fee.maxAmount, feeConfig.decimals)} ${feeConfig.symbol}`);
+  }
+
+  // The nonce of the intent, on NONCE_KEY or the default key 0, tracked once relayed so it can be cancelled
+  const { nonce, commit: trackIntent } = await allocateNonceFromEnv(ethers.provider, user.address, network.chainId);
+
+  // The user signs the SponsoredTokenTransfer with EIP-712
+  console.log("Generating EIP-712 signature...");
+  const signed = await signSponsoredTokenTransfer(user, {
+    token: tokenAddress,
+    recipient,
+    amount,
+    fee,
+    nonce,
+    chainId: network.chainId
+  });
+  const currentNonce = signed.nonce;
+  console.log(`Signature generated successfully (user's Sponsor nonce: ${currentNonce})`);
+
+  // Encode the function call to sponsoredTokenTransfer, charging the signed maximum fee until it is quoted
+  let calldata = encodeSponsoredTokenTransfer(signed, fee.maxAmount);
+
+  // Get sponsor's current nonce
+  const sponsorNonce = await ethers.provider.getTransactionCount(sponsor.address);
+  console.log(`Sponsor nonce: ${sponsorNonce}`);
+
+  // User authorizes delegation of their account to the Sponsor contract
+  const authorization = signAuthorization(user, buildAuthorization({
+    chainId: network.chainId,
+    address: SPONSOR_CONTRACT_ADDRESS,
+    nonce: await resolveAuthorizationNonce(ethers.provider, user.address, sponsor.address)
+  }));
+
+  // Check which authorizations the chain will apply before broadcasting
+  console.log("Preflight check of authorizations:");
+  logAuthorizationResults(await validateAuthorizations(ethers.provider, [authorization], {
+    sender: sponsor.address,
+    chainId: network.chainId
+  }));
+
+  // Get gas fees, with the network's defaults as fallback
+  const { maxPriorityFeePerGas, maxFeePerGas } = await resolveFees(ethers.provider, preset);
+
+  // Call made by the set code transaction
+  const setCodeCall = {
+    to: user.address,
+    data: calldata,
+    authorizationList: [authorization]
+  };
+
+  // In dry-run mode, show what the transaction would do and stop before broadcasting
+  if (isDryRun()) {
+    logSimulation(await simulateSetCodeTx(ethers.provider, setCodeCall, { from: sponsor.address }));
+    return;
+  }
+
+  // Refuse to relay a request that has expired (or is not valid yet)
+  await checkValidityWindow(ethers.provider, signed);
+
+  // Estimate the gas limit, including the cost of the authorization list
+  const gasEstimate = await estimateSetCodeTxGas(ethers.provider, setCodeCall, { from: sponsor.address });
+  logGasEstimate(gasEstimate);
+
+  // Quote the fee in the user's token and refuse to relay when the signed maximum is below it
+  if (feeConfig) {
+    const feeAmount = quoteFee({ gasLimit: gasEstimate.gasLimit, maxFeePerGas, rate: feeConfig.rate });
+    console.log(`Fee quote: ${ethers.formatUnits(feeAmount, feeConfig.decimals)} ${feeConfig.symbol}`);
+    checkFeeCovers(fee, feeAmount);
+    calldata = encodeSponsoredTokenTransfer(signed, feeAmount);
+  }
+
+  // Create the EIP-7702 transaction and have the SPONSOR sign it
+  const signedTx = serialize(signSetCodeTx(sponsor, buildSetCodeTx({
+    chainId: network.chainId,
+    nonce: sponsorNonce,
+    maxPriorityFeePerGas,
+    maxFeePerGas,
+    gasLimit: gasEstimate.gasLimit,
+    to: user.address, // User's delegated account, which holds the tokens
+    data: calldata,
+    authorizationList: [authorization]
+  })));
+
+  try {
+    const txHash = await ethers.provider.send('eth_sendRawTransaction', [signedTx]);
+
+    // Relayed: track the intent so it can be cancelled while it is pending
+    trackIntent();
+    console.log(`Transaction sent: ${txHash}`);
+    logExplorerLink(preset, txHash);
+
+    // Follow the transaction until it is confirmed, replaced or dropped
+    console.log("Waiting for transaction confirmation...");
+    logTrackingResult(await trackTransaction(ethers.provider, txHash, {
+      sender: sponsor.address,
+      nonce: sponsorNonce,
+      onUpdate: (message) => console.log(message)
+    }));
+  } catch (error) {
+    logClassifiedError(classifyError(error), "Error sending transaction");
+    throw error;
+  }
+
+  // Check the token balances, gas spent and nonce of the user
+  const received = (await token.balanceOf(recipient)) - recipientBalance;
+  console.log(`Recipient received: ${ethers.formatUnits(received, decimals)} ${symbol}`);
+  console.log(`Total gas spent by user: ${await getSponsorGasSpent(ethers.provider, user.address)}`);
+
+  const newNonce = await getSponsorNonce(ethers.provider, user.address, decodeSponsorNonce(currentNonce).key);
+  console.log(`New nonce for user: ${newNonce}`);
+
+  if (newNonce > currentNonce && received === amount) {
+    console.log("✅ Token transfer successful");
+  } else {
+    console.log("⚠️ Token transfer may have failed (nonce or balance was not updated)");
+  }
+}
+
+// Execute the script
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,13 +1,39 @@
 const { ethers } = require('hardhat');
-const fs = require('fs');
-const path = require('path');
+const {
+  buildAuthorization,
+  hashAuthorization,
+  signAuthorization,
+  buildSetCodeTx,
+  hashSetCodeTx,
+  signSetCodeTx,
+  serialize
+} = require('./lib/eip7702');
+const { resolveAuthorizationNonce, validateAuthorizations, logAuthorizationResults } = require('./lib/delegation');
+const { loadDeploymentAddress, loadDeploymentAddresses } = require('./lib/registry');
+const { getNetworkPreset, resolveFees, logExplorerLink } = require('./lib/networks');
+const { checkEIP7702Support } = require('./lib/capabilities');
+const { estimateSetCodeTxGas, logGasEstimate } = require('./lib/gas');
+const { isDryRun, simulateSetCodeTx, logSimulation } = require('./lib/simulation');
+const { classifyError, logClassifiedError } = require('./lib/errors');
+const { trackTransaction, logTrackingResult } = require('./lib/confirmations');
+const {
+  loadBatchFile,
+  isAtomicBatch,
+  validateBatch,
+  encodeBatch,
+  signBatch,
+  decodeBatchResults,
+  buildBatchReport,
+  logBatch,
+  logBatchReport
+} = require('./lib/batch');
 
 /**
  * EIP-7702 Sponsorship Pattern Implementation
  * 
  * This script demonstrates account X paying for transaction gas fees on behalf of account Y.
- * - User (Y): Authorizes the transaction but doesn't pay gas
- * - Sponsor (X): Pays for the gas fees but doesn't need to authorize
+ * - User (Y): Authorizes the delegation and signs the batch, but doesn't pay gas
+ * - Sponsor (X): Pays for the gas fees and relays the signed batch
  */
 const main = async () => {
   // User is the transaction originator who authorizes the action
@@ -18,154 +44,131 @@ const main = async () => {
   console.log("User address (authorizer):", user.address);
   console.log("Sponsor address (gas payer):", sponsor.address);
 
-  // Read deployment info from JSON file
-  const deploymentPath = path.join(__dirname, '../deployments', `${network.name}.json`);
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error(`Deployment file not found for network: ${network.name}`);
-  }
-  
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-  const BATCH_CALL_DELEGATION_ADDRESS = deploymentInfo.contractAddress;
+  // Load the BatchCallDelegation address from the deployment registry
+  const BATCH_CALL_DELEGATION_ADDRESS = await loadDeploymentAddress('BatchCallDelegation');
   
   console.log(`Using BatchCallDelegation at: ${BATCH_CALL_DELEGATION_ADDRESS}`);
 
   // Get the chain ID from the network
   const { chainId } = await ethers.provider.getNetwork();
-  console.log(`Chain ID: ${chainId}`);
-  const chainIdHex = ethers.toBeHex(chainId);
+  const preset = getNetworkPreset(chainId);
+  console.log(`Network: ${preset.name}, Chain ID: ${chainId}`);
+  checkEIP7702Support(preset);
   
-  // Define contract interface with execute function signature
-  const batchInterface = new ethers.Interface([
-    "function execute(tuple(bytes data, address to, uint256 value)[] calls)"
-  ]);
-    
-  // Define the transaction payload that user wants to execute
-  const calls = [
-    {
-      data: "0x",
-      to: process.env.RECIPIENT_ADDRESS || sponsor.address, // Fallback to sponsor address if not specified
-      value: ethers.parseEther("0.001")
-    }
-  ];
-
-  // Encode the execute function call with parameters
-  const calldata = batchInterface.encodeFunctionData("execute", [calls]);
+  // Calls to execute: the batch file named in BATCH_FILE, or a sample 0.001 ETH transfer
+  const batch = process.env.BATCH_FILE
+    ? loadBatchFile(process.env.BATCH_FILE)
+    : { calls: [{ type: 'transfer', to: process.env.RECIPIENT_ADDRESS || sponsor.address, value: '0.001' }] };
+  const calls = validateBatch(batch, { addresses: await loadDeploymentAddresses() });
+  const atomic = isAtomicBatch(batch);
+  logBatch(calls);
+
+  // The user signs the batch, so that the sponsor can relay it to the user's account.
+  // BatchCallDelegation only runs unsigned batches sent by the account itself.
+  const signedBatch = await signBatch(user, calls, { atomic, chainId });
+  console.log(`Batch signed by the user (nonce ${signedBatch.nonce}, valid until ${new Date(Number(signedBatch.deadline) * 1000).toISOString()})`);
+
+  // Encode the executeWithSignature (or, for a non-atomic batch, tryExecuteWithSignature) call
+  const calldata = encodeBatch(calls, { atomic, signed: signedBatch });
 
   // Get nonce for sponsor who will send the transaction
   const sponsorNonce = await ethers.provider.getTransactionCount(sponsor.address);
   console.log(`Sponsor nonce: ${sponsorNonce}`);
 
   // Create authorization for the user to delegate to the contract
-  const authorizationData = {
-    chainId: chainIdHex, // Chain ID from network in hex
+  const unsignedAuthorization = buildAuthorization({
+    chainId, // Chain ID from network
     address: BATCH_CALL_DELEGATION_ADDRESS, // Contract that will be delegated to
-    nonce: ethers.toBeHex(sponsorNonce), // Using the sponsor's current nonce
-  }
+    nonce: await resolveAuthorizationNonce(ethers.provider, user.address, sponsor.address), // User's current nonce
+  });
 
   console.log("Authorization data:", {
-    chainId: authorizationData.chainId,
-    address: authorizationData.address,
-    nonce: authorizationData.nonce
+    chainId: ethers.toBeHex(unsignedAuthorization.chainId),
+    address: unsignedAuthorization.address,
+    nonce: ethers.toBeHex(unsignedAuthorization.nonce)
   });
 
-  // Encode authorization data 
-  const encodedAuthorizationData = ethers.concat([
-    '0x05', // MAGIC code for EIP7702
-    ethers.encodeRlp([
-      authorizationData.chainId,
-      authorizationData.address, 
-      authorizationData.nonce,
-    ])
-  ]);
-
-  console.log("Encoded authorization data:", encodedAuthorizationData);
-
   // USER signs the authorization (key to sponsorship)
-  const authorizationDataHash = ethers.keccak256(encodedAuthorizationData);
-  console.log("Authorization data hash:", authorizationDataHash);
-  const authorizationSignature = user.signingKey.sign(authorizationDataHash);
+  console.log("Authorization data hash:", hashAuthorization(unsignedAuthorization));
+  const authorization = signAuthorization(user, unsignedAuthorization);
 
-  // Store signature components
-  authorizationData.yParity = authorizationSignature.yParity == 0 ? '0x' : '0x01';
-  authorizationData.r = authorizationSignature.r;
-  authorizationData.s = authorizationSignature.s;
+  // Check which authorizations the chain will apply before broadcasting
+  console.log("Preflight check of authorizations:");
+  logAuthorizationResults(await validateAuthorizations(ethers.provider, [authorization], {
+    sender: sponsor.address,
+    chainId
+  }));
 
-  // Get current gas fee data from the network
-  const feeData = await ethers.provider.getFeeData();
-  
-  // Use legacy gas pricing if EIP-1559 fees not available
-  const gasPrice = feeData.gasPrice || ethers.parseUnits("10", "gwei");
-  const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas || gasPrice;
-  const maxFeePerGas = feeData.maxFeePerGas || gasPrice;
+  // Get gas fees, with the network's defaults as fallback
+  const { maxPriorityFeePerGas, maxFeePerGas } = await resolveFees(ethers.provider, preset);
 
   console.log("Fee data:", {
     maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
     maxFeePerGas: maxFeePerGas.toString()
   });
 
-  // Prepare transaction data structure with sponsor as sender
-  const txData = [
-    authorizationData.chainId,
-    ethers.toBeHex(sponsorNonce), 
-    ethers.toBeHex(maxPriorityFeePerGas), 
-    ethers.toBeHex(maxFeePerGas),
-    ethers.toBeHex(1000000), // Gas limit
-    sponsor.address, // Sponsor address (pays for gas)
-    '0x', // No additional value
-    calldata, // Encoded function call
-    [], // Access list (empty)
-    [
-      [
-        authorizationData.chainId,
-        authorizationData.address,
-        authorizationData.nonce,
-        authorizationData.yParity,
-        authorizationData.r,
-        authorizationData.s
-      ]
-    ]
-  ];
-
-  // Encode transaction data with type prefix
-  const encodedTxData = ethers.concat([
-    '0x04', // Transaction type for EIP-7702
-    ethers.encodeRlp(txData)
-  ]);
-
-  console.log("Encoded transaction data:", encodedTxData.substring(0, 66) + "...");
+  // Call made by the set code transaction
+  const setCodeCall = {
+    to: user.address,
+    data: calldata,
+    authorizationList: [authorization]
+  };
+
+  // In dry-run mode, show what the transaction would do and stop before broadcasting
+  if (isDryRun()) {
+    const simulation = await simulateSetCodeTx(ethers.provider, setCodeCall, { from: sponsor.address });
+    logSimulation(simulation);
+    if (!atomic && simulation.success) {
+      logBatchReport(buildBatchReport(calls, { results: decodeBatchResults(simulation.returnData) }));
+    }
+    return;
+  }
+
+  // Estimate the gas limit, including the cost of the authorization list
+  const gasEstimate = await estimateSetCodeTxGas(ethers.provider, setCodeCall, { from: sponsor.address });
+  logGasEstimate(gasEstimate);
+
+  // Prepare transaction with sponsor as sender
+  const unsignedTx = buildSetCodeTx({
+    chainId,
+    nonce: sponsorNonce, 
+    maxPriorityFeePerGas, 
+    maxFeePerGas,
+    gasLimit: gasEstimate.gasLimit,
+    to: user.address, // Delegated user account that runs the batch
+    data: calldata, // Encoded function call
+    authorizationList: [authorization]
+  });
 
   // SPONSOR signs the complete transaction
-  const txDataHash = ethers.keccak256(encodedTxData);
-  console.log("Transaction data hash:", txDataHash);
-  const txSignature = sponsor.signingKey.sign(txDataHash);
-
-  // Construct the fully signed transaction
-  const signedTx = ethers.hexlify(ethers.concat([
-    '0x04',
-    ethers.encodeRlp([
-      ...txData,
-      txSignature.yParity == 0 ? '0x' : '0x01',
-      txSignature.r,
-      txSignature.s
-    ])
-  ]));
+  console.log("Transaction data hash:", hashSetCodeTx(unsignedTx));
+  const signedTx = serialize(signSetCodeTx(sponsor, unsignedTx));
 
   console.log("Signed transaction created, sending to network...");
   
+  let tx;
   try {
     // Send the raw transaction to the network
-    const tx = await ethers.provider.send('eth_sendRawTransaction', [signedTx]);
+    tx = await ethers.provider.send('eth_sendRawTransaction', [signedTx]);
     console.log('Sponsored transaction sent: ', tx);
+    logExplorerLink(preset, tx);
     console.log(`User: ${user.address} created the transaction`);
     console.log(`Sponsor: ${sponsor.address} paid for the gas`);
   } catch (error) {
-    console.error("Error sending transaction:", error.message);
-    // If detailed error info available, print it
-    if (error.error && error.error.message) {
-      console.error("Detailed error:", error.error.message);
-    }
+    logClassifiedError(classifyError(error), "Error sending transaction");
     throw error;
   }
+
+  // Wait for the transaction and report the outcome of each call
+  const tracking = await trackTransaction(ethers.provider, tx, {
+    sender: sponsor.address,
+    nonce: sponsorNonce,
+    onUpdate: (message) => console.log(message)
+  });
+  logTrackingResult(tracking);
+  if (tracking.receipt && tracking.receipt.status === 1) {
+    logBatchReport(buildBatchReport(calls, { receipt: tracking.receipt, account: user.address }));
+  }
 }
 
 main().then(() => {
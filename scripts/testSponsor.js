@@ -1,6 +1,28 @@
 const { ethers } = require('hardhat');
-const fs = require('fs');
-const path = require('path');
+const {
+  buildAuthorization,
+  signAuthorization,
+  buildSetCodeTx,
+  signSetCodeTx,
+  serialize
+} = require('./lib/eip7702');
+const { resolveAuthorizationNonce, validateAuthorizations, logAuthorizationResults } = require('./lib/delegation');
+const { loadDeploymentAddress } = require('./lib/registry');
+const { getNetworkPreset, resolveFees, logExplorerLink } = require('./lib/networks');
+const { checkEIP7702Support } = require('./lib/capabilities');
+const { estimateSetCodeTxGas, logGasEstimate } = require('./lib/gas');
+const { isDryRun, simulateSetCodeTx, logSimulation } = require('./lib/simulation');
+const { classifyError, logClassifiedError } = require('./lib/errors');
+const { trackTransaction, logTrackingResult } = require('./lib/confirmations');
+const {
+  getSponsorNonce,
+  decodeSponsorNonce,
+  getSponsorGasSpent,
+  checkValidityWindow,
+  signSponsoredTransfer,
+  encodeSponsoredTransfer
+} = require('./lib/sponsor');
+const { allocateNonceFromEnv } = require('./lib/nonces');
 
 /**
  * This script demonstrates using EIP-7702 for sponsored transactions
@@ -15,17 +37,17 @@ async function main() {
   console.log("User address:", user.address);
   console.log("Sponsor address:", sponsor.address);
 
-  // Read the Sponsor contract deployment information
-  const deploymentPath = path.join(__dirname, '../deployments', 'sichang_sponsor.json');
-  if (!fs.existsSync(deploymentPath)) {
-    throw new Error(`Sponsor deployment file not found for network: sichang`);
-  }
-  
-  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-  const SPONSOR_CONTRACT_ADDRESS = deploymentInfo.contractAddress;
+  // Load the Sponsor address from the deployment registry
+  const SPONSOR_CONTRACT_ADDRESS = await loadDeploymentAddress('Sponsor');
   
   console.log(`Using Sponsor contract at: ${SPONSOR_CONTRACT_ADDRESS}`);
 
+  // Get network information
+  const network = await ethers.provider.getNetwork();
+  const preset = getNetworkPreset(network.chainId);
+  console.log(`Network: ${preset.name} (Chain ID: ${network.chainId})`);
+  checkEIP7702Support(preset);
+
   // Define recipient and amount for the sponsored transfer
   const recipient = process.env.RECIPIENT_ADDRESS || "0xa06b838A5c46D3736Dff107427fA0A4B43F3cc66";
   const amount = ethers.parseEther("0.0001");
@@ -33,188 +55,100 @@ async function main() {
   console.log(`Recipient: ${recipient}`);
   console.log(`Amount: ${ethers.formatEther(amount)} ETH`);
 
-  // Create interface for Sponsor contract
-  const sponsorInterface = new ethers.Interface([
-    "function sponsoredTransfer(address sender, address payable recipient, uint256 amount, uint256 nonce, uint8 v, bytes32 r, bytes32 s)",
-    "function nonces(address) view returns (uint256)",
-    "function gasSpent(address) view returns (uint256)"
-  ]);
-
-  // Create contract instance for reading data
-  const sponsorContract = new ethers.Contract(
-    SPONSOR_CONTRACT_ADDRESS,
-    sponsorInterface,
-    ethers.provider
-  );
-
-  // Get current nonce for the user
-  const currentNonce = await sponsorContract.nonces(user.address);
-  console.log(`Current nonce for user: ${currentNonce}`);
-
-  // Create domain data for EIP-712 signature
-  console.log("Generating EIP-712 signature...");
-  const domain = {
-    name: "Sponsor",
-    version: "1",
-    chainId: await ethers.provider.getNetwork().then(n => n.chainId),
-    verifyingContract: SPONSOR_CONTRACT_ADDRESS
-  };
-
-  // Define the types for EIP-712 structured data
-  const types = {
-    SponsoredTransfer: [
-      { name: "sender", type: "address" },
-      { name: "recipient", type: "address" },
-      { name: "amount", type: "uint256" },
-      { name: "nonce", type: "uint256" }
-    ]
-  };
-
-  // Create the message to sign
-  const message = {
-    sender: user.address,
-    recipient: recipient,
-    amount: amount,
-    nonce: currentNonce
-  };
 
-  // Sign the typed data using EIP-712
-  const signature = await user.signTypedData(domain, types, message);
-  console.log("Signature generated successfully");
+  // The nonce of the intent, on NONCE_KEY or the default key 0, tracked once relayed so it can be cancelled
+  const { nonce, commit: trackIntent } = await allocateNonceFromEnv(ethers.provider, user.address, network.chainId);
 
-  // Get the signature components (v, r, s)
-  const sig = ethers.Signature.from(signature);
-  console.log(`Signature details: { v: ${sig.v}, r: '${sig.r.slice(0, 10)}...', s: '${sig.s.slice(0, 10)}...' }`);
+  // The user signs the SponsoredTransfer with EIP-712
+  console.log("Generating EIP-712 signature...");
+  const signed = await signSponsoredTransfer(user, { recipient, amount, nonce, chainId: network.chainId });
+  const currentNonce = signed.nonce;
+  console.log(`Signature generated successfully (user's Sponsor nonce: ${currentNonce})`);
 
   // Encode the function call to sponsoredTransfer
-  const calldata = sponsorInterface.encodeFunctionData("sponsoredTransfer", [
-    user.address,
-    recipient,
-    amount,
-    currentNonce,
-    sig.v,
-    sig.r,
-    sig.s
-  ]);
-
-  // Get current gas fee data
-  const feeData = await ethers.provider.getFeeData();
-  
-  // Get network information
-  const network = await ethers.provider.getNetwork();
-  const chainIdHex = ethers.toBeHex(network.chainId);
+  const calldata = encodeSponsoredTransfer(signed);
 
   // Get sponsor's current nonce
   const sponsorNonce = await ethers.provider.getTransactionCount(sponsor.address);
   console.log(`Sponsor nonce: ${sponsorNonce}`);
 
-  // Create authorization data structure for EIP-7702
+  // Create and sign authorization data for EIP-7702 with USER key
   console.log("Sending transaction type 4 (EIP-7702)...");
-  const authorizationData = {
-    chainId: chainIdHex,
+  const authorization = signAuthorization(user, buildAuthorization({
+    chainId: network.chainId,
     address: SPONSOR_CONTRACT_ADDRESS,
-    nonce: ethers.toBeHex(sponsorNonce),
+    nonce: await resolveAuthorizationNonce(ethers.provider, user.address, sponsor.address)
+  }));
+
+  // Check which authorizations the chain will apply before broadcasting
+  console.log("Preflight check of authorizations:");
+  logAuthorizationResults(await validateAuthorizations(ethers.provider, [authorization], {
+    sender: sponsor.address,
+    chainId: network.chainId
+  }));
+
+  // Get gas fees, with the network's defaults as fallback
+  const { maxPriorityFeePerGas, maxFeePerGas } = await resolveFees(ethers.provider, preset);
+
+  // Call made by the set code transaction
+  const setCodeCall = {
+    to: user.address,
+    data: calldata,
+    authorizationList: [authorization]
   };
 
-  // Encode authorization data according to EIP-712 standard
-  const encodedAuthorizationData = ethers.concat([
-    '0x05', // MAGIC code for EIP7702
-    ethers.encodeRlp([
-      authorizationData.chainId,
-      authorizationData.address,
-      authorizationData.nonce,
-    ])
-  ]);
-
-  // Generate and sign authorization data hash with USER key
-  const authorizationDataHash = ethers.keccak256(encodedAuthorizationData);
-  const authorizationSignature = user.signingKey.sign(authorizationDataHash);
-
-  // Store signature components
-  authorizationData.yParity = authorizationSignature.yParity == 0 ? '0x' : '0x01';
-  authorizationData.r = authorizationSignature.r;
-  authorizationData.s = authorizationSignature.s;
-
-  // Use legacy gas pricing if EIP-1559 fees not available
-  const gasPrice = feeData.gasPrice || ethers.parseUnits("10", "gwei");
-  const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas || gasPrice;
-  const maxFeePerGas = feeData.maxFeePerGas || gasPrice;
-
-  // Create the EIP-7702 transaction data structure
-  const txData = [
-    chainIdHex,
-    ethers.toBeHex(sponsorNonce),
-    ethers.toBeHex(maxPriorityFeePerGas),
-    ethers.toBeHex(maxFeePerGas),
-    ethers.toBeHex(1000000), // Gas limit
-    sponsor.address, // Sponsor address (who pays for gas)
-    ethers.toBeHex(0), // No additional value sent with tx
-    calldata, // Function call data
-    [], // Access list (empty)
-    [
-      [
-        authorizationData.chainId,
-        authorizationData.address,
-        authorizationData.nonce,
-        authorizationData.yParity,
-        authorizationData.r,
-        authorizationData.s
-      ]
-    ]
-  ];
-
-  // Encode the final transaction with EIP-7702 type (0x04)
-  const encodedTxData = ethers.concat([
-    '0x04', // Transaction type for EIP-7702
-    ethers.encodeRlp(txData)
-  ]);
-
-  // Have the SPONSOR sign the complete transaction
-  const txDataHash = ethers.keccak256(encodedTxData);
-  const txSignature = sponsor.signingKey.sign(txDataHash);
+  // In dry-run mode, show what the transaction would do and stop before broadcasting
+  if (isDryRun()) {
+    logSimulation(await simulateSetCodeTx(ethers.provider, setCodeCall, { from: sponsor.address }));
+    return;
+  }
+
+  // Refuse to relay a request that has expired (or is not valid yet)
+  await checkValidityWindow(ethers.provider, signed);
+
+  // Estimate the gas limit, including the cost of the authorization list
+  const gasEstimate = await estimateSetCodeTxGas(ethers.provider, setCodeCall, { from: sponsor.address });
+  logGasEstimate(gasEstimate);
+
+  // Create the EIP-7702 transaction and have the SPONSOR sign it
+  const tx = signSetCodeTx(sponsor, buildSetCodeTx({
+    chainId: network.chainId,
+    nonce: sponsorNonce,
+    maxPriorityFeePerGas,
+    maxFeePerGas,
+    gasLimit: gasEstimate.gasLimit,
+    to: user.address, // User's delegated account, which runs the transfer
+    value: 0, // No additional value sent with tx
+    data: calldata, // Function call data
+    authorizationList: [authorization]
+  }));
 
   // Create the complete signed transaction 
-  const signedTx = ethers.hexlify(ethers.concat([
-    '0x04',
-    ethers.encodeRlp([
-      ...txData,
-      txSignature.yParity == 0 ? '0x' : '0x01',
-      txSignature.r,
-      txSignature.s
-    ])
-  ]));
+  const signedTx = serialize(tx);
 
   // Send the raw transaction
   try {
     const txHash = await ethers.provider.send('eth_sendRawTransaction', [signedTx]);
+
+    // Relayed: track the intent so it can be cancelled while it is pending
+    trackIntent();
     console.log(`Transaction sent: ${txHash}`);
-    console.log("Transaction sent successfully. Due to network limitations, we cannot wait for confirmation.");
-    console.log(`You can check the transaction status manually with the hash: ${txHash}`);
-    
-    // Try to check status, but this might not work on all networks
-    console.log("Attempting to check transaction status (may not be supported on this network)...");
-    try {
-      const receipt = await ethers.provider.getTransactionReceipt(txHash);
-      if (receipt) {
-        console.log(`Transaction status: ${receipt.status === 1 ? 'Success' : 'Failed'}`);
-        console.log(`Gas used: ${receipt.gasUsed}`);
-      } else {
-        console.log("Transaction is still pending or receipt method is not supported");
-      }
-    } catch (error) {
-      console.log("Could not get transaction receipt:", error.message);
-    }
+    logExplorerLink(preset, txHash);
     
-    // Wait a bit before checking updated state
-    console.log("Waiting a few seconds before checking contract state...");
-    await new Promise(resolve => setTimeout(resolve, 5000));
+    // Follow the transaction until it is confirmed, replaced or dropped
+    console.log("Waiting for transaction confirmation...");
+    logTrackingResult(await trackTransaction(ethers.provider, txHash, {
+      sender: sponsor.address,
+      nonce: sponsorNonce,
+      onUpdate: (message) => console.log(message)
+    }));
     
     // Check gas spent by user
-    const gasSpent = await sponsorContract.gasSpent(user.address);
+    const gasSpent = await getSponsorGasSpent(ethers.provider, user.address);
     console.log(`Total gas spent by user: ${gasSpent}`);
     
     // Check new nonce
-    const newNonce = await sponsorContract.nonces(user.address);
+    const newNonce = await getSponsorNonce(ethers.provider, user.address, decodeSponsorNonce(currentNonce).key);
     console.log(`New nonce for user: ${newNonce}`);
     
     if (newNonce > currentNonce) {
@@ -226,7 +160,7 @@ async function main() {
     console.log("Test completed successfully");
     
   } catch (error) {
-    console.error("Error sending transaction:", error);
+    logClassifiedError(classifyError(error), "Error sending transaction");
     throw error;
   }
 }
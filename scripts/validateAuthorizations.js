@@ -0,0 +1,63 @@
+const { ethers } = require('hardhat');
+const fs = require('fs');
+const path = require('path');
+const { parse, recoverSender, authorizationFromJSON } = require('./lib/eip7702');
+const { validateAuthorizations, logAuthorizationResults } = require('./lib/delegation');
+
+/**
+ * EIP-7702 Authorization Preflight Validator
+ *
+ * Checks an authorization list against the current state of the network and
+ * reports which authorizations would be applied and which would be skipped:
+ * - RAW_TX or TX_FILE (`signedTx` field): a signed set code transaction, the
+ *   sender is recovered from its signature
+ * - AUTHORIZATION_FILES: comma-separated pre-signed authorization files,
+ *   checked for a transaction sent by SENDER (defaults to PRIVATE_KEY_2)
+ */
+async function main() {
+  const { chainId } = await ethers.provider.getNetwork();
+  let authorizationList;
+  let sender;
+
+  if (process.env.AUTHORIZATION_FILES) {
+    authorizationList = process.env.AUTHORIZATION_FILES.split(',')
+      .map((file) => JSON.parse(fs.readFileSync(path.resolve(file.trim()), 'utf8')))
+      .flat()
+      .map(authorizationFromJSON);
+    sender = process.env.SENDER || new ethers.Wallet(process.env.PRIVATE_KEY_2).address;
+  } else {
+    let rawTx = process.env.RAW_TX;
+    if (!rawTx) {
+      const txFile = path.resolve(process.env.TX_FILE || path.join(__dirname, '../eip7702_debug.json'));
+      rawTx = JSON.parse(fs.readFileSync(txFile, 'utf8')).signedTx;
+      console.log(`Reading signedTx from ${txFile}`);
+    }
+    const tx = parse(rawTx);
+    if (tx.chainId !== chainId) {
+      console.log(`⚠️ Transaction is for chain ${tx.chainId}, connected to chain ${chainId}`);
+    }
+    authorizationList = tx.authorizationList;
+    sender = recoverSender(tx);
+  }
+
+  console.log(`Chain ID: ${chainId}`);
+  console.log(`Transaction sender: ${sender}`);
+  console.log(`\nPreflight check of ${authorizationList.length} authorization(s):`);
+
+  const results = await validateAuthorizations(ethers.provider, authorizationList, { sender, chainId });
+  logAuthorizationResults(results);
+
+  for (const result of results.filter((r) => !r.applied)) {
+    console.log(`\n[${result.index}] failed checks:`);
+    for (const { check, detail } of result.checks.filter((c) => !c.ok)) {
+      console.log(`  ❌ ${check}: ${detail}`);
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,245 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { DELEGATION_PREFIX } = require('../scripts/lib/eip7702');
+const { BATCH_CALL_DELEGATION_ABI } = require('../scripts/lib/abis');
+const { encodeBatch, getBatchDomain, signBatch, relayBatch } = require('../scripts/lib/batch');
+const { createFundedWallet, signDelegation, sendSetCodeTx } = require('./helpers');
+
+describe('BatchCallDelegation', function () {
+  async function deployFixture() {
+    const batchCallDelegation = await ethers.deployContract('BatchCallDelegation');
+    const logEmitter = await ethers.deployContract('LogEmitter');
+
+    const alice = await createFundedWallet();
+    const sponsor = await createFundedWallet();
+    const bob = ethers.Wallet.createRandom().address;
+    const carol = ethers.Wallet.createRandom().address;
+
+    // Alice's account seen through the delegate's ABI
+    const aliceAccount = await ethers.getContractAt('BatchCallDelegation', alice.address);
+
+    return { batchCallDelegation, logEmitter, alice, sponsor, bob, carol, aliceAccount };
+  }
+
+  function encodeExecute(calls) {
+    return new ethers.Interface(BATCH_CALL_DELEGATION_ABI).encodeFunctionData('execute', [calls]);
+  }
+
+  // Calldata for a batch signed by the account, which anyone can relay
+  async function encodeSigned(account, calls, options = {}) {
+    return encodeBatch(calls, { ...options, signed: await signBatch(account, calls, options) });
+  }
+
+  // Delegate Alice's account without running a batch
+  async function delegateAlice({ batchCallDelegation, alice }) {
+    await (await sendSetCodeTx(alice, {
+      authorizationList: [await signDelegation(alice, await batchCallDelegation.getAddress(), alice.address)],
+      to: ethers.ZeroAddress
+    })).wait();
+  }
+
+  it('sets the delegation designator on the EOA', async function () {
+    const { batchCallDelegation, alice } = await loadFixture(deployFixture);
+    const delegate = await batchCallDelegation.getAddress();
+
+    const tx = await sendSetCodeTx(alice, {
+      authorizationList: [await signDelegation(alice, delegate, alice.address)],
+      to: ethers.ZeroAddress
+    });
+    await tx.wait();
+
+    expect(await ethers.provider.getCode(alice.address))
+      .to.equal(ethers.concat([DELEGATION_PREFIX, delegate]).toLowerCase());
+  });
+
+  it('executes ETH transfers in a self-sponsored transaction', async function () {
+    const { batchCallDelegation, alice, bob, carol, aliceAccount } = await loadFixture(deployFixture);
+
+    const tx = await sendSetCodeTx(alice, {
+      authorizationList: [await signDelegation(alice, await batchCallDelegation.getAddress(), alice.address)],
+      to: alice.address,
+      data: encodeExecute([
+        { data: '0x', to: bob, value: ethers.parseEther('1') },
+        { data: '0x', to: carol, value: ethers.parseEther('0.5') }
+      ])
+    });
+
+    await expect(tx).to.emit(aliceAccount, 'CallExecuted').withArgs(bob, ethers.parseEther('1'), '0x', true);
+    await expect(tx).to.emit(aliceAccount, 'CallExecuted').withArgs(carol, ethers.parseEther('0.5'), '0x', true);
+    expect(await ethers.provider.getBalance(bob)).to.equal(ethers.parseEther('1'));
+    expect(await ethers.provider.getBalance(carol)).to.equal(ethers.parseEther('0.5'));
+  });
+
+  it('executes a signed batch relayed by a sponsor', async function () {
+    const { batchCallDelegation, alice, sponsor, bob } = await loadFixture(deployFixture);
+
+    const tx = await sendSetCodeTx(sponsor, {
+      authorizationList: [await signDelegation(alice, await batchCallDelegation.getAddress(), sponsor.address)],
+      to: alice.address,
+      data: await encodeSigned(alice, [{ data: '0x', to: bob, value: ethers.parseEther('1') }])
+    });
+
+    // The value comes from Alice, the gas from the sponsor
+    await expect(tx).to.changeEtherBalances(
+      [alice.address, bob],
+      [-ethers.parseEther('1'), ethers.parseEther('1')]
+    );
+  });
+
+  it('executes contract calls', async function () {
+    const { batchCallDelegation, logEmitter, alice, sponsor, aliceAccount } = await loadFixture(deployFixture);
+    const logEmitterAddress = await logEmitter.getAddress();
+
+    const tx = await sendSetCodeTx(sponsor, {
+      authorizationList: [await signDelegation(alice, await batchCallDelegation.getAddress(), sponsor.address)],
+      to: alice.address,
+      data: await encodeSigned(alice, [
+        { data: logEmitter.interface.encodeFunctionData('emitHello'), to: logEmitterAddress, value: 0n },
+        { data: logEmitter.interface.encodeFunctionData('emitWorld'), to: logEmitterAddress, value: 0n }
+      ])
+    });
+
+    await expect(tx).to.emit(logEmitter, 'Hello');
+    await expect(tx).to.emit(logEmitter, 'World');
+    await expect(tx).to.emit(aliceAccount, 'CallExecuted');
+    expect(await aliceAccount.nonce()).to.equal(1n);
+  });
+
+  it('reverts the whole batch when a call fails', async function () {
+    const { batchCallDelegation, logEmitter, alice, bob, aliceAccount } = await loadFixture(deployFixture);
+
+    // LogEmitter has no payable functions, so sending value to it fails.
+    // The gas limit is set so the transaction is mined instead of failing estimation.
+    await expect(sendSetCodeTx(alice, {
+      authorizationList: [await signDelegation(alice, await batchCallDelegation.getAddress(), alice.address)],
+      to: alice.address,
+      data: encodeExecute([
+        { data: '0x', to: bob, value: ethers.parseEther('1') },
+        { data: logEmitter.interface.encodeFunctionData('emitHello'), to: await logEmitter.getAddress(), value: 1n }
+      ]),
+      gasLimit: 500000n
+    })).to.be.revertedWith('call reverted');
+
+    expect(await ethers.provider.getBalance(bob)).to.equal(0n);
+
+    // The delegation is applied even though the call reverted
+    await expect(aliceAccount.connect(alice).execute([{ data: '0x', to: bob, value: 1n }]))
+      .to.changeEtherBalance(bob, 1n);
+  });
+
+  describe('access control', function () {
+    it('only accepts direct calls from the account itself', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsor, bob, aliceAccount } = fixture;
+      await delegateAlice(fixture);
+
+      await expect(aliceAccount.connect(sponsor).execute([{ data: '0x', to: bob, value: 1n }]))
+        .to.be.revertedWithCustomError(aliceAccount, 'Unauthorized');
+      await expect(aliceAccount.connect(sponsor).tryExecute([{ data: '0x', to: bob, value: 1n, required: false }]))
+        .to.be.revertedWithCustomError(aliceAccount, 'Unauthorized');
+    });
+
+    it('uses the account as the EIP-712 verifying contract', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { alice, aliceAccount } = fixture;
+      await delegateAlice(fixture);
+
+      const { chainId } = await ethers.provider.getNetwork();
+      expect(await aliceAccount.DOMAIN_SEPARATOR())
+        .to.equal(ethers.TypedDataEncoder.hashDomain(getBatchDomain(chainId, alice.address)));
+    });
+
+    it('rejects batches signed by another key or for another account', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { batchCallDelegation, alice, sponsor, bob, aliceAccount } = fixture;
+      await delegateAlice(fixture);
+      const calls = [{ data: '0x', to: bob, value: 1n }];
+
+      // Signed by the sponsor for Alice's account
+      const forged = await signBatch(sponsor, calls, { nonce: 0n });
+      await expect(relayBatch(sponsor, alice.address, calls, forged))
+        .to.be.revertedWithCustomError(aliceAccount, 'InvalidBatchSignature');
+
+      // Signed by Dave for his own account, replayed on Alice's
+      const dave = await createFundedWallet();
+      await (await sendSetCodeTx(dave, {
+        authorizationList: [await signDelegation(dave, await batchCallDelegation.getAddress(), dave.address)],
+        to: ethers.ZeroAddress
+      })).wait();
+      await expect(relayBatch(sponsor, alice.address, calls, await signBatch(dave, calls)))
+        .to.be.revertedWithCustomError(aliceAccount, 'InvalidBatchSignature');
+    });
+
+    it('rejects replayed and expired batches', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { alice, sponsor, bob, aliceAccount } = fixture;
+      await delegateAlice(fixture);
+      const calls = [{ data: '0x', to: bob, value: 1n }];
+
+      const signed = await signBatch(alice, calls);
+      await (await relayBatch(sponsor, alice.address, calls, signed)).wait();
+      await expect(relayBatch(sponsor, alice.address, calls, signed))
+        .to.be.revertedWithCustomError(aliceAccount, 'BatchNonceAlreadyUsed');
+
+      const { timestamp } = await ethers.provider.getBlock('latest');
+      const expired = await signBatch(alice, calls, { deadline: BigInt(timestamp) });
+      await expect(relayBatch(sponsor, alice.address, calls, expired))
+        .to.be.revertedWithCustomError(aliceAccount, 'BatchExpired');
+    });
+  });
+
+  describe('tryExecute', function () {
+    it('continues past failing calls and reports them', async function () {
+      const { batchCallDelegation, logEmitter, alice, sponsor, bob, aliceAccount } = await loadFixture(deployFixture);
+      const logEmitterAddress = await logEmitter.getAddress();
+      const hello = logEmitter.interface.encodeFunctionData('emitHello');
+
+      const tx = await sendSetCodeTx(sponsor, {
+        authorizationList: [await signDelegation(alice, await batchCallDelegation.getAddress(), sponsor.address)],
+        to: alice.address,
+        data: await encodeSigned(alice, [
+          { data: '0x', to: bob, value: ethers.parseEther('1'), required: false },
+          { data: hello, to: logEmitterAddress, value: 1n, required: false },
+          { data: hello, to: logEmitterAddress, value: 0n, required: true }
+        ], { atomic: false })
+      });
+
+      await expect(tx).to.emit(aliceAccount, 'CallExecuted').withArgs(logEmitterAddress, 1n, hello, false);
+      await expect(tx).to.emit(aliceAccount, 'CallFailed').withArgs(1n, logEmitterAddress, '0x');
+      await expect(tx).to.emit(logEmitter, 'Hello');
+      expect(await ethers.provider.getBalance(bob)).to.equal(ethers.parseEther('1'));
+    });
+
+    it('returns the success flag and return data of each call', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { logEmitter, alice, aliceAccount } = fixture;
+      await delegateAlice(fixture);
+
+      const results = await aliceAccount.connect(alice).tryExecute.staticCall([
+        { data: logEmitter.interface.encodeFunctionData('emitHello'), to: await logEmitter.getAddress(), value: 1n, required: false },
+        { data: aliceAccount.interface.encodeFunctionData('tryExecute', [[]]), to: alice.address, value: 0n, required: false }
+      ]);
+
+      expect(results[0].success).to.equal(false);
+      expect(results[1].success).to.equal(true);
+      expect(aliceAccount.interface.decodeFunctionResult('tryExecute', results[1].returnData)[0]).to.have.lengthOf(0);
+    });
+
+    it('reverts the whole batch when a required call fails', async function () {
+      const { batchCallDelegation, logEmitter, alice, sponsor, bob, aliceAccount } = await loadFixture(deployFixture);
+
+      await expect(sendSetCodeTx(sponsor, {
+        authorizationList: [await signDelegation(alice, await batchCallDelegation.getAddress(), sponsor.address)],
+        to: alice.address,
+        data: await encodeSigned(alice, [
+          { data: '0x', to: bob, value: ethers.parseEther('1'), required: false },
+          { data: '0x', to: await logEmitter.getAddress(), value: 1n, required: true }
+        ], { atomic: false }),
+        gasLimit: 500000n
+      })).to.be.revertedWithCustomError(aliceAccount, 'RequiredCallFailed').withArgs(1n, '0x');
+
+      expect(await ethers.provider.getBalance(bob)).to.equal(0n);
+    });
+  });
+});
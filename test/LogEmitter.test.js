@@ -0,0 +1,46 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { getDelegationAddress } = require('../scripts/lib/eip7702');
+const { createFundedWallet, signDelegation, sendSetCodeTx } = require('./helpers');
+
+describe('LogEmitter', function () {
+  async function deployFixture() {
+    const logEmitter = await ethers.deployContract('LogEmitter');
+    const alice = await createFundedWallet();
+    const sponsor = await createFundedWallet();
+
+    // Alice's account seen through the delegate's ABI
+    const aliceAccount = await ethers.getContractAt('LogEmitter', alice.address, sponsor);
+
+    return { logEmitter, alice, sponsor, aliceAccount };
+  }
+
+  it('emits Hello from the delegated EOA in a sponsored set code transaction', async function () {
+    const { logEmitter, alice, sponsor, aliceAccount } = await loadFixture(deployFixture);
+    const delegate = await logEmitter.getAddress();
+
+    const tx = await sendSetCodeTx(sponsor, {
+      authorizationList: [await signDelegation(alice, delegate, sponsor.address)],
+      to: alice.address,
+      data: logEmitter.interface.encodeFunctionData('emitHello')
+    });
+    const receipt = await tx.wait();
+
+    await expect(tx).to.emit(aliceAccount, 'Hello');
+    expect(receipt.logs).to.have.lengthOf(1);
+    expect(receipt.logs[0].address).to.equal(alice.address);
+    expect(getDelegationAddress(await ethers.provider.getCode(alice.address))).to.equal(delegate);
+  });
+
+  it('keeps the delegation for later regular transactions', async function () {
+    const { logEmitter, alice, sponsor, aliceAccount } = await loadFixture(deployFixture);
+
+    await (await sendSetCodeTx(sponsor, {
+      authorizationList: [await signDelegation(alice, await logEmitter.getAddress(), sponsor.address)],
+      to: ethers.ZeroAddress
+    })).wait();
+
+    await expect(aliceAccount.emitWorld()).to.emit(aliceAccount, 'World');
+  });
+});
@@ -0,0 +1,611 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture, time } = require('@nomicfoundation/hardhat-network-helpers');
+const {
+  NO_FEE,
+  DEFAULT_SPONSOR_VALIDITY_SECONDS,
+  getSponsorDomain,
+  getSponsorTypes,
+  encodeSponsorNonce,
+  decodeSponsorNonce,
+  getSponsorNonce,
+  getSponsorGasSpent,
+  signSponsoredTransfer,
+  signSponsoredCall,
+  signSponsoredTokenTransfer,
+  signSponsoredCancel,
+  encodeSponsoredTransfer,
+  encodeSponsoredCall,
+  encodeSponsoredTokenTransfer,
+  encodeSponsoredCancel,
+  encodeInvalidateNonces,
+  quoteFee,
+  checkFeeCovers,
+  checkValidityWindow
+} = require('../scripts/lib/sponsor');
+const { createFundedWallet, signDelegation, sendSetCodeTx } = require('./helpers');
+
+describe('Sponsor', function () {
+  async function deployFixture() {
+    const sponsorContract = await ethers.deployContract('Sponsor');
+    const logEmitter = await ethers.deployContract('LogEmitter');
+
+    const alice = await createFundedWallet();
+    const sponsor = await createFundedWallet();
+    const recipient = ethers.Wallet.createRandom().address;
+
+    // Alice's account seen through the delegate's ABI
+    const aliceAccount = await ethers.getContractAt('Sponsor', alice.address, sponsor);
+
+    return { sponsorContract, logEmitter, alice, sponsor, recipient, aliceAccount };
+  }
+
+  async function tokenFixture() {
+    const fixture = await deployFixture();
+    const token = await ethers.deployContract('MockERC20', ['Mock USD', 'mUSD', 6]);
+    await token.mint(fixture.alice.address, ethers.parseUnits('1000', 6));
+    return { ...fixture, token };
+  }
+
+  async function delegateAndSend({ sponsorContract, alice, sponsor }, data) {
+    return sendSetCodeTx(sponsor, {
+      authorizationList: [await signDelegation(alice, await sponsorContract.getAddress(), sponsor.address)],
+      to: alice.address,
+      data
+    });
+  }
+
+  async function delegateAndTransfer(fixture, signed) {
+    return delegateAndSend(fixture, encodeSponsoredTransfer(signed));
+  }
+
+  it('transfers ETH from the delegated EOA with the sponsor paying for gas', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { sponsorContract, alice, recipient, aliceAccount } = fixture;
+    const amount = ethers.parseEther('1');
+
+    const signed = await signSponsoredTransfer(alice, { recipient, amount });
+    expect(signed.nonce).to.equal(0n);
+    const tx = await delegateAndTransfer(fixture, signed);
+
+    await expect(tx).to.emit(aliceAccount, 'SponsoredTransfer');
+    await expect(tx).to.changeEtherBalances([alice.address, recipient], [-amount, amount]);
+    expect(await aliceAccount.nonces(alice.address)).to.equal(1n);
+    expect(await getSponsorNonce(ethers.provider, alice.address)).to.equal(1n);
+    expect(await aliceAccount.gasSpent(alice.address)).to.be.greaterThan(0n);
+  });
+
+  it('reverts with NonceAlreadyUsed when a signature is replayed', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { sponsorContract, alice, sponsor, recipient } = fixture;
+
+    const signed = await signSponsoredTransfer(alice, {
+      recipient,
+      amount: ethers.parseEther('1')
+    });
+    await (await delegateAndTransfer(fixture, signed)).wait();
+
+    await expect(sponsor.sendTransaction({ to: alice.address, data: encodeSponsoredTransfer(signed) }))
+      .to.be.revertedWithCustomError(sponsorContract, 'NonceAlreadyUsed');
+  });
+
+  it('reverts with InvalidSignature when signed by another account', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { sponsorContract, alice, sponsor, recipient } = fixture;
+
+    const signed = await signSponsoredTransfer(sponsor, {
+      recipient,
+      amount: ethers.parseEther('1'),
+      nonce: 0n
+    });
+
+    await expect(delegateAndTransfer(fixture, { ...signed, sender: alice.address }))
+      .to.be.revertedWithCustomError(sponsorContract, 'InvalidSignature');
+  });
+
+  it('reverts with TransferFailed when the recipient rejects ETH', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { sponsorContract, logEmitter, alice } = fixture;
+
+    // LogEmitter has no receive function
+    const signed = await signSponsoredTransfer(alice, {
+      recipient: await logEmitter.getAddress(),
+      amount: ethers.parseEther('1')
+    });
+
+    await expect(delegateAndTransfer(fixture, signed))
+      .to.be.revertedWithCustomError(sponsorContract, 'TransferFailed');
+  });
+
+  it('rejects a transfer that names another sender, even signed by that sender', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { sponsorContract, sponsor, recipient } = fixture;
+
+    // The sponsor signs a transfer "from" itself and sends it to Alice's account
+    const signed = await signSponsoredTransfer(sponsor, {
+      recipient,
+      amount: ethers.parseEther('1'),
+      nonce: 0n
+    });
+
+    await expect(delegateAndTransfer(fixture, signed))
+      .to.be.revertedWithCustomError(sponsorContract, 'InvalidSignature');
+  });
+
+  describe('sponsoredCall', function () {
+    it('calls any contract from the delegated EOA', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsorContract, logEmitter, alice, aliceAccount } = fixture;
+
+      const signed = await signSponsoredCall(alice, {
+        target: await logEmitter.getAddress(),
+        data: logEmitter.interface.encodeFunctionData('emitHello')
+      });
+      const tx = await delegateAndSend(fixture, encodeSponsoredCall(signed));
+
+      await expect(tx).to.emit(logEmitter, 'Hello');
+      await expect(tx).to.emit(aliceAccount, 'SponsoredCall')
+        .withArgs(alice.address, await logEmitter.getAddress(), 0n, signed.data, (gasUsed) => gasUsed > 0n);
+      expect(await aliceAccount.nonces(alice.address)).to.equal(1n);
+      expect(await aliceAccount.gasSpent(alice.address)).to.be.greaterThan(0n);
+    });
+
+    it('sends value with the call', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsorContract, alice, recipient } = fixture;
+      const value = ethers.parseEther('0.5');
+
+      const signed = await signSponsoredCall(alice, { target: recipient, value });
+      const tx = await delegateAndSend(fixture, encodeSponsoredCall(signed));
+
+      await expect(tx).to.changeEtherBalances([alice.address, recipient], [-value, value]);
+    });
+
+    it('reverts with CallReverted when the target reverts', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsorContract, logEmitter, alice } = fixture;
+
+      // LogEmitter has no payable functions
+      const signed = await signSponsoredCall(alice, {
+        target: await logEmitter.getAddress(),
+        value: 1n,
+        data: logEmitter.interface.encodeFunctionData('emitHello')
+      });
+
+      await expect(delegateAndSend(fixture, encodeSponsoredCall(signed)))
+        .to.be.revertedWithCustomError(sponsorContract, 'CallReverted')
+        .withArgs('0x');
+    });
+
+    it('reverts with InvalidSignature when the calldata was changed', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsorContract, logEmitter, alice } = fixture;
+
+      const signed = await signSponsoredCall(alice, {
+        target: await logEmitter.getAddress(),
+        data: logEmitter.interface.encodeFunctionData('emitHello')
+      });
+      const data = logEmitter.interface.encodeFunctionData('emitWorld');
+
+      await expect(delegateAndSend(fixture, encodeSponsoredCall({ ...signed, data })))
+        .to.be.revertedWithCustomError(sponsorContract, 'InvalidSignature');
+    });
+  });
+
+  describe('sponsoredTokenTransfer', function () {
+    const amount = ethers.parseUnits('100', 6);
+
+    async function signTokenTransfer({ sponsorContract, alice, recipient }, token, transfer = {}) {
+      return signSponsoredTokenTransfer(alice, {
+        token: typeof token === 'string' ? token : await token.getAddress(),
+        recipient,
+        amount,
+        ...transfer
+      });
+    }
+
+    it('transfers tokens from the delegated EOA with the sponsor paying for gas', async function () {
+      const fixture = await loadFixture(tokenFixture);
+      const { token, alice, recipient, aliceAccount } = fixture;
+
+      const signed = await signTokenTransfer(fixture, token);
+      const tx = await delegateAndSend(fixture, encodeSponsoredTokenTransfer(signed));
+
+      await expect(tx).to.emit(aliceAccount, 'SponsoredTokenTransfer')
+        .withArgs(alice.address, await token.getAddress(), recipient, amount, (gasUsed) => gasUsed > 0n);
+      await expect(tx).to.changeTokenBalances(token, [alice.address, recipient], [-amount, amount]);
+      expect(await aliceAccount.nonces(alice.address)).to.equal(1n);
+    });
+
+    it('accepts tokens whose transfer returns nothing', async function () {
+      const fixture = await loadFixture(tokenFixture);
+      const { token, alice, recipient } = fixture;
+      await token.setBehavior(1); // NoReturn
+
+      const signed = await signTokenTransfer(fixture, token);
+      const tx = await delegateAndSend(fixture, encodeSponsoredTokenTransfer(signed));
+
+      await expect(tx).to.changeTokenBalances(token, [alice.address, recipient], [-amount, amount]);
+    });
+
+    it('reverts with TokenTransferFailed when the token returns false', async function () {
+      const fixture = await loadFixture(tokenFixture);
+      const { sponsorContract, token } = fixture;
+      await token.setBehavior(2); // ReturnsFalse
+
+      const signed = await signTokenTransfer(fixture, token);
+
+      await expect(delegateAndSend(fixture, encodeSponsoredTokenTransfer(signed)))
+        .to.be.revertedWithCustomError(sponsorContract, 'TokenTransferFailed')
+        .withArgs(await token.getAddress());
+    });
+
+    it('reverts with TokenTransferFailed when the account holds too few tokens', async function () {
+      const fixture = await loadFixture(tokenFixture);
+      const { sponsorContract, token } = fixture;
+
+      const signed = await signTokenTransfer(fixture, token, { amount: ethers.parseUnits('1001', 6) });
+
+      await expect(delegateAndSend(fixture, encodeSponsoredTokenTransfer(signed)))
+        .to.be.revertedWithCustomError(sponsorContract, 'TokenTransferFailed');
+    });
+
+    it('reverts with TokenTransferFailed when the token has no code', async function () {
+      const fixture = await loadFixture(tokenFixture);
+      const { sponsorContract } = fixture;
+
+      const signed = await signTokenTransfer(fixture, ethers.Wallet.createRandom().address);
+
+      await expect(delegateAndSend(fixture, encodeSponsoredTokenTransfer(signed)))
+        .to.be.revertedWithCustomError(sponsorContract, 'TokenTransferFailed');
+    });
+
+    it('reverts with InvalidSignature when the token was changed', async function () {
+      const fixture = await loadFixture(tokenFixture);
+      const { sponsorContract, token } = fixture;
+      const otherToken = await ethers.deployContract('MockERC20', ['Other', 'OTH', 18]);
+
+      const signed = await signTokenTransfer(fixture, otherToken);
+      const data = encodeSponsoredTokenTransfer({ ...signed, token: await token.getAddress() });
+
+      await expect(delegateAndSend(fixture, data))
+        .to.be.revertedWithCustomError(sponsorContract, 'InvalidSignature');
+    });
+  });
+
+  describe('fees', function () {
+    const maxAmount = ethers.parseUnits('5', 6);
+
+    async function signTransferWithFee({ sponsorContract, token, alice, recipient }) {
+      return signSponsoredTransfer(alice, {
+        recipient,
+        amount: ethers.parseEther('1'),
+        fee: { token: await token.getAddress(), maxAmount }
+      });
+    }
+
+    it('pays the fee to the transaction origin after execution', async function () {
+      const fixture = await loadFixture(tokenFixture);
+      const { token, alice, sponsor, aliceAccount } = fixture;
+      const feeAmount = ethers.parseUnits('2', 6);
+
+      const signed = await signTransferWithFee(fixture);
+      const tx = await delegateAndSend(fixture, encodeSponsoredTransfer(signed, feeAmount));
+
+      await expect(tx).to.emit(aliceAccount, 'FeePaid')
+        .withArgs(alice.address, await token.getAddress(), sponsor.address, feeAmount);
+      await expect(tx).to.changeTokenBalances(token, [alice.address, sponsor.address], [-feeAmount, feeAmount]);
+    });
+
+    it('reverts with FeeTooHigh when the relayer charges more than the signed maximum', async function () {
+      const fixture = await loadFixture(tokenFixture);
+      const { sponsorContract } = fixture;
+
+      const signed = await signTransferWithFee(fixture);
+
+      await expect(delegateAndSend(fixture, encodeSponsoredTransfer(signed, maxAmount + 1n)))
+        .to.be.revertedWithCustomError(sponsorContract, 'FeeTooHigh')
+        .withArgs(maxAmount + 1n, maxAmount);
+    });
+
+    it('reverts with InvalidSignature when the signed maximum was raised', async function () {
+      const fixture = await loadFixture(tokenFixture);
+      const { sponsorContract } = fixture;
+
+      const signed = await signTransferWithFee(fixture);
+      const raised = { ...signed, fee: { ...signed.fee, maxAmount: maxAmount * 2n } };
+
+      await expect(delegateAndSend(fixture, encodeSponsoredTransfer(raised, maxAmount * 2n)))
+        .to.be.revertedWithCustomError(sponsorContract, 'InvalidSignature');
+    });
+
+    it('quotes the gas cost in the fee token and refuses a maximum below it', function () {
+      // 100000 gas at 2 gwei is 0.0002 ETH, or 0.6 tokens at 3000 tokens per ETH
+      const quote = quoteFee({ gasLimit: 100000n, maxFeePerGas: ethers.parseUnits('2', 'gwei'), rate: ethers.parseUnits('3000', 6) });
+      expect(quote).to.equal(ethers.parseUnits('0.6', 6));
+      expect(quoteFee({ gasLimit: 1n, maxFeePerGas: 1n, rate: 1n })).to.equal(1n);
+
+      expect(() => checkFeeCovers({ maxAmount: quote }, quote)).to.not.throw();
+      expect(() => checkFeeCovers({ maxAmount: quote - 1n }, quote)).to.throw('refusing to relay');
+    });
+  });
+
+  describe('validity window', function () {
+    it('defaults to a short window starting at the latest block', async function () {
+      const { alice, recipient } = await loadFixture(deployFixture);
+
+      const signed = await signSponsoredTransfer(alice, { recipient, amount: 1n });
+      const now = BigInt(await time.latest());
+
+      expect(signed.validAfter).to.equal(now);
+      expect(signed.validUntil).to.equal(now + BigInt(DEFAULT_SPONSOR_VALIDITY_SECONDS));
+    });
+
+    it('reverts with OutsideValidityWindow once the request has expired', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsorContract, alice, recipient } = fixture;
+
+      const signed = await signSponsoredTransfer(alice, { recipient, amount: 1n });
+      await time.increaseTo(signed.validUntil + 1n);
+
+      await expect(delegateAndTransfer(fixture, signed))
+        .to.be.revertedWithCustomError(sponsorContract, 'OutsideValidityWindow')
+        .withArgs(signed.validAfter, signed.validUntil);
+    });
+
+    it('reverts with OutsideValidityWindow before the request is valid', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsorContract, alice, recipient } = fixture;
+      const validAfter = BigInt(await time.latest()) + 3600n;
+
+      const signed = await signSponsoredTransfer(alice, {
+        recipient,
+        amount: 1n,
+        validAfter,
+        validUntil: validAfter + 600n
+      });
+
+      await expect(delegateAndTransfer(fixture, signed))
+        .to.be.revertedWithCustomError(sponsorContract, 'OutsideValidityWindow');
+
+      await time.setNextBlockTimestamp(validAfter);
+      await expect(delegateAndTransfer(fixture, signed))
+        .to.emit(sponsorContract.attach(alice.address), 'SponsoredTransfer');
+    });
+
+    it('reverts with InvalidSignature when the window was extended', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsorContract, alice, recipient } = fixture;
+
+      const signed = await signSponsoredTransfer(alice, { recipient, amount: 1n });
+
+      await expect(delegateAndTransfer(fixture, { ...signed, validUntil: signed.validUntil + 1n }))
+        .to.be.revertedWithCustomError(sponsorContract, 'InvalidSignature');
+    });
+
+    it('refuses to relay a request that has expired or is not valid yet', async function () {
+      const { alice, recipient } = await loadFixture(deployFixture);
+
+      const signed = await signSponsoredTransfer(alice, { recipient, amount: 1n });
+      await checkValidityWindow(ethers.provider, signed);
+
+      const early = { validAfter: signed.validUntil, validUntil: signed.validUntil + 600n };
+      await expect(checkValidityWindow(ethers.provider, early)).to.be.rejectedWith('refusing to relay');
+
+      await time.increaseTo(signed.validUntil);
+      await expect(checkValidityWindow(ethers.provider, signed)).to.be.rejectedWith('refusing to relay');
+    });
+  });
+
+  describe('keyed nonces', function () {
+    it('executes intents signed with different keys in any order', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { alice, sponsor, recipient, aliceAccount } = fixture;
+
+      const first = await signSponsoredTransfer(alice, { recipient, amount: 1n, nonce: encodeSponsorNonce(1n, 0n) });
+      const second = await signSponsoredTransfer(alice, { recipient, amount: 2n, nonce: encodeSponsorNonce(2n, 0n) });
+
+      await (await delegateAndTransfer(fixture, second)).wait();
+      await expect(sponsor.sendTransaction({ to: alice.address, data: encodeSponsoredTransfer(first) }))
+        .to.emit(aliceAccount, 'SponsoredTransfer');
+
+      expect(await aliceAccount.getNonce(alice.address, 1n)).to.equal(encodeSponsorNonce(1n, 1n));
+      expect(await aliceAccount.getNonce(alice.address, 2n)).to.equal(encodeSponsorNonce(2n, 1n));
+      expect(await aliceAccount.nonces(alice.address)).to.equal(0n);
+      expect(await ethers.provider.getBalance(recipient)).to.equal(3n);
+    });
+
+    it('runs intents signed with the same key in order', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsorContract, alice, sponsor, recipient } = fixture;
+
+      const first = await signSponsoredTransfer(alice, { recipient, amount: 1n, nonce: encodeSponsorNonce(7n, 0n) });
+      const second = await signSponsoredTransfer(alice, { recipient, amount: 2n, nonce: encodeSponsorNonce(7n, 1n) });
+
+      await expect(delegateAndTransfer(fixture, second))
+        .to.be.revertedWithCustomError(sponsorContract, 'NonceAlreadyUsed');
+
+      await (await delegateAndTransfer(fixture, first)).wait();
+      await (await sponsor.sendTransaction({ to: alice.address, data: encodeSponsoredTransfer(second) })).wait();
+      expect(await getSponsorNonce(ethers.provider, alice.address, 7n)).to.equal(encodeSponsorNonce(7n, 2n));
+    });
+
+    it('reads the nonce of a key from the account storage', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { alice, recipient, aliceAccount } = fixture;
+      const key = (1n << 192n) - 1n;
+
+      const signed = await signSponsoredTransfer(alice, { recipient, amount: 1n, nonce: encodeSponsorNonce(key, 0n) });
+      await (await delegateAndTransfer(fixture, signed)).wait();
+
+      const nonce = await getSponsorNonce(ethers.provider, alice.address, key);
+      expect(nonce).to.equal(await aliceAccount.getNonce(alice.address, key));
+      expect(decodeSponsorNonce(nonce)).to.deep.equal({ key, sequence: 1n });
+      expect(() => encodeSponsorNonce(1n << 192n, 0n)).to.throw('192 bits');
+    });
+  });
+
+  describe('cancellation', function () {
+    it('burns the nonces of a key up to the cancelled one when the account calls itself', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsorContract, alice, sponsor, recipient, aliceAccount } = fixture;
+
+      const first = await signSponsoredTransfer(alice, { recipient, amount: 1n, nonce: encodeSponsorNonce(3n, 0n) });
+      const second = await signSponsoredTransfer(alice, { recipient, amount: 1n, nonce: encodeSponsorNonce(3n, 1n) });
+
+      const tx = await sendSetCodeTx(alice, {
+        authorizationList: [await signDelegation(alice, await sponsorContract.getAddress(), alice.address)],
+        to: alice.address,
+        data: encodeInvalidateNonces([second.nonce])
+      });
+      await expect(tx).to.emit(aliceAccount, 'NonceInvalidated').withArgs(alice.address, second.nonce);
+
+      expect(await aliceAccount.getNonce(alice.address, 3n)).to.equal(encodeSponsorNonce(3n, 2n));
+      for (const signed of [first, second]) {
+        await expect(sponsor.sendTransaction({ to: alice.address, data: encodeSponsoredTransfer(signed) }))
+          .to.be.revertedWithCustomError(sponsorContract, 'NonceAlreadyUsed');
+      }
+    });
+
+    it('reverts with NotAccount when anyone else invalidates nonces', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsorContract } = fixture;
+
+      await expect(delegateAndSend(fixture, encodeInvalidateNonces([0n])))
+        .to.be.revertedWithCustomError(sponsorContract, 'NotAccount');
+    });
+
+    it('relays a signed cancellation, which cannot be replayed', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsorContract, alice, sponsor, recipient, aliceAccount } = fixture;
+
+      const transfer = await signSponsoredTransfer(alice, { recipient, amount: 1n, nonce: encodeSponsorNonce(9n, 0n) });
+      const cancel = await signSponsoredCancel(alice, { nonces: [transfer.nonce, 0n] });
+
+      await expect(delegateAndSend(fixture, encodeSponsoredCancel(cancel)))
+        .to.emit(aliceAccount, 'NonceInvalidated').withArgs(alice.address, transfer.nonce);
+      expect(await aliceAccount.nonces(alice.address)).to.equal(1n);
+
+      await expect(sponsor.sendTransaction({ to: alice.address, data: encodeSponsoredTransfer(transfer) }))
+        .to.be.revertedWithCustomError(sponsorContract, 'NonceAlreadyUsed');
+      await expect(sponsor.sendTransaction({ to: alice.address, data: encodeSponsoredCancel(cancel) }))
+        .to.be.revertedWithCustomError(sponsorContract, 'NonceAlreadyUsed');
+    });
+
+    it('rejects an empty cancellation, which could otherwise be relayed again and again for its fee', async function () {
+      const fixture = await loadFixture(tokenFixture);
+      const { sponsorContract, token, alice, sponsor } = fixture;
+      const { chainId } = await ethers.provider.getNetwork();
+      const fee = { token: await token.getAddress(), maxAmount: ethers.parseUnits('5', 6) };
+
+      await expect(signSponsoredCancel(alice, { nonces: [], fee })).to.be.rejectedWith('at least one nonce');
+
+      // Signed without the helper's check
+      const message = { sender: alice.address, nonces: [], fee, validAfter: 0n, validUntil: ethers.MaxUint256 };
+      const signature = await alice.signTypedData(getSponsorDomain(chainId, alice.address), getSponsorTypes('SponsoredCancel'), message);
+      const tx = delegateAndSend(fixture, encodeSponsoredCancel({ ...message, signature }, fee.maxAmount));
+
+      await expect(tx).to.be.revertedWithCustomError(sponsorContract, 'NoNonces');
+      expect(await token.balanceOf(sponsor.address)).to.equal(0n);
+    });
+
+    it('charges the fee of a relayed cancellation only once', async function () {
+      const fixture = await loadFixture(tokenFixture);
+      const { sponsorContract, token, alice, sponsor, aliceAccount } = fixture;
+      const fee = { token: await token.getAddress(), maxAmount: ethers.parseUnits('5', 6) };
+
+      const cancel = await signSponsoredCancel(alice, { nonces: [encodeSponsorNonce(4n, 0n)], fee });
+      const tx = await delegateAndSend(fixture, encodeSponsoredCancel(cancel, fee.maxAmount));
+      await expect(tx).to.changeTokenBalances(token, [alice.address, sponsor.address], [-fee.maxAmount, fee.maxAmount]);
+
+      await expect(sponsor.sendTransaction({ to: alice.address, data: encodeSponsoredCancel(cancel, fee.maxAmount) }))
+        .to.be.revertedWithCustomError(sponsorContract, 'NonceAlreadyUsed');
+      expect(await token.balanceOf(sponsor.address)).to.equal(fee.maxAmount);
+      expect(await aliceAccount.getNonce(alice.address, 4n)).to.equal(encodeSponsorNonce(4n, 1n));
+    });
+
+    it('reverts with InvalidSignature when the cancelled nonces were changed', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsorContract, alice } = fixture;
+
+      const cancel = await signSponsoredCancel(alice, { nonces: [encodeSponsorNonce(1n, 0n)] });
+
+      await expect(delegateAndSend(fixture, encodeSponsoredCancel({ ...cancel, nonces: [encodeSponsorNonce(2n, 0n)] })))
+        .to.be.revertedWithCustomError(sponsorContract, 'InvalidSignature');
+    });
+  });
+
+  describe('delegation-aware domain and state', function () {
+    it('computes the domain separator from the executing account', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsorContract, alice, recipient, aliceAccount } = fixture;
+      const { chainId } = await ethers.provider.getNetwork();
+      const sponsorAddress = await sponsorContract.getAddress();
+
+      expect(await sponsorContract.DOMAIN_SEPARATOR())
+        .to.equal(ethers.TypedDataEncoder.hashDomain(getSponsorDomain(chainId, sponsorAddress)));
+
+      const signed = await signSponsoredTransfer(alice, { recipient, amount: 1n });
+      await (await delegateAndTransfer(fixture, signed)).wait();
+
+      expect(await aliceAccount.DOMAIN_SEPARATOR())
+        .to.equal(ethers.TypedDataEncoder.hashDomain(getSponsorDomain(chainId, alice.address)));
+    });
+
+    it('reads nonces and gas spent from the account, not the Sponsor deployment', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsorContract, alice, recipient, aliceAccount } = fixture;
+
+      const signed = await signSponsoredTransfer(alice, { recipient, amount: 1n });
+      await (await delegateAndTransfer(fixture, signed)).wait();
+
+      expect(await getSponsorNonce(ethers.provider, alice.address)).to.equal(await aliceAccount.nonces(alice.address));
+      expect(await getSponsorGasSpent(ethers.provider, alice.address)).to.equal(await aliceAccount.gasSpent(alice.address));
+      expect(await getSponsorGasSpent(ethers.provider, alice.address)).to.be.greaterThan(0n);
+      expect(await sponsorContract.nonces(alice.address)).to.equal(0n);
+      expect(await sponsorContract.gasSpent(alice.address)).to.equal(0n);
+    });
+
+    it('executes when the delegated account sends the request itself', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsorContract, alice, recipient, aliceAccount } = fixture;
+      const amount = ethers.parseEther('1');
+
+      // Direct execution: Alice delegates and calls her own account, paying for gas
+      const signed = await signSponsoredTransfer(alice, { recipient, amount });
+      const tx = await sendSetCodeTx(alice, {
+        authorizationList: [await signDelegation(alice, await sponsorContract.getAddress(), alice.address)],
+        to: alice.address,
+        data: encodeSponsoredTransfer(signed)
+      });
+
+      await expect(tx).to.emit(aliceAccount, 'SponsoredTransfer');
+      expect(await ethers.provider.getBalance(recipient)).to.equal(amount);
+    });
+
+    it('rejects a signature made for the Sponsor deployment instead of the account', async function () {
+      const fixture = await loadFixture(deployFixture);
+      const { sponsorContract, alice, recipient } = fixture;
+      const { chainId } = await ethers.provider.getNetwork();
+
+      const message = { sender: alice.address, recipient, amount: 1n, fee: NO_FEE, validAfter: 0n, validUntil: ethers.MaxUint256, nonce: 0n };
+      const signature = await alice.signTypedData(
+        getSponsorDomain(chainId, await sponsorContract.getAddress()),
+        getSponsorTypes('SponsoredTransfer'),
+        message
+      );
+
+      await expect(delegateAndTransfer(fixture, { ...message, signature }))
+        .to.be.revertedWithCustomError(sponsorContract, 'InvalidSignature');
+    });
+
+    it('rejects requests sent to the Sponsor deployment directly', async function () {
+      const { sponsorContract, alice, sponsor, recipient } = await loadFixture(deployFixture);
+
+      const signed = await signSponsoredTransfer(alice, { recipient, amount: 1n });
+
+      await expect(sponsor.sendTransaction({ to: await sponsorContract.getAddress(), data: encodeSponsoredTransfer(signed) }))
+        .to.be.revertedWithCustomError(sponsorContract, 'InvalidSignature');
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const {
+  parseBatch,
+  loadBatchFile,
+  parseValue,
+  isAtomicBatch,
+  validateBatch,
+  encodeBatch,
+  signBatch,
+  decodeBatchResults,
+  buildBatchReport
+} = require('../scripts/lib/batch');
+const { simulateSetCodeTx } = require('../scripts/lib/simulation');
+const { createFundedWallet, signDelegation, sendSetCodeTx } = require('./helpers');
+
+describe('Batch files', function () {
+  async function deployFixture() {
+    const batchCallDelegation = await ethers.deployContract('BatchCallDelegation');
+    const logEmitter = await ethers.deployContract('LogEmitter');
+    const alice = await createFundedWallet();
+    const sponsor = await createFundedWallet();
+    return { batchCallDelegation, logEmitter, alice, sponsor };
+  }
+
+  it('parses values in ETH or with a unit', function () {
+    expect(parseValue('0.001')).to.equal(ethers.parseEther('0.001'));
+    expect(parseValue(1)).to.equal(ethers.parseEther('1'));
+    expect(parseValue('250 gwei')).to.equal(ethers.parseUnits('250', 'gwei'));
+    expect(parseValue('7 wei')).to.equal(7n);
+    expect(() => parseValue('1 dollar')).to.throw('expected an amount');
+  });
+
+  it('reads the same batch from YAML and JSON', function () {
+    const yamlBatch = parseBatch([
+      'calls:',
+      '  - type: transfer',
+      '    to: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8"',
+      '    value: "0.5"'
+    ].join('\n'));
+    const jsonBatch = parseBatch(JSON.stringify({
+      calls: [{ type: 'transfer', to: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', value: '0.5' }]
+    }), 'json');
+
+    expect(yamlBatch).to.deep.equal(jsonBatch);
+    expect(encodeBatch(validateBatch(yamlBatch))).to.equal(encodeBatch(validateBatch(jsonBatch)));
+  });
+
+  it('reports every problem with the index of its call', function () {
+    const batch = {
+      calls: [
+        { type: 'transfer', to: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8' },
+        { type: 'call', to: 'Nowhere', signature: 'function transfer(address,uint256)', args: [1] },
+        { type: 'raw', to: 0x1234, data: '0xabc' },
+        { type: 'swap' }
+      ]
+    };
+
+    let message;
+    try {
+      validateBatch(batch);
+    } catch (error) {
+      message = error.message;
+    }
+
+    expect(message).to.include('calls[0]: value is required for a transfer');
+    expect(message).to.include('calls[1]: to "Nowhere" is neither an address nor a deployed contract');
+    expect(message).to.include('calls[1]: transfer(address,uint256) takes 2 argument(s), got 1');
+    expect(message).to.include('calls[2]: to must be a quoted string');
+    expect(message).to.include('calls[2]: data must be');
+    expect(message).to.include('calls[3]: type must be one of transfer, call, raw');
+  });
+
+  it('executes the example batch through a delegated EOA', async function () {
+    const { batchCallDelegation, logEmitter, alice, sponsor } = await loadFixture(deployFixture);
+    const logEmitterAddress = await logEmitter.getAddress();
+
+    const calls = validateBatch(loadBatchFile(path.join(__dirname, '../batches/example.yaml')), {
+      addresses: { LogEmitter: logEmitterAddress }
+    });
+    expect(calls.map((call) => call.to)).to.deep.equal([
+      '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+      logEmitterAddress,
+      logEmitterAddress
+    ]);
+
+    const recipient = calls[0].to;
+    const balanceBefore = await ethers.provider.getBalance(recipient);
+
+    // Sponsor-paid: Alice signs the batch, the sponsor relays it to her account
+    const tx = await sendSetCodeTx(sponsor, {
+      authorizationList: [await signDelegation(alice, await batchCallDelegation.getAddress(), sponsor.address)],
+      to: alice.address,
+      data: encodeBatch(calls, { signed: await signBatch(alice, calls) })
+    });
+    const receipt = await tx.wait();
+
+    expect(receipt.status).to.equal(1);
+    expect(await ethers.provider.getBalance(recipient)).to.equal(balanceBefore + ethers.parseEther('0.001'));
+
+    const emitted = receipt.logs
+      .filter((log) => log.address === logEmitterAddress)
+      .map((log) => logEmitter.interface.parseLog(log).name);
+    expect(emitted).to.deep.equal(['Hello', 'World']);
+  });
+
+  describe('non-atomic batches', function () {
+    async function payoutFixture() {
+      const fixture = await deployFixture();
+      const { logEmitter } = fixture;
+      const batch = {
+        atomic: false,
+        calls: [
+          { type: 'transfer', to: ethers.Wallet.createRandom().address, value: '1' },
+          // LogEmitter has no payable functions, so this call fails
+          { type: 'transfer', description: 'Pay a contract that rejects ETH', to: 'LogEmitter', value: '1 wei' },
+          { type: 'call', to: 'LogEmitter', signature: 'emitHello()', args: [], required: true }
+        ]
+      };
+      const calls = validateBatch(batch, { addresses: { LogEmitter: await logEmitter.getAddress() } });
+      return { ...fixture, batch, calls };
+    }
+
+    it('only accepts required in a non-atomic batch', function () {
+      const call = { type: 'transfer', to: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', value: '1', required: true };
+      expect(() => validateBatch({ calls: [call] })).to.throw('required only applies to a batch with atomic: false');
+      expect(() => validateBatch({ atomic: 'no', calls: [call] })).to.throw('atomic must be true or false');
+      expect(validateBatch({ atomic: false, calls: [{ ...call, required: false }] })[0].required).to.equal(false);
+      expect(validateBatch({ calls: [{ ...call, required: undefined }] })[0].required).to.equal(true);
+    });
+
+    it('reports the outcome of each call from a simulation', async function () {
+      const { batchCallDelegation, alice, sponsor, batch, calls } = await loadFixture(payoutFixture);
+      expect(isAtomicBatch(batch)).to.equal(false);
+
+      const simulation = await simulateSetCodeTx(ethers.provider, {
+        to: alice.address,
+        data: encodeBatch(calls, { atomic: false, signed: await signBatch(alice, calls, { atomic: false }) }),
+        authorizationList: [await signDelegation(alice, await batchCallDelegation.getAddress(), sponsor.address)]
+      }, { from: sponsor.address });
+      const report = buildBatchReport(calls, { results: decodeBatchResults(simulation.returnData) });
+
+      expect(report.map((entry) => entry.success)).to.deep.equal([true, false, true]);
+      expect(report[1].description).to.equal('Pay a contract that rejects ETH');
+      expect(report[2].required).to.equal(true);
+    });
+
+    it('reports the outcome of each call from the receipt', async function () {
+      const { batchCallDelegation, alice, sponsor, calls } = await loadFixture(payoutFixture);
+
+      const tx = await sendSetCodeTx(sponsor, {
+        authorizationList: [await signDelegation(alice, await batchCallDelegation.getAddress(), sponsor.address)],
+        to: alice.address,
+        data: encodeBatch(calls, { atomic: false, signed: await signBatch(alice, calls, { atomic: false }) })
+      });
+      const report = buildBatchReport(calls, { receipt: await tx.wait(), account: alice.address });
+
+      expect(report.map((entry) => entry.success)).to.deep.equal([true, false, true]);
+      expect(report[1].returnData).to.equal('0x');
+      expect(await ethers.provider.getBalance(calls[0].to)).to.equal(ethers.parseEther('1'));
+    });
+  });
+});
@@ -0,0 +1,26 @@
+const { expect } = require('chai');
+const { ethers, artifacts } = require('hardhat');
+const { CAPABILITY, probeCapabilities } = require('../scripts/lib/capabilities');
+
+describe('Capability probe', function () {
+  it('reports full EIP-7702 support on the Prague network', async function () {
+    const { deployedBytecode } = await artifacts.readArtifact('EIP7702Demonstrator');
+    const report = await probeCapabilities(ethers.provider, { demonstratorCode: deployedBytecode });
+
+    expect(report.chainId).to.equal(31337);
+    for (const result of Object.values(report.checks)) {
+      expect(result.status, result.detail).to.equal(CAPABILITY.SUPPORTED);
+    }
+    expect(report.checks.pragueRules.codeLength).to.equal(23n);
+    expect(report.supportsEIP7702).to.equal(true);
+  });
+
+  it('does not send anything', async function () {
+    const blockNumber = await ethers.provider.getBlockNumber();
+    await probeCapabilities(ethers.provider);
+
+    const pending = await ethers.provider.send('eth_getBlockByNumber', ['pending', false]);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    expect(pending.transactions).to.have.lengthOf(0);
+  });
+});
@@ -0,0 +1,99 @@
+const { expect } = require('chai');
+const { ethers, network } = require('hardhat');
+const { loadFixture, mine } = require('@nomicfoundation/hardhat-network-helpers');
+const { TX_STATUS, trackTransaction } = require('../scripts/lib/confirmations');
+const { createFundedWallet } = require('./helpers');
+
+describe('Confirmation tracker', function () {
+  // Poll quickly so the tests do not wait on the backoff
+  const FAST = { pollIntervalMs: 10, maxPollIntervalMs: 50, timeoutMs: 10000 };
+
+  async function deployFixture() {
+    const logEmitter = await ethers.deployContract('LogEmitter');
+    const sender = await createFundedWallet();
+    const recipient = ethers.Wallet.createRandom().address;
+    return { logEmitter, sender, recipient };
+  }
+
+  afterEach(async function () {
+    await network.provider.send('evm_setAutomine', [true]);
+  });
+
+  it('waits for the requested number of confirmations', async function () {
+    const { sender, recipient } = await loadFixture(deployFixture);
+    const tx = await sender.sendTransaction({ to: recipient, value: 1n });
+
+    const tracking = trackTransaction(ethers.provider, tx.hash, { ...FAST, confirmations: 3 });
+    await mine(2);
+    const result = await tracking;
+
+    expect(result.status).to.equal(TX_STATUS.CONFIRMED);
+    expect(result.confirmations).to.equal(3);
+    expect(result.receipt.hash).to.equal(tx.hash);
+  });
+
+  it('reports a mined transaction that reverted', async function () {
+    const { logEmitter, sender } = await loadFixture(deployFixture);
+    await network.provider.send('evm_setAutomine', [false]);
+
+    // LogEmitter has no receive function, so the transfer reverts
+    const tx = await sender.sendTransaction({ to: await logEmitter.getAddress(), value: 1n, gasLimit: 100000n });
+    await mine();
+
+    const result = await trackTransaction(ethers.provider, tx.hash, FAST);
+    expect(result.status).to.equal(TX_STATUS.REVERTED);
+  });
+
+  it('detects a transaction replaced by another one with the same nonce', async function () {
+    const { sender, recipient } = await loadFixture(deployFixture);
+    await network.provider.send('evm_setAutomine', [false]);
+
+    const nonce = await ethers.provider.getTransactionCount(sender.address);
+    const original = await sender.sendTransaction({ to: recipient, value: 1n, nonce, maxFeePerGas: ethers.parseUnits('10', 'gwei'), maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei') });
+    const replacement = await sender.sendTransaction({ to: recipient, value: 2n, nonce, maxFeePerGas: ethers.parseUnits('20', 'gwei'), maxPriorityFeePerGas: ethers.parseUnits('2', 'gwei') });
+    await mine();
+
+    const result = await trackTransaction(ethers.provider, original.hash, { ...FAST, sender: sender.address, nonce });
+    expect(result.status).to.equal(TX_STATUS.REPLACED);
+    expect(result.replacementHash).to.equal(replacement.hash);
+  });
+
+  it('detects a transaction dropped from the mempool', async function () {
+    const { sender, recipient } = await loadFixture(deployFixture);
+    await network.provider.send('evm_setAutomine', [false]);
+
+    const tx = await sender.sendTransaction({ to: recipient, value: 1n });
+    await network.provider.send('hardhat_dropTransaction', [tx.hash]);
+
+    const result = await trackTransaction(ethers.provider, tx.hash, { ...FAST, sender: sender.address, nonce: tx.nonce, dropGraceMs: 100 });
+    expect(result.status).to.equal(TX_STATUS.DROPPED);
+  });
+
+  it('follows the transaction again when its block is reorged out', async function () {
+    const { sender, recipient } = await loadFixture(deployFixture);
+    const snapshot = await network.provider.send('evm_snapshot');
+    const tx = await sender.sendTransaction({ to: recipient, value: 1n });
+
+    const tracking = trackTransaction(ethers.provider, tx.hash, {
+      ...FAST, sender: sender.address, nonce: tx.nonce, confirmations: 5, dropGraceMs: 100
+    });
+    // Let the tracker see the receipt, then remove the block
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    await network.provider.send('evm_revert', [snapshot]);
+    const result = await tracking;
+
+    expect(result.reorgs).to.equal(1);
+    expect(result.status).to.equal(TX_STATUS.DROPPED);
+  });
+
+  it('times out while the transaction is pending', async function () {
+    const { sender, recipient } = await loadFixture(deployFixture);
+    await network.provider.send('evm_setAutomine', [false]);
+
+    const tx = await sender.sendTransaction({ to: recipient, value: 1n });
+    const result = await trackTransaction(ethers.provider, tx.hash, { ...FAST, timeoutMs: 200 });
+
+    expect(result.status).to.equal(TX_STATUS.TIMEOUT);
+    expect(result.receipt).to.equal(null);
+  });
+});
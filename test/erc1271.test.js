@@ -0,0 +1,143 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const {
+  getAccountDomain,
+  signPersonalSign,
+  signTypedDataSign,
+  isValidERC1271Signature,
+  supportsERC7739
+} = require('../scripts/lib/erc1271');
+const { createFundedWallet, signDelegation, sendSetCodeTx } = require('./helpers');
+
+describe('ERC-1271 signatures of delegated EOAs', function () {
+  // Mail and Person, as in the EIP-712 example; Mail sorts before its dependency Person
+  const mailTypes = {
+    Mail: [
+      { name: 'from', type: 'Person' },
+      { name: 'to', type: 'Person' },
+      { name: 'contents', type: 'string' }
+    ],
+    Person: [
+      { name: 'name', type: 'string' },
+      { name: 'wallet', type: 'address' }
+    ]
+  };
+
+  // A permit whose dependency (Amount) sorts before it, which needs the explicit contents name
+  const permitTypes = {
+    Permit: [
+      { name: 'spender', type: 'address' },
+      { name: 'value', type: 'Amount' },
+      { name: 'deadline', type: 'uint256' }
+    ],
+    Amount: [
+      { name: 'token', type: 'address' },
+      { name: 'value', type: 'uint256' }
+    ]
+  };
+
+  async function deployFixture() {
+    const batchCallDelegation = await ethers.deployContract('BatchCallDelegation');
+    const sponsorContract = await ethers.deployContract('Sponsor');
+    const alice = await createFundedWallet();
+    const bob = await createFundedWallet();
+
+    // Alice and Bob delegate to different contracts, each verifying its own signatures
+    for (const [account, delegate] of [[alice, sponsorContract], [bob, batchCallDelegation]]) {
+      await (await sendSetCodeTx(account, {
+        authorizationList: [await signDelegation(account, await delegate.getAddress(), account.address)],
+        to: ethers.ZeroAddress
+      })).wait();
+    }
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const appDomain = { name: 'Ether Mail', version: '1', chainId, verifyingContract: ethers.Wallet.createRandom().address };
+    const mail = {
+      from: { name: 'Alice', wallet: alice.address },
+      to: { name: 'Bob', wallet: bob.address },
+      contents: 'Hello, Bob!'
+    };
+
+    return { alice, bob, appDomain, mail };
+  }
+
+  it('reports the account domain and ERC-7739 support of both delegates', async function () {
+    const { alice, bob } = await loadFixture(deployFixture);
+
+    expect(await getAccountDomain(ethers.provider, alice.address)).to.include({ name: 'Sponsor', verifyingContract: alice.address });
+    expect(await getAccountDomain(ethers.provider, bob.address)).to.include({ name: 'BatchCallDelegation', verifyingContract: bob.address });
+    expect(await supportsERC7739(ethers.provider, alice.address)).to.equal(true);
+    expect(await supportsERC7739(ethers.provider, bob.address)).to.equal(true);
+    expect(await supportsERC7739(ethers.provider, ethers.Wallet.createRandom().address)).to.equal(false);
+  });
+
+  it('accepts plain signatures by the EOA key only', async function () {
+    const { alice, bob } = await loadFixture(deployFixture);
+    const hash = ethers.hashMessage('Sign in');
+
+    for (const account of [alice, bob]) {
+      const signature = await account.signMessage('Sign in');
+      expect(await isValidERC1271Signature(ethers.provider, account.address, hash, signature)).to.equal(true);
+    }
+    expect(await isValidERC1271Signature(ethers.provider, alice.address, hash, await bob.signMessage('Sign in'))).to.equal(false);
+  });
+
+  it('accepts nested personal_sign signatures for the signing account only', async function () {
+    const { alice, bob } = await loadFixture(deployFixture);
+    const hash = ethers.hashMessage('Sign in');
+
+    for (const account of [alice, bob]) {
+      const signature = await signPersonalSign(account, 'Sign in', await getAccountDomain(ethers.provider, account.address));
+      expect(await isValidERC1271Signature(ethers.provider, account.address, hash, signature)).to.equal(true);
+    }
+
+    // Alice signs for another account's domain: not valid on her own account
+    const bobDomain = await getAccountDomain(ethers.provider, bob.address);
+    const replayed = await signPersonalSign(alice, 'Sign in', bobDomain);
+    expect(await isValidERC1271Signature(ethers.provider, alice.address, hash, replayed)).to.equal(false);
+  });
+
+  it('accepts nested typed data signatures for the signing account only', async function () {
+    const { alice, bob, appDomain, mail } = await loadFixture(deployFixture);
+    const hash = ethers.TypedDataEncoder.hash(appDomain, mailTypes, mail);
+
+    for (const account of [alice, bob]) {
+      const signature = await signTypedDataSign(account, appDomain, mailTypes, mail, await getAccountDomain(ethers.provider, account.address));
+      expect(await isValidERC1271Signature(ethers.provider, account.address, hash, signature)).to.equal(true);
+    }
+
+    // The same content, signed by Alice for Bob's account, is not valid for either account
+    const bobDomain = await getAccountDomain(ethers.provider, bob.address);
+    const replayed = await signTypedDataSign(alice, appDomain, mailTypes, mail, bobDomain);
+    expect(await isValidERC1271Signature(ethers.provider, alice.address, hash, replayed)).to.equal(false);
+    expect(await isValidERC1271Signature(ethers.provider, bob.address, hash, replayed)).to.equal(false);
+  });
+
+  it('accepts nested typed data whose contents struct does not sort first', async function () {
+    const { alice, appDomain } = await loadFixture(deployFixture);
+    const permit = {
+      spender: ethers.Wallet.createRandom().address,
+      value: { token: ethers.Wallet.createRandom().address, value: 100n },
+      deadline: 1000n
+    };
+
+    const signature = await signTypedDataSign(alice, appDomain, permitTypes, permit, await getAccountDomain(ethers.provider, alice.address));
+    const hash = ethers.TypedDataEncoder.hash(appDomain, permitTypes, permit);
+    expect(await isValidERC1271Signature(ethers.provider, alice.address, hash, signature)).to.equal(true);
+  });
+
+  it('rejects a nested typed data signature checked against another hash', async function () {
+    const { alice, appDomain, mail } = await loadFixture(deployFixture);
+    const accountDomain = await getAccountDomain(ethers.provider, alice.address);
+
+    const signature = await signTypedDataSign(alice, appDomain, mailTypes, mail, accountDomain);
+    const otherHash = ethers.TypedDataEncoder.hash(appDomain, mailTypes, { ...mail, contents: 'Hello, Eve!' });
+    expect(await isValidERC1271Signature(ethers.provider, alice.address, otherHash, signature)).to.equal(false);
+
+    // Nor when its contents description is changed
+    const tampered = ethers.concat([ethers.dataSlice(signature, 0, 129), ethers.toUtf8Bytes('Mail(string contents)'), '0x0015']);
+    const hash = ethers.TypedDataEncoder.hash(appDomain, mailTypes, mail);
+    expect(await isValidERC1271Signature(ethers.provider, alice.address, hash, tampered)).to.equal(false);
+  });
+});
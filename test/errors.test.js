@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { buildSetCodeTx, signSetCodeTx, serialize } = require('../scripts/lib/eip7702');
+const { ERROR_CAUSES, classifyError, isUnsupportedNetworkError } = require('../scripts/lib/errors');
+const { NO_FEE } = require('../scripts/lib/sponsor');
+const { createFundedWallet, signDelegation, sendSetCodeTx } = require('./helpers');
+
+describe('Error classification', function () {
+  async function deployFixture() {
+    const batchCallDelegation = await ethers.deployContract('BatchCallDelegation');
+    const sponsorContract = await ethers.deployContract('Sponsor');
+    const logEmitter = await ethers.deployContract('LogEmitter');
+    const alice = await createFundedWallet();
+    const sponsor = await createFundedWallet();
+    return { batchCallDelegation, sponsorContract, logEmitter, alice, sponsor };
+  }
+
+  async function catchError(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected the call to fail');
+  }
+
+  // Send a raw set code transaction delegating Alice, with overridden fields
+  async function sendRaw({ batchCallDelegation, alice }, wallet, overrides) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const feeData = await ethers.provider.getFeeData();
+    const tx = buildSetCodeTx({
+      chainId,
+      nonce: await ethers.provider.getTransactionCount(wallet.address),
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+      maxFeePerGas: feeData.maxFeePerGas,
+      gasLimit: 100000n,
+      to: ethers.ZeroAddress,
+      authorizationList: [await signDelegation(alice, await batchCallDelegation.getAddress(), wallet.address)],
+      ...overrides
+    });
+    return ethers.provider.send('eth_sendRawTransaction', [serialize(signSetCodeTx(wallet, tx))]);
+  }
+
+  it('decodes the BatchCallDelegation revert string', async function () {
+    const { batchCallDelegation, logEmitter, alice } = await loadFixture(deployFixture);
+    const error = await catchError(sendSetCodeTx(alice, {
+      authorizationList: [await signDelegation(alice, await batchCallDelegation.getAddress(), alice.address)],
+      to: alice.address,
+      data: batchCallDelegation.interface.encodeFunctionData('execute', [[
+        { data: '0x', to: await logEmitter.getAddress(), value: 1n }
+      ]])
+    }));
+
+    const classified = classifyError(error);
+    expect(classified.cause).to.equal(ERROR_CAUSES.REVERTED);
+    expect(classified.revert.name).to.equal('Error');
+    expect(classified.revert.args).to.deep.equal(['call reverted']);
+    expect(classified.hint).to.match(/batch/);
+  });
+
+  it('decodes Sponsor custom errors', async function () {
+    const { sponsorContract, alice, sponsor } = await loadFixture(deployFixture);
+    const error = await catchError(sendSetCodeTx(sponsor, {
+      authorizationList: [await signDelegation(alice, await sponsorContract.getAddress(), sponsor.address)],
+      to: alice.address,
+      data: sponsorContract.interface.encodeFunctionData('sponsoredTransfer', [
+        alice.address, sponsor.address, 1n, NO_FEE, 0n, ethers.MaxUint256, 5n, 27, ethers.ZeroHash, ethers.ZeroHash, 0n
+      ])
+    }));
+
+    const classified = classifyError(error);
+    expect(classified.cause).to.equal(ERROR_CAUSES.REVERTED);
+    expect(classified.revert.contract).to.equal('Sponsor');
+    expect(classified.revert.name).to.equal('NonceAlreadyUsed');
+  });
+
+  it('classifies node rejections', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { sponsor } = fixture;
+    const poor = await createFundedWallet(1000n);
+
+    const cases = [
+      [sponsor, { nonce: 50 }, ERROR_CAUSES.NONCE_TOO_HIGH],
+      [poor, {}, ERROR_CAUSES.INSUFFICIENT_FUNDS],
+      [sponsor, { maxFeePerGas: 1n, maxPriorityFeePerGas: 1n }, ERROR_CAUSES.UNDERPRICED],
+      [sponsor, { gasLimit: 21000n }, ERROR_CAUSES.INTRINSIC_GAS_TOO_LOW]
+    ];
+    for (const [wallet, overrides, cause] of cases) {
+      const error = await catchError(sendRaw(fixture, wallet, overrides));
+      expect(classifyError(error).cause, error.message).to.equal(cause);
+    }
+
+    await sendRaw(fixture, sponsor, {});
+    const error = await catchError(sendRaw(fixture, sponsor, { nonce: 0 }));
+    expect(classifyError(error).cause).to.equal(ERROR_CAUSES.NONCE_TOO_LOW);
+  });
+
+  it('only reports unsupported transaction types as a network compatibility issue', async function () {
+    const error = await catchError(ethers.provider.send('eth_sendRawTransaction', ['0x05c0']));
+    expect(isUnsupportedNetworkError(classifyError(error))).to.equal(true);
+
+    // Error shapes of ethers wrapping a geth response
+    const unsupported = { code: 'UNKNOWN_ERROR', message: 'could not coalesce error', error: { code: -32000, message: 'transaction type not supported' } };
+    const invalidNonce = { code: 'UNKNOWN_ERROR', message: 'could not coalesce error', error: { code: -32000, message: 'invalid nonce; got 3, expected 4' } };
+    expect(classifyError(unsupported).cause).to.equal(ERROR_CAUSES.UNSUPPORTED_TX_TYPE);
+    expect(isUnsupportedNetworkError(classifyError(invalidNonce))).to.equal(false);
+  });
+});
@@ -0,0 +1,81 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { computeIntrinsicGas, estimateSetCodeTxGas } = require('../scripts/lib/gas');
+const { createFundedWallet, signDelegation, sendSetCodeTx } = require('./helpers');
+
+describe('Set code transaction gas estimation', function () {
+  async function deployFixture() {
+    const logEmitter = await ethers.deployContract('LogEmitter');
+    const alice = await createFundedWallet();
+    const sponsor = await createFundedWallet();
+    return { logEmitter, alice, sponsor };
+  }
+
+  it('computes the intrinsic cost of calldata and authorizations', function () {
+    const intrinsic = computeIntrinsicGas({
+      data: '0x0001ff00',
+      accessList: [],
+      authorizationList: [{}, {}]
+    });
+
+    expect(intrinsic.calldata).to.equal(2n * 4n + 2n * 16n);
+    expect(intrinsic.authorizations).to.equal(50000n);
+    expect(intrinsic.total).to.equal(21000n + 40n + 50000n);
+  });
+
+  it('covers the gas used by a sponsored call with the margin applied', async function () {
+    const { logEmitter, alice, sponsor } = await loadFixture(deployFixture);
+    const tx = {
+      to: alice.address,
+      data: logEmitter.interface.encodeFunctionData('emitHello'),
+      authorizationList: [await signDelegation(alice, await logEmitter.getAddress(), sponsor.address)]
+    };
+
+    const estimate = await estimateSetCodeTxGas(ethers.provider, tx, { from: sponsor.address, marginPercent: 10 });
+    const receipt = await (await sendSetCodeTx(sponsor, { ...tx, gasLimit: estimate.gasLimit })).wait();
+
+    expect(estimate.method).to.equal('eth_estimateGas');
+    expect(estimate.gasLimit).to.equal(estimate.breakdown.estimate + estimate.breakdown.estimate / 10n);
+    expect(receipt.gasUsed).to.be.at.most(estimate.breakdown.estimate);
+    // Alice is funded, so part of the authorization cost is refunded
+    expect(estimate.breakdown.refund).to.equal(12500n);
+  });
+
+  it('falls back to the state override when the node ignores the authorization list', async function () {
+    const { logEmitter, alice, sponsor } = await loadFixture(deployFixture);
+    const tx = {
+      to: alice.address,
+      data: logEmitter.interface.encodeFunctionData('emitHello'),
+      authorizationList: [await signDelegation(alice, await logEmitter.getAddress(), sponsor.address)]
+    };
+
+    // Node that accepts authorizationList in eth_estimateGas but drops it
+    const provider = {
+      getCode: (address) => ethers.provider.getCode(address),
+      getBalance: (address) => ethers.provider.getBalance(address),
+      getTransactionCount: (address) => ethers.provider.getTransactionCount(address),
+      send: (method, params) => ethers.provider.send(method, JSON.parse(JSON.stringify(params, (key, value) => (
+        key === 'authorizationList' ? undefined : value
+      ))))
+    };
+
+    const estimate = await estimateSetCodeTxGas(provider, tx, { from: sponsor.address, marginPercent: 0 });
+    const receipt = await (await sendSetCodeTx(sponsor, { ...tx, gasLimit: estimate.gasLimit })).wait();
+
+    // Hardhat takes no state override in eth_estimateGas, so the fixed fallback is used there
+    expect(estimate.method).to.be.oneOf(['state override', 'intrinsic only']);
+    expect(estimate.breakdown.execution).to.be.greaterThan(0n);
+    expect(receipt.status).to.equal(1);
+  });
+
+  it('rejects a call that would revert', async function () {
+    const { logEmitter, alice, sponsor } = await loadFixture(deployFixture);
+
+    await expect(estimateSetCodeTxGas(ethers.provider, {
+      to: alice.address,
+      data: '0x12345678',
+      authorizationList: [await signDelegation(alice, await logEmitter.getAddress(), sponsor.address)]
+    }, { from: sponsor.address })).to.be.rejected;
+  });
+});
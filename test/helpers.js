@@ -0,0 +1,80 @@
+const { ethers } = require('hardhat');
+const { setBalance } = require('@nomicfoundation/hardhat-network-helpers');
+const {
+  buildAuthorization,
+  signAuthorization,
+  buildSetCodeTx,
+  signSetCodeTx,
+  serialize
+} = require('../scripts/lib/eip7702');
+const { resolveAuthorizationNonce } = require('../scripts/lib/delegation');
+const { estimateSetCodeTxGas } = require('../scripts/lib/gas');
+
+/**
+ * Create a random wallet with a known private key and fund it
+ * @param {bigint} [balance] Balance to give the wallet
+ * @returns {Promise<ethers.Wallet>}
+ */
+async function createFundedWallet(balance = ethers.parseEther('10')) {
+  const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+  await setBalance(wallet.address, balance);
+  return wallet;
+}
+
+/**
+ * Sign an authorization delegating an EOA to a contract
+ * @param {ethers.Wallet} authority EOA being delegated
+ * @param {string} delegate Contract address to delegate to
+ * @param {string} sender Address that will send the set code transaction
+ * @returns {Promise<Object>} Signed authorization
+ */
+async function signDelegation(authority, delegate, sender) {
+  const { chainId } = await ethers.provider.getNetwork();
+  return signAuthorization(authority, buildAuthorization({
+    chainId,
+    address: delegate,
+    nonce: await resolveAuthorizationNonce(ethers.provider, authority.address, sender)
+  }));
+}
+
+/**
+ * Sign and broadcast a set code transaction (type 0x04)
+ * @param {ethers.Wallet} sender Wallet sending and paying for the transaction
+ * @param {Object} params
+ * @param {Array} params.authorizationList Signed authorizations
+ * @param {string} params.to Destination address
+ * @param {string} [params.data] Calldata
+ * @param {bigint} [params.value] Value sent with the call
+ * @param {bigint} [params.gasLimit] Gas limit, estimated when omitted
+ * @returns {Promise<ethers.TransactionResponse>}
+ */
+async function sendSetCodeTx(sender, { authorizationList, to, data = '0x', value = 0n, gasLimit }) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const feeData = await ethers.provider.getFeeData();
+  if (gasLimit === undefined) {
+    ({ gasLimit } = await estimateSetCodeTxGas(ethers.provider, { to, value, data, authorizationList }, {
+      from: sender.address
+    }));
+  }
+
+  const tx = signSetCodeTx(sender, buildSetCodeTx({
+    chainId,
+    nonce: await ethers.provider.getTransactionCount(sender.address),
+    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+    maxFeePerGas: feeData.maxFeePerGas,
+    gasLimit,
+    to,
+    value,
+    data,
+    authorizationList
+  }));
+
+  const txHash = await ethers.provider.send('eth_sendRawTransaction', [serialize(tx)]);
+  return ethers.provider.getTransaction(txHash);
+}
+
+module.exports = {
+  createFundedWallet,
+  signDelegation,
+  sendSetCodeTx
+};
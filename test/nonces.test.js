@@ -0,0 +1,103 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { encodeSponsorNonce, decodeSponsorNonce, signSponsoredTransfer, encodeSponsoredTransfer } = require('../scripts/lib/sponsor');
+const { createSponsorNonceManager, getCancellationNonces } = require('../scripts/lib/nonces');
+const { createFundedWallet, signDelegation, sendSetCodeTx } = require('./helpers');
+
+describe('Sponsor nonce manager', function () {
+  async function deployFixture() {
+    const sponsorContract = await ethers.deployContract('Sponsor');
+    const alice = await createFundedWallet();
+    const sponsor = await createFundedWallet();
+    const recipient = ethers.Wallet.createRandom().address;
+    return { sponsorContract, alice, sponsor, recipient };
+  }
+
+  async function relay({ sponsorContract, alice, sponsor }, signed) {
+    return (await sendSetCodeTx(sponsor, {
+      authorizationList: [await signDelegation(alice, await sponsorContract.getAddress(), sponsor.address)],
+      to: alice.address,
+      data: encodeSponsoredTransfer(signed)
+    })).wait();
+  }
+
+  it('allocates a fresh key for each independent intent', async function () {
+    const { alice } = await loadFixture(deployFixture);
+    const manager = createSponsorNonceManager(ethers.provider, alice.address);
+
+    const nonces = [await manager.allocate(), await manager.allocate(), await manager.allocate()];
+    const keys = nonces.map((nonce) => decodeSponsorNonce(nonce).key);
+
+    expect(new Set(keys).size).to.equal(3);
+    expect(nonces.map((nonce) => decodeSponsorNonce(nonce).sequence)).to.deep.equal([0n, 0n, 0n]);
+    expect(manager.intents.map((intent) => intent.nonce)).to.deep.equal(nonces);
+  });
+
+  it('orders intents allocated on the same key after the on-chain sequence', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { alice, recipient } = fixture;
+    const manager = createSponsorNonceManager(ethers.provider, alice.address);
+
+    await relay(fixture, await signSponsoredTransfer(alice, { recipient, amount: 1n, nonce: await manager.allocate({ key: 5n }) }));
+
+    const nonces = [await manager.allocate({ key: 5n }), await manager.allocate({ key: 5n })];
+    expect(nonces.map(decodeSponsorNonce)).to.deep.equal([{ key: 5n, sequence: 1n }, { key: 5n, sequence: 2n }]);
+
+    // A new manager resumes after the intents it is given
+    const resumed = createSponsorNonceManager(ethers.provider, alice.address, { intents: manager.intents });
+    expect(decodeSponsorNonce(await resumed.allocate({ key: 5n })).sequence).to.equal(3n);
+  });
+
+  it('tracks which intents were consumed on chain', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { alice, recipient } = fixture;
+    const manager = createSponsorNonceManager(ethers.provider, alice.address);
+
+    const first = await signSponsoredTransfer(alice, { recipient, amount: 1n, nonce: await manager.allocate() });
+    const second = await signSponsoredTransfer(alice, { recipient, amount: 2n, nonce: await manager.allocate() });
+
+    // The second intent is relayed first, the first one is still pending
+    await relay(fixture, second);
+
+    expect(await manager.isConsumed(second.nonce)).to.equal(true);
+    expect(await manager.isConsumed(first.nonce)).to.equal(false);
+
+    const { pending, consumed } = await manager.refresh();
+    expect(pending.map((intent) => intent.nonce)).to.deep.equal([first.nonce]);
+    expect(consumed.map((intent) => intent.nonce)).to.deep.equal([second.nonce]);
+  });
+
+  it('tracks intents signed with the next nonce of the default key', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { alice, recipient } = fixture;
+    const manager = createSponsorNonceManager(ethers.provider, alice.address);
+
+    const signed = await signSponsoredTransfer(alice, { recipient, amount: 1n });
+    manager.track(signed.nonce);
+    manager.track(signed.nonce);
+
+    // A manager given the same nonce twice, as tracked by two runs, keeps it once
+    const resumed = createSponsorNonceManager(ethers.provider, alice.address, { intents: [...manager.intents, ...manager.intents] });
+    expect(resumed.intents).to.have.lengthOf(1);
+
+    const { pending } = await manager.refresh();
+    expect(pending.map((intent) => [intent.key, intent.sequence])).to.deep.equal([[0n, 0n]]);
+    expect(getCancellationNonces(pending)).to.deep.equal([0n]);
+
+    await relay(fixture, signed);
+    expect((await manager.refresh()).consumed.map((intent) => intent.nonce)).to.deep.equal([0n]);
+  });
+
+  it('cancels pending intents with the highest nonce of each key', function () {
+    const intents = [
+      { nonce: encodeSponsorNonce(1n, 0n) },
+      { nonce: encodeSponsorNonce(2n, 4n) },
+      { nonce: encodeSponsorNonce(1n, 2n) },
+      { nonce: encodeSponsorNonce(1n, 1n) }
+    ];
+
+    expect(getCancellationNonces(intents)).to.deep.equal([encodeSponsorNonce(1n, 2n), encodeSponsorNonce(2n, 4n)]);
+    expect(getCancellationNonces([])).to.deep.equal([]);
+  });
+});
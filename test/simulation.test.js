@@ -0,0 +1,120 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { simulateSetCodeTx } = require('../scripts/lib/simulation');
+const { encodeBatch, signBatch } = require('../scripts/lib/batch');
+const { NO_FEE } = require('../scripts/lib/sponsor');
+const { createFundedWallet, signDelegation } = require('./helpers');
+
+describe('Dry-run simulation', function () {
+  async function deployFixture() {
+    const batchCallDelegation = await ethers.deployContract('BatchCallDelegation');
+    const sponsorContract = await ethers.deployContract('Sponsor');
+    const logEmitter = await ethers.deployContract('LogEmitter');
+    const alice = await createFundedWallet();
+    const sponsor = await createFundedWallet();
+    const bob = ethers.Wallet.createRandom().address;
+    return { batchCallDelegation, sponsorContract, logEmitter, alice, sponsor, bob };
+  }
+
+  // execute calldata for a batch Alice signed, so that the sponsor may relay it
+  async function signedBatch({ alice }, calls) {
+    return encodeBatch(calls, { signed: await signBatch(alice, calls) });
+  }
+
+  async function simulate({ alice, sponsor }, delegate, data) {
+    return simulateSetCodeTx(ethers.provider, {
+      to: alice.address,
+      data,
+      authorizationList: [await signDelegation(alice, await delegate.getAddress(), sponsor.address)]
+    }, { from: sponsor.address });
+  }
+
+  it('shows the events and balance changes of a batch without broadcasting it', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { batchCallDelegation, logEmitter, alice, bob } = fixture;
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    const result = await simulate(fixture, batchCallDelegation, await signedBatch(fixture, [
+      { data: '0x', to: bob, value: ethers.parseEther('1') },
+      { data: logEmitter.interface.encodeFunctionData('emitWorld'), to: await logEmitter.getAddress(), value: 0n }
+    ]));
+
+    expect(result.success).to.equal(true);
+    expect(result.method).to.equal('debug_traceCall');
+    expect(result.delegation).to.equal('authorization list');
+    expect(result.events.map((e) => e.decoded && e.decoded.name)).to.deep.equal(['CallExecuted', 'World', 'CallExecuted']);
+    expect(result.events[1].address).to.equal(await logEmitter.getAddress());
+    expect(result.balanceDeltas[alice.address]).to.equal(-ethers.parseEther('1'));
+    expect(result.balanceDeltas[bob]).to.equal(ethers.parseEther('1'));
+
+    // Nothing was sent
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    expect(await ethers.provider.getCode(alice.address)).to.equal('0x');
+    expect(await ethers.provider.getBalance(bob)).to.equal(0n);
+  });
+
+  it('decodes a reverted batch', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { batchCallDelegation, logEmitter } = fixture;
+
+    const result = await simulate(fixture, batchCallDelegation, await signedBatch(fixture, [
+      { data: '0x', to: await logEmitter.getAddress(), value: 1n }
+    ]));
+
+    expect(result.success).to.equal(false);
+    expect(result.revert.args).to.deep.equal(['call reverted']);
+    expect(result.events).to.deep.equal([]);
+  });
+
+  it('decodes Sponsor custom errors', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { sponsorContract, alice, bob } = fixture;
+
+    const result = await simulate(fixture, sponsorContract, sponsorContract.interface.encodeFunctionData('sponsoredTransfer', [
+      alice.address, bob, 1n, NO_FEE, 0n, ethers.MaxUint256, 7n, 27, ethers.ZeroHash, ethers.ZeroHash, 0n
+    ]));
+
+    expect(result.success).to.equal(false);
+    expect(result.revert.contract).to.equal('Sponsor');
+    expect(result.revert.name).to.equal('NonceAlreadyUsed');
+  });
+
+  it('shows LogEmitter events emitted by the delegated EOA', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { logEmitter, alice } = fixture;
+
+    const result = await simulate(fixture, logEmitter, logEmitter.interface.encodeFunctionData('emitHello'));
+
+    expect(result.success).to.equal(true);
+    expect(result.events).to.have.lengthOf(1);
+    expect(result.events[0].decoded.name).to.equal('Hello');
+    expect(result.events[0].address).to.equal(alice.address);
+  });
+
+  it('falls back to the state override when the node ignores the authorization list', async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { sponsorContract, alice, sponsor, bob } = fixture;
+
+    // Node that accepts authorizationList in calls but drops it
+    const provider = {
+      getCode: (address) => ethers.provider.getCode(address),
+      send: (method, params) => ethers.provider.send(method, JSON.parse(JSON.stringify(params, (key, value) => (
+        key === 'authorizationList' ? undefined : value
+      ))))
+    };
+
+    const result = await simulateSetCodeTx(provider, {
+      to: alice.address,
+      data: sponsorContract.interface.encodeFunctionData('sponsoredTransfer', [
+        alice.address, bob, 1n, NO_FEE, 0n, ethers.MaxUint256, 7n, 27, ethers.ZeroHash, ethers.ZeroHash, 0n
+      ]),
+      authorizationList: [await signDelegation(alice, await sponsorContract.getAddress(), sponsor.address)]
+    }, { from: sponsor.address });
+
+    // Not reported as succeeding against Alice's empty code
+    expect(result.delegation).to.equal('state override');
+    expect(result.success).to.equal(false);
+    expect(result.revert.name).to.equal('NonceAlreadyUsed');
+  });
+});